@@ -1,5 +1,13 @@
 /**
  * Backend JS file to handle...
+ *
+ * Errors are sent with sendError as `{error: {code, message}}`; see errors.js. Routes check their
+ * params, query and body with validate() from validation.js, which answers malformed requests,
+ * including non-numeric IDs, with a 400 before the handler runs.
+ *
+ * The API is served under API_PREFIX. Most routes are registered with route(), which also serves
+ * them at their original, unversioned path with a Deprecation header; routes whose responses
+ * changed shape keep their old handler at the old path, marked with deprecated().
  */
 
 "use strict";
@@ -7,15 +15,359 @@
 const express = require("express");
 const app = express();
 
-const sqlite = require('sqlite');
-const sqlite3 = require('sqlite3');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const util = require('util');
+const database = require('./db/database');
+const {sendError, notFound, handleErrors} = require('./errors');
+const financing = require('./financing');
+const {runMigrations, isEmpty} = require('./db/migrate');
+const {createNotifier} = require('./notifier');
+const recommender = require('./recommender');
+const cartRepo = require('./repositories/carts');
+const notificationRepo = require('./repositories/notifications');
+const orderRepo = require('./repositories/orders');
+const reviewRepo = require('./repositories/reviews');
+const taxonomyRepo = require('./repositories/taxonomy');
+const userRepo = require('./repositories/users');
+const vehicleRepo = require('./repositories/vehicles');
+const viewRepo = require('./repositories/views');
+const wishlistRepo = require('./repositories/wishlists');
+const {validate, checkFields, fieldError} = require('./validation');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// The SQLite file to use, relative to the working directory unless absolute. It must have been
+// created with db/seed.js.
+const DB_PATH = process.env.DB_PATH || 'ewave-autos.db';
+const HASH_SCHEME = 'scrypt';
+const HASH_KEY_LENGTH = 64;
+
+// The key session tokens are signed with. It must be set in production, so tokens outlive a
+// restart and every instance accepts the others'; elsewhere a random key is made at startup.
+const SESSION_SECRET = process.env.SESSION_SECRET ||
+  (process.env.NODE_ENV === 'production' ? null : crypto.randomBytes(32).toString('hex'));
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REPORT_REASON_LENGTH = 500;
+const MAX_MODERATION_REASON_LENGTH = 500;
+const DEFAULT_REVIEW_PAGE_SIZE = 5;
+const MAX_REVIEW_PAGE_SIZE = 50;
+const MAX_CART_QUANTITY = 5;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 100;
+const DEFAULT_SIMILAR_LIMIT = 4;
+const MAX_SIMILAR_LIMIT = 12;
+const RECOMMENDATION_LIMIT = 5;
+const MIN_COMPARED_VEHICLES = 2;
+const MAX_COMPARED_VEHICLES = 4;
+const MAX_LISTED_NOTIFICATIONS = 20;
+const LOW_STOCK_THRESHOLD = 2;
+const MIN_VEHICLE_YEAR = 1990;
+const MAX_VEHICLE_PRICE = 10000000;
+const MAX_VEHICLE_AVAILABILITY = 10000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_CATALOG_IMPORT_BYTES = 10 * 1024 * 1024;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+const IMAGE_DIR = process.env.IMAGE_DIR || path.join(__dirname, '..', 'frontend', 'img');
+const IMAGE_FILE_PATTERN = /^[\w.-]+\.(jpe?g|png|webp|gif)$/i;
+const OPENAPI_DIR = path.join(__dirname, 'openapi');
+const API_PREFIX = '/api/v1';
+
+// When the unversioned routes were deprecated in favour of API_PREFIX. Their responses carry it
+// in a Deprecation header, as a Unix timestamp (RFC 9745).
+const LEGACY_DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 -]{0,29}$/;
+
+// Users listed here, comma-separated, are made admins when the server starts.
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',')
+  .map(name => name.trim())
+  .filter(name => name);
+
+// Reviews containing one of these words or phrases, comma-separated, are held for moderation, as
+// are reviews containing a link unless REVIEW_ALLOW_LINKS is `true`.
+const REVIEW_BANNED_WORDS = (process.env.REVIEW_BANNED_WORDS || '').split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(word => word);
+const REVIEW_ALLOW_LINKS = process.env.REVIEW_ALLOW_LINKS === 'true';
+const LINK_PATTERN =
+  /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|biz|info|xyz|ly)\b/i;
+
+// An approved review goes back to the moderation queue once this many users have reported it.
+const REVIEW_REPORT_THRESHOLD = Number(process.env.REVIEW_REPORT_THRESHOLD || 3);
+
+// Where wishlist alerts are sent besides the in-app list: `console`, `file` (appended to
+// NOTIFICATION_FILE) or `none`. Deliveries are queued so each alert is sent once, in order.
+const notifier = createNotifier(process.env.NOTIFIER || 'console',
+  {file: process.env.NOTIFICATION_FILE || 'notifications.log'});
+let deliveryQueue = Promise.resolve();
+
+// The recommendation snapshot being served and the database write count it was read at.
+let recommendationCache = null;
+
+/**
+ * Image types accepted by POST /admin/images, with the extension they are stored under and a
+ * pattern for the first bytes of a genuine file of that type.
+ */
+const IMAGE_TYPES = {
+  'image/jpeg': {extension: 'jpg', signature: /^\xff\xd8\xff/},
+  'image/png': {extension: 'png', signature: /^\x89PNG\r\n\x1a\n/},
+  'image/webp': {extension: 'webp', signature: /^RIFF[\s\S]{4}WEBP/},
+  'image/gif': {extension: 'gif', signature: /^GIF8[79]a/}
+};
+
+/**
+ * Columns accepted by POST /admin/catalog/import, mapped to the names the admin vehicle endpoints
+ * use for them. `tags` is a comma-separated list in CSV files and may be an array in JSON.
+ */
+const CATALOG_COLUMNS = {
+  model_name: 'modelName',
+  make: 'make',
+  year: 'year',
+  price: 'price',
+  availability: 'availability',
+  body_type: 'bodyType',
+  tags: 'tags',
+  range_miles: 'rangeMiles',
+  battery_kwh: 'batteryKwh',
+  dc_peak_kw: 'dcPeakKw',
+  charge_connector: 'chargeConnector',
+  drivetrain: 'drivetrain',
+  seating: 'seating',
+  towing_lbs: 'towingLbs',
+  zero_to_sixty_s: 'zeroToSixty',
+  description: 'description',
+  image_url: 'imageUrl'
+};
+
+// Columns written by GET /admin/catalog/export. Importing ignores vehicle_id and average_rating.
+const CATALOG_EXPORT_COLUMNS = ['vehicle_id', 'model_name', 'make', 'year', 'price',
+  'availability', 'body_type', 'tags', 'range_miles', 'battery_kwh', 'dc_peak_kw',
+  'charge_connector', 'drivetrain', 'seating', 'towing_lbs', 'zero_to_sixty_s', 'description',
+  'image_url', 'average_rating'];
+
+// Thrown inside a dry-run import's transaction to roll it back.
+const DRY_RUN_ROLLBACK = new Error('Dry run');
+
+// Thrown inside an order's transaction to roll it back when a vehicle runs out of stock.
+const OUT_OF_STOCK_ROLLBACK = new Error('Out of stock');
+
+/**
+ * The fields of a vehicle accepted by the admin endpoints and catalog imports, keyed by their name
+ * in request bodies, as validate() rules. Every field may be left out of an update, and null or an
+ * empty string clears the description, image, tags and EV specs. The year may be at most two
+ * years ahead.
+ */
+const VEHICLE_FIELDS = {
+  modelName: {type: 'string', trim: true, maxLength: 100},
+  make: {type: 'string', trim: true, maxLength: 50},
+  year: {type: 'integer', min: MIN_VEHICLE_YEAR, check: year => year <= maxVehicleYear(),
+    message: `year must be a whole number from ${MIN_VEHICLE_YEAR} to two years from now`},
+  price: {type: 'number', min: 1, max: MAX_VEHICLE_PRICE},
+  availability: {type: 'integer', min: 0, max: MAX_VEHICLE_AVAILABILITY},
+  bodyType: {type: 'string', trim: true, lowercase: true},
+  tags: {type: 'list', nullable: true,
+    items: {type: 'string', lowercase: true, pattern: TAG_PATTERN},
+    message: 'tags must be letters, digits, spaces or hyphens, at most 30 characters each'},
+  description: {type: 'string', trim: true, maxLength: 1000, nullable: true},
+  imageUrl: {type: 'string', trim: true, maxLength: 100, pattern: IMAGE_FILE_PATTERN,
+    nullable: true, message: 'imageUrl must be the file name of an uploaded image'},
+  rangeMiles: {type: 'integer', min: 1, max: 1000, nullable: true},
+  batteryKwh: {type: 'number', min: 1, max: 500, nullable: true},
+  dcPeakKw: {type: 'integer', min: 1, max: 1000, nullable: true},
+  chargeConnector: {type: 'string', trim: true, values: ['NACS', 'CCS1', 'CHAdeMO', 'GB/T'],
+    ignoreCase: true, nullable: true},
+  drivetrain: {type: 'string', trim: true, values: ['FWD', 'RWD', 'AWD'], ignoreCase: true,
+    nullable: true},
+  seating: {type: 'integer', min: 1, max: 15, nullable: true},
+  towingLbs: {type: 'integer', min: 0, max: 40000, nullable: true},
+  zeroToSixty: {type: 'number', min: 1, max: 30, nullable: true}
+};
+
+// The vehicle fields POST /admin/vehicles requires, and the specs rounded to a tenth.
+const REQUIRED_VEHICLE_FIELDS = ['modelName', 'make', 'year', 'price', 'availability', 'bodyType'];
+const DECIMAL_SPECS = ['batteryKwh', 'zeroToSixty'];
+
+// Numeric filters accepted by GET /vehicles and GET /facets.
+const RANGE_FILTERS = ['minPrice', 'maxPrice', 'minYear', 'maxYear', 'minRange', 'minBattery',
+  'minChargeKw', 'minSeating', 'minTowing', 'maxZeroToSixty'];
+
+const SALES_TAX_RATE = Number(process.env.SALES_TAX_RATE || 0.0725);
+
+// Destination and documentation fee charged once per vehicle in an order.
+const FEE_PER_VEHICLE = Number(process.env.FEE_PER_VEHICLE || 1095);
+
+/**
+ * The financing plans offered, with the term each defaults to. Terms are in months, APRs are
+ * percentages and a lease's residual is a percentage of the price.
+ */
+const FINANCING_PLANS = {loan: {termMonths: 60}, lease: {termMonths: 36}};
+const DEFAULT_APR = Number(process.env.DEFAULT_APR || 6.9);
+const DEFAULT_RESIDUAL_PERCENT = 55;
+const MIN_FINANCING_TERM = 12;
+const MAX_FINANCING_TERM = 96;
+const MAX_APR = 30;
+const MIN_RESIDUAL_PERCENT = 10;
+const MAX_RESIDUAL_PERCENT = 90;
+
+// The price of a kWh and the miles driven a year assumed by ownership cost estimates, unless a
+// request gives its own.
+const ELECTRICITY_RATE = Number(process.env.ELECTRICITY_RATE || 0.16);
+const ANNUAL_MILES = Number(process.env.ANNUAL_MILES || 12000);
+const MAX_ELECTRICITY_RATE = 2;
+const MAX_ANNUAL_MILES = 100000;
+
+/**
+ * The statuses an order can move to from each status. Orders are placed as pending; customers
+ * can cancel them until they are delivered, and admins confirm, deliver and refund them.
+ * Cancelled and refunded orders are final.
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+const ADMIN_ORDER_STATUSES = ['confirmed', 'delivered', 'refunded'];
+const MAX_ORDER_NOTE_LENGTH = 200;
+
+/**
+ * The rows of GET /compare, in order: the vehicle or rating summary field each row shows, and its
+ * label.
+ */
+const COMPARE_ATTRIBUTES = [
+  {key: 'price', label: 'Price'},
+  {key: 'make', label: 'Make'},
+  {key: 'year', label: 'Model year'},
+  {key: 'body_type', label: 'Body type'},
+  {key: 'tags', label: 'Tags'},
+  {key: 'availability', label: 'In stock'},
+  {key: 'range_miles', label: 'EPA range'},
+  {key: 'battery_kwh', label: 'Battery'},
+  {key: 'dc_peak_kw', label: 'DC fast-charge peak'},
+  {key: 'charge_connector', label: 'Charging connector'},
+  {key: 'drivetrain', label: 'Drivetrain'},
+  {key: 'seating', label: 'Seats'},
+  {key: 'towing_lbs', label: 'Towing capacity'},
+  {key: 'zero_to_sixty_s', label: '0-60 mph'},
+  {key: 'averageRating', label: 'Average rating'},
+  {key: 'reviewCount', label: 'Reviews'}
+];
+
+/**
+ * The review status each moderation action sets, and whether the action needs a reason.
+ */
+const MODERATION_ACTIONS = {
+  approve: {status: 'approved', needsReason: false},
+  reject: {status: 'rejected', needsReason: true},
+  hide: {status: 'hidden', needsReason: true}
+};
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+const RESTOCKING_STATUSES = ['cancelled', 'refunded'];
+
+// The page of reviews shown with a vehicle's details.
+const DEFAULT_REVIEW_PAGE = {sort: 'newest', limit: DEFAULT_REVIEW_PAGE_SIZE, offset: 0};
+
+// Field schemas passed to validate(), for the fields several routes accept.
+const VEHICLE_ID = {vehicleId: {type: 'id', required: true}};
+const ORDER_ID = {orderId: {type: 'id', required: true}};
+const REVIEW_ID = {reviewId: {type: 'id', required: true}};
+const CREDENTIALS = {
+  username: {type: 'string', required: true},
+  password: {type: 'string', required: true}
+};
+const NEW_ACCOUNT = {
+  username: {type: 'string', required: true, pattern: USERNAME_PATTERN,
+    message: 'Usernames must be 3-30 letters, digits or underscores'},
+  password: {type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH}
+};
+const REVIEW_FIELDS = {
+  rating: {type: 'integer', required: true, min: 1, max: 5},
+  reviewText: {type: 'string', required: true, trim: true, maxLength: MAX_REVIEW_LENGTH}
+};
+const NEW_VEHICLE = Object.fromEntries(Object.entries(VEHICLE_FIELDS).map(([name, rule]) =>
+  [name, REQUIRED_VEHICLE_FIELDS.includes(name) ? {...rule, required: true} : rule]));
+const SLUG_LIST = {type: 'list', items: {type: 'string', lowercase: true}};
+const SEARCH_QUERY = {
+  qry: {type: 'string', default: ''},
+  types: SLUG_LIST,
+  tags: SLUG_LIST,
+  make: SLUG_LIST,
+  drivetrain: SLUG_LIST,
+  connector: SLUG_LIST,
+  inStock: {type: 'boolean', default: false},
+  sort: {type: 'string', values: Object.keys(vehicleRepo.SEARCH_SORTS)},
+  limit: {type: 'integer', min: 1, max: MAX_SEARCH_LIMIT, default: DEFAULT_SEARCH_LIMIT},
+  offset: {type: 'integer', min: 0, default: 0},
+  ...Object.fromEntries(RANGE_FILTERS.map(name => [name, {type: 'number'}]))
+};
+const FINANCING_TERMS = {
+  plan: {type: 'string', values: Object.keys(FINANCING_PLANS), default: 'loan'},
+  downPayment: {type: 'number', min: 0, max: MAX_VEHICLE_PRICE, default: 0},
+  tradeIn: {type: 'number', min: 0, max: MAX_VEHICLE_PRICE, default: 0},
+  apr: {type: 'number', min: 0, max: MAX_APR, default: DEFAULT_APR},
+  termMonths: {type: 'integer', min: MIN_FINANCING_TERM, max: MAX_FINANCING_TERM},
+  residualPercent: {type: 'number', min: MIN_RESIDUAL_PERCENT, max: MAX_RESIDUAL_PERCENT,
+    default: DEFAULT_RESIDUAL_PERCENT}
+};
+const OWNERSHIP_USAGE = {
+  electricityRate: {type: 'number', min: 0, max: MAX_ELECTRICITY_RATE, default: ELECTRICITY_RATE},
+  annualMiles: {type: 'integer', min: 0, max: MAX_ANNUAL_MILES, default: ANNUAL_MILES}
+};
+const ORDER_FINANCING = {financing: {type: 'object', fields: FINANCING_TERMS}};
 
 app.use(express.urlencoded({extended: true}));
 app.use(express.static('public'));
-app.use(express.json());
+// Catalog imports may be far larger than other JSON bodies, so their route parses them itself,
+// once the user is known to be an admin, and this parser leaves them alone.
+app.use(express.json({type: req => req.is('application/json') &&
+  ![`${API_PREFIX}/admin/catalog`, '/admin/catalog/import'].includes(req.path)}));
+
+// The resource-oriented API. Routes registered with route() are also served at their original,
+// unversioned paths until clients have moved over.
+const api = express.Router();
+app.use(API_PREFIX, api);
+
+/**
+ * Returns the OpenAPI 3 document describing the API.
+ *
+ * @function
+ * @name GET /openapi.json
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ *
+ * @returns {Object} - Returns the document from openapi/openapi.json.
+ */
+app.get('/openapi.json', function(req, res) {
+  res.sendFile(path.join(OPENAPI_DIR, 'openapi.json'));
+});
+
+/**
+ * Returns the interactive API reference, which renders /openapi.json and can send requests.
+ *
+ * @function
+ * @name GET /docs
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ *
+ * @returns {string} - Returns the reference page.
+ */
+app.get('/docs', function(req, res) {
+  res.sendFile(path.join(OPENAPI_DIR, 'reference.html'));
+});
 
 /**
- * Handles user login, retrieving previous transactions, and getting recommendations
+ * Handles user login, retrieving previous transactions, and getting recommendations. The response
+ * carries a signed session token that must be sent back as a Bearer token on protected routes.
  *
  * @function
  * @name POST /user
@@ -23,457 +375,3594 @@ app.use(express.json());
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object, if successful
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
  * @throws {401} Unauthorized - If the provided credentials are invalid.
  * @throws {400} Bad Request - If there are missing params.
  * @throws {500} Internal Server Error - If the server crashes.
+ *
+ * @deprecated Use POST /api/v1/sessions, then GET /api/v1/users/me/orders and
+ * GET /api/v1/users/me/recommendations.
  */
-app.post('/user', async function(req, res) {
+app.post('/user', deprecated('/sessions'), validate({body: CREDENTIALS}),
+  async function(req, res, next) {
+    const {username, password} = req.body;
+    try {
+      const userId = await authenticateUser(username, password);
+      if (!userId) {
+        sendError(res, 401, 'invalid_credentials', 'Incorrect username and/or password');
+        return;
+      }
+      const user = await getUserData(userId);
+      res.json({token: createSessionToken(userId), ...user});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Signs a user in. The response carries a signed session token that must be sent back as a Bearer
+ * token on protected routes.
+ *
+ * @function
+ * @name POST /api/v1/sessions
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `username` and `password`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the username or password is missing.
+ * @throws {401} Unauthorized - If the credentials are invalid.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the `token` and the signed-in `user` with status 201.
+ */
+api.post('/sessions', validate({body: CREDENTIALS}), async function(req, res, next) {
   const {username, password} = req.body;
-  if (!username || !password) {
-    res.status(400)
-      .type('text')
-      .send('Missing username and/or password');
-    return;
-  }
   try {
     const userId = await authenticateUser(username, password);
     if (!userId) {
-      res.status(401)
-        .type('text')
-        .send('Incorrect username and/or password');
+      sendError(res, 401, 'invalid_credentials', 'Incorrect username and/or password');
       return;
     }
-    const user = await getUserData(userId);
-    res.json(user);
+    res.status(201).json({token: createSessionToken(userId), user: await getProfile(userId)});
   } catch (err) {
-    res.status(500)
-      .type('text')
-      .send("Internal Server Error");
+    next(err);
   }
 });
 
 /**
- * Handles the purchase of a vehicle by a user.
+ * Returns the signed-in user's transactions and recommendations, used to restore a session after a
+ * page reload.
  *
  * @function
- * @name POST /purchase
+ * @name GET /user
  * @async
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
- * @throws {400} Bad Request - If there are missing user ID or product ID.
- * @throws {400} Bad Request - If the requested vehicle is not available.
- * @throws {500} Internal Server Error - If there is an issue with the server.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If the server crashes.
  *
- * @returns {Object} Returns a confirmation number upon successful purchase.
+ * @deprecated Use GET /api/v1/users/me and the collections under it.
  */
-app.post('/purchase', async function(req, res) {
-  const {userId, vehicleId} = req.body;
-  if (!userId || !vehicleId) {
-    res.status(400)
-      .type('text')
-      .send('Missing user ID or product ID');
-    return;
-  }
+app.get('/user', deprecated('/users/me'), requireSession, async function(req, res, next) {
   try {
-    const isVehicleAvailable = await checkVehicle(vehicleId);
-    if (!isVehicleAvailable) {
-      res.status(400)
-        .type('text')
-        .send('Vehicle not available');
-      return;
-    }
-    const confirmation = await makePurchase(userId, vehicleId);
-    res.type('text')
-      .send(confirmation);
+    const user = await getUserData(req.userId);
+    res.json(user);
   } catch (err) {
-    res.status(500)
-      .type('text')
-      .send("Internal Server Error");
+    next(err);
   }
 });
 
 /**
- * Handles fetching detailed information about a specific vehicle.
+ * Returns the signed-in user's account.
  *
  * @function
- * @name GET /vehicle/:vehicleId
+ * @name GET /api/v1/users/me
  * @async
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
- * @throws {404} Not Found - If the requested vehicle is not found.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
  * @throws {500} Internal Server Error - If there is an issue with the server.
  *
- * @returns {Object} Returns detailed information about the requested vehicle.
+ * @returns {Object} - Returns the user's `userId`, `username` and `role`.
  */
-app.get('/vehicle/:vehicleId', async function(req, res) {
-  const vehicleId = req.params.vehicleId;
+api.get('/users/me', requireSession, async function(req, res, next) {
   try {
-    const vehicleInfo = await getVehicleInfo(vehicleId);
-    if (!vehicleInfo) {
-      res.status(404)
-        .type('text')
-        .send('Vehicle not found');
-      return;
-    }
-    const feedbackData = await getProductFeedback(vehicleId);
-    res.json({vehicleInfo, feedbackData});
+    res.json(await getProfile(req.userId));
   } catch (err) {
-    res.status(500)
-      .type('text')
-      .send('Internal Server Error');
+    next(err);
   }
 });
 
 /**
- * Endpoint to search the database and return results based on search query and filters.
+ * Returns the signed-in user's orders, newest first, with their line items and financing.
  *
  * @function
- * @name GET /vehicles
+ * @name GET /api/v1/users/me/orders
  * @async
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
  *
- * @returns {Object} - Returns an array of search results.
+ * @returns {Object} - Returns the `orders`, like the `transactions` of GET /user.
  */
-app.get('/vehicles', async function(req, res) {
-  const searchQuery = req.query.qry;
-  const filters = req.query.filters;
-
+api.get('/users/me/orders', requireSession, async function(req, res, next) {
   try {
-    const results = await searchDatabase(searchQuery, filters);
-    if (results.length === 0) {
-      res.status(404)
-        .type('text')
-        .send('Results not found');
-      return;
-    }
-    res.json(results);
+    res.json({orders: await getOrders(req.userId)});
   } catch (err) {
-    res.status(500).json({error: 'Internal Server Error'});
+    next(err);
   }
 });
 
 /**
- * Searches the database and returns results based on search query and filters.
+ * Returns in-stock vehicles the signed-in user is likely to want.
+ *
+ * @function
+ * @name GET /api/v1/users/me/recommendations
+ * @async
  *
- * @param {string} searchQuery - The search query string.
- * @param {string} filters - The filters to be applied.
- * @returns {Promise<Array<Object>>} - Returns an array of search results.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
  *
+ * @returns {Object} - Returns the recommended `vehicles`, each with its `score` and `reason`.
  */
-async function searchDatabase(searchQuery, filters) {
-  let query = 'SELECT * FROM vehicles';
-
-  if (searchQuery || filters) {
-    query += ' WHERE';
-
-    if (searchQuery) {
-      query += ` (availability > 0 AND (model_name LIKE ? OR description LIKE ? OR tags LIKE ?))`;
-    }
-
-    if (searchQuery && filters) {
-      query += ' AND';
-    }
-
-    if (filters) {
-      const filterArray = filters.split(',');
-      const tagConditions = filterArray.map(() => 'tags LIKE ?').join(' AND ');
-      query += ` (${tagConditions})`;
-    }
-  }
-
-  const db = await getDBConnection();
+api.get('/users/me/recommendations', requireSession, async function(req, res, next) {
   try {
-    const results = await db.all(query, createSearchParams(searchQuery, filters));
-    return results;
-  } finally {
-    await db.close();
+    res.json({vehicles: await getRecommendations(req.userId)});
+  } catch (err) {
+    next(err);
   }
-}
+});
 
 /**
- * Creates an array of search parameters based on search query and filters.
+ * Creates a new account and signs the user in.
  *
- * @param {string} searchQuery - The search query string.
- * @param {string} filters - The filters to be applied.
- * @returns {Array<string>} - Returns an array of search parameters.
- */
-function createSearchParams(searchQuery, filters) {
-  const params = [];
-  if (searchQuery) {
-    const likeParam = `%${searchQuery}%`;
-    params.push(likeParam, likeParam, likeParam);
-  }
-  if (filters) {
-    const tagParams = filters.split(',').map(tag => `%${tag}%`);
-    params.push(...tagParams);
-  }
-  return params;
-}
-
-/**
- * Retrieves detailed information about a specific vehicle.
+ * @function
+ * @name POST /register
+ * @async
  *
- * @param {number} vehicleId - The ID of the vehicle.
- * @returns {Promise<Object|null>} - Returns detailed information about the vehicle if found, null
- * otherwise.
- */
-async function getVehicleInfo(vehicleId) {
-  const qry = 'SELECT * FROM vehicles WHERE vehicle_id = ?';
-  const db = await getDBConnection();
-  const vehicleInfo = await db.get(qry, vehicleId);
-  await db.close();
-  return vehicleInfo;
-}
-
-/**
- * Checks if a vehicle is available for purchase.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
- * @param {number} vehicleId - The ID of the vehicle.
- * @returns {Promise<boolean>} - Returns true if the vehicle is available, false otherwise.
- */
-async function checkVehicle(vehicleId) {
-  const qry = `SELECT availability FROM vehicles WHERE vehicle_id = ?`;
-  const db = await getDBConnection();
-  const count = await db.get(qry, vehicleId);
-  await db.close();
-  return (count.availability > 0);
-}
-
-/**
- * Makes a purchase transaction and updates the availability of the purchased vehicle.
+ * @throws {400} Bad Request - If the username or password is missing or malformed.
+ * @throws {409} Conflict - If the username is already taken.
+ * @throws {500} Internal Server Error - If the server crashes.
  *
- * @param {number} userId - The ID of the user making the purchase.
- * @param {number} vehicleId - The ID of the vehicle being purchased.
- * @returns {Promise<string>} - Returns the confirmation number of the purchase.
- */
-async function makePurchase(userId, vehicleId) {
-  const confirmationNumber = genRanHex();
-  const transactionQry = `INSERT INTO transactions (user_id, vehicle_id, confirmation_number, date)
-    VALUES (?, ?, ?, CURRENT_TIMESTAMP)`;
-  const decrementQry = `UPDATE vehicles SET availability = availability - 1 WHERE vehicle_id = ?`;
-  const db = await getDBConnection();
-  await db.run(transactionQry, userId, vehicleId, confirmationNumber);
-  await db.run(decrementQry, vehicleId);
-  await db.close();
-  return confirmationNumber;
-}
-
-/**
- * Retrieves user data including previous transactions and recommendations.
+ * @returns {Object} Returns the same session token and user data as POST /user.
  *
- * @param {string} userId - The user ID.
- * @returns {Promise<Object|null>} - Returns user data if the user is found, null otherwise.
+ * @deprecated Use POST /api/v1/users.
  */
-async function getUserData(userId) {
-  const qry = `
-    SELECT transactions.*, vehicles.model_name AS vehicle_name
-    FROM transactions
-    JOIN vehicles ON transactions.vehicle_id = vehicles.vehicle_id
-    WHERE transactions.user_id = ?
-    ORDER BY transaction_id DESC`;
-  const db = await getDBConnection();
-  const transactions = await db.all(qry, userId);
-  if (!transactions) {
-    await db.close();
-    return null;
-  }
-  const recommendations = await getRecommendations(userId, db);
-  const userData = {
-    userId,
-    transactions,
-    recommendations
-  };
-  await db.close();
-  return userData;
-}
+app.post('/register', deprecated('/users'), validate({body: NEW_ACCOUNT}),
+  async function(req, res, next) {
+    const {username, password} = req.body;
+    try {
+      const userId = await createUser(username, password);
+      if (!userId) {
+        sendError(res, 409, 'username_taken', 'Username is already taken');
+        return;
+      }
+      const user = await getUserData(userId);
+      res.json({token: createSessionToken(userId), ...user});
+    } catch (err) {
+      next(err);
+    }
+  });
 
 /**
- * Retrieves recommendations based on the user's purchase history.
+ * Creates a new account and signs the user in.
  *
- * @param {string} userId - The user ID.
- * @param {sqlite3.Database} db - The SQLite database connection.
- * @returns {Promise<Array<Object>>} - Returns an array of recommended items.
- */
-async function getRecommendations(userId, db) {
-  const qry = `
-    SELECT vehicles.*
-    FROM transactions
-    JOIN vehicles ON transactions.vehicle_id = vehicles.vehicle_id
-    WHERE transactions.user_id != ? AND availability > 0 AND
-    vehicles.vehicle_id NOT IN (
-      SELECT vehicle_id FROM transactions WHERE user_id = ?
-    )
-    ORDER BY RANDOM()
-    LIMIT 5`;
-  const recommendations = await db.all(qry, [userId, userId]);
-  return recommendations;
-}
-
-/**
- * Authenticates a user based on the provided username and password.
+ * @function
+ * @name POST /api/v1/users
+ * @async
  *
- * @param {string} username - The username of the user.
- * @param {string} password - The password of the user.
- * @returns {Promise<string|null>} - Returns the user ID if authentication is successful,
- * null otherwise.
+ * @param {Object} req - Express request object. The body holds `username` and `password`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the username or password is missing or malformed.
+ * @throws {409} Conflict - If the username is already taken.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the session `token` and the new `user` with status 201, like
+ * POST /api/v1/sessions.
  */
-async function authenticateUser(username, password) {
-  const qry = 'SELECT * FROM users WHERE username = ? AND password = ?';
-  const db = await getDBConnection();
-  const user = await db.get(qry, [username, password]);
-  await db.close();
-  if (user && user.user_id) {
-    return user.user_id;
+api.post('/users', validate({body: NEW_ACCOUNT}), async function(req, res, next) {
+  const {username, password} = req.body;
+  try {
+    const userId = await createUser(username, password);
+    if (!userId) {
+      sendError(res, 409, 'username_taken', 'Username is already taken');
+      return;
+    }
+    res.status(201).json({token: createSessionToken(userId), user: await getProfile(userId)});
+  } catch (err) {
+    next(err);
   }
-  return null;
-}
-
-/**
- * Establishes a database connection to the database and returns the database object.
- * @returns {Promise<sqlite3.Database>} - The database object for the connection.
- */
-async function getDBConnection() {
-  const db = await sqlite.open({
-    filename: 'ewave-autos.db',
-    driver: sqlite3.Database
-  });
-
-  return db;
-}
-
-/**
- * Generates an 8 digit random hex string
- * @returns {String} - The random hex string
- */
-function genRanHex() {
-  return [...Array(8)].map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-}
+});
 
 /**
- * Checks the database for a username associated with the given user ID.
+ * Handles the purchase of a vehicle by the signed-in user. Clients may send an `Idempotency-Key`
+ * header; retrying with the same key returns the original confirmation number instead of placing a
+ * second order. Financing terms sent as `financing`, like the query parameters of
+ * GET /vehicle/:vehicleId/financing, are attached to the order.
  *
+ * @function
+ * @name POST /purchase
  * @async
- * @param {number} userId - The ID of the user to check.
- * @returns {Promise<?string>} - The username associated with the given user ID, or null if not
- * found.
- */
-async function checkUserId(userId) {
-  const qry = 'SELECT username FROM users WHERE user_id = ?';
-  const db = await getDBConnection();
-  const username = await db.get(qry, userId);
-  await db.close();
-  return username;
-}
-
-/**
- * Checks the database for a vehicle model name associated with the given vehicle ID.
  *
- * @async
- * @param {number} vehicleId - The ID of the vehicle to check.
- * @returns {Promise<?string>} - The model name associated with the given vehicle ID, or null if not
- * found.
- */
-async function checkVehicleId(vehicleId) {
-  const qry = 'SELECT model_name FROM vehicles WHERE vehicle_id = ?';
-  const db = await getDBConnection();
-  const vehicle = await db.get(qry, vehicleId);
-  await db.close();
-  return vehicle;
-}
-
-/**
- * Adds product feedback (rating and review) to the database.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
- * @async
- * @param {number} userId - The ID of the user providing the feedback.
- * @param {number} vehicleId - The ID of the vehicle for which feedback is provided.
- * @param {number} rating - The rating given by the user.
- * @param {string} reviewText - The text of the review provided by the user.
- * @returns {Promise<void>} - A promise that resolves once the feedback is added to the database.
- */
-async function addProductFeedback(userId, vehicleId, rating, reviewText) {
-  const qry = `
-    INSERT INTO review (user_id, vehicle_id, rating, review_text)
-    VALUES (?, ?, ?, ?)`;
-  const db = await getDBConnection();
-  await db.run(qry, userId, vehicleId, rating, reviewText);
-  await db.close();
-}
-
-/**
- * Retrieves the average rating and reviews for a given vehicle from the database.
+ * @throws {400} Bad Request - If the product ID is missing or malformed.
+ * @throws {400} Bad Request - If the financing terms are malformed or the down payment and
+ * trade-in exceed the order total.
+ * @throws {400} Bad Request - If the idempotency key is too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {409} Conflict - If the requested vehicle is not available.
+ * @throws {409} Conflict - If the idempotency key was already used for a different order.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
  *
- * @async
- * @param {number} vehicleId - The ID of the vehicle to retrieve feedback for.
- * @returns {Promise<{averageRating: number, reviews: object[]}>} - A promise that resolves with an
- * object containing the average rating and an array of reviews.
+ * @returns {Object} Returns a confirmation number upon successful purchase.
+ *
+ * @deprecated Use POST /api/v1/orders.
  */
-async function getProductFeedback(vehicleId) {
-  const avgRatingQry = 'SELECT AVG(rating) AS averageRating FROM review WHERE vehicle_id = ?';
-  const reviewsQry = `
-  SELECT review.user_id, users.username, review.rating, review.review_text, review.date_submitted
-  FROM review
-  JOIN users ON review.user_id = users.user_id
-  WHERE review.vehicle_id = ?
-  ORDER BY date_submitted DESC`;
-
-  const db = await getDBConnection();
-  const result = await db.get(avgRatingQry, vehicleId);
-  const reviews = await db.all(reviewsQry, vehicleId);
-  await db.close();
-
-  return {averageRating: Math.round(10 * result.averageRating) / 10, reviews};
-}
+app.post('/purchase', deprecated('/orders'), requireSession,
+  validate({body: {...VEHICLE_ID, ...ORDER_FINANCING}}), async function(req, res, next) {
+    const userId = req.userId;
+    const {vehicleId} = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    const terms = req.body.financing === undefined ? null : financingTerms(req.body.financing);
+    if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      sendError(res, 400, 'invalid_idempotency_key',
+        `Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+      return;
+    }
+    try {
+      const items = [{vehicleId, quantity: 1}];
+      const purchase = await placeOrder(userId, items, idempotencyKey, false, terms);
+      if (purchase.conflict) {
+        sendError(res, 409, 'idempotency_conflict',
+          'Idempotency key was already used for a different order');
+        return;
+      }
+      if (purchase.overpaid) {
+        sendError(res, 400, 'financing_exceeds_total',
+          'downPayment and tradeIn together cannot exceed the order total');
+        return;
+      }
+      if (!purchase.order) {
+        sendError(res, 409, 'vehicle_unavailable', 'Vehicle not available');
+        return;
+      }
+      if (purchase.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.type('text')
+        .send(purchase.order.confirmation);
+    } catch (err) {
+      next(err);
+    }
+  });
 
 /**
- * Handles submitting feedback/rating/review for a product.
+ * Returns the signed-in user's cart with line totals and the order totals it would check out at.
  *
  * @function
- * @name POST /feedback
+ * @name GET /api/v1/users/me/cart
  * @async
  *
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
  *
- * @throws {400} Bad Request - If there are missing parameters.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
  * @throws {500} Internal Server Error - If there is an issue with the server.
  *
- * @returns {Object} - Returns a success message upon successful submission.
+ * @returns {Object} Returns the cart items along with subtotal, tax, fees and total.
  */
-app.post('/feedback', async function(req, res) {
-  const {userId, vehicleId, rating, reviewText} = req.body;
-
-  if (!userId || !vehicleId || !rating || rating <= 0 || rating > 5 || !reviewText) {
-    res.status(400)
-      .type('text')
-      .send('Missing or malformed required parameters');
-    return;
-  }
+route('get', '/users/me/cart', '/cart', requireSession, async function(req, res, next) {
   try {
-    const username = await checkUserId(userId);
-    const vehicle = await checkVehicleId(vehicleId);
-    if (!username || !vehicle) {
-      res.status(401)
-        .type('text')
-        .send('Invalid user or vehicle ID');
-      return;
-    }
-    await addProductFeedback(userId, vehicleId, rating, reviewText);
-    res.type('text')
-      .send('Review added successfully!');
+    res.json(await getCart(req.userId));
   } catch (err) {
-    res.status(500)
-      .type('text')
-      .send("Internal Server Error");
+    next(err);
   }
 });
 
-const PORT = process.env.PORT || 8000;
-app.listen(PORT);
+/**
+ * Adds a vehicle to the signed-in user's cart, or raises its quantity if it is already there.
+ *
+ * @function
+ * @name POST /api/v1/users/me/cart
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the product ID is missing or the quantity is malformed.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If the vehicle has been retired from the catalog.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated cart.
+ */
+route('post', '/users/me/cart', '/cart', requireSession, validate({body: {
+  ...VEHICLE_ID,
+  quantity: {type: 'integer', min: 1, max: MAX_CART_QUANTITY, default: 1}
+}}), async function(req, res, next) {
+  const {vehicleId, quantity} = req.body;
+  try {
+    const vehicle = await getVehicleInfo(vehicleId);
+    if (!vehicle) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    if (vehicle.retired_at) {
+      sendError(res, 409, 'vehicle_retired', `${vehicle.model_name} is no longer for sale`);
+      return;
+    }
+    await addToCart(req.userId, vehicleId, quantity);
+    res.json(await getCart(req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Sets the quantity of a vehicle in the signed-in user's cart. A quantity of 0 removes it.
+ *
+ * @function
+ * @name PUT /api/v1/users/me/cart/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the quantity is malformed.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle is not in the cart.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated cart.
+ */
+route('put', '/users/me/cart/:vehicleId', '/cart/:vehicleId', requireSession, validate({
+  params: VEHICLE_ID,
+  body: {quantity: {type: 'integer', required: true, min: 0, max: MAX_CART_QUANTITY}}
+}), async function(req, res, next) {
+  try {
+    const changed = await setCartQuantity(req.userId, req.params.vehicleId, req.body.quantity);
+    if (!changed) {
+      sendError(res, 404, 'cart_item_not_found', 'Vehicle is not in your cart');
+      return;
+    }
+    res.json(await getCart(req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Removes a vehicle from the signed-in user's cart.
+ *
+ * @function
+ * @name DELETE /api/v1/users/me/cart/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle is not in the cart.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated cart.
+ */
+route('delete', '/users/me/cart/:vehicleId', '/cart/:vehicleId',
+  requireSession, validate({params: VEHICLE_ID}), async function(req, res, next) {
+    try {
+      const changed = await setCartQuantity(req.userId, req.params.vehicleId, 0);
+      if (!changed) {
+        sendError(res, 404, 'cart_item_not_found', 'Vehicle is not in your cart');
+        return;
+      }
+      res.json(await getCart(req.userId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Returns the vehicles the signed-in user has saved to their wishlist, most recent first.
+ *
+ * @function
+ * @name GET /api/v1/users/me/wishlist
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the saved `vehicles` with their current price and availability.
+ */
+route('get', '/users/me/wishlist', '/wishlist', requireSession, async function(req, res, next) {
+  try {
+    res.json({vehicles: await getWishlist(req.userId)});
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Saves a vehicle to the signed-in user's wishlist, so they are alerted when it comes back in
+ * stock or drops in price. Saving a vehicle twice keeps one entry.
+ *
+ * @function
+ * @name POST /api/v1/users/me/wishlist
+ * @async
+ *
+ * @param {Object} req - Express request object. Expects `vehicleId` in the body.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the vehicle ID is missing.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If the vehicle has been retired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated wishlist's `vehicles`.
+ */
+route('post', '/users/me/wishlist', '/wishlist',
+  requireSession, validate({body: VEHICLE_ID}), async function(req, res, next) {
+    const {vehicleId} = req.body;
+    try {
+      const vehicle = await getVehicleInfo(vehicleId);
+      if (!vehicle) {
+        sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+        return;
+      }
+      if (vehicle.retired_at) {
+        sendError(res, 409, 'vehicle_retired', `${vehicle.model_name} is no longer for sale`);
+        return;
+      }
+      await addToWishlist(req.userId, vehicleId);
+      res.json({vehicles: await getWishlist(req.userId)});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Removes a vehicle from the signed-in user's wishlist.
+ *
+ * @function
+ * @name DELETE /api/v1/users/me/wishlist/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle is not on the wishlist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated wishlist's `vehicles`.
+ */
+route('delete', '/users/me/wishlist/:vehicleId', '/wishlist/:vehicleId',
+  requireSession, validate({params: VEHICLE_ID}), async function(req, res, next) {
+    try {
+      if (!await removeFromWishlist(req.userId, req.params.vehicleId)) {
+        sendError(res, 404, 'wishlist_item_not_found', 'Vehicle is not on your wishlist');
+        return;
+      }
+      res.json({vehicles: await getWishlist(req.userId)});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Returns the signed-in user's most recent wishlist alerts, newest first.
+ *
+ * @function
+ * @name GET /api/v1/users/me/notifications
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the number of `unread` notifications and the latest `notifications`.
+ */
+route('get', '/users/me/notifications', '/notifications',
+  requireSession, async function(req, res, next) {
+    try {
+      res.json(await getNotifications(req.userId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Marks all of the signed-in user's notifications as read.
+ *
+ * @function
+ * @name POST /api/v1/users/me/notifications/read
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the notifications as GET /notifications does.
+ */
+route('post', '/users/me/notifications/read', '/notifications/read',
+  requireSession, async function(req, res, next) {
+    try {
+      await database.transaction(tx => notificationRepo.markAllRead(tx, req.userId));
+      res.json(await getNotifications(req.userId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Places one order for everything in the signed-in user's cart and empties the cart. Prices are
+ * snapshotted onto the order's line items. Accepts an `Idempotency-Key` header and `financing`
+ * terms for the order total like POST /purchase.
+ *
+ * @function
+ * @name POST /checkout
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the cart is empty or the idempotency key is too long.
+ * @throws {400} Bad Request - If the financing terms are malformed or the down payment and
+ * trade-in exceed the order total.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {409} Conflict - If a vehicle in the cart does not have enough stock.
+ * @throws {409} Conflict - If the idempotency key was already used for a different order.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the order ID, confirmation number, subtotal, tax, fees, total and
+ * `financing`, or null if it was paid in full.
+ *
+ * @deprecated Use POST /api/v1/orders with `fromCart`.
+ */
+app.post('/checkout', deprecated('/orders'), requireSession, validate({body: ORDER_FINANCING}),
+  async function(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      sendError(res, 400, 'invalid_idempotency_key',
+        `Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+      return;
+    }
+    const terms = req.body.financing === undefined ? null : financingTerms(req.body.financing);
+    try {
+      const cart = await getCart(req.userId);
+      const items = cart.items.map(item => ({vehicleId: item.vehicle_id, quantity: item.quantity}));
+      const purchase = await placeOrder(req.userId, items, idempotencyKey, true, terms);
+      if (purchase.conflict) {
+        sendError(res, 409, 'idempotency_conflict',
+          'Idempotency key was already used for a different order');
+        return;
+      }
+      if (purchase.overpaid) {
+        sendError(res, 400, 'financing_exceeds_total',
+          'downPayment and tradeIn together cannot exceed the order total');
+        return;
+      }
+      if (purchase.unavailable) {
+        sendError(res, 409, 'vehicle_unavailable', `Not enough stock for ${purchase.unavailable}`);
+        return;
+      }
+      if (!purchase.order) {
+        sendError(res, 400, 'cart_empty', 'Your cart is empty');
+        return;
+      }
+      if (purchase.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.json(purchase.order);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Places an order for the signed-in user: either one unit of the vehicle `vehicleId`, or, with
+ * `fromCart`, everything in their cart, which is then emptied. Accepts an `Idempotency-Key` header
+ * and `financing` terms for the order total like POST /purchase.
+ *
+ * @function
+ * @name POST /api/v1/orders
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `vehicleId` or `fromCart`, and
+ * optionally `financing`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If neither or both of `vehicleId` and `fromCart` are given, the cart
+ * is empty or the idempotency key is too long.
+ * @throws {400} Bad Request - If the financing terms are malformed or the down payment and
+ * trade-in exceed the order total.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {409} Conflict - If a vehicle does not have enough stock.
+ * @throws {409} Conflict - If the idempotency key was already used for a different order.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the order summary of POST /checkout with status 201 and its
+ * Location, or with status 200 when an idempotency key replays an earlier order.
+ */
+api.post('/orders', requireSession, validate({body: {
+  vehicleId: {type: 'id'},
+  fromCart: {type: 'boolean', default: false},
+  ...ORDER_FINANCING
+}}), async function(req, res, next) {
+  const {vehicleId, fromCart} = req.body;
+  if (Boolean(vehicleId) === fromCart) {
+    next(fieldError('body', 'vehicleId', 'Send either vehicleId or fromCart: true'));
+    return;
+  }
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+  if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    sendError(res, 400, 'invalid_idempotency_key',
+      `Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+    return;
+  }
+  const terms = req.body.financing === undefined ? null : financingTerms(req.body.financing);
+  try {
+    let items = [{vehicleId, quantity: 1}];
+    if (fromCart) {
+      const cart = await getCart(req.userId);
+      items = cart.items.map(item => ({vehicleId: item.vehicle_id, quantity: item.quantity}));
+    }
+    const purchase = await placeOrder(req.userId, items, idempotencyKey, fromCart, terms);
+    if (purchase.conflict) {
+      sendError(res, 409, 'idempotency_conflict',
+        'Idempotency key was already used for a different order');
+      return;
+    }
+    if (purchase.overpaid) {
+      sendError(res, 400, 'financing_exceeds_total',
+        'downPayment and tradeIn together cannot exceed the order total');
+      return;
+    }
+    if (purchase.unavailable) {
+      sendError(res, 409, 'vehicle_unavailable', `Not enough stock for ${purchase.unavailable}`);
+      return;
+    }
+    if (!purchase.order) {
+      sendError(res, 400, 'cart_empty', 'Your cart is empty');
+      return;
+    }
+    if (purchase.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    } else {
+      res.status(201).location(`${API_PREFIX}/orders/${purchase.order.orderId}`);
+    }
+    res.json(purchase.order);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Returns one of the signed-in user's orders along with its status history.
+ *
+ * @function
+ * @name GET /api/v1/orders/:orderId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the user has no order with this ID.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the order, its financing and its history, oldest change first.
+ */
+route('get', '/orders/:orderId', '/order/:orderId', requireSession, validate({params: ORDER_ID}),
+  async function(req, res, next) {
+    try {
+      const order = await getOrder(req.userId, req.params.orderId);
+      if (!order) {
+        sendError(res, 404, 'order_not_found', 'Order not found');
+        return;
+      }
+      res.json(order);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Cancels one of the signed-in user's orders and returns the vehicle to stock.
+ *
+ * @function
+ * @name POST /api/v1/orders/:orderId/cancellation
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the user has no order with this ID.
+ * @throws {409} Conflict - If the order has already been delivered, cancelled or refunded.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated order and its history.
+ */
+route('post', '/orders/:orderId/cancellation', '/order/:orderId/cancel',
+  requireSession, validate({params: ORDER_ID}), async function(req, res, next) {
+    const {orderId} = req.params;
+    try {
+      const order = await getOrder(req.userId, orderId);
+      if (!order) {
+        sendError(res, 404, 'order_not_found', 'Order not found');
+        return;
+      }
+      const changed = await updateOrderStatus(orderId, 'cancelled', 'Cancelled by customer');
+      if (!changed) {
+        sendError(res, 409, 'order_not_cancellable',
+          `Orders that are ${order.status} can no longer be cancelled`);
+        return;
+      }
+      res.json(await getOrder(req.userId, orderId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Moves any user's order on through its lifecycle: confirming a pending order, marking a
+ * confirmed one delivered or refunding a delivered one, which returns its vehicles to stock.
+ *
+ * @function
+ * @name PUT /api/v1/admin/orders/:orderId/status
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds the new `status` (`confirmed`,
+ * `delivered` or `refunded`) and optionally a `note` for the order's history.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the status or note is malformed.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If there is no order with this ID.
+ * @throws {409} Conflict - If the order cannot move to the status from the one it is in.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns the updated order and its history.
+ */
+api.put('/admin/orders/:orderId/status', requireSession, requireAdmin, validate({
+  params: ORDER_ID,
+  body: {
+    status: {type: 'string', required: true, values: ADMIN_ORDER_STATUSES},
+    note: {type: 'string', trim: true, maxLength: MAX_ORDER_NOTE_LENGTH}
+  }
+}), async function(req, res, next) {
+  const {orderId} = req.params;
+  const {status, note} = req.body;
+  try {
+    const order = await getOrder(null, orderId);
+    if (!order) {
+      sendError(res, 404, 'order_not_found', 'Order not found');
+      return;
+    }
+    if (!await updateOrderStatus(orderId, status, note || `Marked ${status} by an admin`)) {
+      sendError(res, 409, 'invalid_order_transition',
+        `Orders that are ${order.status} cannot be marked ${status}`);
+      return;
+    }
+    res.json(await getOrder(null, orderId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Handles fetching detailed information about a specific vehicle.
+ *
+ * @function
+ * @name GET /vehicle/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {404} Not Found - If the requested vehicle is not found.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} Returns detailed information about the requested vehicle, with its rating
+ * summary and first page of newest reviews as `feedbackData`. Signed-in users also get their
+ * own review of the vehicle, as for GET /api/v1/vehicles/:vehicleId/reviews.
+ *
+ * @deprecated Use GET /api/v1/vehicles/:vehicleId and GET /api/v1/vehicles/:vehicleId/reviews.
+ */
+app.get('/vehicle/:vehicleId', deprecated('/vehicles/:vehicleId'), optionalSession,
+  validate({params: VEHICLE_ID}), async function(req, res, next) {
+    const vehicleId = req.params.vehicleId;
+    try {
+      const vehicleInfo = await getVehicleInfo(vehicleId);
+      if (!vehicleInfo) {
+        sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+        return;
+      }
+      const feedbackData = await getProductFeedback(vehicleId, DEFAULT_REVIEW_PAGE, req.userId);
+      res.json({vehicleInfo, feedbackData});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Returns a vehicle's details and EV specs.
+ *
+ * @function
+ * @name GET /api/v1/vehicles/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the vehicle ID is malformed.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the vehicle, like the `vehicleInfo` of GET /vehicle/:vehicleId.
+ */
+api.get('/vehicles/:vehicleId', validate({params: VEHICLE_ID}), async function(req, res, next) {
+  try {
+    const vehicle = await getVehicleInfo(req.params.vehicleId);
+    if (!vehicle) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    res.json(vehicle);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Returns a vehicle's rating summary and one page of its reviews, for paging through them in a
+ * chosen order. Only approved reviews are listed, so a signed-in user's own review is returned
+ * separately as `ownReview`, whatever its status, letting them see and edit a review that is
+ * waiting for a moderator or falls on another page.
+ *
+ * @function
+ * @name GET /api/v1/vehicles/:vehicleId/reviews
+ * @async
+ *
+ * @param {Object} req - Express request object. Accepts the query parameters `sort` (`newest`,
+ * `highest`, `lowest` or `helpful`), `limit` and `offset`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the sort or a paging parameter is malformed.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the `averageRating`, `reviewCount`, `histogram`, the page of
+ * `reviews` and the `ownReview`, null when signed out or without one, like the `feedbackData` of
+ * GET /vehicle/:vehicleId.
+ */
+route('get', '/vehicles/:vehicleId/reviews', '/vehicle/:vehicleId/reviews', optionalSession,
+  validate({
+  params: VEHICLE_ID,
+  query: {
+    sort: {type: 'string', values: Object.keys(reviewRepo.REVIEW_SORTS),
+      default: DEFAULT_REVIEW_PAGE.sort},
+    limit: {type: 'integer', min: 1, max: MAX_REVIEW_PAGE_SIZE, default: DEFAULT_REVIEW_PAGE.limit},
+    offset: {type: 'integer', min: 0, default: DEFAULT_REVIEW_PAGE.offset}
+  }
+}), async function(req, res, next) {
+  try {
+    const vehicleId = Number(req.params.vehicleId);
+    if (!await checkVehicleId(vehicleId)) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    const {sort, limit, offset} = req.query;
+    res.json(await getProductFeedback(vehicleId, {sort, limit, offset}, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Returns other in-stock vehicles that resemble a vehicle, best match first. Each shares at least
+ * one of its body type, tags, make, price band or model year, and carries a `why` list
+ * explaining the match.
+ *
+ * @function
+ * @name GET /api/v1/vehicles/:vehicleId/similar
+ * @async
+ *
+ * @param {Object} req - Express request object. Accepts the query parameter `limit`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the limit is malformed.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns `vehicles`, each with its `similarity` score and `why` reasons.
+ */
+route('get', '/vehicles/:vehicleId/similar', '/vehicle/:vehicleId/similar', validate({
+  params: VEHICLE_ID,
+  query: {limit: {type: 'integer', min: 1, max: MAX_SIMILAR_LIMIT, default: DEFAULT_SIMILAR_LIMIT}}
+}), async function(req, res, next) {
+  try {
+    const vehicles = await getSimilarVehicles(req.params.vehicleId, req.query.limit);
+    if (!vehicles) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    res.json({vehicles});
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Works out the monthly payment for buying a vehicle with a loan or a lease, and what owning it
+ * would cost over the term. The vehicle is priced with tax and fees as a one-vehicle order would
+ * be. Energy costs use the vehicle's efficiency, estimated from its battery and EPA range, and are
+ * left out for vehicles missing either.
+ *
+ * @function
+ * @name GET /api/v1/vehicles/:vehicleId/financing
+ * @async
+ *
+ * @param {Object} req - Express request object. Accepts the query parameters `plan` (`loan` or
+ * `lease`), `downPayment`, `tradeIn`, `apr` (a percentage), `termMonths`, `residualPercent` (of
+ * the price, for leases), `electricityRate` (dollars per kWh) and `annualMiles`. Each has a
+ * default.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If a parameter is malformed or out of range, or the down payment
+ * and trade-in together exceed the price.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the order `subtotal`, `tax`, `fees` and `total`, the `terms` used,
+ * the `amountFinanced`, `monthlyPayment`, `totalOfPayments` and `financeCharge`, a loan's
+ * `schedule` or a lease's `residualValue`, and the `ownership` cost estimate.
+ */
+route('get', '/vehicles/:vehicleId/financing', '/vehicle/:vehicleId/financing',
+  validate({params: VEHICLE_ID, query: {...FINANCING_TERMS, ...OWNERSHIP_USAGE}}),
+  async function(req, res, next) {
+    const {electricityRate, annualMiles} = req.query;
+    try {
+      const estimate = await estimateFinancing(req.params.vehicleId, financingTerms(req.query),
+        {electricityRate, annualMiles});
+      if (!estimate) {
+        sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+        return;
+      }
+      if (estimate.overpaid) {
+        sendError(res, 400, 'financing_exceeds_total',
+          'downPayment and tradeIn together cannot exceed the price');
+        return;
+      }
+      res.json(estimate);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Lines up 2 to 4 vehicles for a side-by-side comparison. Each row of `attributes` holds one
+ * attribute's values in the order the vehicles were asked for, and says whether they differ.
+ * Body types and tags are given by their labels.
+ *
+ * @function
+ * @name GET /api/v1/comparisons
+ * @async
+ *
+ * @param {Object} req - Express request object. Expects the query parameter `ids`, a
+ * comma-separated list of vehicle IDs.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If `ids` is missing, malformed, repeats a vehicle or lists fewer
+ * than 2 or more than 4 vehicles.
+ * @throws {404} Not Found - If one of the vehicles does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the `vehicles`, each with its `ratingSummary`, and the
+ * `attributes`, each with its `key`, `label`, `values` and `differs` flag.
+ */
+route('get', '/comparisons', '/compare', validate({query: {ids: {
+  type: 'list', required: true, items: {type: 'id'}, minLength: MIN_COMPARED_VEHICLES,
+  maxLength: MAX_COMPARED_VEHICLES, check: ids => new Set(ids).size === ids.length,
+  message: `ids must list ${MIN_COMPARED_VEHICLES} to ${MAX_COMPARED_VEHICLES} different ` +
+    'vehicle IDs, separated by commas'
+}}}), async function(req, res, next) {
+  try {
+    const comparison = await compareVehicles(req.query.ids);
+    if (comparison.missingId !== null) {
+      sendError(res, 404, 'vehicle_not_found', `Vehicle ${comparison.missingId} not found`);
+      return;
+    }
+    res.json({vehicles: comparison.vehicles, attributes: comparison.attributes});
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Counts the signed-in user's view of a vehicle's details, which their recommendations take into
+ * account.
+ *
+ * @function
+ * @name POST /api/v1/vehicles/:vehicleId/views
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {string} - Returns a confirmation message.
+ */
+route('post', '/vehicles/:vehicleId/views', '/vehicle/:vehicleId/view',
+  requireSession, validate({params: VEHICLE_ID}), async function(req, res, next) {
+    try {
+      if (!await recordView(req.userId, Number(req.params.vehicleId))) {
+        sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+        return;
+      }
+      res.type('text')
+        .send('View recorded');
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Returns every body type, tag, make, drivetrain and charging connector with the number of
+ * vehicles matching the current search, plus the price and year range of the whole catalog. Each
+ * facet's counts apply every filter except its own, so picking one body type still shows how many
+ * vehicles the others would add.
+ *
+ * @function
+ * @name GET /api/v1/facets
+ * @async
+ *
+ * @param {Object} req - Express request object. Accepts the same query parameters as
+ * GET /vehicles; sorting and paging parameters are ignored.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If a filter parameter is malformed.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns `bodyTypes`, `tags`, `makes`, `drivetrains` and `connectors` with
+ * counts, and `price` and `year` ranges.
+ */
+route('get', '/facets', '/facets', validate({query: SEARCH_QUERY}),
+  async function(req, res, next) {
+    try {
+      res.json(await getFacets(searchOptions(req.query)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Endpoint to search the database and return results based on search query and filters.
+ *
+ * @function
+ * @name GET /api/v1/vehicles
+ * @async
+ *
+ * @param {Object} req - Express request object. Accepts the query parameters `qry` (full-text,
+ * ranked by relevance, with prefix matching and small typos tolerated), `types`,
+ * `tags`, `make`, `drivetrain` and `connector` (comma-separated), `minPrice`, `maxPrice`,
+ * `minYear`, `maxYear`, the spec filters `minRange` (miles), `minBattery` (kWh), `minChargeKw`,
+ * `minSeating`, `minTowing` (lbs) and `maxZeroToSixty` (seconds), `inStock`, `sort` (one of the
+ * keys of SEARCH_SORTS in repositories/vehicles.js), `limit` and `offset`. Vehicles missing a
+ * spec never match a filter on it and sort after those that have it.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If a filter, sort or paging parameter is malformed.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns one page of search results and the total number of matches. When
+ * `qry` is given, each vehicle carries a `highlight` object with its name and a description snippet
+ * in which matched words are wrapped in `<mark>` tags.
+ */
+route('get', '/vehicles', '/vehicles', validate({query: SEARCH_QUERY}),
+  async function(req, res, next) {
+    const options = searchOptions(req.query);
+    try {
+      const {total, vehicles} = await searchDatabase(options);
+      res.json({total, limit: options.limit, offset: options.offset, vehicles});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Lists every vehicle, including retired ones, along with units sold and an overview of stock
+ * levels across the catalog.
+ *
+ * @function
+ * @name GET /api/v1/admin/vehicles
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns `vehicles` and a `stock` overview.
+ */
+route('get', '/admin/vehicles', '/admin/vehicles',
+  requireSession, requireAdmin, async function(req, res, next) {
+    try {
+      res.json(await getInventory());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Adds a vehicle to the catalog.
+ *
+ * @function
+ * @name POST /api/v1/admin/vehicles
+ * @async
+ *
+ * @param {Object} req - Express request object. The body needs `modelName`, `make`, `year`,
+ * `price`, `availability` and `bodyType`, and may include `description`, `imageUrl` and `tags`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If a field is missing or malformed, or the body type is unknown.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {409} Conflict - If another vehicle already has the model name.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the new vehicle with status 201.
+ */
+route('post', '/admin/vehicles', '/admin/vehicles', requireSession, requireAdmin,
+  validate({body: NEW_VEHICLE}), async function(req, res, next) {
+    try {
+      const result = await saveVehicle(null, vehicleFields(req.body));
+      if (sendSaveError(res, result)) {
+        return;
+      }
+      res.status(201).json(await getVehicleInfo(result.vehicleId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Changes some of a vehicle's details, such as its price or availability. Fields left out of the
+ * body keep their current values, and `tags`, when given, replaces all of the vehicle's tags.
+ *
+ * @function
+ * @name PUT /api/v1/admin/vehicles/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object. The body takes the fields of
+ * POST /admin/vehicles.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If a field is malformed or the body type is unknown.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If another vehicle already has the model name.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the updated vehicle.
+ */
+route('put', '/admin/vehicles/:vehicleId', '/admin/vehicles/:vehicleId',
+  requireSession, requireAdmin, validate({params: VEHICLE_ID, body: VEHICLE_FIELDS}),
+  async function(req, res, next) {
+    try {
+      const result = await saveVehicle(req.params.vehicleId, vehicleFields(req.body));
+      if (sendSaveError(res, result)) {
+        return;
+      }
+      res.json(await getVehicleInfo(result.vehicleId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Adds units to or removes units from a vehicle's availability, e.g. when a delivery arrives.
+ *
+ * @function
+ * @name POST /api/v1/admin/vehicles/:vehicleId/stock
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `change`, a non-zero whole number.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the change is malformed.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If the change would leave fewer than 0 units.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the updated vehicle.
+ */
+route('post', '/admin/vehicles/:vehicleId/stock', '/admin/vehicles/:vehicleId/stock',
+  requireSession, requireAdmin, validate({
+    params: VEHICLE_ID,
+    body: {change: {type: 'integer', required: true, check: change => change !== 0,
+      message: 'change must be a whole number other than 0'}}
+  }), async function(req, res, next) {
+    try {
+      const vehicleId = req.params.vehicleId;
+      const result = await adjustStock(vehicleId, req.body.change);
+      if (result.notFound) {
+        sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      } else if (result.insufficient) {
+        sendError(res, 409, 'insufficient_stock', 'Not enough units in stock to remove');
+      } else {
+        res.json(await getVehicleInfo(vehicleId));
+      }
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Retires a vehicle: it leaves the catalog and every cart, but stays in past orders and can be
+ * restored later.
+ *
+ * @function
+ * @name DELETE /api/v1/admin/vehicles/:vehicleId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the retired vehicle.
+ */
+route('delete', '/admin/vehicles/:vehicleId', '/admin/vehicles/:vehicleId',
+  requireSession, requireAdmin, validate({params: VEHICLE_ID}), async function(req, res, next) {
+    await sendRetirement(res, next, req.params.vehicleId, true);
+  });
+
+/**
+ * Returns a retired vehicle to the catalog.
+ *
+ * @function
+ * @name POST /api/v1/admin/vehicles/:vehicleId/restoration
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the restored vehicle.
+ */
+route('post', '/admin/vehicles/:vehicleId/restoration', '/admin/vehicles/:vehicleId/restore',
+  requireSession, requireAdmin, validate({params: VEHICLE_ID}), async function(req, res, next) {
+    await sendRetirement(res, next, req.params.vehicleId, false);
+  });
+
+/**
+ * Stores an uploaded vehicle image next to the frontend's other images. The request body is the
+ * raw image, sent with its `Content-Type`.
+ *
+ * @function
+ * @name POST /api/v1/admin/images
+ * @async
+ *
+ * @param {Object} req - Express request object. The optional `name` query parameter is used to
+ * name the stored file.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the body is not a JPEG, PNG, WebP or GIF image.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {413} Payload Too Large - If the image is larger than MAX_IMAGE_BYTES.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the stored file's `imageUrl` with status 201.
+ */
+route('post', '/admin/images', '/admin/images', requireSession, requireAdmin,
+  express.raw({type: Object.keys(IMAGE_TYPES), limit: MAX_IMAGE_BYTES}),
+  async function(req, res, next) {
+    const type = IMAGE_TYPES[req.is(Object.keys(IMAGE_TYPES))];
+    const header = Buffer.isBuffer(req.body) ? req.body.toString('latin1', 0, 12) : '';
+    if (!type || !type.signature.test(header)) {
+      sendError(res, 400, 'invalid_image',
+        `Upload a JPEG, PNG, WebP or GIF image of at most ${MAX_IMAGE_BYTES} bytes`);
+      return;
+    }
+    try {
+      const imageUrl = await saveImage(req.body, req.query.name, type.extension);
+      res.status(201).json({imageUrl});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Turns the vehicle fields of a request validated against VEHICLE_FIELDS into the fields saved.
+ *
+ * @param {Object} body - The validated body.
+ * @returns {Object} - The fields present, keyed by column name, with the price rounded to cents and
+ * DECIMAL_SPECS to a tenth, and with `tags` as an array of slugs and `bodyType` as a slug.
+ */
+function vehicleFields(body) {
+  const fields = {};
+  for (const [column, name] of Object.entries(CATALOG_COLUMNS)) {
+    const value = body[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (name === 'bodyType') {
+      fields.bodyType = value;
+    } else if (name === 'tags') {
+      fields.tags = [...new Set(value || [])];
+    } else if (name === 'price') {
+      fields.price = roundCents(value);
+    } else if (DECIMAL_SPECS.includes(name) && value !== null) {
+      fields[column] = Math.round(10 * value) / 10;
+    } else {
+      fields[column] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Returns the latest model year a vehicle may have.
+ *
+ * @returns {number} - Two years after the current one.
+ */
+function maxVehicleYear() {
+  return new Date().getFullYear() + 2;
+}
+
+/**
+ * Sends the error response for a failed saveVehicle call, if it failed.
+ *
+ * @param {Object} res - Express response object.
+ * @param {Object} result - The result of saveVehicle.
+ * @returns {boolean} - True if an error response was sent.
+ */
+function sendSaveError(res, result) {
+  if (result.notFound) {
+    sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+  } else if (result.unknownBodyType) {
+    sendError(res, 400, 'unknown_body_type', `Unknown body type "${result.unknownBodyType}"`);
+  } else if (result.duplicate) {
+    sendError(res, 409, 'duplicate_vehicle', 'Another vehicle already has that model name');
+  }
+  return Boolean(result.notFound || result.unknownBodyType || result.duplicate);
+}
+
+/**
+ * Retires or restores a vehicle and sends the response.
+ *
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {boolean} retired - True to retire the vehicle, false to restore it.
+ * @returns {Promise<void>}
+ */
+async function sendRetirement(res, next, vehicleId, retired) {
+  try {
+    if (!await setRetired(vehicleId, retired)) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    res.json(await getVehicleInfo(vehicleId));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Lists every vehicle for the admin dashboard.
+ *
+ * @returns {Promise<Object>} - The vehicles, each with `units_sold`, and a `stock` overview.
+ */
+async function getInventory() {
+  const vehicles = await vehicleRepo.listInventory(database.reader(), RESTOCKING_STATUSES);
+  const active = vehicles.filter(vehicle => !vehicle.retired_at);
+  const stock = {
+    lowStockThreshold: LOW_STOCK_THRESHOLD,
+    vehicles: active.length,
+    units: active.reduce((sum, vehicle) => sum + vehicle.availability, 0),
+    lowStock: active.filter(vehicle => vehicle.availability > 0 &&
+      vehicle.availability <= LOW_STOCK_THRESHOLD).length,
+    outOfStock: active.filter(vehicle => vehicle.availability === 0).length,
+    retired: vehicles.length - active.length
+  };
+  return {vehicles, stock};
+}
+
+/**
+ * Creates a vehicle or updates an existing one, along with its tags. Tags that don't exist yet
+ * are added to the taxonomy; body types must already exist.
+ *
+ * @param {?number} vehicleId - The ID of the vehicle to update, or null to create one.
+ * @param {Object} fields - The fields produced by vehicleFields.
+ * @returns {Promise<Object>} - The saved vehicle's `vehicleId`, or a `notFound`, `duplicate` or
+ * `unknownBodyType` flag explaining why nothing was saved.
+ */
+async function saveVehicle(vehicleId, fields) {
+  const result = await database.transaction(tx => writeVehicle(tx, vehicleId, fields));
+  deliverNotifications();
+  return result;
+}
+
+/**
+ * Does the work of saveVehicle inside a transaction the caller has already begun, recording
+ * wishlist alerts if an update brings the vehicle back in stock or lowers its price.
+ *
+ * @param {Object} tx - The transaction's database executor.
+ * @param {?number} vehicleId - The ID of the vehicle to update, or null to create one.
+ * @param {Object} fields - The fields produced by vehicleFields.
+ * @returns {Promise<Object>} - The result described under saveVehicle.
+ */
+async function writeVehicle(tx, vehicleId, fields) {
+  const {bodyType, tags, ...columns} = fields;
+  const result = {vehicleId, notFound: false, duplicate: false, unknownBodyType: null};
+  const before = vehicleId === null ? null : await vehicleRepo.findById(tx, vehicleId);
+  if (vehicleId !== null && !before) {
+    result.notFound = true;
+    return result;
+  }
+  if (bodyType !== undefined) {
+    columns.body_type_id = await taxonomyRepo.findBodyTypeId(tx, bodyType);
+    if (columns.body_type_id === null) {
+      result.unknownBodyType = bodyType;
+      return result;
+    }
+  }
+  if (columns.model_name &&
+    await vehicleRepo.isModelNameTaken(tx, columns.model_name, vehicleId)) {
+    result.duplicate = true;
+    return result;
+  }
+  if (vehicleId === null) {
+    result.vehicleId = await vehicleRepo.insert(tx, columns);
+  } else {
+    await vehicleRepo.update(tx, vehicleId, columns);
+  }
+  if (tags) {
+    await taxonomyRepo.setVehicleTags(tx, result.vehicleId, tags);
+  }
+  if (before) {
+    await alertWatchers(tx, before);
+  }
+  return result;
+}
+
+/**
+ * Adds units to or removes units from a vehicle's availability.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} change - The number of units to add, or remove if negative.
+ * @returns {Promise<Object>} - `notFound` or `insufficient` flags explaining a refused change.
+ */
+async function adjustStock(vehicleId, change) {
+  const result = await database.transaction(async tx => {
+    const before = await vehicleRepo.findById(tx, vehicleId);
+    if (!before) {
+      return {notFound: true, insufficient: false};
+    }
+    if (!await vehicleRepo.adjustAvailability(tx, vehicleId, change)) {
+      return {notFound: false, insufficient: true};
+    }
+    await alertWatchers(tx, before);
+    return {notFound: false, insufficient: false};
+  });
+  deliverNotifications();
+  return result;
+}
+
+/**
+ * Retires a vehicle, removing it from every cart, or returns it to the catalog, alerting watchers
+ * if it returns with stock.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {boolean} retired - True to retire the vehicle, false to restore it.
+ * @returns {Promise<boolean>} - True if the vehicle exists.
+ */
+async function setRetired(vehicleId, retired) {
+  const found = await database.transaction(async tx => {
+    const before = await vehicleRepo.findById(tx, vehicleId);
+    if (!before) {
+      return false;
+    }
+    await vehicleRepo.setRetired(tx, vehicleId, retired);
+    if (retired) {
+      await cartRepo.removeVehicle(tx, vehicleId);
+    } else {
+      await alertWatchers(tx, before);
+    }
+    return true;
+  });
+  deliverNotifications();
+  return found;
+}
+
+/**
+ * Records a wishlist alert for each watcher of a vehicle that has come back in stock, or returned
+ * to the catalog with stock, or dropped in price since it was read earlier in the transaction.
+ *
+ * @param {Object} tx - The transaction's database executor.
+ * @param {Object} before - The vehicle as it was before the change.
+ * @returns {Promise<void>}
+ */
+async function alertWatchers(tx, before) {
+  const after = await vehicleRepo.findById(tx, before.vehicle_id);
+  if (after.retired_at) {
+    return;
+  }
+  if ((before.retired_at || before.availability === 0) && after.availability > 0) {
+    await notificationRepo.insertForWatchers(tx, after.vehicle_id, 'back-in-stock',
+      `${after.model_name} is back in stock`);
+  }
+  if (after.price < before.price) {
+    await notificationRepo.insertForWatchers(tx, after.vehicle_id, 'price-drop',
+      `${after.model_name} dropped from $${before.price.toLocaleString('en-US')} to ` +
+      `$${after.price.toLocaleString('en-US')}`);
+  }
+}
+
+/**
+ * Queues the sending of every notification the notifier hasn't sent yet. One that fails to send
+ * stays unsent and is retried by the next delivery.
+ *
+ * @returns {Promise<void>} - Resolves once the queued delivery has finished.
+ */
+function deliverNotifications() {
+  deliveryQueue = deliveryQueue
+    .then(async () => {
+      for (const notification of await notificationRepo.listUndelivered(database.reader())) {
+        await notifier.send(notification);
+        await database.transaction(tx =>
+          notificationRepo.markDelivered(tx, notification.notification_id));
+      }
+    })
+    .catch(err => {
+      console.error(`Could not send notifications: ${err.message}`);
+    });
+  return deliveryQueue;
+}
+
+/**
+ * Writes an uploaded image into IMAGE_DIR under a name that can't clash with existing images.
+ *
+ * @param {Buffer} data - The image.
+ * @param {string} [name] - The name the uploader suggested, with or without an extension.
+ * @param {string} extension - The extension matching the image's type.
+ * @returns {Promise<string>} - The stored file's name.
+ */
+async function saveImage(data, name, extension) {
+  const base = String(name || 'vehicle').replace(/\.[^.]*$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60) || 'vehicle';
+  const fileName = `${base}_${crypto.randomBytes(4).toString('hex')}.${extension}`;
+  await fs.writeFile(path.join(IMAGE_DIR, fileName), data, {flag: 'wx'});
+  return fileName;
+}
+
+/**
+ * Imports vehicles from CSV or JSON, adding new model names and updating the vehicles that
+ * already have them. Rows with errors are skipped and reported; the others are saved unless
+ * `dryRun` is set, in which case nothing is saved and the report shows what would have happened.
+ *
+ * @function
+ * @name POST /api/v1/admin/catalog
+ * @async
+ *
+ * @param {Object} req - Express request object. The body is CSV with a header row (`text/csv`) or
+ * a JSON array of objects (`application/json`), using the columns listed in CATALOG_COLUMNS, of at
+ * most MAX_CATALOG_IMPORT_BYTES. `dryRun=true` in the query validates the rows without saving
+ * them.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the body can't be parsed or has no rows, or `dryRun` is neither
+ * `true` nor `false`.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {413} Payload Too Large - If the body is larger than MAX_CATALOG_IMPORT_BYTES.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the import report: counts of `created`, `updated` and `failed`
+ * rows, and a `rows` array with each row's outcome or errors.
+ */
+route('post', '/admin/catalog', '/admin/catalog/import', requireSession, requireAdmin,
+  validate({query: {dryRun: {type: 'boolean', default: false}}}),
+  express.text({type: ['text/csv', 'application/json'], limit: MAX_CATALOG_IMPORT_BYTES}),
+  async function(req, res, next) {
+    const format = req.is('text/csv') ? 'csv' : 'json';
+    const parsed = req.is(['text/csv', 'application/json']) ? parseCatalog(req.body, format) :
+      {error: 'Send the catalog as text/csv or application/json'};
+    if (parsed.error) {
+      sendError(res, 400, 'invalid_catalog', parsed.error);
+      return;
+    }
+    try {
+      res.json(await importCatalog(parsed.rows, req.query.dryRun));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Exports the vehicles for sale, with their current average rating, as CSV or JSON. The output
+ * can be edited and imported again.
+ *
+ * @function
+ * @name GET /api/v1/admin/catalog
+ * @async
+ *
+ * @param {Object} req - Express request object. `format` in the query is `json` (the default) or
+ * `csv`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the format is not supported.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {string} - Returns the catalog as a file download.
+ */
+route('get', '/admin/catalog', '/admin/catalog/export', requireSession, requireAdmin, validate({
+  query: {format: {type: 'string', values: ['json', 'csv'], default: 'json'}}
+}), async function(req, res, next) {
+  const {format} = req.query;
+  try {
+    const rows = await exportCatalog();
+    res.attachment(`catalog.${format}`)
+      .type(format)
+      .send(format === 'csv' ? toCsv(rows, CATALOG_EXPORT_COLUMNS) : JSON.stringify(rows, null, 2));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Parses an import file into rows keyed by column name.
+ *
+ * @param {string|Array<Object>} data - The file's contents, or for JSON possibly the array
+ * already parsed.
+ * @param {string} format - `csv` or `json`.
+ * @returns {Object} - The `rows`, or an object with an `error` message.
+ */
+function parseCatalog(data, format) {
+  let rows = data;
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(data);
+    if (!header) {
+      return {error: 'The CSV file is empty'};
+    }
+    const names = header.map(name => name.trim());
+    rows = records.map(record => {
+      const row = {};
+      names.forEach((name, index) => {
+        if (record[index] !== undefined && record[index].trim() !== '') {
+          row[name] = record[index].trim();
+        }
+      });
+      return row;
+    });
+  } else {
+    try {
+      rows = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (err) {
+      return {error: 'The JSON file is malformed'};
+    }
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      return {error: 'The JSON file must hold an array of vehicle objects'};
+    }
+  }
+  if (rows.length === 0) {
+    return {error: 'There are no vehicles to import'};
+  }
+  return {rows};
+}
+
+/**
+ * Splits CSV text into records of fields. Fields may be quoted, with `""` standing for a quote,
+ * and quoted fields may span lines. Blank lines are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - The records.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Writes rows as CSV with a header row, quoting fields where needed.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {Array<string>} columns - The columns to write, in order.
+ * @returns {string} - The CSV text.
+ */
+function toCsv(rows, columns) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Validates import rows and saves the valid ones, all in one transaction that a dry run rolls
+ * back.
+ *
+ * @param {Array<Object>} rows - The rows produced by parseCatalog.
+ * @param {boolean} dryRun - Whether to leave the catalog unchanged.
+ * @returns {Promise<Object>} - The import report described under POST /admin/catalog/import.
+ */
+async function importCatalog(rows, dryRun) {
+  const report = {dryRun, created: 0, updated: 0, failed: 0, rows: []};
+  const seen = new Map();
+  try {
+    await database.transaction(async tx => {
+      for (const [index, row] of rows.entries()) {
+        const outcome = {row: index + 1, modelName: row.model_name};
+        const errors = validateCatalogRow(row);
+        const fields = errors.length === 0 ? catalogRowFields(row) : null;
+        if (fields && fields.errors) {
+          errors.push(...fields.errors);
+        }
+        if (errors.length === 0 && seen.has(fields.model_name)) {
+          errors.push(`${fields.model_name} already appears in row ${seen.get(fields.model_name)}`);
+        }
+        if (errors.length === 0) {
+          seen.set(fields.model_name, outcome.row);
+          const existingId = await vehicleRepo.findIdByModelName(tx, fields.model_name);
+          if (existingId === null && fields.availability === undefined) {
+            fields.availability = 0;
+          }
+          const result = await writeVehicle(tx, existingId, fields);
+          if (result.unknownBodyType) {
+            errors.push(`Unknown body type "${result.unknownBodyType}"`);
+          } else {
+            outcome.action = existingId === null ? 'created' : 'updated';
+            outcome.vehicleId = result.vehicleId;
+            report[outcome.action]++;
+          }
+        }
+        if (errors.length > 0) {
+          outcome.errors = errors;
+          report.failed++;
+        }
+        report.rows.push(outcome);
+      }
+      if (dryRun) {
+        throw DRY_RUN_ROLLBACK;
+      }
+    });
+  } catch (err) {
+    if (err !== DRY_RUN_ROLLBACK) {
+      throw err;
+    }
+  }
+  if (dryRun) {
+    report.rows.forEach(outcome => delete outcome.vehicleId);
+  } else {
+    deliverNotifications();
+  }
+  return report;
+}
+
+/**
+ * Checks an import row for unknown columns and the columns every vehicle needs.
+ *
+ * @param {Object} row - The row.
+ * @returns {Array<string>} - The row's errors, if any.
+ */
+function validateCatalogRow(row) {
+  const errors = Object.keys(row)
+    .filter(column => !CATALOG_COLUMNS[column] && !CATALOG_EXPORT_COLUMNS.includes(column))
+    .map(column => `Unknown column ${column}`);
+  for (const column of ['model_name', 'make', 'price']) {
+    if (row[column] === undefined || row[column] === null || row[column] === '') {
+      errors.push(`Missing ${column}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates an import row's values with the same rules as the admin vehicle endpoints.
+ *
+ * @param {Object} row - The row, keyed by column name.
+ * @returns {Object} - The fields produced by vehicleFields, or an object with the `errors` found,
+ * each naming its column.
+ */
+function catalogRowFields(row) {
+  const body = {};
+  for (const [column, name] of Object.entries(CATALOG_COLUMNS)) {
+    if (row[column] !== undefined && row[column] !== null) {
+      body[name] = VEHICLE_FIELDS[name].type === 'string' ? String(row[column]) : row[column];
+    }
+  }
+  const {values, details} = checkFields(VEHICLE_FIELDS, body);
+  if (details.length > 0) {
+    return {errors: details.map(detail => detail.message.replace(detail.field,
+      Object.keys(CATALOG_COLUMNS).find(column => CATALOG_COLUMNS[column] === detail.field)))};
+  }
+  return vehicleFields(values);
+}
+
+/**
+ * Lists the vehicles for sale with their tags and current average rating.
+ *
+ * @returns {Promise<Array<Object>>} - One row per vehicle, keyed by the columns in
+ * CATALOG_EXPORT_COLUMNS, with `tags` comma-separated.
+ */
+async function exportCatalog() {
+  const rows = [];
+  for (const vehicle of await vehicleRepo.listForSale(database.reader())) {
+    const row = {};
+    for (const column of CATALOG_EXPORT_COLUMNS) {
+      row[column] = vehicle[column] === undefined ? null : vehicle[column];
+    }
+    row.tags = vehicle.tags.join(', ');
+    row.average_rating = vehicle.rating;
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Turns the query parameters of GET /vehicles, validated against SEARCH_QUERY, into search
+ * options. Results are sorted by relevance when there is a query and by `featured` otherwise.
+ *
+ * @param {Object} query - The validated query parameters.
+ * @returns {Object} - The search options.
+ */
+function searchOptions(query) {
+  const sort = query.sort || (query.qry ? 'relevance' : 'featured');
+  const options = {
+    searchQuery: query.qry,
+    types: query.types || [],
+    tags: query.tags || [],
+    makes: query.make || [],
+    drivetrains: query.drivetrain || [],
+    connectors: query.connector || [],
+    inStock: query.inStock,
+    sort: sort === 'relevance' && !query.qry ? 'featured' : sort,
+    limit: query.limit,
+    offset: query.offset
+  };
+  for (const name of RANGE_FILTERS) {
+    if (query[name] !== undefined) {
+      options[name] = query[name];
+    }
+  }
+  return options;
+}
+
+/**
+ * Searches the database and returns results based on search query and filters.
+ *
+ * @param {Object} options - The search options produced by searchOptions.
+ * @returns {Promise<{total: number, vehicles: Array<Object>}>} - Returns one page of search
+ * results and the number of vehicles matching in total.
+ *
+ */
+async function searchDatabase(options) {
+  const db = database.reader();
+  const matchExpression = await resolveMatchExpression(db, options);
+  if (options.searchQuery && !matchExpression) {
+    return {total: 0, vehicles: []};
+  }
+  return vehicleRepo.search(db, options, matchExpression);
+}
+
+/**
+ * Counts the vehicles matching a search by body type, tag and make.
+ *
+ * @param {Object} options - The search options produced by searchOptions.
+ * @returns {Promise<Object>} - The facets described under GET /facets.
+ */
+async function getFacets(options) {
+  const db = database.reader();
+  const matchExpression = await resolveMatchExpression(db, options);
+  const noMatch = Boolean(options.searchQuery && !matchExpression);
+  return vehicleRepo.countFacets(db, options, matchExpression, noMatch);
+}
+
+/**
+ * Builds the FTS5 query for a search's text against the current search vocabulary.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} options - The search options produced by searchOptions.
+ * @returns {Promise<?string>} - The FTS5 query, or null if there is no searchable text.
+ */
+async function resolveMatchExpression(db, options) {
+  if (!options.searchQuery) {
+    return null;
+  }
+  return buildMatchExpression(options.searchQuery, await vehicleRepo.listSearchTerms(db));
+}
+
+/**
+ * Turns free text into an FTS5 query. Every word must match, either as the prefix of an indexed
+ * term or as an indexed term within a small edit distance, so "rivain" still finds "rivian".
+ * Multi-word queries may also match as one run-together word, so "cyber truck" finds "cybertruck".
+ *
+ * @param {string} searchQuery - The text typed by the user.
+ * @param {Array<string>} vocabulary - The terms in the search index.
+ * @returns {?string} - The FTS5 query, or null if the text has no searchable words.
+ */
+function buildMatchExpression(searchQuery, vocabulary) {
+  const words = searchQuery.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) {
+    return null;
+  }
+  const alternatives = word => {
+    const maxEdits = maxTypoEdits(word);
+    const similar = vocabulary.filter(term => term !== word &&
+      Math.abs(term.length - word.length) <= maxEdits && editDistance(word, term) <= maxEdits);
+    return `(${[`"${word}"*`, ...similar.map(term => `"${term}"`)].join(' OR ')})`;
+  };
+  const allWords = words.map(alternatives).join(' AND ');
+  return words.length > 1 ? `(${allWords}) OR "${words.join('')}"*` : allWords;
+}
+
+/**
+ * Returns how many typos to tolerate in a search word. Short words must match exactly.
+ *
+ * @param {string} word - The search word.
+ * @returns {number} - The maximum edit distance.
+ */
+function maxTypoEdits(word) {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Computes the edit distance between two words, counting insertions, deletions, substitutions
+ * and swaps of adjacent letters as one edit each.
+ *
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} - The number of edits needed to turn `a` into `b`.
+ */
+function editDistance(a, b) {
+  const dist = [];
+  for (let i = 0; i <= a.length; i++) {
+    dist.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    dist[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dist[i][j] = Math.min(dist[i - 1][j] + 1, dist[i][j - 1] + 1, dist[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        dist[i][j] = Math.min(dist[i][j], dist[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return dist[a.length][b.length];
+}
+
+/**
+ * Retrieves detailed information about a specific vehicle.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<Object|null>} - Returns detailed information about the vehicle if found, null
+ * otherwise.
+ */
+async function getVehicleInfo(vehicleId) {
+  return vehicleRepo.findById(database.reader(), vehicleId);
+}
+
+/**
+ * Places an order for one or more vehicles and takes them out of stock. The idempotency check,
+ * the stock checks and decrements and the order insert run in one write transaction, and each
+ * decrement only applies while enough stock remains, so concurrent buyers cannot oversell a
+ * vehicle. A decrement that finds too little stock, e.g. because the same vehicle is on two lines,
+ * rolls the whole order back and reports the vehicle as `unavailable`. Each line item records the
+ * vehicle's price at the time of purchase.
+ *
+ * @param {number} userId - The ID of the user placing the order.
+ * @param {Array<{vehicleId: number, quantity: number}>} items - The vehicles to order.
+ * @param {?string} idempotencyKey - Optional client-chosen key identifying this purchase attempt.
+ * @param {boolean} fromCart - Whether to empty the user's cart once the order is placed.
+ * @param {?Object} terms - Financing terms produced by financingTerms for the order total, or
+ * null if it is paid in full.
+ * @returns {Promise<Object>} - The placed `order`'s ID, confirmation number, totals and financing,
+ * or null if nothing was ordered. `replayed` is set when the key matched an earlier order,
+ * `conflict` when it matched a different request (see requestFingerprint), `overpaid` when the
+ * down payment and trade-in exceed the order total, and `unavailable` names a vehicle without
+ * enough stock.
+ */
+async function placeOrder(userId, items, idempotencyKey, fromCart, terms) {
+  const result = {order: null, replayed: false, conflict: false, overpaid: false,
+    unavailable: null};
+  try {
+    return await database.transaction(async tx => {
+      const fingerprint = idempotencyKey ? requestFingerprint(items, fromCart, terms) : null;
+      const previous = idempotencyKey ?
+        await orderRepo.findByIdempotencyKey(tx, userId, idempotencyKey) : null;
+      if (previous) {
+        result.conflict = previous.request_fingerprint !== null ?
+          previous.request_fingerprint !== fingerprint :
+          await isLegacyConflict(tx, previous, items, fromCart);
+        result.replayed = !result.conflict;
+        result.order = result.replayed ? formatOrderSummary(previous,
+          await orderRepo.findFinancing(tx, previous.transaction_id)) : null;
+        return result;
+      }
+      if (items.length === 0) {
+        return result;
+      }
+      const lines = [];
+      for (const item of items) {
+        const vehicle = await vehicleRepo.findById(tx, item.vehicleId);
+        if (!vehicle || vehicle.retired_at || vehicle.availability < item.quantity) {
+          result.unavailable = vehicle ? vehicle.model_name : `vehicle ${item.vehicleId}`;
+          return result;
+        }
+        lines.push({...item, unitPrice: vehicle.price, modelName: vehicle.model_name});
+      }
+      const totals = computeTotals(lines);
+      if (terms && terms.downPayment + terms.tradeIn > totals.total) {
+        result.overpaid = true;
+        return result;
+      }
+      const {orderId, confirmation} = await insertOrder(tx, userId, idempotencyKey, fingerprint,
+        totals);
+      for (const line of lines) {
+        if (!await vehicleRepo.adjustAvailability(tx, line.vehicleId, -line.quantity)) {
+          result.unavailable = line.modelName;
+          throw OUT_OF_STOCK_ROLLBACK;
+        }
+        await orderRepo.insertItem(tx, orderId, line);
+      }
+      await orderRepo.setStatus(tx, orderId, null, 'pending', 'Order placed');
+      if (terms) {
+        await orderRepo.insertFinancing(tx, orderId, terms,
+          financing.calculatePayments(totals, terms));
+      }
+      if (fromCart) {
+        await cartRepo.clear(tx, userId);
+      }
+      result.order = {orderId, confirmation, ...totals,
+        financing: formatFinancing(await orderRepo.findFinancing(tx, orderId))};
+      return result;
+    });
+  } catch (err) {
+    if (err !== OUT_OF_STOCK_ROLLBACK) {
+      throw err;
+    }
+    return result;
+  }
+}
+
+/**
+ * Adds a pending order with a new confirmation number, drawing another number if the first is
+ * already taken.
+ *
+ * @param {Object} tx - The transaction's database executor.
+ * @param {number} userId - The ID of the user placing the order.
+ * @param {?string} idempotencyKey - The key sent with the order, if any.
+ * @param {?string} fingerprint - The requestFingerprint of the request sent with the key.
+ * @param {{subtotal: number, tax: number, fees: number, total: number}} totals - The totals.
+ * @returns {Promise<{orderId: number, confirmation: string}>} - The new order's transaction ID
+ * and confirmation number.
+ * @throws {Error} - If MAX_CONFIRMATION_ATTEMPTS numbers in a row were taken.
+ */
+async function insertOrder(tx, userId, idempotencyKey, fingerprint, totals) {
+  for (let attempt = 0; attempt < MAX_CONFIRMATION_ATTEMPTS; attempt++) {
+    const confirmation = genRanHex();
+    const orderId = await orderRepo.insert(tx, userId, confirmation,
+      {key: idempotencyKey, fingerprint}, totals);
+    if (orderId !== null) {
+      return {orderId, confirmation};
+    }
+  }
+  throw new Error('Could not find an unused confirmation number');
+}
+
+/**
+ * Describes an order request, so a retry with the same idempotency key can be told apart from a
+ * different request reusing it: the items ordered, or only that they came from the cart since a
+ * retried checkout finds it emptied, and the financing terms, with defaults filled in.
+ *
+ * @param {Array<{vehicleId: number, quantity: number}>} items - The vehicles ordered.
+ * @param {boolean} fromCart - Whether the items are the user's cart.
+ * @param {?Object} terms - Financing terms produced by financingTerms, or null.
+ * @returns {string} - The fingerprint.
+ */
+function requestFingerprint(items, fromCart, terms) {
+  return JSON.stringify({items: fromCart ? 'cart' : itemsSignature(items), financing: terms});
+}
+
+/**
+ * Tells whether a request conflicts with an order placed before orders stored their request's
+ * fingerprint, comparing only the items ordered. Cart orders match any cart checkout.
+ *
+ * @param {Object} tx - The transaction's database executor.
+ * @param {Object} previous - The earlier order's transactions row.
+ * @param {Array<{vehicleId: number, quantity: number}>} items - The vehicles now ordered.
+ * @param {boolean} fromCart - Whether they are the user's cart.
+ * @returns {Promise<boolean>} - True if the items differ.
+ */
+async function isLegacyConflict(tx, previous, items, fromCart) {
+  const previousItems = (await orderRepo.listItems(tx, previous.transaction_id))
+    .map(item => ({vehicleId: item.vehicle_id, quantity: item.quantity}));
+  return !fromCart && itemsSignature(previousItems) !== itemsSignature(items);
+}
+
+/**
+ * Builds a string identifying a set of order items regardless of their order, used to tell
+ * whether a retried request asks for the same vehicles as the original.
+ *
+ * @param {Array<{vehicleId: number, quantity: number}>} items - The order items.
+ * @returns {string} - The signature.
+ */
+function itemsSignature(items) {
+  return items.map(item => `${item.vehicleId}x${item.quantity}`).sort()
+    .join(',');
+}
+
+/**
+ * Picks the fields of a transactions row returned to the client after checkout.
+ *
+ * @param {Object} order - A row from the transactions table.
+ * @param {?Object} financingRow - The order's order_financing row, if it was financed.
+ * @returns {Object} - The order ID, confirmation number, totals and financing.
+ */
+function formatOrderSummary(order, financingRow) {
+  return {
+    orderId: order.transaction_id,
+    confirmation: order.confirmation_number,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    fees: order.fees,
+    total: order.total,
+    financing: formatFinancing(financingRow)
+  };
+}
+
+/**
+ * Names the fields of an order's financing like the terms of GET /vehicle/:vehicleId/financing.
+ *
+ * @param {?Object} row - A row from the order_financing table, if the order was financed.
+ * @returns {?Object} - The `plan`, `downPayment`, `tradeIn`, `apr`, `termMonths`,
+ * `residualPercent`, `amountFinanced` and `monthlyPayment`, or null for orders paid in full.
+ */
+function formatFinancing(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    plan: row.plan,
+    downPayment: row.down_payment,
+    tradeIn: row.trade_in,
+    apr: row.apr,
+    termMonths: row.term_months,
+    residualPercent: row.residual_percent,
+    amountFinanced: row.amount_financed,
+    monthlyPayment: row.monthly_payment
+  };
+}
+
+/**
+ * Computes the totals for a set of priced line items.
+ *
+ * @param {Array<{unitPrice: number, quantity: number}>} lines - The line items.
+ * @returns {{subtotal: number, tax: number, fees: number, total: number}} - The totals in dollars.
+ */
+function computeTotals(lines) {
+  const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+  const vehicleCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const tax = roundCents(subtotal * SALES_TAX_RATE);
+  const fees = roundCents(vehicleCount * FEE_PER_VEHICLE);
+  return {subtotal: roundCents(subtotal), tax, fees, total: roundCents(subtotal + tax + fees)};
+}
+
+/**
+ * Rounds a dollar amount to whole cents.
+ *
+ * @param {number} amount - The amount in dollars.
+ * @returns {number} - The rounded amount.
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Retrieves a user's cart priced at current vehicle prices.
+ *
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Object>} - The cart items, each with a `line_total`, and the cart totals.
+ */
+async function getCart(userId) {
+  const items = await cartRepo.listItems(database.reader(), userId);
+  items.forEach(item => {
+    item.line_total = roundCents(item.price * item.quantity);
+  });
+  const totals = computeTotals(items.map(item => ({
+    unitPrice: item.price,
+    quantity: item.quantity
+  })));
+  return {items, ...totals};
+}
+
+/**
+ * Adds a vehicle to a user's cart, raising the quantity (up to MAX_CART_QUANTITY) if it is
+ * already there.
+ *
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle to add.
+ * @param {number} quantity - How many to add.
+ * @returns {Promise<void>}
+ */
+async function addToCart(userId, vehicleId, quantity) {
+  await database.transaction(tx => cartRepo.addItem(tx, userId, vehicleId, quantity,
+    MAX_CART_QUANTITY));
+}
+
+/**
+ * Sets the quantity of a vehicle already in a user's cart, removing it when the quantity is 0.
+ *
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle in the cart.
+ * @param {number} quantity - The new quantity.
+ * @returns {Promise<boolean>} - True if the vehicle was in the cart.
+ */
+async function setCartQuantity(userId, vehicleId, quantity) {
+  return database.transaction(tx => (quantity === 0 ?
+    cartRepo.removeItem(tx, userId, vehicleId) :
+    cartRepo.setQuantity(tx, userId, vehicleId, quantity)));
+}
+
+/**
+ * Lists the vehicles on a user's wishlist.
+ *
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>} - The saved vehicles, most recent first.
+ */
+async function getWishlist(userId) {
+  return wishlistRepo.listForUser(database.reader(), userId);
+}
+
+/**
+ * Saves a vehicle to a user's wishlist.
+ *
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<void>}
+ */
+async function addToWishlist(userId, vehicleId) {
+  await database.transaction(tx => wishlistRepo.add(tx, userId, vehicleId));
+}
+
+/**
+ * Removes a vehicle from a user's wishlist.
+ *
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<boolean>} - True if the vehicle was on the wishlist.
+ */
+async function removeFromWishlist(userId, vehicleId) {
+  return database.transaction(tx => wishlistRepo.remove(tx, userId, vehicleId));
+}
+
+/**
+ * Retrieves a user's latest notifications and how many are unread.
+ *
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Object>} - The `unread` count and the MAX_LISTED_NOTIFICATIONS most recent
+ * `notifications`.
+ */
+async function getNotifications(userId) {
+  const db = database.reader();
+  return {
+    unread: await notificationRepo.countUnread(db, userId),
+    notifications: await notificationRepo.listForUser(db, userId, MAX_LISTED_NOTIFICATIONS)
+  };
+}
+
+/**
+ * Retrieves one of a user's orders along with its status history.
+ *
+ * @param {?number} userId - The ID of the user who placed the order, or null to find the order
+ * whoever placed it.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<Object|null>} - The order with `items` and `history` arrays, its `financing`
+ * (null if paid in full) and a `cancellable` flag, or null if the user has no such order.
+ */
+async function getOrder(userId, orderId) {
+  const db = database.reader();
+  const order = userId === null ? await orderRepo.findById(db, orderId) :
+    await orderRepo.findForUser(db, userId, orderId);
+  if (!order) {
+    return null;
+  }
+  order.cancellable = CANCELLABLE_STATUSES.includes(order.status);
+  order.items = await orderRepo.listItems(db, orderId);
+  order.financing = formatFinancing(await orderRepo.findFinancing(db, orderId));
+  order.history = await orderRepo.listHistory(db, orderId);
+  return order;
+}
+
+/**
+ * Moves an order to a new status if ORDER_TRANSITIONS allows it, recording the change in the
+ * order's history. Cancelling or refunding an order puts its vehicles back in stock, alerting
+ * anyone waiting for them.
+ *
+ * @param {number} orderId - The transaction ID of the order.
+ * @param {string} status - The status to move the order to.
+ * @param {string} note - A short reason stored with the history entry.
+ * @returns {Promise<boolean>} - True if the order changed, false if it does not exist or cannot
+ * move to `status` from where it is.
+ */
+async function updateOrderStatus(orderId, status, note) {
+  const updated = await database.transaction(async tx => {
+    const order = await orderRepo.findById(tx, orderId);
+    if (!order || !ORDER_TRANSITIONS[order.status].includes(status)) {
+      return false;
+    }
+    await orderRepo.setStatus(tx, orderId, order.status, status, note);
+    if (RESTOCKING_STATUSES.includes(status)) {
+      const before = [];
+      for (const item of await orderRepo.listItems(tx, orderId)) {
+        before.push(await vehicleRepo.findById(tx, item.vehicle_id));
+      }
+      await vehicleRepo.restockOrder(tx, orderId);
+      for (const vehicle of before) {
+        await alertWatchers(tx, vehicle);
+      }
+    }
+    return true;
+  });
+  if (updated && RESTOCKING_STATUSES.includes(status)) {
+    deliverNotifications();
+  }
+  return updated;
+}
+
+/**
+ * Retrieves user data including previous transactions, wishlist, notifications and
+ * recommendations.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object|null>} - Returns user data if the user is found, null otherwise.
+ */
+async function getUserData(userId) {
+  const profile = await getProfile(userId);
+  if (!profile) {
+    return null;
+  }
+  return {
+    ...profile,
+    transactions: await getOrders(userId),
+    wishlist: await getWishlist(userId),
+    notifications: await getNotifications(userId),
+    recommendations: await getRecommendations(userId)
+  };
+}
+
+/**
+ * Retrieves a user's account details.
+ *
+ * @param {number} userId - The user ID.
+ * @returns {Promise<?Object>} - The `userId`, `username` and `role`, or null if there is no such
+ * user.
+ */
+async function getProfile(userId) {
+  const user = await userRepo.findById(database.reader(), userId);
+  return user ? {userId, username: user.username, role: user.role} : null;
+}
+
+/**
+ * Retrieves a user's orders, newest first, with their line items, financing and whether they can
+ * still be cancelled.
+ *
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<Object>>} - The transactions rows with `cancellable`, `items` and
+ * `financing` added.
+ */
+async function getOrders(userId) {
+  const db = database.reader();
+  const orders = await orderRepo.listForUser(db, userId);
+  for (const order of orders) {
+    order.cancellable = CANCELLABLE_STATUSES.includes(order.status);
+    order.items = await orderRepo.listItems(db, order.transaction_id);
+    order.financing = formatFinancing(await orderRepo.findFinancing(db, order.transaction_id));
+  }
+  return orders;
+}
+
+/**
+ * Retrieves in-stock vehicles the user is likely to want, based on what they and other users have
+ * bought, rated and viewed.
+ *
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<Object>>} - Returns the recommended vehicles, each with its `score` and
+ * `reason`.
+ */
+async function getRecommendations(userId) {
+  const snapshot = await loadRecommendationSnapshot();
+  return recommender.recommend(snapshot, userId, {limit: RECOMMENDATION_LIMIT, inStockOnly: true});
+}
+
+/**
+ * Counts a user's view of a vehicle.
+ *
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<boolean>} - True if the view was counted, false if the vehicle does not exist.
+ */
+async function recordView(userId, vehicleId) {
+  return database.transaction(async tx => {
+    if (!await vehicleRepo.exists(tx, vehicleId)) {
+      return false;
+    }
+    await viewRepo.record(tx, userId, vehicleId);
+    return true;
+  });
+}
+
+/**
+ * Reads the data recommendations are computed from. The snapshot is kept until the next write to
+ * the database, so requests in between share it and the similarities the recommender derives
+ * from it.
+ *
+ * @returns {Promise<Object>} - The snapshot described by recommender.loadSnapshot.
+ */
+function loadRecommendationSnapshot() {
+  const writes = database.writeCount();
+  if (!recommendationCache || recommendationCache.writes !== writes) {
+    const cache = {writes};
+    cache.snapshot = recommender.loadSnapshot(database.reader(), RESTOCKING_STATUSES)
+      .catch(err => {
+        if (recommendationCache === cache) {
+          recommendationCache = null;
+        }
+        throw err;
+      });
+    recommendationCache = cache;
+  }
+  return recommendationCache.snapshot;
+}
+
+/**
+ * Ranks the other in-stock vehicles for sale by how much they resemble a vehicle.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} limit - The most vehicles to return.
+ * @returns {Promise<?Array<Object>>} - The similar vehicles, each with its `similarity` score and
+ * `why` reasons, or null if the vehicle does not exist.
+ */
+async function getSimilarVehicles(vehicleId, limit) {
+  const db = database.reader();
+  const vehicle = await vehicleRepo.findById(db, vehicleId);
+  if (!vehicle) {
+    return null;
+  }
+  const candidates = (await vehicleRepo.listForSale(db))
+    .filter(other => other.vehicle_id !== vehicle.vehicle_id && other.availability > 0);
+  return recommender.rankSimilar(vehicle, candidates, limit);
+}
+
+/**
+ * Authenticates a user based on the provided username and password.
+ *
+ * @param {string} username - The username of the user.
+ * @param {string} password - The password of the user.
+ * @returns {Promise<string|null>} - Returns the user ID if authentication is successful,
+ * null otherwise.
+ */
+async function authenticateUser(username, password) {
+  const user = await userRepo.findByUsername(database.reader(), username);
+  if (user && await verifyPassword(password, user.password)) {
+    return user.user_id;
+  }
+  return null;
+}
+
+/**
+ * Creates a new user with a hashed password.
+ *
+ * @param {string} username - The username for the new account.
+ * @param {string} password - The plaintext password for the new account.
+ * @returns {Promise<number|null>} - Returns the new user ID, or null if the username is taken.
+ */
+async function createUser(username, password) {
+  const hashed = await hashPassword(password);
+  return database.transaction(tx => userRepo.insert(tx, username, hashed));
+}
+
+/**
+ * Hashes a password with a random salt.
+ *
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} - The encoded hash in the form `scrypt$<salt>$<hash>`.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, HASH_KEY_LENGTH);
+  return `${HASH_SCHEME}$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a plaintext password against an encoded hash from the users table.
+ *
+ * @param {string} password - The plaintext password to check.
+ * @param {string} stored - The encoded hash produced by hashPassword.
+ * @returns {Promise<boolean>} - True if the password matches.
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== HASH_SCHEME || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Opens the database unless it is open and prepares it for the app: applies any pending
+ * migrations and makes the users in ADMIN_USERNAMES admins. The database must already exist with
+ * its tables, as db/seed.js creates it, so a mistyped DB_PATH can't start the server on an empty
+ * catalog.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} - If DB_PATH does not exist or has no tables.
+ */
+async function initDatabase() {
+  const missing = `${DB_PATH} does not exist or is empty; create it by running ` +
+    '`node db/seed.js` from backend/, or set DB_PATH to an existing database';
+  if (!database.isOpen()) {
+    try {
+      await fs.access(DB_PATH);
+    } catch (err) {
+      throw new Error(missing);
+    }
+    await database.open(DB_PATH);
+  }
+  if (await isEmpty(database.reader())) {
+    await database.close();
+    throw new Error(missing);
+  }
+  await database.exclusive(async db => {
+    await runMigrations(db, {computeTotals, hashPassword, genRanHex,
+      taxonomyLabel: taxonomyRepo.taxonomyLabel, log: message => console.warn(message)});
+  });
+  await database.transaction(async tx => {
+    for (const username of ADMIN_USERNAMES) {
+      await userRepo.setRole(tx, username, 'admin');
+    }
+  });
+}
+
+/**
+ * Checks that the server has a SESSION_SECRET to sign session tokens with.
+ *
+ * @throws {Error} - If NODE_ENV is `production` and SESSION_SECRET is not set.
+ */
+function checkSessionSecret() {
+  if (!SESSION_SECRET) {
+    throw new Error('SESSION_SECRET must be set when NODE_ENV is production, so sessions ' +
+      'survive restarts and are accepted by every instance');
+  }
+}
+
+/**
+ * Stops accepting connections, lets the requests in progress finish and then closes the
+ * database once queued notifications are sent. Connections still open after
+ * SHUTDOWN_TIMEOUT_MS are dropped.
+ *
+ * @param {http.Server} server - The server returned by app.listen.
+ */
+function shutDown(server) {
+  const timer = setTimeout(() => server.closeAllConnections(), SHUTDOWN_TIMEOUT_MS);
+  timer.unref();
+  server.close(() => {
+    clearTimeout(timer);
+    deliveryQueue.then(() => database.close()).catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+  });
+}
+
+/**
+ * Creates a signed session token for a user.
+ *
+ * @param {number} userId - The ID of the signed-in user.
+ * @returns {string} - The token in the form `<payload>.<signature>`.
+ */
+function createSessionToken(userId) {
+  const payload = Buffer.from(JSON.stringify({userId, exp: Date.now() + SESSION_TTL_MS}))
+    .toString('base64url');
+  return `${payload}.${signSessionPayload(payload)}`;
+}
+
+/**
+ * Verifies a session token's signature and expiry.
+ *
+ * @param {string} token - The token created by createSessionToken.
+ * @returns {number|null} - The user ID the token was issued to, or null if it is not valid.
+ */
+function verifySessionToken(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(signSessionPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const {userId, exp} = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() ? userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Signs a session payload with the server secret.
+ *
+ * @param {string} payload - The base64url encoded payload.
+ * @returns {string} - The base64url encoded HMAC signature.
+ */
+function signSessionPayload(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload)
+    .digest('base64url');
+}
+
+/**
+ * Middleware that rejects requests without a valid `Authorization: Bearer <token>` header and
+ * otherwise sets `req.userId` to the signed-in user.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Calls the next handler.
+ */
+async function requireSession(req, res, next) {
+  let userId;
+  try {
+    userId = await findSessionUser(req);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  if (!userId) {
+    sendError(res, 401, 'unauthorized', 'Please sign in to continue');
+    return;
+  }
+  req.userId = userId;
+  next();
+}
+
+/**
+ * Middleware for routes that answer everyone but tell signed-in users more. Sets `req.userId` to
+ * the signed-in user, or to null without a valid `Authorization` header.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Calls the next handler.
+ */
+async function optionalSession(req, res, next) {
+  try {
+    req.userId = await findSessionUser(req);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  next();
+}
+
+/**
+ * Finds the user a request's `Authorization: Bearer <token>` header signs in.
+ *
+ * @param {Object} req - Express request object.
+ * @returns {Promise<?number>} - The user's ID, or null if the header is missing, the token is not
+ * valid or the user no longer exists.
+ */
+async function findSessionUser(req) {
+  const header = req.get('Authorization') || '';
+  const userId = verifySessionToken(header.replace(/^Bearer /, ''));
+  return userId && await checkUserId(userId) ? userId : null;
+}
+
+/**
+ * Registers a route under API_PREFIX and at its original path, where it is marked as deprecated.
+ *
+ * @param {string} method - The Express method, such as `get`.
+ * @param {string} apiPath - The path under API_PREFIX.
+ * @param {string} legacyPath - The original, unversioned path.
+ * @param {...Function} handlers - The route's middleware and handler.
+ */
+function route(method, apiPath, legacyPath, ...handlers) {
+  api[method](apiPath, ...handlers);
+  app[method](legacyPath, deprecated(apiPath), ...handlers);
+}
+
+/**
+ * Builds middleware for an unversioned route that adds a Deprecation header and a Link header
+ * naming the route that replaces it. The successor's params are taken from the request's params,
+ * or its body for routes such as POST /feedback that took the ID there.
+ *
+ * @param {string} apiPath - The successor's path under API_PREFIX, with `:param` placeholders.
+ * @returns {Function} - The middleware.
+ */
+function deprecated(apiPath) {
+  return function(req, res, next) {
+    res.set('Deprecation', `@${LEGACY_DEPRECATED_AT / 1000}`);
+    const values = {...req.body, ...req.params};
+    const successor = apiPath.replace(/:(\w+)/g, (placeholder, name) =>
+      (values[name] === undefined ? placeholder : encodeURIComponent(values[name])));
+    if (!successor.includes(':')) {
+      res.set('Link', `<${API_PREFIX}${successor}>; rel="successor-version"`);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware, used after requireSession, that rejects requests from users who are not admins.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Calls the next handler.
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await userRepo.findById(database.reader(), req.userId);
+    if (!user || user.role !== 'admin') {
+      sendError(res, 403, 'forbidden', 'Only admins can do that');
+      return;
+    }
+  } catch (err) {
+    next(err);
+    return;
+  }
+  next();
+}
+
+/**
+ * Generates an order confirmation number: 8 hex digits from a cryptographically secure source, so
+ * one order's number says nothing about another's.
+ *
+ * @returns {string} - The confirmation number.
+ */
+function genRanHex() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Checks the database for a username associated with the given user ID.
+ *
+ * @async
+ * @param {number} userId - The ID of the user to check.
+ * @returns {Promise<?string>} - The username associated with the given user ID, or null if not
+ * found.
+ */
+async function checkUserId(userId) {
+  const user = await userRepo.findById(database.reader(), userId);
+  return user ? user.username : null;
+}
+
+/**
+ * Checks the database for a vehicle model name associated with the given vehicle ID.
+ *
+ * @async
+ * @param {number} vehicleId - The ID of the vehicle to check.
+ * @returns {Promise<?string>} - The model name associated with the given vehicle ID, or null if not
+ * found.
+ */
+async function checkVehicleId(vehicleId) {
+  const vehicle = await vehicleRepo.findById(database.reader(), vehicleId);
+  return vehicle ? vehicle.model_name : null;
+}
+
+/**
+ * Adds product feedback (rating and review) to the database. Reviews the moderation filter objects
+ * to are held for a moderator instead of being shown.
+ *
+ * @async
+ * @param {number} userId - The ID of the user providing the feedback.
+ * @param {number} vehicleId - The ID of the vehicle for which feedback is provided.
+ * @param {number} rating - The rating given by the user.
+ * @param {string} reviewText - The text of the review provided by the user.
+ * @returns {Promise<?{reviewId: number, held: boolean}>} - The new review's ID and whether it is
+ * held, or null if the user has already reviewed the vehicle.
+ */
+async function addProductFeedback(userId, vehicleId, rating, reviewText) {
+  const holdReason = screenReview(reviewText);
+  const reviewId = await database.transaction(tx => reviewRepo.insert(tx, {userId, vehicleId,
+    rating, reviewText, holdReason}));
+  return reviewId ? {reviewId, held: holdReason !== null} : null;
+}
+
+/**
+ * Changes the rating and text of one of a user's reviews. New text the moderation filter objects
+ * to sends the review back to the moderation queue.
+ *
+ * @param {number} userId - The ID of the signed-in user.
+ * @param {number} reviewId - The ID of the review.
+ * @param {{rating: number, reviewText: string}} fields - The validated REVIEW_FIELDS.
+ * @returns {Promise<?Object>} - The updated review, or null if the user has no such review.
+ */
+async function editReview(userId, reviewId, fields) {
+  const found = await database.transaction(tx => reviewRepo.update(tx, reviewId, userId,
+    fields.rating, fields.reviewText, screenReview(fields.reviewText)));
+  return found ? reviewRepo.findById(database.reader(), reviewId, RESTOCKING_STATUSES) : null;
+}
+
+/**
+ * Deletes one of a user's reviews.
+ *
+ * @param {number} userId - The ID of the signed-in user.
+ * @param {number} reviewId - The ID of the review.
+ * @returns {Promise<boolean>} - True if the user had such a review.
+ */
+async function deleteReview(userId, reviewId) {
+  return database.transaction(tx => reviewRepo.remove(tx, reviewId, userId));
+}
+
+/**
+ * Checks review text against the moderation filter: REVIEW_BANNED_WORDS and, unless
+ * REVIEW_ALLOW_LINKS is set, links.
+ *
+ * @param {string} reviewText - The text of the review.
+ * @returns {?string} - Why the review should be held, or null if it can be shown right away.
+ */
+function screenReview(reviewText) {
+  const words = spacedWords(reviewText);
+  const banned = REVIEW_BANNED_WORDS.find(word => words.includes(spacedWords(word)));
+  if (banned) {
+    return `Contains the banned word "${banned}"`;
+  }
+  if (!REVIEW_ALLOW_LINKS && LINK_PATTERN.test(reviewText)) {
+    return 'Contains a link';
+  }
+  return null;
+}
+
+/**
+ * Lowercases text and reduces it to its words separated by single spaces, with a space at each
+ * end, so a phrase can be found in it as a substring only at word boundaries.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The spaced words.
+ */
+function spacedWords(text) {
+  return ` ${text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word).join(' ')} `;
+}
+
+/**
+ * Reports another user's approved review. A review reported by REVIEW_REPORT_THRESHOLD users
+ * since a moderator last decided on it goes back to the moderation queue.
+ *
+ * @param {number} userId - The ID of the reporting user.
+ * @param {number} reviewId - The ID of the review.
+ * @param {?string} reason - What the user says is wrong with the review.
+ * @returns {Promise<Object>} - A `held` flag set when the report sent the review back to the
+ * queue, or a `notFound`, `ownReview` or `duplicate` flag explaining why nothing was reported.
+ */
+async function reportReview(userId, reviewId, reason) {
+  return database.transaction(async tx => {
+    const review = await reviewRepo.findById(tx, reviewId, RESTOCKING_STATUSES);
+    if (!review || review.status !== 'approved') {
+      return {notFound: true};
+    }
+    if (review.user_id === userId) {
+      return {ownReview: true};
+    }
+    const openReports = await reviewRepo.addReport(tx, reviewId, userId, reason);
+    if (openReports === null) {
+      return {duplicate: true};
+    }
+    const held = openReports >= REVIEW_REPORT_THRESHOLD;
+    if (held) {
+      await reviewRepo.hold(tx, reviewId, `Reported by ${openReports} users`);
+    }
+    return {held};
+  });
+}
+
+/**
+ * Lists reviews for moderators, each with its open reports.
+ *
+ * @param {?string} status - The status to list, or null for the moderation queue.
+ * @returns {Promise<Array<Object>>} - The reviews.
+ */
+async function getModerationReviews(status) {
+  const db = database.reader();
+  const reviews = await reviewRepo.listForModeration(db, status, RESTOCKING_STATUSES);
+  for (const review of reviews) {
+    review.reports = review.open_reports > 0 ?
+      await reviewRepo.listOpenReports(db, review.review_id) : [];
+  }
+  return reviews;
+}
+
+/**
+ * Approves, rejects or hides a review and closes its open reports.
+ *
+ * @param {number} moderatorId - The ID of the signed-in admin.
+ * @param {number} reviewId - The ID of the review.
+ * @param {{status: string, reason: ?string}} decision - The review's new status and the reason.
+ * @returns {Promise<?Object>} - The review, or null if it does not exist.
+ */
+async function moderateReview(moderatorId, reviewId, decision) {
+  const found = await database.transaction(tx => reviewRepo.moderate(tx, reviewId,
+    decision.status, decision.reason, moderatorId));
+  return found ? reviewRepo.findById(database.reader(), reviewId, RESTOCKING_STATUSES) : null;
+}
+
+/**
+ * Retrieves the rating summary and one page of reviews for a given vehicle from the database.
+ * Only approved reviews are listed or counted. Each review carries its `helpful_count` and a
+ * `verified_purchase` flag, set when the reviewer has a current order for the vehicle.
+ *
+ * @async
+ * @param {number} vehicleId - The ID of the vehicle to retrieve feedback for.
+ * @param {{sort: string, limit: number, offset: number}} page - The page: its `sort`, a key of
+ * REVIEW_SORTS in repositories/reviews.js, `limit` and `offset`.
+ * @param {?number} userId - The ID of the signed-in user, or null if signed out.
+ * @returns {Promise<Object>} - The `averageRating`, the `reviewCount`, a `histogram` of the
+ * number of reviews giving each star rating from 1 to 5, the page's `sort`, `limit` and `offset`,
+ * its `reviews`, and the user's `ownReview` of the vehicle in any status, or null.
+ */
+async function getProductFeedback(vehicleId, page, userId) {
+  const db = database.reader();
+  const reviews = await reviewRepo.listForVehicle(db, vehicleId, RESTOCKING_STATUSES, page);
+  const ownReview = userId ?
+    await reviewRepo.findForUser(db, vehicleId, userId, RESTOCKING_STATUSES) : null;
+  return {
+    ...await getRatingSummary(vehicleId),
+    sort: page.sort,
+    limit: page.limit,
+    offset: page.offset,
+    reviews,
+    ownReview: ownReview || null
+  };
+}
+
+/**
+ * Summarizes a vehicle's approved reviews.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<Object>} - The `averageRating` (0 without reviews), `reviewCount` and a
+ * `histogram` counting the reviews giving each rating from 1 to 5.
+ */
+async function getRatingSummary(vehicleId) {
+  const db = database.reader();
+  const {averageRating, count} = await reviewRepo.summarize(db, vehicleId);
+  const histogram = {1: 0, 2: 0, 3: 0, 4: 0, 5: 0};
+  for (const row of await reviewRepo.countByRating(db, vehicleId)) {
+    histogram[row.rating] = row.count;
+  }
+  return {averageRating: roundRating(averageRating), reviewCount: count, histogram};
+}
+
+/**
+ * Gathers vehicles and their rating summaries and lines up their COMPARE_ATTRIBUTES.
+ *
+ * @param {Array<number>} ids - The IDs of the vehicles, in display order.
+ * @returns {Promise<Object>} - The `vehicles` and `attributes` described under GET /compare, or
+ * the `missingId` of the first vehicle that does not exist (null if all exist).
+ */
+async function compareVehicles(ids) {
+  const vehicles = [];
+  for (const vehicleId of ids) {
+    const vehicle = await vehicleRepo.findById(database.reader(), vehicleId);
+    if (!vehicle) {
+      return {missingId: vehicleId};
+    }
+    vehicles.push({...vehicle, ratingSummary: await getRatingSummary(vehicleId)});
+  }
+  const attributes = COMPARE_ATTRIBUTES.map(({key, label}) => {
+    const values = vehicles.map(vehicle => {
+      if (key === 'body_type') {
+        return vehicle.body_type && taxonomyRepo.taxonomyLabel(vehicle.body_type);
+      }
+      if (key === 'tags') {
+        return vehicle.tags.map(taxonomyRepo.taxonomyLabel);
+      }
+      return Object.hasOwn(vehicle.ratingSummary, key) ? vehicle.ratingSummary[key] : vehicle[key];
+    });
+    const shown = values.map(value => JSON.stringify(value));
+    return {key, label, values, differs: shown.some(value => value !== shown[0])};
+  });
+  return {missingId: null, vehicles, attributes};
+}
+
+/**
+ * Prices one of a vehicle under financing terms and estimates its ownership cost.
+ *
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {Object} terms - The terms produced by financingTerms.
+ * @param {Object} usage - The `electricityRate` and `annualMiles` assumed.
+ * @returns {Promise<?Object>} - The estimate described under GET /vehicle/:vehicleId/financing,
+ * an `overpaid` flag if the down payment and trade-in exceed the price, or null if the vehicle
+ * does not exist.
+ */
+async function estimateFinancing(vehicleId, terms, usage) {
+  const vehicle = await getVehicleInfo(vehicleId);
+  if (!vehicle) {
+    return null;
+  }
+  const totals = computeTotals([{unitPrice: vehicle.price, quantity: 1}]);
+  if (terms.downPayment + terms.tradeIn > totals.total) {
+    return {overpaid: true};
+  }
+  const payments = financing.calculatePayments(totals, terms);
+  return {
+    vehicleId,
+    ...totals,
+    terms,
+    ...payments,
+    ownership: financing.ownershipCost(vehicle, terms, payments, usage)
+  };
+}
+
+/**
+ * Fills in the financing terms a request validated against FINANCING_TERMS left to the plan.
+ *
+ * @param {Object} source - The validated query parameters or `financing` field.
+ * @returns {Object} - The `plan`, `downPayment` and `tradeIn` rounded to cents, `apr`,
+ * `termMonths`, defaulting to the plan's, and `residualPercent`, null for loans.
+ */
+function financingTerms(source) {
+  return {
+    plan: source.plan,
+    downPayment: roundCents(source.downPayment),
+    tradeIn: roundCents(source.tradeIn),
+    apr: source.apr,
+    termMonths: source.termMonths === undefined ? FINANCING_PLANS[source.plan].termMonths :
+      source.termMonths,
+    residualPercent: source.plan === 'loan' ? null : source.residualPercent
+  };
+}
+
+/**
+ * Adds or withdraws the signed-in user's helpful vote for another user's approved review.
+ *
+ * @param {number} userId - The ID of the voting user.
+ * @param {number} reviewId - The ID of the review.
+ * @param {boolean} helpful - True to vote, false to withdraw the vote.
+ * @returns {Promise<Object>} - The review's new `helpfulCount`, or a `notFound` or `ownReview`
+ * flag explaining why nothing changed.
+ */
+async function voteHelpful(userId, reviewId, helpful) {
+  return database.transaction(async tx => {
+    const review = await reviewRepo.findById(tx, reviewId, RESTOCKING_STATUSES);
+    if (!review || review.status !== 'approved') {
+      return {notFound: true};
+    }
+    if (review.user_id === userId) {
+      return {ownReview: true};
+    }
+    if (helpful) {
+      await reviewRepo.addVote(tx, reviewId, userId);
+    } else {
+      await reviewRepo.removeVote(tx, reviewId, userId);
+    }
+    return {helpfulCount: await reviewRepo.countVotes(tx, reviewId)};
+  });
+}
+
+/**
+ * Rounds an average rating to one decimal place.
+ *
+ * @param {?number} rating - The average rating, or null if there are no ratings.
+ * @returns {number} - The rounded rating, 0 if there are no ratings.
+ */
+function roundRating(rating) {
+  return Math.round(10 * rating) / 10;
+}
+
+/**
+ * Handles submitting feedback/rating/review for a product as the signed-in user. Each user can
+ * review a vehicle once and change that review later with PUT /review/:reviewId. Reviews with a
+ * banned word or a link are held until a moderator approves them.
+ *
+ * @function
+ * @name POST /feedback
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If there are missing parameters.
+ * @throws {400} Bad Request - If the rating is not a whole number from 1 to 5 or the text is
+ * too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If the user has already reviewed the vehicle.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns a success message upon successful submission, with status 202 if
+ * the review is held for moderation.
+ *
+ * @deprecated Use POST /api/v1/vehicles/:vehicleId/reviews.
+ */
+app.post('/feedback', deprecated('/vehicles/:vehicleId/reviews'), requireSession, validate({
+  body: {...VEHICLE_ID, ...REVIEW_FIELDS}
+}), async function(req, res, next) {
+  const userId = req.userId;
+  const {vehicleId, rating, reviewText} = req.body;
+  try {
+    const vehicle = await checkVehicleId(vehicleId);
+    if (!vehicle) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    const added = await addProductFeedback(userId, vehicleId, rating, reviewText);
+    if (!added) {
+      sendError(res, 409, 'already_reviewed',
+        'You have already reviewed this vehicle; edit your review instead');
+    } else if (added.held) {
+      res.status(202)
+        .type('text')
+        .send('Thanks! Your review will appear once a moderator approves it');
+    } else {
+      res.type('text')
+        .send('Review added successfully!');
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Adds the signed-in user's review of a vehicle. Each user can review a vehicle once and change
+ * that review later with PUT /api/v1/reviews/:reviewId. Reviews with a banned word or a link are
+ * held until a moderator approves them.
+ *
+ * @function
+ * @name POST /api/v1/vehicles/:vehicleId/reviews
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `rating` and `reviewText`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the rating is not a whole number from 1 to 5 or the text is
+ * missing or too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the vehicle does not exist.
+ * @throws {409} Conflict - If the user has already reviewed the vehicle.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the new review with status 201. Its `status` is `pending` while it
+ * waits for a moderator.
+ */
+api.post('/vehicles/:vehicleId/reviews', requireSession, validate({
+  params: VEHICLE_ID,
+  body: REVIEW_FIELDS
+}), async function(req, res, next) {
+  const {vehicleId} = req.params;
+  const {rating, reviewText} = req.body;
+  try {
+    if (!await checkVehicleId(vehicleId)) {
+      sendError(res, 404, 'vehicle_not_found', 'Vehicle not found');
+      return;
+    }
+    const added = await addProductFeedback(req.userId, vehicleId, rating, reviewText);
+    if (!added) {
+      sendError(res, 409, 'already_reviewed',
+        'You have already reviewed this vehicle; edit your review instead');
+      return;
+    }
+    res.status(201)
+      .json(await reviewRepo.findById(database.reader(), added.reviewId, RESTOCKING_STATUSES));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Changes the rating and text of one of the signed-in user's reviews. New text with a banned word
+ * or a link sends the review back to the moderation queue.
+ *
+ * @function
+ * @name PUT /api/v1/reviews/:reviewId
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `rating` and `reviewText`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the rating is not a whole number from 1 to 5 or the text is
+ * missing or too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the user has no review with this ID.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the updated review, whose `status` is `pending` while it waits
+ * for a moderator.
+ */
+route('put', '/reviews/:reviewId', '/review/:reviewId', requireSession, validate({
+  params: REVIEW_ID,
+  body: REVIEW_FIELDS
+}), async function(req, res, next) {
+  try {
+    const {rating, reviewText} = req.body;
+    const updated = await editReview(req.userId, req.params.reviewId, {rating, reviewText});
+    if (!updated) {
+      sendError(res, 404, 'review_not_found', 'Review not found');
+      return;
+    }
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Deletes one of the signed-in user's reviews.
+ *
+ * @function
+ * @name DELETE /api/v1/reviews/:reviewId
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {404} Not Found - If the user has no review with this ID.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {string} - Returns a success message.
+ */
+route('delete', '/reviews/:reviewId', '/review/:reviewId',
+  requireSession, validate({params: REVIEW_ID}), async function(req, res, next) {
+    try {
+      if (!await deleteReview(req.userId, Number(req.params.reviewId))) {
+        sendError(res, 404, 'review_not_found', 'Review not found');
+        return;
+      }
+      res.type('text')
+        .send('Review deleted');
+    } catch (err) {
+      next(err);
+    }
+  });
+
+/**
+ * Reports another user's review to the moderators. Once REVIEW_REPORT_THRESHOLD users have
+ * reported a review it is hidden until a moderator approves it again.
+ *
+ * @function
+ * @name POST /api/v1/reviews/:reviewId/reports
+ * @async
+ *
+ * @param {Object} req - Express request object. The body may hold a `reason`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the reason is too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the review is the user's own.
+ * @throws {404} Not Found - If no approved review has this ID.
+ * @throws {409} Conflict - If the user has already reported the review.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {string} - Returns a confirmation message with status 201.
+ */
+route('post', '/reviews/:reviewId/reports', '/review/:reviewId/report', requireSession, validate({
+  params: REVIEW_ID,
+  body: {reason: {type: 'string', trim: true, maxLength: MAX_REPORT_REASON_LENGTH}}
+}), async function(req, res, next) {
+  try {
+    const result = await reportReview(req.userId, req.params.reviewId, req.body.reason || null);
+    if (result.notFound) {
+      sendError(res, 404, 'review_not_found', 'Review not found');
+    } else if (result.ownReview) {
+      sendError(res, 403, 'own_review', 'You cannot report your own review');
+    } else if (result.duplicate) {
+      sendError(res, 409, 'already_reported', 'You have already reported this review');
+    } else {
+      res.status(201)
+        .type('text')
+        .send('Thanks for the report; a moderator will look at this review');
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Marks another user's review as helpful to the signed-in user. Voting twice counts once.
+ *
+ * @function
+ * @name POST /api/v1/reviews/:reviewId/helpful-vote
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the review is the user's own.
+ * @throws {404} Not Found - If no approved review has this ID.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the `reviewId` and its new `helpfulCount`.
+ */
+route('post', '/reviews/:reviewId/helpful-vote', '/review/:reviewId/helpful',
+  requireSession, validate({params: REVIEW_ID}), async function(req, res, next) {
+    await sendHelpfulVote(req, res, next, true);
+  });
+
+/**
+ * Withdraws the signed-in user's helpful vote for a review.
+ *
+ * @function
+ * @name DELETE /api/v1/reviews/:reviewId/helpful-vote
+ * @async
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the review is the user's own.
+ * @throws {404} Not Found - If no approved review has this ID.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the `reviewId` and its new `helpfulCount`.
+ */
+route('delete', '/reviews/:reviewId/helpful-vote', '/review/:reviewId/helpful',
+  requireSession, validate({params: REVIEW_ID}), async function(req, res, next) {
+    await sendHelpfulVote(req, res, next, false);
+  });
+
+/**
+ * Adds or withdraws a helpful vote and sends the review's new count.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ * @param {boolean} helpful - True to vote, false to withdraw the vote.
+ * @returns {Promise<void>}
+ */
+async function sendHelpfulVote(req, res, next, helpful) {
+  try {
+    const {reviewId} = req.params;
+    const result = await voteHelpful(req.userId, reviewId, helpful);
+    if (result.notFound) {
+      sendError(res, 404, 'review_not_found', 'Review not found');
+    } else if (result.ownReview) {
+      sendError(res, 403, 'own_review', 'You cannot vote on your own review');
+    } else {
+      res.json({reviewId, helpfulCount: result.helpfulCount});
+    }
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Lists reviews for moderation. Without a `status`, returns the moderation queue: reviews held
+ * by the filter or by reports, and approved reviews with open reports.
+ *
+ * @function
+ * @name GET /api/v1/admin/reviews
+ * @async
+ *
+ * @param {Object} req - Express request object. The optional `status` query parameter is one of
+ * REVIEW_STATUSES.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the status is unknown.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns `reviews`, oldest first, each with its vehicle's `model_name`, its
+ * `moderation_reason` and its open `reports`.
+ */
+route('get', '/admin/reviews', '/admin/reviews', requireSession, requireAdmin, validate({
+  query: {status: {type: 'string', values: REVIEW_STATUSES, default: null}}
+}), async function(req, res, next) {
+  try {
+    res.json({reviews: await getModerationReviews(req.query.status)});
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Approves, rejects or hides a review. Rejecting keeps a held review off the site and hiding
+ * takes down a shown one; both need a reason. The decision closes the review's open reports.
+ *
+ * @function
+ * @name POST /api/v1/admin/reviews/:reviewId/moderation
+ * @async
+ *
+ * @param {Object} req - Express request object. The body holds `action`, one of the keys of
+ * MODERATION_ACTIONS, and `reason`.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes unexpected errors to the error handler.
+ *
+ * @throws {400} Bad Request - If the action is unknown or the reason is missing or too long.
+ * @throws {401} Unauthorized - If the session token is missing, invalid or expired.
+ * @throws {403} Forbidden - If the signed-in user is not an admin.
+ * @throws {404} Not Found - If the review does not exist.
+ * @throws {500} Internal Server Error - If there is an issue with the server.
+ *
+ * @returns {Object} - Returns the review.
+ */
+route('post', '/admin/reviews/:reviewId/moderation', '/admin/reviews/:reviewId/moderate',
+  requireSession, requireAdmin, validate({params: REVIEW_ID, body: {
+    action: {type: 'string', required: true, values: Object.keys(MODERATION_ACTIONS)},
+    reason: {type: 'string', trim: true, maxLength: MAX_MODERATION_REASON_LENGTH, default: null}
+  }}), async function(req, res, next) {
+    const {action, reason} = req.body;
+    if (MODERATION_ACTIONS[action].needsReason && !reason) {
+      next(fieldError('body', 'reason', `A reason is required to ${action} a review`));
+      return;
+    }
+    try {
+      const review = await moderateReview(req.userId, req.params.reviewId,
+        {status: MODERATION_ACTIONS[action].status, reason});
+      if (!review) {
+        sendError(res, 404, 'review_not_found', 'Review not found');
+        return;
+      }
+      res.json(review);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+app.use(notFound);
+app.use(handleErrors);
+
+// The app is exported without listening, so tests and scripts can open the database and serve it
+// themselves; running this file opens DB_PATH and listens on PORT.
+module.exports = {app, initDatabase, deliverNotifications, hashPassword, parseCatalog,
+  importCatalog, exportCatalog, toCsv, loadRecommendationSnapshot, computeTotals, insertOrder,
+  placeOrder, CATALOG_EXPORT_COLUMNS};
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 8000;
+  Promise.resolve().then(checkSessionSecret).then(initDatabase).then(() => {
+    deliverNotifications();
+    const server = app.listen(PORT);
+    process.once('SIGTERM', () => shutDown(server));
+    process.once('SIGINT', () => shutDown(server));
+  }).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
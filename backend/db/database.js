@@ -0,0 +1,237 @@
+/**
+ * The app's connections to its SQLite database, opened once at startup with open() and closed
+ * with close() on shutdown. There are two: a read-only connection for queries made outside a
+ * transaction and a writer that runs transaction() and exclusive() work one at a time. Both use
+ * WAL mode, so reads go on while a write transaction is open. An in-memory database has a single
+ * connection used for both.
+ *
+ * Repositories take either connection's executor, which has `get`, `all` and `run` like a
+ * sqlite Database plus `exec` for scripts of several statements. The executor prepares each SQL
+ * string once and reuses the statement, keeping the most recently used MAX_CACHED_STATEMENTS.
+ * writeCount() goes up after every write, for caches of data read from the database.
+ */
+
+"use strict";
+
+const sqlite = require('sqlite');
+const sqlite3 = require('sqlite3');
+
+const BUSY_TIMEOUT_MS = 5000;
+const MAX_CACHED_STATEMENTS = 200;
+
+let connections = null;
+let writeQueue = Promise.resolve();
+let writes = 0;
+
+/**
+ * Opens the database, creating its file if needed.
+ *
+ * @param {string} filename - The SQLite file, or `:memory:`.
+ * @returns {Promise<void>}
+ */
+async function open(filename) {
+  if (connections) {
+    throw new Error('The database is already open');
+  }
+  const writer = await connect(filename, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+  await writer.exec('PRAGMA journal_mode = WAL');
+  await writer.exec('PRAGMA synchronous = NORMAL');
+  const reader = filename === ':memory:' ? writer :
+    await connect(filename, sqlite3.OPEN_READONLY);
+  connections = {writer, reader};
+}
+
+/**
+ * Checks whether the database is open.
+ *
+ * @returns {boolean} - True between open() and close().
+ */
+function isOpen() {
+  return connections !== null;
+}
+
+/**
+ * Returns the executor for queries outside a transaction. Each query sees every transaction
+ * committed before it started.
+ *
+ * @returns {Object} - The read-only executor.
+ */
+function reader() {
+  return current().reader;
+}
+
+/**
+ * Runs `work` inside a write transaction, committing if it resolves and rolling back if it
+ * throws. Write transactions from this process are queued one at a time so waiting writers do not
+ * tie up the SQLite driver's worker threads, and BEGIN IMMEDIATE still locks out other processes.
+ *
+ * @param {Function} work - Async callback issuing the transaction's statements on the executor it
+ * is passed.
+ * @returns {Promise<*>} - Resolves with the value returned by `work`.
+ */
+function transaction(work) {
+  return exclusive(async db => {
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work(db);
+      await db.run('COMMIT');
+      return result;
+    } catch (err) {
+      await db.run('ROLLBACK');
+      throw err;
+    }
+  });
+}
+
+/**
+ * Runs `work` with the writer once every queued write has finished, without starting a
+ * transaction, for work such as migrations that manages its own.
+ *
+ * @param {Function} work - Async callback passed the writer's executor.
+ * @returns {Promise<*>} - Resolves with the value returned by `work`.
+ */
+function exclusive(work) {
+  const {writer} = current();
+  const run = writeQueue.then(() => work(writer))
+    .finally(() => {
+      writes++;
+    });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Counts the transaction() and exclusive() calls that have finished, so callers keeping data
+ * read from the database can tell when it may have changed.
+ *
+ * @returns {number} - The count, which only goes up.
+ */
+function writeCount() {
+  return writes;
+}
+
+/**
+ * Waits for queued writes to finish and closes the database.
+ *
+ * @returns {Promise<void>}
+ */
+async function close() {
+  if (!connections) {
+    return;
+  }
+  const {writer, reader: readOnly} = connections;
+  connections = null;
+  await writeQueue;
+  if (readOnly !== writer) {
+    await readOnly.close();
+  }
+  await writer.close();
+}
+
+/**
+ * Returns the open connections.
+ *
+ * @returns {{writer: Object, reader: Object}} - The executors.
+ */
+function current() {
+  if (!connections) {
+    throw new Error('The database is not open');
+  }
+  return connections;
+}
+
+/**
+ * Opens one connection and wraps it in an executor.
+ *
+ * @param {string} filename - The SQLite file.
+ * @param {number} mode - The sqlite3 open flags.
+ * @returns {Promise<Object>} - The executor.
+ */
+async function connect(filename, mode) {
+  const db = await sqlite.open({filename, mode, driver: sqlite3.Database});
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  return createExecutor(db);
+}
+
+/**
+ * Wraps a connection so queries reuse prepared statements. Uses of one statement are queued so
+ * each runs and resets it before the next binds its parameters, and the reset leaves no statement
+ * holding a read transaction open.
+ *
+ * @param {sqlite.Database} db - The connection.
+ * @returns {Object} - The executor.
+ */
+function createExecutor(db) {
+  const statements = new Map();
+
+  const prepared = sql => {
+    let entry = statements.get(sql);
+    if (entry) {
+      statements.delete(sql);
+    } else {
+      entry = {statement: db.prepare(sql), queue: Promise.resolve(), users: 0, evicted: false};
+      entry.statement.catch(() => statements.get(sql) === entry && statements.delete(sql));
+    }
+    statements.set(sql, entry);
+    if (statements.size > MAX_CACHED_STATEMENTS) {
+      const [oldestSql, oldest] = statements.entries().next().value;
+      statements.delete(oldestSql);
+      oldest.evicted = true;
+      if (oldest.users === 0) {
+        finalize(oldest);
+      }
+    }
+    return entry;
+  };
+
+  const use = method => async (sql, ...params) => {
+    const values = params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+    const entry = prepared(sql);
+    entry.users++;
+    const run = entry.queue.then(async () => {
+      const statement = await entry.statement;
+      try {
+        return await statement[method](...values);
+      } finally {
+        await statement.reset();
+      }
+    });
+    entry.queue = run.catch(() => {});
+    try {
+      return await run;
+    } finally {
+      entry.users--;
+      if (entry.evicted && entry.users === 0) {
+        finalize(entry);
+      }
+    }
+  };
+
+  return {
+    get: use('get'),
+    all: use('all'),
+    run: use('run'),
+    exec: sql => db.exec(sql),
+    async close() {
+      await Promise.all([...statements.values()].map(finalize));
+      statements.clear();
+      await db.close();
+    }
+  };
+}
+
+/**
+ * Finalizes a cached statement, ignoring statements that failed to prepare.
+ *
+ * @param {Object} entry - The cache entry.
+ * @returns {Promise<void>}
+ */
+async function finalize(entry) {
+  try {
+    await (await entry.statement).finalize();
+  } catch (err) {
+    // The statement never prepared, so there is nothing to finalize.
+  }
+}
+
+module.exports = {open, isOpen, reader, transaction, exclusive, writeCount, close};
@@ -0,0 +1,144 @@
+/**
+ * Schema migrations. Each file in migrations/ is named `<version>_<name>.sql` or
+ * `<version>_<name>.js` and is applied once, in version order, inside its own transaction. The
+ * versions applied so far are recorded in the schema_migrations table.
+ *
+ * SQL migrations are run as they are. JS migrations export `up(db, helpers)`, where `helpers`
+ * holds the app functions a data migration may need, such as `hashPassword`, and `log`, which
+ * reports any change to existing data that users or support may need to know about.
+ *
+ * tables.sql always describes the schema after the latest migration, so a database built from it
+ * has every migration marked as applied without running any.
+ *
+ * Migrations 1 to 7 replace steps that used to run on every startup, so some databases already
+ * have their changes without a record of them. They check before changing anything.
+ */
+
+"use strict";
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SCHEMA_FILE = path.join(__dirname, 'tables.sql');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.(sql|js)$/;
+
+/**
+ * Lists the migration files in version order.
+ *
+ * @returns {Promise<Array<{version: number, name: string, file: string}>>} - The migrations.
+ */
+async function listMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(match => match)
+    .map(match => ({version: Number(match[1]), name: match[2], file: match[0]}))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies every migration that has not been applied yet.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} helpers - Functions passed on to JS migrations.
+ * @returns {Promise<Array<string>>} - The files of the migrations applied.
+ */
+async function runMigrations(db, helpers) {
+  await createMigrationsTable(db);
+  const applied = new Set((await db.all('SELECT version FROM schema_migrations'))
+    .map(row => row.version));
+  const ran = [];
+  for (const migration of await listMigrations()) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+    const file = path.join(MIGRATIONS_DIR, migration.file);
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      if (file.endsWith('.sql')) {
+        await db.exec(await fs.readFile(file, 'utf8'));
+      } else {
+        await require(file).up(db, helpers);
+      }
+      await recordMigration(db, migration);
+      await db.run('COMMIT');
+    } catch (err) {
+      await db.run('ROLLBACK');
+      err.message = `Migration ${migration.file} failed: ${err.message}`;
+      throw err;
+    }
+    ran.push(migration.file);
+  }
+  return ran;
+}
+
+/**
+ * Builds the current schema from tables.sql in an empty database and marks every migration as
+ * applied.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function createSchema(db) {
+  await db.exec(await fs.readFile(SCHEMA_FILE, 'utf8'));
+  await createMigrationsTable(db);
+  for (const migration of await listMigrations()) {
+    await recordMigration(db, migration);
+  }
+}
+
+/**
+ * Checks whether a database has no tables yet, as when its file has just been created.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<boolean>} - True if the database is empty.
+ */
+async function isEmpty(db) {
+  const row = await db.get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+  return row.count === 0;
+}
+
+/**
+ * Creates the schema_migrations table unless it exists.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function createMigrationsTable(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * Records a migration as applied.
+ *
+ * @param {Object} db - The database executor.
+ * @param {{version: number, name: string}} migration - The migration.
+ * @returns {Promise<void>}
+ */
+async function recordMigration(db, migration) {
+  await db.run('INSERT OR IGNORE INTO schema_migrations (version, name) VALUES (?, ?)',
+    migration.version, migration.name);
+}
+
+/**
+ * Adds a column to a table unless the table already has it.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} table - The table to alter.
+ * @param {string} column - The name of the column.
+ * @param {string} definition - The column's type and constraints.
+ * @returns {Promise<void>}
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = {listMigrations, runMigrations, createSchema, isEmpty, addColumnIfMissing};
@@ -0,0 +1,21 @@
+/**
+ * Replaces the plaintext passwords the users table started with by scrypt hashes.
+ */
+
+"use strict";
+
+/**
+ * @param {Object} db - The database executor.
+ * @param {{hashPassword: Function}} helpers - The app's password hashing.
+ * @returns {Promise<void>}
+ */
+async function up(db, helpers) {
+  const qry = "SELECT user_id, password FROM users WHERE password NOT LIKE 'scrypt$%'";
+  const users = await db.all(qry);
+  for (const user of users) {
+    await db.run('UPDATE users SET password = ? WHERE user_id = ?',
+      await helpers.hashPassword(user.password), user.user_id);
+  }
+}
+
+module.exports = {up};
@@ -0,0 +1,20 @@
+/**
+ * Lets purchases carry an idempotency key, unique per user, so a retried request can't place a
+ * second order.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+/**
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await addColumnIfMissing(db, 'transactions', 'idempotency_key', 'TEXT');
+  await db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS transactions_idempotency_key
+    ON transactions (user_id, idempotency_key)`);
+}
+
+module.exports = {up};
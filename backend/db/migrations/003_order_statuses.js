@@ -0,0 +1,29 @@
+/**
+ * Gives orders a status and a history of status changes, starting each existing order's history
+ * at the date it was placed.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+/**
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await addColumnIfMissing(db, 'transactions', 'status', "TEXT NOT NULL DEFAULT 'confirmed'");
+  await db.exec(`CREATE TABLE IF NOT EXISTS order_status_history (
+    history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    note TEXT,
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+  )`);
+  await db.run(`INSERT INTO order_status_history (transaction_id, status, note, changed_at)
+    SELECT transaction_id, status, 'Order placed', date FROM transactions
+    WHERE transaction_id NOT IN (SELECT transaction_id FROM order_status_history)`);
+}
+
+module.exports = {up};
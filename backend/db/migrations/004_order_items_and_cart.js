@@ -0,0 +1,56 @@
+/**
+ * Adds order line items, order totals and the per-user cart. Orders from before line items
+ * existed kept their one vehicle in `transactions.vehicle_id`; they are moved into order_items,
+ * with the vehicle's current price standing in for the price that was never recorded.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+/**
+ * @param {Object} db - The database executor.
+ * @param {{computeTotals: Function}} helpers - The app's order total calculation.
+ * @returns {Promise<void>}
+ */
+async function up(db, helpers) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS order_items (
+      item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      vehicle_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      unit_price DECIMAL(10, 2) NOT NULL,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id),
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+    );
+    CREATE TABLE IF NOT EXISTS cart_items (
+      user_id INTEGER NOT NULL,
+      vehicle_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, vehicle_id),
+      FOREIGN KEY (user_id) REFERENCES users(user_id),
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+    );`);
+  for (const column of ['subtotal', 'tax', 'fees', 'total']) {
+    await addColumnIfMissing(db, 'transactions', column, 'DECIMAL(10, 2)');
+  }
+
+  const ordersQry = `
+    SELECT transactions.transaction_id, transactions.vehicle_id, vehicles.price
+    FROM transactions
+    JOIN vehicles ON transactions.vehicle_id = vehicles.vehicle_id
+    WHERE transactions.transaction_id NOT IN (SELECT transaction_id FROM order_items)`;
+  const itemQry = `INSERT INTO order_items (transaction_id, vehicle_id, quantity, unit_price)
+    VALUES (?, ?, 1, ?)`;
+  const totalsQry = `UPDATE transactions SET subtotal = ?, tax = ?, fees = ?, total = ?
+    WHERE transaction_id = ?`;
+  for (const order of await db.all(ordersQry)) {
+    const totals = helpers.computeTotals([{unitPrice: order.price, quantity: 1}]);
+    await db.run(itemQry, order.transaction_id, order.vehicle_id, order.price);
+    await db.run(totalsQry, totals.subtotal, totals.tax, totals.fees, totals.total,
+      order.transaction_id);
+  }
+}
+
+module.exports = {up};
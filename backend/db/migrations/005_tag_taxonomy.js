@@ -0,0 +1,77 @@
+/**
+ * Moves the free-text `vehicles.tags` column, whose first entry was the body type, into the
+ * body_types, tags and vehicle_tags tables and then drops it, along with the first search index,
+ * which was built on it.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+// Catalog order of the body types that existed before they had their own table.
+const LEGACY_BODY_TYPES = ['sedan', 'suv', 'hatchback', 'truck', 'crossover', 'fastback'];
+
+/**
+ * @param {Object} db - The database executor.
+ * @param {{taxonomyLabel: Function}} helpers - The app's label formatting for slugs.
+ * @returns {Promise<void>}
+ */
+async function up(db, helpers) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS body_types (
+      body_type_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      label TEXT NOT NULL,
+      plural_label TEXT NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS tags (
+      tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      label TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS vehicle_tags (
+      vehicle_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (vehicle_id, tag_id),
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id),
+      FOREIGN KEY (tag_id) REFERENCES tags(tag_id)
+    );`);
+  await addColumnIfMissing(db, 'vehicles', 'body_type_id',
+    'INTEGER REFERENCES body_types(body_type_id)');
+
+  const columns = await db.all('PRAGMA table_info(vehicles)');
+  if (!columns.some(col => col.name === 'tags')) {
+    return;
+  }
+  const bodyTypeQry = `INSERT INTO body_types (slug, label, plural_label, sort_order)
+    VALUES (?, ?, ?, ?) ON CONFLICT (slug) DO NOTHING`;
+  const tagQry = 'INSERT INTO tags (slug, label) VALUES (?, ?) ON CONFLICT (slug) DO NOTHING';
+  const vehicleQry = `UPDATE vehicles SET body_type_id =
+    (SELECT body_type_id FROM body_types WHERE slug = ?) WHERE vehicle_id = ?`;
+  const vehicleTagQry = `INSERT OR IGNORE INTO vehicle_tags (vehicle_id, tag_id)
+    SELECT ?, tag_id FROM tags WHERE slug = ?`;
+  for (const vehicle of await db.all('SELECT vehicle_id, tags FROM vehicles')) {
+    const [bodyType, ...tags] = (vehicle.tags || '').split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(tag => tag !== '');
+    if (bodyType) {
+      const order = LEGACY_BODY_TYPES.indexOf(bodyType);
+      const label = helpers.taxonomyLabel(bodyType);
+      await db.run(bodyTypeQry, bodyType, label, `${label}s`,
+        order === -1 ? LEGACY_BODY_TYPES.length : order);
+      await db.run(vehicleQry, bodyType, vehicle.vehicle_id);
+    }
+    for (const tag of tags) {
+      await db.run(tagQry, tag, helpers.taxonomyLabel(tag));
+      await db.run(vehicleTagQry, vehicle.vehicle_id, tag);
+    }
+  }
+  await db.exec(`DROP TRIGGER IF EXISTS vehicles_search_insert;
+    DROP TRIGGER IF EXISTS vehicles_search_delete;
+    DROP TRIGGER IF EXISTS vehicles_search_update;
+    DROP TABLE IF EXISTS vehicle_search_vocab;
+    DROP TABLE IF EXISTS vehicle_search;
+    ALTER TABLE vehicles DROP COLUMN tags;`);
+}
+
+module.exports = {up};
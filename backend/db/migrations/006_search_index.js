@@ -0,0 +1,55 @@
+/**
+ * Creates the full-text index over the catalog and the triggers that keep it in sync with the
+ * vehicles and vehicle_tags tables, then fills it. The index stores its own copy of each
+ * vehicle's text, taken from the vehicle_search_source view, since the tag text lives outside the
+ * vehicles table.
+ */
+
+"use strict";
+
+/**
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  const columns = 'model_name, make, description, tags';
+  const reindex = vehicleId => `
+    DELETE FROM vehicle_search WHERE rowid = ${vehicleId};
+    INSERT INTO vehicle_search (rowid, ${columns})
+    SELECT * FROM vehicle_search_source WHERE vehicle_id = ${vehicleId};`;
+  await db.exec(`CREATE VIEW IF NOT EXISTS vehicle_search_source AS
+      SELECT vehicles.vehicle_id, vehicles.model_name, vehicles.make, vehicles.description,
+        TRIM(COALESCE(body_types.label, '') || ' ' || COALESCE((
+          SELECT group_concat(tags.label, ' ') FROM vehicle_tags
+          JOIN tags ON vehicle_tags.tag_id = tags.tag_id
+          WHERE vehicle_tags.vehicle_id = vehicles.vehicle_id), '')) AS tags
+      FROM vehicles
+      LEFT JOIN body_types ON vehicles.body_type_id = body_types.body_type_id;
+    CREATE VIRTUAL TABLE IF NOT EXISTS vehicle_search USING fts5(
+      ${columns},
+      tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS vehicle_search_vocab
+      USING fts5vocab(vehicle_search, 'row');
+    CREATE TRIGGER IF NOT EXISTS vehicles_search_insert AFTER INSERT ON vehicles BEGIN
+      ${reindex('new.vehicle_id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS vehicles_search_delete AFTER DELETE ON vehicles BEGIN
+      DELETE FROM vehicle_search WHERE rowid = old.vehicle_id;
+      DELETE FROM vehicle_tags WHERE vehicle_id = old.vehicle_id;
+    END;
+    CREATE TRIGGER IF NOT EXISTS vehicles_search_update
+    AFTER UPDATE OF model_name, make, description, body_type_id ON vehicles BEGIN
+      ${reindex('new.vehicle_id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS vehicle_tags_search_insert AFTER INSERT ON vehicle_tags BEGIN
+      ${reindex('new.vehicle_id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS vehicle_tags_search_delete AFTER DELETE ON vehicle_tags BEGIN
+      ${reindex('old.vehicle_id')}
+    END;
+    DELETE FROM vehicle_search;
+    INSERT INTO vehicle_search (rowid, ${columns}) SELECT * FROM vehicle_search_source;`);
+}
+
+module.exports = {up};
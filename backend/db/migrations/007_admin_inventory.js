@@ -0,0 +1,19 @@
+/**
+ * Adds user roles, so some users can manage the inventory, and lets vehicles be retired from the
+ * catalog without deleting them from past orders.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+/**
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  await addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'customer'");
+  await addColumnIfMissing(db, 'vehicles', 'retired_at', 'DATETIME');
+}
+
+module.exports = {up};
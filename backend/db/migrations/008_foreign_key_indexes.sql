@@ -0,0 +1,11 @@
+-- Indexes for the columns the app joins and filters on, which SQLite does not index by itself.
+CREATE INDEX IF NOT EXISTS transactions_user_id ON transactions (user_id);
+CREATE INDEX IF NOT EXISTS order_items_transaction_id ON order_items (transaction_id);
+CREATE INDEX IF NOT EXISTS order_items_vehicle_id ON order_items (vehicle_id);
+CREATE INDEX IF NOT EXISTS order_status_history_transaction_id
+  ON order_status_history (transaction_id);
+CREATE INDEX IF NOT EXISTS cart_items_vehicle_id ON cart_items (vehicle_id);
+CREATE INDEX IF NOT EXISTS vehicles_body_type_id ON vehicles (body_type_id);
+CREATE INDEX IF NOT EXISTS vehicle_tags_tag_id ON vehicle_tags (tag_id);
+CREATE INDEX IF NOT EXISTS review_vehicle_id ON review (vehicle_id);
+CREATE INDEX IF NOT EXISTS review_user_id ON review (user_id);
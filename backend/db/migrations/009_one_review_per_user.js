@@ -0,0 +1,40 @@
+/**
+ * Allows one review per user per vehicle and records when a review was last edited. Where a user
+ * reviewed a vehicle more than once, the newest review is kept: the one submitted last, or the
+ * one added last if they were submitted at the same time. Every review removed is logged with its
+ * rating and text, so it can be restored by hand. The unique index also serves lookups by user, so
+ * the plain user_id index goes.
+ */
+
+"use strict";
+
+const {addColumnIfMissing} = require('../migrate');
+
+/**
+ * @param {Object} db - The database executor.
+ * @param {{log: Function}} helpers - Reports the reviews removed.
+ * @returns {Promise<void>}
+ */
+async function up(db, {log}) {
+  await addColumnIfMissing(db, 'review', 'updated_at', 'DATETIME');
+  const reviews = await db.all(`SELECT review_id, user_id, vehicle_id, rating, review_text,
+      date_submitted
+    FROM review
+    ORDER BY user_id, vehicle_id, date_submitted DESC, review_id DESC`);
+  const removed = reviews.filter((review, index) => index > 0 &&
+    review.user_id === reviews[index - 1].user_id &&
+    review.vehicle_id === reviews[index - 1].vehicle_id);
+  for (const review of removed) {
+    await db.run('DELETE FROM review WHERE review_id = ?', review.review_id);
+    log(`Removed review ${review.review_id} by user ${review.user_id} of vehicle ` +
+      `${review.vehicle_id}, superseded by a newer review: ${JSON.stringify(review)}`);
+  }
+  if (removed.length > 0) {
+    log(`Removed ${removed.length} duplicate review(s), keeping each user's newest review of ` +
+      'a vehicle');
+  }
+  await db.exec(`DROP INDEX IF EXISTS review_user_id;
+    CREATE UNIQUE INDEX review_user_vehicle ON review (user_id, vehicle_id)`);
+}
+
+module.exports = {up};
@@ -0,0 +1,21 @@
+-- Adds review moderation. Reviews have a status, and only approved ones are shown; existing
+-- reviews stay approved. Users can report reviews, and a report stays open until a moderator
+-- decides on the review.
+ALTER TABLE review ADD COLUMN status TEXT NOT NULL DEFAULT 'approved';
+ALTER TABLE review ADD COLUMN moderation_reason TEXT;
+ALTER TABLE review ADD COLUMN moderated_by INTEGER REFERENCES users(user_id);
+ALTER TABLE review ADD COLUMN moderated_at DATETIME;
+
+CREATE TABLE review_reports (
+  report_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  reason TEXT,
+  reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  FOREIGN KEY (review_id) REFERENCES review(review_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE UNIQUE INDEX review_reports_review_user ON review_reports (review_id, user_id);
+CREATE INDEX review_status ON review (status);
@@ -0,0 +1,9 @@
+-- Lets users mark other users' reviews as helpful, once per review.
+CREATE TABLE review_votes (
+  review_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, user_id),
+  FOREIGN KEY (review_id) REFERENCES review(review_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
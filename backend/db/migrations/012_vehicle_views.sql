@@ -0,0 +1,10 @@
+-- Records which vehicles each signed-in user has looked at, for recommendations.
+CREATE TABLE vehicle_views (
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  view_count INTEGER NOT NULL DEFAULT 1,
+  last_viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, vehicle_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
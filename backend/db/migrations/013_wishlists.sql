@@ -0,0 +1,27 @@
+-- Lets users save vehicles to a wishlist and records an alert for each watcher when a saved
+-- vehicle comes back in stock or drops in price. delivered_at is set once the notifier has sent
+-- the alert, and read_at once the user has seen it in the app.
+CREATE TABLE wishlist (
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, vehicle_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE TABLE notifications (
+  notification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  message TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME,
+  read_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE INDEX wishlist_vehicle_id ON wishlist (vehicle_id);
+CREATE INDEX notifications_user_id ON notifications (user_id);
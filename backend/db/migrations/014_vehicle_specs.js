@@ -0,0 +1,41 @@
+/**
+ * Adds EV specifications to vehicles: EPA range, battery capacity, DC fast-charging peak power and
+ * connector, drivetrain, seating, towing capacity and 0-60 mph time. Every spec may be unknown.
+ * Vehicles from the launch catalog get the specs the catalog fixture gives them.
+ */
+
+"use strict";
+
+const path = require('path');
+const {addColumnIfMissing} = require('../migrate');
+
+const SPEC_COLUMNS = {
+  range_miles: 'INTEGER',
+  battery_kwh: 'REAL',
+  dc_peak_kw: 'INTEGER',
+  charge_connector: 'TEXT',
+  drivetrain: 'TEXT',
+  seating: 'INTEGER',
+  towing_lbs: 'INTEGER',
+  zero_to_sixty_s: 'REAL'
+};
+
+/**
+ * @param {Object} db - The database executor.
+ * @returns {Promise<void>}
+ */
+async function up(db) {
+  for (const [column, type] of Object.entries(SPEC_COLUMNS)) {
+    await addColumnIfMissing(db, 'vehicles', column, type);
+  }
+  const {vehicles} = require(path.join(__dirname, '..', 'fixtures', 'catalog.json'));
+  const columns = Object.keys(SPEC_COLUMNS);
+  for (const vehicle of vehicles) {
+    await db.run(`UPDATE vehicles SET ${columns.map(column => `${column} = ?`).join(', ')}
+      WHERE model_name = ? AND ${columns.map(column => `${column} IS NULL`).join(' AND ')}`,
+    ...columns.map(column => (vehicle[column] === undefined ? null : vehicle[column])),
+    vehicle.model_name);
+  }
+}
+
+module.exports = {up};
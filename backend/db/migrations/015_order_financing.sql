@@ -0,0 +1,14 @@
+-- Records the loan or lease terms an order is paid with. Orders paid in full have no row.
+-- residual_percent is only set for leases.
+CREATE TABLE order_financing (
+  transaction_id INTEGER PRIMARY KEY,
+  plan TEXT NOT NULL,
+  down_payment DECIMAL(10, 2) NOT NULL,
+  trade_in DECIMAL(10, 2) NOT NULL,
+  apr REAL NOT NULL,
+  term_months INTEGER NOT NULL,
+  residual_percent REAL,
+  amount_financed DECIMAL(10, 2) NOT NULL,
+  monthly_payment DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+);
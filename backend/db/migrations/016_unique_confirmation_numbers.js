@@ -0,0 +1,35 @@
+/**
+ * Makes order confirmation numbers unique. An order that shares its number with an earlier order
+ * gets a new one, and the change is logged so the old number can still be traced to the order.
+ */
+
+"use strict";
+
+/**
+ * @param {Object} db - The database executor.
+ * @param {{genRanHex: Function, log: Function}} helpers - Generates confirmation numbers and
+ * reports the ones changed.
+ * @returns {Promise<void>}
+ */
+async function up(db, {genRanHex, log}) {
+  const duplicates = await db.all(`SELECT transaction_id, confirmation_number FROM transactions
+    WHERE confirmation_number IS NOT NULL AND transaction_id NOT IN (
+      SELECT MIN(transaction_id) FROM transactions GROUP BY confirmation_number
+    )
+    ORDER BY transaction_id`);
+  for (const order of duplicates) {
+    let confirmation = genRanHex();
+    while (await db.get('SELECT 1 FROM transactions WHERE confirmation_number = ?',
+      confirmation)) {
+      confirmation = genRanHex();
+    }
+    await db.run('UPDATE transactions SET confirmation_number = ? WHERE transaction_id = ?',
+      confirmation, order.transaction_id);
+    log(`Order ${order.transaction_id} shared confirmation number ` +
+      `${order.confirmation_number} with an earlier order; it is now ${confirmation}`);
+  }
+  await db.exec(`CREATE UNIQUE INDEX transactions_confirmation_number
+    ON transactions (confirmation_number)`);
+}
+
+module.exports = {up};
@@ -0,0 +1,4 @@
+-- Records what an order with an idempotency key asked for, including its financing, so a retry
+-- that reuses the key for a different request is refused. Older orders are compared on their
+-- items alone.
+ALTER TABLE transactions ADD COLUMN request_fingerprint TEXT;
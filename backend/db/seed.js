@@ -0,0 +1,202 @@
+/**
+ * Builds a fresh database from tables.sql and the fixtures in fixtures/: the catalog with its
+ * body types and tags, a few users, their reviews and the vehicles some of them have bought. The
+ * database is written to DB_PATH, like the server uses:
+ *
+ *   DB_PATH=ewave-autos.db node db/seed.js [--force]
+ *
+ * An existing database is only replaced with --force. Fixture users' passwords are in plaintext
+ * in fixtures/users.json, so seeded databases are for development and tests only. The test
+ * harness calls seed() on an in-memory database instead.
+ */
+
+"use strict";
+
+const fs = require('fs/promises');
+const path = require('path');
+const {hashPassword, importCatalog, computeTotals, insertOrder} = require('../app');
+const database = require('./database');
+const {createSchema} = require('./migrate');
+const orderRepo = require('../repositories/orders');
+const reviewRepo = require('../repositories/reviews');
+const taxonomyRepo = require('../repositories/taxonomy');
+const userRepo = require('../repositories/users');
+const vehicleRepo = require('../repositories/vehicles');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DB_PATH = process.env.DB_PATH || 'ewave-autos.db';
+
+/**
+ * Replaces the database with a seeded one.
+ *
+ * @param {boolean} force - Whether to replace an existing database.
+ * @returns {Promise<number>} - The exit status.
+ */
+async function main(force) {
+  if (await exists(DB_PATH)) {
+    if (!force) {
+      console.error(`${DB_PATH} already exists; run with --force to replace it`);
+      return 1;
+    }
+    for (const file of [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`]) {
+      await fs.rm(file, {force: true});
+    }
+  }
+  await database.open(DB_PATH);
+  let created;
+  try {
+    created = await seed();
+  } finally {
+    await database.close();
+  }
+  console.log(`Seeded ${DB_PATH} with ${created} vehicles`);
+  return 0;
+}
+
+/**
+ * Builds the schema in the open, empty database and adds the fixtures.
+ *
+ * @returns {Promise<number>} - The number of vehicles added.
+ * @throws {Error} - If a fixture is invalid.
+ */
+async function seed() {
+  const catalog = await readFixture('catalog.json');
+  const users = await readFixture('users.json');
+  const reviews = await readFixture('reviews.json');
+  const purchases = await readFixture('purchases.json');
+  await database.exclusive(db => createSchema(db));
+  await database.transaction(async tx => {
+    await seedTaxonomy(tx, catalog);
+    await seedUsers(tx, users);
+  });
+
+  const report = await importCatalog(catalog.vehicles, false);
+  if (report.failed > 0) {
+    const errors = report.rows.filter(row => row.errors)
+      .map(row => `${row.modelName}: ${row.errors.join('; ')}`);
+    throw new Error(`Invalid catalog fixtures:\n${errors.join('\n')}`);
+  }
+
+  await database.transaction(async tx => {
+    await seedReviews(tx, reviews);
+    await seedPurchases(tx, purchases);
+  });
+  return report.created;
+}
+
+/**
+ * Adds the catalog's body types, in order, and tags.
+ *
+ * @param {Object} db - The transaction's database executor.
+ * @param {Object} catalog - The catalog fixture.
+ * @returns {Promise<void>}
+ */
+async function seedTaxonomy(db, catalog) {
+  for (const [order, bodyType] of catalog.bodyTypes.entries()) {
+    await taxonomyRepo.insertBodyType(db, bodyType, order);
+  }
+  for (const tag of catalog.tags) {
+    await taxonomyRepo.insertTag(db, tag.slug, tag.label);
+  }
+}
+
+/**
+ * Adds the fixture users with hashed passwords.
+ *
+ * @param {Object} db - The transaction's database executor.
+ * @param {Array<Object>} users - The users fixture.
+ * @returns {Promise<void>}
+ */
+async function seedUsers(db, users) {
+  for (const user of users) {
+    await userRepo.insert(db, user.username, await hashPassword(user.password), user.role);
+  }
+}
+
+/**
+ * Adds the fixture reviews, matching users by username and vehicles by model name.
+ *
+ * @param {Object} db - The transaction's database executor.
+ * @param {Array<Object>} reviews - The reviews fixture.
+ * @returns {Promise<void>}
+ */
+async function seedReviews(db, reviews) {
+  for (const review of reviews) {
+    const user = await userRepo.findByUsername(db, review.username);
+    const vehicleId = await vehicleRepo.findIdByModelName(db, review.model_name);
+    if (!user || vehicleId === null) {
+      throw new Error(`Review by ${review.username} of ${review.model_name} matches no fixture`);
+    }
+    await reviewRepo.insert(db, {
+      userId: user.user_id,
+      vehicleId,
+      rating: review.rating,
+      reviewText: review.review_text,
+      dateSubmitted: review.date_submitted
+    });
+  }
+}
+
+/**
+ * Adds each fixture purchase as a delivered order of its own, in the order listed. The catalog's
+ * availability is the stock left after these sales, so it is not reduced.
+ *
+ * @param {Object} db - The transaction's database executor.
+ * @param {Array<Object>} purchases - The purchases fixture.
+ * @returns {Promise<void>}
+ */
+async function seedPurchases(db, purchases) {
+  for (const purchase of purchases) {
+    const user = await userRepo.findByUsername(db, purchase.username);
+    const vehicleId = await vehicleRepo.findIdByModelName(db, purchase.model_name);
+    if (!user || vehicleId === null) {
+      throw new Error(`Purchase by ${purchase.username} of ${purchase.model_name} matches no ` +
+        'fixture');
+    }
+    const vehicle = await vehicleRepo.findById(db, vehicleId);
+    const line = {vehicleId, quantity: purchase.quantity, unitPrice: vehicle.price};
+    const {orderId} = await insertOrder(db, user.user_id, null, null, computeTotals([line]));
+    await orderRepo.insertItem(db, orderId, line);
+    await orderRepo.setStatus(db, orderId, null, 'pending', 'Order placed');
+    await orderRepo.setStatus(db, orderId, 'pending', 'confirmed', 'Payment received');
+    await orderRepo.setStatus(db, orderId, 'confirmed', 'delivered', 'Delivered');
+  }
+}
+
+/**
+ * Reads a JSON fixture.
+ *
+ * @param {string} name - The fixture's file name.
+ * @returns {Promise<*>} - The parsed fixture.
+ */
+async function readFixture(name) {
+  return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * Checks whether a file exists.
+ *
+ * @param {string} file - The path of the file.
+ * @returns {Promise<boolean>} - True if it exists.
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {seed};
+
+if (require.main === module) {
+  main(process.argv.includes('--force'))
+    .then(status => {
+      process.exitCode = status;
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -1,10 +1,33 @@
+-- The schema after the latest migration in migrations/. Change both together.
+
+CREATE TABLE schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE users (
   user_id INTEGER PRIMARY KEY AUTOINCREMENT,
   username TEXT NOT NULL UNIQUE,
   password TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'customer',
   UNIQUE(username)
 );
 
+CREATE TABLE body_types (
+  body_type_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  label TEXT NOT NULL,
+  plural_label TEXT NOT NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE tags (
+  tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  label TEXT NOT NULL
+);
+
 CREATE TABLE vehicles (
   vehicle_id INTEGER PRIMARY KEY AUTOINCREMENT,
   model_name TEXT NOT NULL,
@@ -14,16 +37,163 @@ CREATE TABLE vehicles (
   availability INTEGER,
   make TEXT NOT NULL,
   year INTEGER,
-  tags TEXT,
+  body_type_id INTEGER REFERENCES body_types(body_type_id),
+  retired_at DATETIME,
+  range_miles INTEGER,
+  battery_kwh REAL,
+  dc_peak_kw INTEGER,
+  charge_connector TEXT,
+  drivetrain TEXT,
+  seating INTEGER,
+  towing_lbs INTEGER,
+  zero_to_sixty_s REAL,
   UNIQUE(model_name)
 );
 
+CREATE TABLE vehicle_tags (
+  vehicle_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (vehicle_id, tag_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id),
+  FOREIGN KEY (tag_id) REFERENCES tags(tag_id)
+);
+
+CREATE VIEW vehicle_search_source AS
+SELECT vehicles.vehicle_id, vehicles.model_name, vehicles.make, vehicles.description,
+  TRIM(COALESCE(body_types.label, '') || ' ' || COALESCE((
+    SELECT group_concat(tags.label, ' ') FROM vehicle_tags
+    JOIN tags ON vehicle_tags.tag_id = tags.tag_id
+    WHERE vehicle_tags.vehicle_id = vehicles.vehicle_id), '')) AS tags
+FROM vehicles
+LEFT JOIN body_types ON vehicles.body_type_id = body_types.body_type_id;
+
+CREATE VIRTUAL TABLE vehicle_search USING fts5(
+  model_name, make, description, tags,
+  tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+);
+
+CREATE VIRTUAL TABLE vehicle_search_vocab USING fts5vocab(vehicle_search, 'row');
+
+CREATE TRIGGER vehicles_search_insert AFTER INSERT ON vehicles BEGIN
+  DELETE FROM vehicle_search WHERE rowid = new.vehicle_id;
+  INSERT INTO vehicle_search (rowid, model_name, make, description, tags)
+  SELECT * FROM vehicle_search_source WHERE vehicle_id = new.vehicle_id;
+END;
+
+CREATE TRIGGER vehicles_search_delete AFTER DELETE ON vehicles BEGIN
+  DELETE FROM vehicle_search WHERE rowid = old.vehicle_id;
+  DELETE FROM vehicle_tags WHERE vehicle_id = old.vehicle_id;
+END;
+
+CREATE TRIGGER vehicles_search_update
+AFTER UPDATE OF model_name, make, description, body_type_id ON vehicles BEGIN
+  DELETE FROM vehicle_search WHERE rowid = new.vehicle_id;
+  INSERT INTO vehicle_search (rowid, model_name, make, description, tags)
+  SELECT * FROM vehicle_search_source WHERE vehicle_id = new.vehicle_id;
+END;
+
+CREATE TRIGGER vehicle_tags_search_insert AFTER INSERT ON vehicle_tags BEGIN
+  DELETE FROM vehicle_search WHERE rowid = new.vehicle_id;
+  INSERT INTO vehicle_search (rowid, model_name, make, description, tags)
+  SELECT * FROM vehicle_search_source WHERE vehicle_id = new.vehicle_id;
+END;
+
+CREATE TRIGGER vehicle_tags_search_delete AFTER DELETE ON vehicle_tags BEGIN
+  DELETE FROM vehicle_search WHERE rowid = old.vehicle_id;
+  INSERT INTO vehicle_search (rowid, model_name, make, description, tags)
+  SELECT * FROM vehicle_search_source WHERE vehicle_id = old.vehicle_id;
+END;
+
 CREATE TABLE transactions (
   transaction_id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id INTEGER,
-  vehicle_id INTEGER,
+  vehicle_id INTEGER, -- only set on orders placed before order_items existed
   confirmation_number TEXT,
   date DATETIME DEFAULT CURRENT_TIMESTAMP,
+  idempotency_key TEXT,
+  request_fingerprint TEXT, -- what was asked for with idempotency_key; null before migration 17
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  subtotal DECIMAL(10, 2),
+  tax DECIMAL(10, 2),
+  fees DECIMAL(10, 2),
+  total DECIMAL(10, 2),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE UNIQUE INDEX transactions_idempotency_key ON transactions (user_id, idempotency_key);
+CREATE UNIQUE INDEX transactions_confirmation_number ON transactions (confirmation_number);
+
+CREATE TABLE order_items (
+  item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE TABLE order_financing (
+  transaction_id INTEGER PRIMARY KEY,
+  plan TEXT NOT NULL,
+  down_payment DECIMAL(10, 2) NOT NULL,
+  trade_in DECIMAL(10, 2) NOT NULL,
+  apr REAL NOT NULL,
+  term_months INTEGER NOT NULL,
+  residual_percent REAL,
+  amount_financed DECIMAL(10, 2) NOT NULL,
+  monthly_payment DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+);
+
+CREATE TABLE cart_items (
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, vehicle_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE TABLE order_status_history (
+  history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  note TEXT,
+  changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+);
+
+CREATE TABLE vehicle_views (
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  view_count INTEGER NOT NULL DEFAULT 1,
+  last_viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, vehicle_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE TABLE wishlist (
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, vehicle_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
+);
+
+CREATE TABLE notifications (
+  notification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  vehicle_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  message TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME,
+  read_at DATETIME,
   FOREIGN KEY (user_id) REFERENCES users(user_id),
   FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
 );
@@ -35,6 +205,46 @@ CREATE TABLE review (
   rating INTEGER,
   review_text TEXT,
   date_submitted TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME,
+  status TEXT NOT NULL DEFAULT 'approved', -- pending, approved, rejected or hidden
+  moderation_reason TEXT,
+  moderated_by INTEGER,
+  moderated_at DATETIME,
   FOREIGN KEY (user_id) REFERENCES users(user_id),
-  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id)
-)
\ No newline at end of file
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(vehicle_id),
+  FOREIGN KEY (moderated_by) REFERENCES users(user_id)
+);
+
+CREATE TABLE review_reports (
+  report_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  reason TEXT,
+  reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  FOREIGN KEY (review_id) REFERENCES review(review_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE TABLE review_votes (
+  review_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, user_id),
+  FOREIGN KEY (review_id) REFERENCES review(review_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX transactions_user_id ON transactions (user_id);
+CREATE INDEX order_items_transaction_id ON order_items (transaction_id);
+CREATE INDEX order_items_vehicle_id ON order_items (vehicle_id);
+CREATE INDEX order_status_history_transaction_id ON order_status_history (transaction_id);
+CREATE INDEX cart_items_vehicle_id ON cart_items (vehicle_id);
+CREATE INDEX vehicles_body_type_id ON vehicles (body_type_id);
+CREATE INDEX vehicle_tags_tag_id ON vehicle_tags (tag_id);
+CREATE INDEX review_vehicle_id ON review (vehicle_id);
+CREATE UNIQUE INDEX review_user_vehicle ON review (user_id, vehicle_id);
+CREATE INDEX review_status ON review (status);
+CREATE UNIQUE INDEX review_reports_review_user ON review_reports (review_id, user_id);
+CREATE INDEX wishlist_vehicle_id ON wishlist (vehicle_id);
+CREATE INDEX notifications_user_id ON notifications (user_id);
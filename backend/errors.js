@@ -0,0 +1,88 @@
+/**
+ * The API's error responses. Every error is sent as JSON in the same shape:
+ *
+ *     {"error": {"code": "vehicle_not_found", "message": "Vehicle not found"}}
+ *
+ * `code` is a machine-readable snake_case identifier that clients can branch on, `message` is a
+ * sentence that can be shown to the user, and `details`, when present, lists the individual
+ * problems, such as each field that failed validation.
+ *
+ * Routes send expected errors with sendError. Anything they do not expect is passed to `next`
+ * and turned into a 500 by handleErrors, which also answers malformed request bodies.
+ */
+
+"use strict";
+
+/**
+ * An error carrying the status, code and message of the response it should produce. Thrown or
+ * passed to `next`, handleErrors sends it instead of a 500.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status.
+   * @param {string} code - The machine-readable error code.
+   * @param {string} message - The human-readable message.
+   * @param {Array<Object>} [details] - The individual problems, if there are several.
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends an error response.
+ *
+ * @param {Object} res - Express response object.
+ * @param {number} status - The HTTP status.
+ * @param {string} code - The machine-readable error code.
+ * @param {string} message - The human-readable message.
+ * @param {Array<Object>} [details] - The individual problems, if there are several.
+ */
+function sendError(res, status, code, message, details) {
+  const error = {code, message};
+  if (details) {
+    error.details = details;
+  }
+  res.status(status).json({error});
+}
+
+/**
+ * Answers requests that matched no route.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+function notFound(req, res) {
+  sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+}
+
+/**
+ * Express error handler, registered after every route. ApiErrors and the body parsers' errors
+ * become the matching client error; anything else is logged and answered with a 500 that keeps
+ * the details to the server.
+ *
+ * @param {Error} err - The error passed to `next`.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Calls the next handler; used when the response has already started.
+ */
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) {
+    next(err);
+  } else if (err instanceof ApiError) {
+    sendError(res, err.status, err.code, err.message, err.details);
+  } else if (err.type === 'entity.parse.failed') {
+    sendError(res, 400, 'malformed_body', 'The request body is not valid JSON');
+  } else if (err.type === 'entity.too.large') {
+    sendError(res, 413, 'body_too_large', 'The request body is too large');
+  } else {
+    console.error(err);
+    sendError(res, 500, 'internal_error', 'Internal Server Error');
+  }
+}
+
+module.exports = {ApiError, sendError, notFound, handleErrors};
@@ -0,0 +1,139 @@
+/**
+ * Loan and lease payments and the cost of owning a vehicle over the financing term. Everything is
+ * computed from the terms given, with amounts in dollars rounded to whole cents.
+ *
+ * - A loan is amortized in equal monthly payments, each paying the month's interest on the
+ *   remaining balance first, so the schedule ends on a zero balance.
+ * - A lease pays for the drop from the amount financed to the residual value, a share of the
+ *   price before tax and fees, plus a finance charge on both at the APR's money factor
+ *   (APR / 2400).
+ *
+ * Running costs are the electricity to drive the given miles a year, at the vehicle's efficiency
+ * estimated from its battery capacity and EPA range, divided by CHARGING_EFFICIENCY for the
+ * energy lost while charging.
+ */
+
+"use strict";
+
+const CHARGING_EFFICIENCY = 0.9;
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Works out the monthly payment for financing a purchase.
+ *
+ * @param {{subtotal: number, total: number}} totals - The order totals. The total, with tax and
+ * fees, is what gets financed; a lease's residual is a share of the subtotal.
+ * @param {Object} terms - The `plan` (`loan` or `lease`), `downPayment`, `tradeIn`, `apr` (a
+ * percentage), `termMonths` and, for leases, `residualPercent`.
+ * @returns {Object} - The `amountFinanced`, `monthlyPayment`, `totalOfPayments` and
+ * `financeCharge`. Loans also get their `schedule`, one entry per month with the `payment`, the
+ * `principal` and `interest` it covers and the `balance` left; leases get their `residualValue`.
+ */
+function calculatePayments(totals, terms) {
+  const amountFinanced =
+    roundCents(Math.max(totals.total - terms.downPayment - terms.tradeIn, 0));
+  if (terms.plan === 'lease') {
+    return leasePayments(amountFinanced,
+      roundCents(totals.subtotal * terms.residualPercent / 100), terms);
+  }
+  return loanPayments(amountFinanced, terms);
+}
+
+/**
+ * Amortizes a loan.
+ *
+ * @param {number} amountFinanced - The amount borrowed.
+ * @param {Object} terms - The terms given to calculatePayments.
+ * @returns {Object} - The loan described under calculatePayments.
+ */
+function loanPayments(amountFinanced, terms) {
+  const rate = terms.apr / 100 / MONTHS_PER_YEAR;
+  const monthlyPayment = roundCents(rate === 0 ? amountFinanced / terms.termMonths :
+    amountFinanced * rate / (1 - Math.pow(1 + rate, -terms.termMonths)));
+  const schedule = [];
+  let balance = amountFinanced;
+  for (let month = 1; month <= terms.termMonths; month++) {
+    const interest = roundCents(balance * rate);
+    // The last payment settles whatever rounding left over.
+    const payment = month === terms.termMonths ? roundCents(balance + interest) : monthlyPayment;
+    const principal = roundCents(payment - interest);
+    balance = roundCents(balance - principal);
+    schedule.push({month, payment, principal, interest, balance});
+  }
+  const totalOfPayments = roundCents(schedule.reduce((sum, entry) => sum + entry.payment, 0));
+  return {
+    amountFinanced,
+    monthlyPayment,
+    totalOfPayments,
+    financeCharge: roundCents(totalOfPayments - amountFinanced),
+    schedule
+  };
+}
+
+/**
+ * Works out a lease's payments.
+ *
+ * @param {number} amountFinanced - The price less the down payment and trade-in.
+ * @param {number} residualValue - What the vehicle is worth at the end of the lease.
+ * @param {Object} terms - The terms given to calculatePayments.
+ * @returns {Object} - The lease described under calculatePayments.
+ */
+function leasePayments(amountFinanced, residualValue, terms) {
+  const depreciation = Math.max(amountFinanced - residualValue, 0) / terms.termMonths;
+  const moneyFactor = terms.apr / 2400;
+  const monthlyPayment = roundCents(depreciation + (amountFinanced + residualValue) * moneyFactor);
+  const totalOfPayments = roundCents(monthlyPayment * terms.termMonths);
+  return {
+    amountFinanced,
+    monthlyPayment,
+    totalOfPayments,
+    financeCharge: roundCents(totalOfPayments - Math.max(amountFinanced - residualValue, 0)),
+    residualValue
+  };
+}
+
+/**
+ * Estimates what owning a vehicle costs over the financing term.
+ *
+ * @param {Object} vehicle - The vehicle, with its `battery_kwh` and `range_miles`.
+ * @param {Object} terms - The terms given to calculatePayments.
+ * @param {Object} payments - What calculatePayments returned for them.
+ * @param {{electricityRate: number, annualMiles: number}} usage - The price of a kWh and the
+ * miles driven a year.
+ * @returns {Object} - The `years` of the term, the `annualMiles` and `electricityRate` assumed,
+ * the `kwhPerMile`, `annualEnergyCost` and `energyCost` over the term, and the `total` of the
+ * energy, down payment, trade-in and payments. Energy figures are null if the vehicle's battery or
+ * range is unknown, leaving the total without them.
+ */
+function ownershipCost(vehicle, terms, payments, usage) {
+  const years = terms.termMonths / MONTHS_PER_YEAR;
+  const known = vehicle.battery_kwh > 0 && vehicle.range_miles > 0;
+  const kwhPerMile = known ?
+    Math.round(1000 * vehicle.battery_kwh / vehicle.range_miles / CHARGING_EFFICIENCY) / 1000 :
+    null;
+  const annualEnergyCost = known ?
+    roundCents(kwhPerMile * usage.annualMiles * usage.electricityRate) : null;
+  const energyCost = known ? roundCents(annualEnergyCost * years) : null;
+  return {
+    years,
+    annualMiles: usage.annualMiles,
+    electricityRate: usage.electricityRate,
+    kwhPerMile,
+    annualEnergyCost,
+    energyCost,
+    total: roundCents(terms.downPayment + terms.tradeIn + payments.totalOfPayments +
+      (energyCost || 0))
+  };
+}
+
+/**
+ * Rounds a dollar amount to whole cents.
+ *
+ * @param {number} amount - The amount in dollars.
+ * @returns {number} - The rounded amount.
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {calculatePayments, ownershipCost};
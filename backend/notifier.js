@@ -0,0 +1,46 @@
+/**
+ * Sends wishlist alerts to users outside the app. createNotifier() builds one of the channels in
+ * NOTIFIERS, each a function taking options and returning an object with an async `send` that is
+ * passed one notification at a time. A channel such as email plugs in by adding an entry.
+ *
+ * - `console` logs each notification on standard output;
+ * - `file` appends each one as a line of JSON to `options.file`;
+ * - `none` drops them, leaving only the in-app notification list.
+ */
+
+"use strict";
+
+const fs = require('fs/promises');
+
+const NOTIFIERS = {
+  console: () => ({
+    async send(notification) {
+      console.log(`Notification for ${notification.username}: ${notification.message}`);
+    }
+  }),
+  file: options => ({
+    async send(notification) {
+      await fs.appendFile(options.file, `${JSON.stringify(notification)}\n`);
+    }
+  }),
+  none: () => ({
+    async send() {}
+  })
+};
+
+/**
+ * Builds a notifier.
+ *
+ * @param {string} name - The channel: a key of NOTIFIERS.
+ * @param {Object} options - The channel's options; `file` needs `options.file`.
+ * @returns {{send: Function}} - The notifier.
+ * @throws {Error} - If there is no channel called `name`.
+ */
+function createNotifier(name, options) {
+  if (!Object.hasOwn(NOTIFIERS, name)) {
+    throw new Error(`Unknown notifier "${name}"; use one of ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+  return NOTIFIERS[name](options);
+}
+
+module.exports = {createNotifier};
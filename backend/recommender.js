@@ -0,0 +1,346 @@
+/**
+ * Vehicle recommendations, computed in memory from a snapshot of the catalog and of what users
+ * have bought, rated and viewed. Nothing is random: the same snapshot always gives the same
+ * recommendations, with ties going to the lower vehicle ID.
+ *
+ * A user's taste is a weight for each vehicle they interacted with: PURCHASE_WEIGHT for buying
+ * it, the rating minus RATING_BASELINE for reviewing it (so low ratings count against it) and
+ * VIEW_WEIGHT per view, up to MAX_COUNTED_VIEWS. Vehicles with a positive weight are scored two
+ * ways and blended by COLLABORATIVE_SHARE:
+ *
+ * - collaboratively, by the cosine similarity of the users who liked each pair of vehicles;
+ * - by content, with the body type, tag, make, price and year matching of scoreSimilarity.
+ *
+ * Users without a positive weight anywhere, and any slots left after scoring, get the most
+ * popular vehicles: those with the highest total weight across all users.
+ *
+ * The weights, popularity and similarities are worked out once per snapshot and kept with it, so
+ * callers should reuse a snapshot until the data it was read from changes, and never modify one.
+ */
+
+"use strict";
+
+const orderRepo = require('./repositories/orders');
+const reviewRepo = require('./repositories/reviews');
+const {taxonomyLabel} = require('./repositories/taxonomy');
+const vehicleRepo = require('./repositories/vehicles');
+const viewRepo = require('./repositories/views');
+
+/**
+ * Points scoreSimilarity gives a vehicle for each way it resembles another. `tag` is given per
+ * shared tag. Prices within SIMILAR_PRICE_BAND of each other and model years at most
+ * SIMILAR_YEAR_SPAN apart count as similar.
+ */
+const SIMILARITY_WEIGHTS = {bodyType: 3, tag: 2, make: 2, price: 2, year: 1};
+const SIMILAR_PRICE_BAND = 0.2;
+const SIMILAR_YEAR_SPAN = 1;
+
+const PURCHASE_WEIGHT = 3;
+const RATING_BASELINE = 3;
+const VIEW_WEIGHT = 0.5;
+const MAX_COUNTED_VIEWS = 4;
+const COLLABORATIVE_SHARE = 0.6;
+
+// What analyse() derived from each snapshot, dropped along with the snapshot.
+const analyses = new WeakMap();
+
+/**
+ * Reads everything recommendations are computed from.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {Promise<Object>} - The snapshot: every vehicle, retired or not, and the `purchases`,
+ * `ratings` and `views` rows of the orders, reviews and views repositories.
+ */
+async function loadSnapshot(db, unsoldStatuses) {
+  return {
+    vehicles: await vehicleRepo.listInventory(db, unsoldStatuses),
+    purchases: await orderRepo.listPurchases(db, unsoldStatuses),
+    ratings: await reviewRepo.listRatings(db),
+    views: await viewRepo.listAll(db)
+  };
+}
+
+/**
+ * Recommends vehicles for a user.
+ *
+ * @param {Object} snapshot - The data returned by loadSnapshot.
+ * @param {number} userId - The ID of the user.
+ * @param {{limit: number, inStockOnly: boolean}} options - The most vehicles to return, and
+ * whether to leave out vehicles that are out of stock. Retired vehicles and those the user has
+ * bought or reviewed are always left out.
+ * @returns {Array<Object>} - The vehicles, best first, each with its `score` from 0 to 1 (0 for
+ * popularity picks) and a short `reason`.
+ */
+function recommend(snapshot, userId, options) {
+  const {weights, popularity, similarities} = analyse(snapshot);
+  const taste = weights.get(userId) || new Map();
+  const vehicles = new Map(snapshot.vehicles.map(vehicle => [vehicle.vehicle_id, vehicle]));
+  const known = knownVehicles(snapshot, userId);
+  const candidates = snapshot.vehicles.filter(vehicle => !vehicle.retired_at &&
+    !known.has(vehicle.vehicle_id) && (!options.inStockOnly || vehicle.availability > 0));
+  const liked = [...taste].filter(([, weight]) => weight > 0)
+    .map(([vehicleId, weight]) => ({vehicle: vehicles.get(vehicleId), weight}))
+    .filter(like => like.vehicle);
+
+  const scored = liked.length === 0 ? [] :
+    scoreCandidates(candidates, liked, similarities);
+  const picks = scored.filter(pick => pick.score > 0)
+    .sort((a, b) => b.score - a.score ||
+      (popularity.get(b.vehicle.vehicle_id) || 0) - (popularity.get(a.vehicle.vehicle_id) || 0) ||
+      a.vehicle.vehicle_id - b.vehicle.vehicle_id)
+    .slice(0, options.limit)
+    .map(pick => ({...pick.vehicle, score: Math.round(1000 * pick.score) / 1000,
+      reason: pick.reason}));
+
+  const picked = new Set(picks.map(pick => pick.vehicle_id));
+  const popular = rankByPopularity(candidates.filter(vehicle => !picked.has(vehicle.vehicle_id)),
+    popularity);
+  for (const vehicle of popular.slice(0, options.limit - picks.length)) {
+    picks.push({...vehicle, score: 0, reason: 'Popular with other shoppers'});
+  }
+  return picks;
+}
+
+/**
+ * Recommends the most popular vehicles a user hasn't bought or reviewed, ignoring their taste.
+ * Used as the baseline when evaluating recommend.
+ *
+ * @param {Object} snapshot - The data returned by loadSnapshot.
+ * @param {number} userId - The ID of the user.
+ * @param {{limit: number, inStockOnly: boolean}} options - As for recommend.
+ * @returns {Array<Object>} - The vehicles, most popular first.
+ */
+function recommendPopular(snapshot, userId, options) {
+  const {popularity} = analyse(snapshot);
+  const known = knownVehicles(snapshot, userId);
+  const candidates = snapshot.vehicles.filter(vehicle => !vehicle.retired_at &&
+    !known.has(vehicle.vehicle_id) && (!options.inStockOnly || vehicle.availability > 0));
+  return rankByPopularity(candidates, popularity).slice(0, options.limit)
+    .map(vehicle => ({...vehicle, score: 0, reason: 'Popular with other shoppers'}));
+}
+
+/**
+ * Ranks vehicles that resemble a vehicle by scoreSimilarity, leaving out those that share
+ * nothing with it. Ties go to the closer price.
+ *
+ * @param {Object} vehicle - The vehicle to match.
+ * @param {Array<Object>} candidates - The vehicles to rank, not including `vehicle`.
+ * @param {number} limit - The most vehicles to return.
+ * @returns {Array<Object>} - The vehicles, best match first, each with its `similarity` score and
+ * `why` reasons.
+ */
+function rankSimilar(vehicle, candidates, limit) {
+  return candidates
+    .map(other => ({...other, ...scoreSimilarity(vehicle, other)}))
+    .filter(other => other.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity ||
+      Math.abs(a.price - vehicle.price) - Math.abs(b.price - vehicle.price) ||
+      a.vehicle_id - b.vehicle_id)
+    .slice(0, limit);
+}
+
+/**
+ * Scores how much one vehicle resembles another using SIMILARITY_WEIGHTS.
+ *
+ * @param {Object} vehicle - The vehicle being viewed.
+ * @param {Object} other - The vehicle to compare with it.
+ * @returns {{similarity: number, why: Array<string>}} - The score and a short reason for each
+ * resemblance found.
+ */
+function scoreSimilarity(vehicle, other) {
+  let similarity = 0;
+  const why = [];
+  if (vehicle.body_type && other.body_type === vehicle.body_type) {
+    similarity += SIMILARITY_WEIGHTS.bodyType;
+    why.push(`Same body type (${taxonomyLabel(vehicle.body_type)})`);
+  }
+  const sharedTags = other.tags.filter(tag => vehicle.tags.includes(tag));
+  if (sharedTags.length > 0) {
+    similarity += SIMILARITY_WEIGHTS.tag * sharedTags.length;
+    why.push(`Shared tags: ${sharedTags.map(taxonomyLabel).join(', ')}`);
+  }
+  if (other.make === vehicle.make) {
+    similarity += SIMILARITY_WEIGHTS.make;
+    why.push(`Also made by ${vehicle.make}`);
+  }
+  if (Math.abs(other.price - vehicle.price) <= SIMILAR_PRICE_BAND * vehicle.price) {
+    similarity += SIMILARITY_WEIGHTS.price;
+    why.push(`Similar price (within ${SIMILAR_PRICE_BAND * 100}%)`);
+  }
+  if (vehicle.year && other.year && Math.abs(other.year - vehicle.year) <= SIMILAR_YEAR_SPAN) {
+    similarity += SIMILARITY_WEIGHTS.year;
+    why.push(other.year === vehicle.year ? `Same model year (${vehicle.year})` :
+      `Model year ${other.year}`);
+  }
+  return {similarity, why};
+}
+
+/**
+ * Works out a snapshot's interactions and item similarities, or returns those already worked out.
+ *
+ * @param {Object} snapshot - The data returned by loadSnapshot.
+ * @returns {{weights: Map<number, Map<number, number>>, popularity: Map<number, number>,
+ * similarities: Map<string, number>}} - What buildInteractions and itemSimilarities return.
+ */
+function analyse(snapshot) {
+  if (!analyses.has(snapshot)) {
+    const {weights, popularity} = buildInteractions(snapshot);
+    analyses.set(snapshot, {weights, popularity, similarities: itemSimilarities(weights)});
+  }
+  return analyses.get(snapshot);
+}
+
+/**
+ * Turns a snapshot's purchases, ratings and views into a weight per user and vehicle, and sums
+ * each vehicle's positive weights into its popularity.
+ *
+ * @param {Object} snapshot - The data returned by loadSnapshot.
+ * @returns {{weights: Map<number, Map<number, number>>, popularity: Map<number, number>}} - The
+ * weights by user and then vehicle, and the popularity by vehicle.
+ */
+function buildInteractions(snapshot) {
+  const weights = new Map();
+  const add = (userId, vehicleId, weight) => {
+    if (!weights.has(userId)) {
+      weights.set(userId, new Map());
+    }
+    const taste = weights.get(userId);
+    taste.set(vehicleId, (taste.get(vehicleId) || 0) + weight);
+  };
+  for (const purchase of snapshot.purchases) {
+    add(purchase.user_id, purchase.vehicle_id, PURCHASE_WEIGHT);
+  }
+  for (const rating of snapshot.ratings) {
+    add(rating.user_id, rating.vehicle_id, rating.rating - RATING_BASELINE);
+  }
+  for (const view of snapshot.views) {
+    add(view.user_id, view.vehicle_id, VIEW_WEIGHT * Math.min(view.view_count, MAX_COUNTED_VIEWS));
+  }
+
+  const popularity = new Map();
+  for (const taste of weights.values()) {
+    for (const [vehicleId, weight] of taste) {
+      if (weight > 0) {
+        popularity.set(vehicleId, (popularity.get(vehicleId) || 0) + weight);
+      }
+    }
+  }
+  return {weights, popularity};
+}
+
+/**
+ * Computes the cosine similarity of every pair of vehicles liked by a common user, treating each
+ * vehicle as a vector of its positive weights by user.
+ *
+ * @param {Map<number, Map<number, number>>} weights - The weights from buildInteractions.
+ * @returns {Map<string, number>} - The similarities, keyed by `<vehicleId>:<vehicleId>` in both
+ * orders.
+ */
+function itemSimilarities(weights) {
+  const dots = new Map();
+  const norms = new Map();
+  for (const taste of weights.values()) {
+    const liked = [...taste].filter(([, weight]) => weight > 0);
+    for (const [vehicleId, weight] of liked) {
+      norms.set(vehicleId, (norms.get(vehicleId) || 0) + weight * weight);
+    }
+    for (const [a, weightA] of liked) {
+      for (const [b, weightB] of liked) {
+        if (a !== b) {
+          const key = `${a}:${b}`;
+          dots.set(key, (dots.get(key) || 0) + weightA * weightB);
+        }
+      }
+    }
+  }
+  const similarities = new Map();
+  for (const [key, dot] of dots) {
+    const [a, b] = key.split(':').map(Number);
+    similarities.set(key, dot / Math.sqrt(norms.get(a) * norms.get(b)));
+  }
+  return similarities;
+}
+
+/**
+ * Scores candidates against the vehicles a user likes, blending the collaborative and content
+ * scores once each is scaled so the best candidate has 1.
+ *
+ * @param {Array<Object>} candidates - The vehicles that may be recommended.
+ * @param {Array<{vehicle: Object, weight: number}>} liked - The vehicles the user likes.
+ * @param {Map<string, number>} similarities - The similarities from itemSimilarities.
+ * @returns {Array<{vehicle: Object, score: number, reason: string}>} - Each candidate's score and
+ * the reason given by the liked vehicle that added most to it.
+ */
+function scoreCandidates(candidates, liked, similarities) {
+  const contentScale = Math.max(...liked.map(like => like.weight)) * (
+    SIMILARITY_WEIGHTS.bodyType + SIMILARITY_WEIGHTS.make + SIMILARITY_WEIGHTS.price +
+    SIMILARITY_WEIGHTS.year + SIMILARITY_WEIGHTS.tag);
+  const scored = candidates.map(vehicle => {
+    let collaborative = 0;
+    let content = 0;
+    let best = {share: 0, reason: null};
+    for (const like of liked) {
+      const shared = similarities.get(`${like.vehicle.vehicle_id}:${vehicle.vehicle_id}`) || 0;
+      const alike = scoreSimilarity(like.vehicle, vehicle).similarity / contentScale;
+      collaborative += like.weight * shared;
+      content += like.weight * alike;
+      const share = COLLABORATIVE_SHARE * like.weight * shared;
+      if (share > best.share) {
+        best = {share, reason: `Shoppers who liked the ${like.vehicle.model_name} chose this too`};
+      }
+      if ((1 - COLLABORATIVE_SHARE) * like.weight * alike > best.share) {
+        best = {share: (1 - COLLABORATIVE_SHARE) * like.weight * alike,
+          reason: `Similar to the ${like.vehicle.model_name}`};
+      }
+    }
+    return {vehicle, collaborative, content, reason: best.reason};
+  });
+  const maxCollaborative = Math.max(0, ...scored.map(pick => pick.collaborative));
+  const maxContent = Math.max(0, ...scored.map(pick => pick.content));
+  return scored.map(pick => ({
+    vehicle: pick.vehicle,
+    reason: pick.reason,
+    score: COLLABORATIVE_SHARE * scale(pick.collaborative, maxCollaborative) +
+      (1 - COLLABORATIVE_SHARE) * scale(pick.content, maxContent)
+  }));
+}
+
+/**
+ * Divides a score by the highest score, leaving 0 when every score is 0.
+ *
+ * @param {number} score - The score.
+ * @param {number} max - The highest score.
+ * @returns {number} - The score from 0 to 1.
+ */
+function scale(score, max) {
+  return max > 0 ? score / max : 0;
+}
+
+/**
+ * Orders vehicles by popularity, most popular first.
+ *
+ * @param {Array<Object>} vehicles - The vehicles.
+ * @param {Map<number, number>} popularity - The popularity from buildInteractions.
+ * @returns {Array<Object>} - The vehicles in order.
+ */
+function rankByPopularity(vehicles, popularity) {
+  return [...vehicles].sort((a, b) =>
+    (popularity.get(b.vehicle_id) || 0) - (popularity.get(a.vehicle_id) || 0) ||
+    a.vehicle_id - b.vehicle_id);
+}
+
+/**
+ * Collects the vehicles a user has bought or reviewed, which are never recommended to them.
+ *
+ * @param {Object} snapshot - The data returned by loadSnapshot.
+ * @param {number} userId - The ID of the user.
+ * @returns {Set<number>} - The vehicle IDs.
+ */
+function knownVehicles(snapshot, userId) {
+  return new Set([...snapshot.purchases, ...snapshot.ratings]
+    .filter(row => row.user_id === userId)
+    .map(row => row.vehicle_id));
+}
+
+module.exports = {loadSnapshot, recommend, recommendPopular, rankSimilar, scoreSimilarity};
@@ -0,0 +1,95 @@
+/**
+ * Queries on the cart_items table. Every function takes a database executor from db/database.js
+ * as its first argument.
+ */
+
+"use strict";
+
+/**
+ * Lists the vehicles in a user's cart, oldest addition first, at current prices.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>} - The items with each vehicle's name, image, price and
+ * availability.
+ */
+function listItems(db, userId) {
+  return db.all(`
+    SELECT cart_items.vehicle_id, cart_items.quantity, vehicles.model_name, vehicles.image_url,
+      vehicles.price, vehicles.availability
+    FROM cart_items
+    JOIN vehicles ON cart_items.vehicle_id = vehicles.vehicle_id
+    WHERE cart_items.user_id = ?
+    ORDER BY cart_items.added_at, cart_items.vehicle_id`, userId);
+}
+
+/**
+ * Adds a vehicle to a user's cart, raising the quantity if it is already there.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} quantity - How many to add.
+ * @param {number} maxQuantity - The quantity the item is capped at.
+ * @returns {Promise<void>}
+ */
+async function addItem(db, userId, vehicleId, quantity, maxQuantity) {
+  await db.run(`
+    INSERT INTO cart_items (user_id, vehicle_id, quantity) VALUES (?, ?, ?)
+    ON CONFLICT (user_id, vehicle_id)
+    DO UPDATE SET quantity = MIN(quantity + excluded.quantity, ?)`,
+  userId, vehicleId, quantity, maxQuantity);
+}
+
+/**
+ * Sets the quantity of a vehicle already in a user's cart.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} quantity - The new quantity.
+ * @returns {Promise<boolean>} - True if the vehicle was in the cart.
+ */
+async function setQuantity(db, userId, vehicleId, quantity) {
+  const result = await db.run(`UPDATE cart_items SET quantity = ?
+    WHERE user_id = ? AND vehicle_id = ?`, quantity, userId, vehicleId);
+  return result.changes > 0;
+}
+
+/**
+ * Removes a vehicle from a user's cart.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<boolean>} - True if the vehicle was in the cart.
+ */
+async function removeItem(db, userId, vehicleId) {
+  const result = await db.run('DELETE FROM cart_items WHERE user_id = ? AND vehicle_id = ?',
+    userId, vehicleId);
+  return result.changes > 0;
+}
+
+/**
+ * Empties a user's cart.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+async function clear(db, userId) {
+  await db.run('DELETE FROM cart_items WHERE user_id = ?', userId);
+}
+
+/**
+ * Removes a vehicle from every cart.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<void>}
+ */
+async function removeVehicle(db, vehicleId) {
+  await db.run('DELETE FROM cart_items WHERE vehicle_id = ?', vehicleId);
+}
+
+module.exports = {listItems, addItem, setQuantity, removeItem, clear, removeVehicle};
@@ -0,0 +1,99 @@
+/**
+ * Queries on the notifications table, which holds the wishlist alerts recorded for each user.
+ * Every function takes a database executor from db/database.js as its first argument.
+ */
+
+"use strict";
+
+/**
+ * Records the same alert for every user with a vehicle on their wishlist.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {string} kind - The kind of alert, such as `price-drop`.
+ * @param {string} message - The text shown to each user.
+ * @returns {Promise<number>} - The number of alerts recorded.
+ */
+async function insertForWatchers(db, vehicleId, kind, message) {
+  const result = await db.run(`
+    INSERT INTO notifications (user_id, vehicle_id, kind, message)
+    SELECT user_id, vehicle_id, ?, ? FROM wishlist WHERE vehicle_id = ?
+    ORDER BY user_id`, kind, message, vehicleId);
+  return result.changes;
+}
+
+/**
+ * Lists a user's most recent notifications, newest first.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} limit - The most notifications to return.
+ * @returns {Promise<Array<Object>>} - The notifications.
+ */
+function listForUser(db, userId, limit) {
+  return db.all(`
+    SELECT notification_id, vehicle_id, kind, message, created_at, read_at
+    FROM notifications
+    WHERE user_id = ?
+    ORDER BY notification_id DESC
+    LIMIT ?`, userId, limit);
+}
+
+/**
+ * Counts a user's unread notifications.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<number>} - The count.
+ */
+async function countUnread(db, userId) {
+  const row = await db.get(`SELECT COUNT(*) AS unread FROM notifications
+    WHERE user_id = ? AND read_at IS NULL`, userId);
+  return row.unread;
+}
+
+/**
+ * Marks all of a user's notifications as read.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+async function markAllRead(db, userId) {
+  await db.run(`UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND read_at IS NULL`, userId);
+}
+
+/**
+ * Lists the notifications the notifier hasn't sent yet, oldest first.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<Array<Object>>} - The notifications with the recipient's username and the
+ * vehicle's model name.
+ */
+function listUndelivered(db) {
+  return db.all(`
+    SELECT notifications.notification_id, notifications.user_id, users.username,
+      notifications.vehicle_id, vehicles.model_name, notifications.kind, notifications.message,
+      notifications.created_at
+    FROM notifications
+    JOIN users ON notifications.user_id = users.user_id
+    JOIN vehicles ON notifications.vehicle_id = vehicles.vehicle_id
+    WHERE notifications.delivered_at IS NULL
+    ORDER BY notifications.notification_id`);
+}
+
+/**
+ * Records that the notifier has sent a notification.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} notificationId - The ID of the notification.
+ * @returns {Promise<void>}
+ */
+async function markDelivered(db, notificationId) {
+  await db.run(`UPDATE notifications SET delivered_at = CURRENT_TIMESTAMP
+    WHERE notification_id = ?`, notificationId);
+}
+
+module.exports = {insertForWatchers, listForUser, countUnread, markAllRead, listUndelivered,
+  markDelivered};
@@ -0,0 +1,205 @@
+/**
+ * Queries on orders: the transactions table, whose rows are orders, with their order_items and
+ * order_status_history. Every function takes a database executor from db/database.js as its first
+ * argument.
+ */
+
+"use strict";
+
+/**
+ * Finds an order by ID.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<?Object>} - The transactions row, or undefined if there is none.
+ */
+function findById(db, orderId) {
+  return db.get('SELECT * FROM transactions WHERE transaction_id = ?', orderId);
+}
+
+/**
+ * Finds one of a user's orders.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user who placed the order.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<?Object>} - The transactions row, or undefined if the user has no such order.
+ */
+function findForUser(db, userId, orderId) {
+  return db.get('SELECT * FROM transactions WHERE transaction_id = ? AND user_id = ?', orderId,
+    userId);
+}
+
+/**
+ * Finds the order a user placed with an idempotency key.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {string} idempotencyKey - The key sent with the order.
+ * @returns {Promise<?Object>} - The transactions row, or undefined if the key is unused.
+ */
+function findByIdempotencyKey(db, userId, idempotencyKey) {
+  return db.get('SELECT * FROM transactions WHERE user_id = ? AND idempotency_key = ?', userId,
+    idempotencyKey);
+}
+
+/**
+ * Lists a user's orders, newest first.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>} - The transactions rows.
+ */
+function listForUser(db, userId) {
+  return db.all('SELECT * FROM transactions WHERE user_id = ? ORDER BY transaction_id DESC',
+    userId);
+}
+
+/**
+ * Lists the line items of an order.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<Array<Object>>} - The items with each vehicle's name and the price paid.
+ */
+function listItems(db, orderId) {
+  return db.all(`
+    SELECT order_items.vehicle_id, vehicles.model_name AS vehicle_name, order_items.quantity,
+      order_items.unit_price
+    FROM order_items
+    JOIN vehicles ON order_items.vehicle_id = vehicles.vehicle_id
+    WHERE order_items.transaction_id = ?
+    ORDER BY order_items.item_id`, orderId);
+}
+
+/**
+ * Lists an order's status changes, oldest first.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<Array<Object>>} - The changes' `status`, `note` and `changed_at`.
+ */
+function listHistory(db, orderId) {
+  return db.all(`
+    SELECT status, note, changed_at FROM order_status_history
+    WHERE transaction_id = ?
+    ORDER BY history_id`, orderId);
+}
+
+/**
+ * Lists which vehicles each user has bought, counting orders in any status but the given ones.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {Promise<Array<Object>>} - One row per user and vehicle bought with the `user_id`,
+ * `vehicle_id`, total `quantity` and `first_order_id`, ordered by user and then by first order.
+ */
+function listPurchases(db, unsoldStatuses) {
+  return db.all(`
+    SELECT transactions.user_id, order_items.vehicle_id, SUM(order_items.quantity) AS quantity,
+      MIN(transactions.transaction_id) AS first_order_id
+    FROM order_items
+    JOIN transactions ON order_items.transaction_id = transactions.transaction_id
+    WHERE transactions.status NOT IN (${unsoldStatuses.map(() => '?').join(', ')})
+    GROUP BY transactions.user_id, order_items.vehicle_id
+    ORDER BY transactions.user_id, first_order_id, order_items.vehicle_id`, unsoldStatuses);
+}
+
+/**
+ * Adds a pending order without its items.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user placing the order.
+ * @param {string} confirmation - The order's confirmation number.
+ * @param {{key: ?string, fingerprint: ?string}} idempotency - The idempotency key sent with the
+ * order, if any, and the fingerprint of the request it was sent with.
+ * @param {{subtotal: number, tax: number, fees: number, total: number}} totals - The totals.
+ * @returns {Promise<?number>} - The new order's transaction ID, or null if another order has the
+ * confirmation number.
+ */
+async function insert(db, userId, confirmation, idempotency, totals) {
+  try {
+    const result = await db.run(`INSERT INTO transactions
+      (user_id, confirmation_number, date, idempotency_key, request_fingerprint, status,
+        subtotal, tax, fees, total)
+      VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, 'pending', ?, ?, ?, ?)`, userId, confirmation,
+    idempotency.key, idempotency.fingerprint, totals.subtotal, totals.tax, totals.fees,
+    totals.total);
+    return result.lastID;
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('confirmation_number')) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Adds a line item to an order.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @param {{vehicleId: number, quantity: number, unitPrice: number}} line - The line item.
+ * @returns {Promise<void>}
+ */
+async function insertItem(db, orderId, line) {
+  await db.run(`INSERT INTO order_items (transaction_id, vehicle_id, quantity, unit_price)
+    VALUES (?, ?, ?, ?)`, orderId, line.vehicleId, line.quantity, line.unitPrice);
+}
+
+/**
+ * Records the financing terms an order is paid with.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @param {Object} terms - The `plan`, `downPayment`, `tradeIn`, `apr`, `termMonths` and
+ * `residualPercent`.
+ * @param {{amountFinanced: number, monthlyPayment: number}} payments - The payments they work out
+ * to.
+ * @returns {Promise<void>}
+ */
+async function insertFinancing(db, orderId, terms, payments) {
+  await db.run(`INSERT INTO order_financing (transaction_id, plan, down_payment, trade_in, apr,
+    term_months, residual_percent, amount_financed, monthly_payment)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, orderId, terms.plan, terms.downPayment, terms.tradeIn,
+  terms.apr, terms.termMonths, terms.residualPercent, payments.amountFinanced,
+  payments.monthlyPayment);
+}
+
+/**
+ * Finds the financing terms of an order.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<?Object>} - The order_financing row, or undefined if the order was paid in
+ * full.
+ */
+function findFinancing(db, orderId) {
+  return db.get('SELECT * FROM order_financing WHERE transaction_id = ?', orderId);
+}
+
+/**
+ * Moves an order from one status to another, recording the change in its history.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @param {?string} from - The status the order must be in, or null for a new order.
+ * @param {string} status - The new status.
+ * @param {string} note - A short reason stored with the history entry.
+ * @returns {Promise<boolean>} - True if the order was in `from`.
+ */
+async function setStatus(db, orderId, from, status, note) {
+  if (from !== null) {
+    const result = await db.run(`UPDATE transactions SET status = ?
+      WHERE transaction_id = ? AND status = ?`, status, orderId, from);
+    if (result.changes === 0) {
+      return false;
+    }
+  }
+  await db.run(`INSERT INTO order_status_history (transaction_id, status, note)
+    VALUES (?, ?, ?)`, orderId, status, note);
+  return true;
+}
+
+module.exports = {findById, findForUser, findByIdempotencyKey, listForUser, listItems,
+  listHistory, listPurchases, insert, insertItem, insertFinancing, findFinancing, setStatus};
@@ -0,0 +1,362 @@
+/**
+ * Queries on the review table. Every function takes a database executor from db/database.js as
+ * its first argument. A user has at most one review of each vehicle.
+ *
+ * A review's status is `pending` while it waits for a moderator, `approved` once it is shown, or
+ * `rejected` or `hidden` when a moderator has kept it or taken it off the site. Users' reports
+ * of a review stay open until a moderator next decides on it.
+ */
+
+"use strict";
+
+/**
+ * ORDER BY clauses for each review `sort` accepted by GET /vehicle/:vehicleId/reviews. Ties go to
+ * the newest review.
+ */
+const REVIEW_SORTS = {
+  'newest': 'review.date_submitted DESC',
+  'highest': 'review.rating DESC, review.date_submitted DESC',
+  'lowest': 'review.rating ASC, review.date_submitted DESC',
+  'helpful': 'helpful_count DESC, review.date_submitted DESC'
+};
+
+/**
+ * Selects a review's columns with the reviewer's username, its `helpful_count` of votes and a
+ * `verified_purchase` flag, set when the reviewer has an order for the vehicle in a status not
+ * passed as the query's first parameters. Queries using it must join users.
+ *
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {string} - The column list.
+ */
+function reviewColumns(unsoldStatuses) {
+  return `review.review_id, review.user_id, users.username, review.vehicle_id, review.rating,
+    review.review_text, review.date_submitted, review.updated_at, review.status,
+    EXISTS (
+      SELECT 1 FROM order_items
+      JOIN transactions ON order_items.transaction_id = transactions.transaction_id
+      WHERE transactions.user_id = review.user_id
+      AND order_items.vehicle_id = review.vehicle_id
+      AND transactions.status NOT IN (${unsoldStatuses.map(() => '?').join(', ')})
+    ) AS verified_purchase,
+    (SELECT COUNT(*) FROM review_votes WHERE review_votes.review_id = review.review_id
+    ) AS helpful_count`;
+}
+
+/**
+ * Finds a review.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {Promise<?Object>} - The review, or undefined if there is none.
+ */
+async function findById(db, reviewId, unsoldStatuses) {
+  const review = await db.get(`SELECT ${reviewColumns(unsoldStatuses)}
+    FROM review JOIN users ON review.user_id = users.user_id
+    WHERE review.review_id = ?`, [...unsoldStatuses, reviewId]);
+  return review ? formatReviews([review])[0] : review;
+}
+
+/**
+ * Adds a review.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} review - The review's `userId`, `vehicleId`, `rating` and `reviewText`, and
+ * optionally `dateSubmitted`, which defaults to now, and `holdReason`, which adds the review as
+ * pending instead of approved.
+ * @returns {Promise<?number>} - The new review's ID, or null if the user has already reviewed
+ * the vehicle.
+ */
+async function insert(db, review) {
+  const holdReason = review.holdReason || null;
+  try {
+    const result = await db.run(`
+      INSERT INTO review (user_id, vehicle_id, rating, review_text, date_submitted, status,
+        moderation_reason)
+      VALUES (?, ?, ?, ?, IFNULL(?, CURRENT_TIMESTAMP), ?, ?)`, review.userId, review.vehicleId,
+    review.rating, review.reviewText, review.dateSubmitted || null,
+    holdReason ? 'pending' : 'approved', holdReason);
+    return result.lastID;
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Changes the rating and text of one of a user's reviews, marking it as edited. The review keeps
+ * its status unless a hold reason is given.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the user who wrote it.
+ * @param {number} rating - The new rating.
+ * @param {string} reviewText - The new text.
+ * @param {?string} holdReason - Why the new text needs a moderator, which makes the review
+ * pending, or null.
+ * @returns {Promise<boolean>} - True if the user has a review with this ID.
+ */
+async function update(db, reviewId, userId, rating, reviewText, holdReason) {
+  const result = await db.run(`UPDATE review
+    SET rating = ?, review_text = ?, updated_at = CURRENT_TIMESTAMP,
+      status = CASE WHEN ? IS NULL THEN status ELSE 'pending' END,
+      moderation_reason = IFNULL(?, moderation_reason)
+    WHERE review_id = ? AND user_id = ?`, rating, reviewText, holdReason, holdReason, reviewId,
+  userId);
+  return result.changes > 0;
+}
+
+/**
+ * Deletes one of a user's reviews and any reports of and votes for it.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the user who wrote it.
+ * @returns {Promise<boolean>} - True if the user had a review with this ID.
+ */
+async function remove(db, reviewId, userId) {
+  const result = await db.run('DELETE FROM review WHERE review_id = ? AND user_id = ?', reviewId,
+    userId);
+  if (result.changes === 0) {
+    return false;
+  }
+  await db.run('DELETE FROM review_reports WHERE review_id = ?', reviewId);
+  await db.run('DELETE FROM review_votes WHERE review_id = ?', reviewId);
+  return true;
+}
+
+/**
+ * Records a moderator's decision on a review and closes its open reports.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {string} status - The review's new status.
+ * @param {?string} reason - The moderator's reason, if any.
+ * @param {number} moderatorId - The ID of the moderator.
+ * @returns {Promise<boolean>} - True if the review exists.
+ */
+async function moderate(db, reviewId, status, reason, moderatorId) {
+  const result = await db.run(`UPDATE review
+    SET status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+    WHERE review_id = ?`, status, reason, moderatorId, reviewId);
+  if (result.changes === 0) {
+    return false;
+  }
+  await db.run(`UPDATE review_reports SET resolved_at = CURRENT_TIMESTAMP
+    WHERE review_id = ? AND resolved_at IS NULL`, reviewId);
+  return true;
+}
+
+/**
+ * Sends a review back to the moderation queue without a moderator's decision.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {string} reason - Why the review is held.
+ * @returns {Promise<void>}
+ */
+async function hold(db, reviewId, reason) {
+  await db.run(`UPDATE review SET status = 'pending', moderation_reason = ?
+    WHERE review_id = ?`, reason, reviewId);
+}
+
+/**
+ * Records a user's report of a review.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the reporting user.
+ * @param {?string} reason - What the user says is wrong with the review.
+ * @returns {Promise<?number>} - The number of open reports of the review, or null if the user
+ * has already reported it.
+ */
+async function addReport(db, reviewId, userId, reason) {
+  try {
+    await db.run('INSERT INTO review_reports (review_id, user_id, reason) VALUES (?, ?, ?)',
+      reviewId, userId, reason);
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') {
+      return null;
+    }
+    throw err;
+  }
+  const {count} = await db.get(`SELECT COUNT(*) AS count FROM review_reports
+    WHERE review_id = ? AND resolved_at IS NULL`, reviewId);
+  return count;
+}
+
+/**
+ * Records a user's vote that a review is helpful. Voting again changes nothing.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the voting user.
+ * @returns {Promise<void>}
+ */
+async function addVote(db, reviewId, userId) {
+  await db.run(`INSERT INTO review_votes (review_id, user_id) VALUES (?, ?)
+    ON CONFLICT (review_id, user_id) DO NOTHING`, reviewId, userId);
+}
+
+/**
+ * Withdraws a user's helpful vote for a review, if there is one.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the voting user.
+ * @returns {Promise<void>}
+ */
+async function removeVote(db, reviewId, userId) {
+  await db.run('DELETE FROM review_votes WHERE review_id = ? AND user_id = ?', reviewId, userId);
+}
+
+/**
+ * Counts the helpful votes for a review.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @returns {Promise<number>} - The number of votes.
+ */
+async function countVotes(db, reviewId) {
+  const {count} = await db.get('SELECT COUNT(*) AS count FROM review_votes WHERE review_id = ?',
+    reviewId);
+  return count;
+}
+
+/**
+ * Computes a vehicle's average rating from its approved reviews.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<{averageRating: ?number, count: number}>} - The unrounded average, null
+ * without reviews, and the number of reviews.
+ */
+function summarize(db, vehicleId) {
+  return db.get(`SELECT AVG(rating) AS averageRating, COUNT(*) AS count FROM review
+    WHERE vehicle_id = ? AND status = 'approved'`, vehicleId);
+}
+
+/**
+ * Counts a vehicle's approved reviews by star rating.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<Array<{rating: number, count: number}>>} - The counts of the ratings given.
+ */
+function countByRating(db, vehicleId) {
+  return db.all(`SELECT rating, COUNT(*) AS count FROM review
+    WHERE vehicle_id = ? AND status = 'approved'
+    GROUP BY rating`, vehicleId);
+}
+
+/**
+ * Lists one page of a vehicle's approved reviews.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @param {{sort: string, limit: number, offset: number}} page - A key of REVIEW_SORTS and the
+ * page's size and offset.
+ * @returns {Promise<Array<Object>>} - The reviews with each reviewer's username.
+ */
+async function listForVehicle(db, vehicleId, unsoldStatuses, page) {
+  const reviews = await db.all(`
+    SELECT ${reviewColumns(unsoldStatuses)}
+    FROM review
+    JOIN users ON review.user_id = users.user_id
+    WHERE review.vehicle_id = ? AND review.status = 'approved'
+    ORDER BY ${REVIEW_SORTS[page.sort]}, review.review_id DESC
+    LIMIT ? OFFSET ?`, [...unsoldStatuses, vehicleId, page.limit, page.offset]);
+  return formatReviews(reviews);
+}
+
+/**
+ * Finds a user's review of a vehicle, whatever its status.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} userId - The ID of the user.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {Promise<?Object>} - The review, or undefined if the user hasn't reviewed the vehicle.
+ */
+async function findForUser(db, vehicleId, userId, unsoldStatuses) {
+  const review = await db.get(`SELECT ${reviewColumns(unsoldStatuses)}
+    FROM review JOIN users ON review.user_id = users.user_id
+    WHERE review.vehicle_id = ? AND review.user_id = ?`, [...unsoldStatuses, vehicleId, userId]);
+  return review ? formatReviews([review])[0] : review;
+}
+
+/**
+ * Lists the rating of every approved review.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<Array<{user_id: number, vehicle_id: number, rating: number}>>} - The
+ * ratings, ordered by user and vehicle.
+ */
+function listRatings(db) {
+  return db.all(`SELECT user_id, vehicle_id, rating FROM review WHERE status = 'approved'
+    ORDER BY user_id, vehicle_id`);
+}
+
+/**
+ * Lists reviews for moderators, oldest first, with the vehicle's name, the moderator's username
+ * and the number of open reports.
+ *
+ * @param {Object} db - The database executor.
+ * @param {?string} status - The status to list, or null for the moderation queue: pending
+ * reviews and reviews with open reports.
+ * @param {Array<string>} unsoldStatuses - Order statuses that don't count as a purchase.
+ * @returns {Promise<Array<Object>>} - The reviews.
+ */
+async function listForModeration(db, status, unsoldStatuses) {
+  const reviews = await db.all(`
+    SELECT ${reviewColumns(unsoldStatuses)}, review.moderation_reason, review.moderated_at,
+      moderators.username AS moderated_by, vehicles.model_name,
+      (SELECT COUNT(*) FROM review_reports
+        WHERE review_reports.review_id = review.review_id AND resolved_at IS NULL) AS open_reports
+    FROM review
+    JOIN users ON review.user_id = users.user_id
+    JOIN vehicles ON review.vehicle_id = vehicles.vehicle_id
+    LEFT JOIN users AS moderators ON review.moderated_by = moderators.user_id
+    WHERE ${status ? 'review.status = ?' : `(review.status = 'pending' OR EXISTS (
+      SELECT 1 FROM review_reports
+      WHERE review_reports.review_id = review.review_id AND resolved_at IS NULL))`}
+    ORDER BY review.date_submitted, review.review_id`,
+  status ? [...unsoldStatuses, status] : unsoldStatuses);
+  return formatReviews(reviews);
+}
+
+/**
+ * Lists the open reports of a review, oldest first.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} reviewId - The ID of the review.
+ * @returns {Promise<Array<Object>>} - The reports' `username`, `reason` and `reported_at`.
+ */
+function listOpenReports(db, reviewId) {
+  return db.all(`
+    SELECT users.username, review_reports.reason, review_reports.reported_at
+    FROM review_reports
+    JOIN users ON review_reports.user_id = users.user_id
+    WHERE review_reports.review_id = ? AND review_reports.resolved_at IS NULL
+    ORDER BY review_reports.report_id`, reviewId);
+}
+
+/**
+ * Turns the `verified_purchase` flag selected by reviewColumns into a boolean.
+ *
+ * @param {Array<Object>} reviews - Review rows.
+ * @returns {Array<Object>} - The same rows.
+ */
+function formatReviews(reviews) {
+  reviews.forEach(review => {
+    review.verified_purchase = review.verified_purchase === 1;
+  });
+  return reviews;
+}
+
+module.exports = {REVIEW_SORTS, findById, insert, update, remove, moderate, hold, addReport,
+  addVote, removeVote, countVotes, summarize, countByRating, listForVehicle, findForUser,
+  listRatings, listForModeration, listOpenReports};
@@ -0,0 +1,79 @@
+/**
+ * Queries on the catalog taxonomy: the body_types and tags tables and the vehicle_tags table
+ * linking tags to vehicles. Every query function takes a database executor from db/database.js
+ * as its first argument.
+ */
+
+"use strict";
+
+/**
+ * Finds the ID of a body type.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} slug - The body type's slug.
+ * @returns {Promise<?number>} - The body type's ID, or null if there is no such body type.
+ */
+async function findBodyTypeId(db, slug) {
+  const row = await db.get('SELECT body_type_id FROM body_types WHERE slug = ?', slug);
+  return row ? row.body_type_id : null;
+}
+
+/**
+ * Adds a body type.
+ *
+ * @param {Object} db - The database executor.
+ * @param {{slug: string, label: string, pluralLabel: string}} bodyType - The body type.
+ * @param {number} sortOrder - Where the body type is listed relative to the others.
+ * @returns {Promise<void>}
+ */
+async function insertBodyType(db, bodyType, sortOrder) {
+  await db.run(`INSERT INTO body_types (slug, label, plural_label, sort_order)
+    VALUES (?, ?, ?, ?)`, bodyType.slug, bodyType.label, bodyType.pluralLabel, sortOrder);
+}
+
+/**
+ * Adds a tag unless one with the same slug exists.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} slug - The tag's slug.
+ * @param {string} [label] - The tag's label; made from the slug if left out.
+ * @returns {Promise<void>}
+ */
+async function insertTag(db, slug, label) {
+  await db.run('INSERT INTO tags (slug, label) VALUES (?, ?) ON CONFLICT (slug) DO NOTHING',
+    slug, label || taxonomyLabel(slug));
+}
+
+/**
+ * Replaces a vehicle's tags, adding any tags the taxonomy doesn't have yet.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {Array<string>} tags - The tag slugs.
+ * @returns {Promise<void>}
+ */
+async function setVehicleTags(db, vehicleId, tags) {
+  await db.run('DELETE FROM vehicle_tags WHERE vehicle_id = ?', vehicleId);
+  for (const tag of tags) {
+    await insertTag(db, tag);
+    await db.run(`INSERT INTO vehicle_tags (vehicle_id, tag_id)
+      SELECT ?, tag_id FROM tags WHERE slug = ?`, vehicleId, tag);
+  }
+}
+
+/**
+ * Turns a body type or tag slug into a display label, e.g. "gran coupe" into "Gran Coupe".
+ * Short slugs are taken to be abbreviations, so "suv" becomes "SUV".
+ *
+ * @param {string} slug - The slug.
+ * @returns {string} - The label.
+ */
+function taxonomyLabel(slug) {
+  if (slug.length <= 3) {
+    return slug.toUpperCase();
+  }
+  return slug.replace(/(^|[\s-])(\w)/g, (match, separator, letter) =>
+    separator + letter.toUpperCase());
+}
+
+module.exports = {findBodyTypeId, insertBodyType, insertTag, setVehicleTags, taxonomyLabel};
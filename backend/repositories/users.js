@@ -0,0 +1,65 @@
+/**
+ * Queries on the users table. Every function takes a database executor from db/database.js as
+ * its first argument.
+ */
+
+"use strict";
+
+/**
+ * Finds a user by ID.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<?Object>} - The user's `user_id`, `username` and `role`, or undefined if
+ * there is no such user.
+ */
+function findById(db, userId) {
+  return db.get('SELECT user_id, username, role FROM users WHERE user_id = ?', userId);
+}
+
+/**
+ * Finds a user by username, including the password hash.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} username - The username.
+ * @returns {Promise<?Object>} - The users row, or undefined if there is no such user.
+ */
+function findByUsername(db, username) {
+  return db.get('SELECT * FROM users WHERE username = ?', username);
+}
+
+/**
+ * Adds a user.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} username - The username.
+ * @param {string} passwordHash - The encoded hash of the user's password.
+ * @param {string} [role] - The user's role; `customer` if left out.
+ * @returns {Promise<?number>} - The new user's ID, or null if the username is taken.
+ */
+async function insert(db, username, passwordHash, role) {
+  try {
+    const result = await db.run(`INSERT INTO users (username, password, role)
+      VALUES (?, ?, IFNULL(?, 'customer'))`, username, passwordHash, role || null);
+    return result.lastID;
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Changes a user's role.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} username - The username.
+ * @param {string} role - The new role.
+ * @returns {Promise<void>}
+ */
+async function setRole(db, username, role) {
+  await db.run('UPDATE users SET role = ? WHERE username = ?', role, username);
+}
+
+module.exports = {findById, findByUsername, insert, setRole};
@@ -0,0 +1,427 @@
+/**
+ * Queries on the vehicles table, including catalog search and facet counts. Every function takes
+ * a database executor from db/database.js as its first argument. Vehicles are returned with their
+ * body type's slug as `body_type`, their tag slugs as a `tags` array and their average `rating`
+ * and `review_count`.
+ */
+
+"use strict";
+
+/**
+ * Columns selected for every vehicle the API returns: the vehicles row plus its body type's slug,
+ * a comma-separated list of its tag slugs, which formatVehicles turns into an array, and the
+ * `rating` (average, to one decimal place, or null) and `review_count` of its approved reviews.
+ * Queries using it must join body_types with VEHICLE_JOINS.
+ */
+const VEHICLE_COLUMNS = `vehicles.*, body_types.slug AS body_type,
+  (SELECT group_concat(tags.slug, ',') FROM vehicle_tags
+    JOIN tags ON vehicle_tags.tag_id = tags.tag_id
+    WHERE vehicle_tags.vehicle_id = vehicles.vehicle_id) AS tags,
+  (SELECT ROUND(AVG(review.rating), 1) FROM review
+    WHERE review.vehicle_id = vehicles.vehicle_id AND review.status = 'approved') AS rating,
+  (SELECT COUNT(*) FROM review
+    WHERE review.vehicle_id = vehicles.vehicle_id AND review.status = 'approved') AS review_count`;
+const VEHICLE_JOINS = 'LEFT JOIN body_types ON vehicles.body_type_id = body_types.body_type_id';
+
+/**
+ * ORDER BY clauses for each `sort` value accepted by GET /vehicles. `relevance` only applies to
+ * searches with a query and is their default.
+ */
+const SEARCH_SORTS = {
+  'relevance': 'search_rank',
+  'featured': 'vehicles.vehicle_id',
+  'price-asc': 'vehicles.price ASC',
+  'price-desc': 'vehicles.price DESC',
+  'year-desc': 'vehicles.year DESC',
+  'year-asc': 'vehicles.year ASC',
+  'rating': `IFNULL((SELECT AVG(rating) FROM review
+    WHERE review.vehicle_id = vehicles.vehicle_id AND review.status = 'approved'), 0) DESC`,
+  'newest': 'vehicles.vehicle_id DESC',
+  'range-desc': 'vehicles.range_miles IS NULL, vehicles.range_miles DESC',
+  'charging-desc': 'vehicles.dc_peak_kw IS NULL, vehicles.dc_peak_kw DESC',
+  'acceleration': 'vehicles.zero_to_sixty_s IS NULL, vehicles.zero_to_sixty_s ASC'
+};
+
+// bm25 weights for the vehicle_search columns: model_name, make, description, tags.
+const SEARCH_COLUMN_WEIGHTS = [10, 5, 1, 3];
+const SEARCH_HIGHLIGHT_OPEN = '<mark>';
+const SEARCH_HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * Finds a vehicle, retired or not.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<?Object>} - The vehicle, or undefined if there is none.
+ */
+async function findById(db, vehicleId) {
+  const vehicle = await db.get(`SELECT ${VEHICLE_COLUMNS} FROM vehicles ${VEHICLE_JOINS}
+    WHERE vehicles.vehicle_id = ?`, vehicleId);
+  return vehicle ? formatVehicles([vehicle])[0] : vehicle;
+}
+
+/**
+ * Finds the ID of the vehicle with a model name.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} modelName - The model name.
+ * @returns {Promise<?number>} - The vehicle's ID, or null if no vehicle has the name.
+ */
+async function findIdByModelName(db, modelName) {
+  const row = await db.get('SELECT vehicle_id FROM vehicles WHERE model_name = ?', modelName);
+  return row ? row.vehicle_id : null;
+}
+
+/**
+ * Checks whether a vehicle exists, retired or not.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<boolean>} - True if it exists.
+ */
+async function exists(db, vehicleId) {
+  return Boolean(await db.get('SELECT 1 FROM vehicles WHERE vehicle_id = ?', vehicleId));
+}
+
+/**
+ * Checks whether a vehicle other than the given one has a model name.
+ *
+ * @param {Object} db - The database executor.
+ * @param {string} modelName - The model name.
+ * @param {?number} vehicleId - The vehicle allowed to have the name, if any.
+ * @returns {Promise<boolean>} - True if another vehicle has it.
+ */
+async function isModelNameTaken(db, modelName, vehicleId) {
+  const qry = 'SELECT 1 FROM vehicles WHERE model_name = ? AND vehicle_id IS NOT ?';
+  return Boolean(await db.get(qry, modelName, vehicleId));
+}
+
+/**
+ * Adds a vehicle.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} columns - The vehicle's values, keyed by column name.
+ * @returns {Promise<number>} - The new vehicle's ID.
+ */
+async function insert(db, columns) {
+  const names = Object.keys(columns);
+  const result = await db.run(`INSERT INTO vehicles (${names.join(', ')})
+    VALUES (${names.map(() => '?').join(', ')})`, Object.values(columns));
+  return result.lastID;
+}
+
+/**
+ * Changes some of a vehicle's columns.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {Object} columns - The new values, keyed by column name.
+ * @returns {Promise<void>}
+ */
+async function update(db, vehicleId, columns) {
+  const names = Object.keys(columns);
+  if (names.length > 0) {
+    await db.run(`UPDATE vehicles SET ${names.map(name => `${name} = ?`).join(', ')}
+      WHERE vehicle_id = ?`, [...Object.values(columns), vehicleId]);
+  }
+}
+
+/**
+ * Adds units to or removes units from a vehicle's availability, unless that would leave fewer
+ * than 0.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {number} change - The number of units to add, or remove if negative.
+ * @returns {Promise<boolean>} - True if the availability changed.
+ */
+async function adjustAvailability(db, vehicleId, change) {
+  const result = await db.run(`UPDATE vehicles SET availability = availability + ?
+    WHERE vehicle_id = ? AND availability + ? >= 0`, change, vehicleId, change);
+  return result.changes > 0;
+}
+
+/**
+ * Puts the vehicles of an order back in stock.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} orderId - The transaction ID of the order.
+ * @returns {Promise<void>}
+ */
+async function restockOrder(db, orderId) {
+  await db.run(`
+    UPDATE vehicles SET availability = availability + (
+      SELECT SUM(quantity) FROM order_items
+      WHERE order_items.transaction_id = ? AND order_items.vehicle_id = vehicles.vehicle_id
+    )
+    WHERE vehicle_id IN (SELECT vehicle_id FROM order_items WHERE transaction_id = ?)`,
+  orderId, orderId);
+}
+
+/**
+ * Retires a vehicle or returns it to the catalog. Retiring a retired vehicle keeps the date it
+ * was first retired.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @param {boolean} retired - True to retire the vehicle, false to restore it.
+ * @returns {Promise<boolean>} - True if the vehicle exists.
+ */
+async function setRetired(db, vehicleId, retired) {
+  const qry = retired ?
+    'UPDATE vehicles SET retired_at = IFNULL(retired_at, CURRENT_TIMESTAMP) WHERE vehicle_id = ?' :
+    'UPDATE vehicles SET retired_at = NULL WHERE vehicle_id = ?';
+  const result = await db.run(qry, vehicleId);
+  return result.changes > 0;
+}
+
+/**
+ * Lists every vehicle, those for sale first, with the number of units sold.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Array<string>} unsoldStatuses - Order statuses whose units don't count as sold.
+ * @returns {Promise<Array<Object>>} - The vehicles, each with `units_sold`.
+ */
+async function listInventory(db, unsoldStatuses) {
+  const rows = await db.all(`
+    SELECT ${VEHICLE_COLUMNS},
+      (SELECT IFNULL(SUM(order_items.quantity), 0) FROM order_items
+        JOIN transactions ON order_items.transaction_id = transactions.transaction_id
+        WHERE order_items.vehicle_id = vehicles.vehicle_id
+        AND transactions.status NOT IN (${unsoldStatuses.map(() => '?').join(', ')})
+      ) AS units_sold
+    FROM vehicles ${VEHICLE_JOINS}
+    ORDER BY vehicles.retired_at IS NOT NULL, vehicles.model_name`, unsoldStatuses);
+  return formatVehicles(rows);
+}
+
+/**
+ * Lists the vehicles for sale in the order they were added.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<Array<Object>>} - The vehicles.
+ */
+async function listForSale(db) {
+  const rows = await db.all(`SELECT ${VEHICLE_COLUMNS} FROM vehicles ${VEHICLE_JOINS}
+    WHERE vehicles.retired_at IS NULL ORDER BY vehicles.vehicle_id`);
+  return formatVehicles(rows);
+}
+
+/**
+ * Finds one page of the vehicles for sale matching a search.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} options - The search options produced by searchOptions in app.js.
+ * @param {?string} matchExpression - The FTS5 query for the search text, if there is one.
+ * @returns {Promise<{total: number, vehicles: Array<Object>}>} - The page of vehicles and the
+ * number matching in total. With a match expression, each vehicle carries a `highlight` object
+ * holding its name and a description snippet with matched words wrapped in `<mark>` tags.
+ */
+async function search(db, options, matchExpression) {
+  const {conditions, params} = createSearchConditions(options, matchExpression);
+  const from = `${searchSource(matchExpression)} ${VEHICLE_JOINS}`;
+  const where = ` WHERE ${conditions.join(' AND ')}`;
+  const open = SEARCH_HIGHLIGHT_OPEN;
+  const close = SEARCH_HIGHLIGHT_CLOSE;
+  const searchColumns = matchExpression ? `,
+    bm25(vehicle_search, ${SEARCH_COLUMN_WEIGHTS.join(', ')}) AS search_rank,
+    highlight(vehicle_search, 0, '${open}', '${close}') AS highlight_name,
+    snippet(vehicle_search, 2, '${open}', '${close}', '...', 12) AS highlight_description` : '';
+  const countQry = `SELECT COUNT(*) AS total FROM ${from}${where}`;
+  const query = `SELECT ${VEHICLE_COLUMNS}${searchColumns} FROM ${from}${where}
+    ORDER BY ${SEARCH_SORTS[options.sort]}, vehicles.vehicle_id
+    LIMIT ? OFFSET ?`;
+
+  const {total} = await db.get(countQry, params);
+  const rows = await db.all(query, [...params, options.limit, options.offset]);
+  const vehicles = formatVehicles(rows);
+  if (matchExpression) {
+    vehicles.forEach(vehicle => {
+      vehicle.highlight = {
+        model_name: vehicle.highlight_name,
+        description: vehicle.highlight_description
+      };
+      delete vehicle.search_rank;
+      delete vehicle.highlight_name;
+      delete vehicle.highlight_description;
+    });
+  }
+  return {total, vehicles};
+}
+
+/**
+ * Counts the vehicles for sale matching a search by body type, tag, make, drivetrain and charging
+ * connector. Each facet's counts apply every filter except its own.
+ *
+ * @param {Object} db - The database executor.
+ * @param {Object} options - The search options produced by searchOptions in app.js.
+ * @param {?string} matchExpression - The FTS5 query for the search text, if there is one.
+ * @param {boolean} noMatch - Whether the search text can't match anything, making every count 0.
+ * @returns {Promise<Object>} - The facets described under GET /facets.
+ */
+async function countFacets(db, options, matchExpression, noMatch) {
+  const matching = (facetOptions, columns) => {
+    const {conditions, params} = createSearchConditions(facetOptions, matchExpression);
+    if (noMatch) {
+      conditions.push('0');
+    }
+    return {
+      sql: `SELECT ${columns} FROM ${searchSource(matchExpression)}
+        WHERE ${conditions.join(' AND ')}`,
+      params
+    };
+  };
+
+  const bodyTypeMatches = matching({...options, types: []},
+    'vehicles.vehicle_id, vehicles.body_type_id');
+  const bodyTypes = await db.all(`
+    SELECT body_types.slug, body_types.label, body_types.plural_label AS pluralLabel,
+      COUNT(matched.vehicle_id) AS count
+    FROM body_types
+    LEFT JOIN (${bodyTypeMatches.sql}) matched
+      ON matched.body_type_id = body_types.body_type_id
+    GROUP BY body_types.body_type_id
+    ORDER BY body_types.sort_order, body_types.label`, bodyTypeMatches.params);
+
+  const tagMatches = matching({...options, tags: []}, 'vehicles.vehicle_id');
+  const tags = await db.all(`
+    SELECT tags.slug, tags.label, COUNT(matched.vehicle_id) AS count
+    FROM tags
+    LEFT JOIN vehicle_tags ON vehicle_tags.tag_id = tags.tag_id
+    LEFT JOIN (${tagMatches.sql}) matched ON matched.vehicle_id = vehicle_tags.vehicle_id
+    GROUP BY tags.tag_id
+    ORDER BY tags.label`, tagMatches.params);
+
+  // Counts each value a column takes in the catalog, ignoring the filter named `optionName`.
+  const countValues = (column, optionName) => {
+    const valueMatches = matching({...options, [optionName]: []},
+      `vehicles.vehicle_id, vehicles.${column}`);
+    return db.all(`
+      SELECT catalog.${column}, COUNT(matched.vehicle_id) AS count
+      FROM (SELECT DISTINCT ${column} FROM vehicles
+        WHERE retired_at IS NULL AND ${column} IS NOT NULL) catalog
+      LEFT JOIN (${valueMatches.sql}) matched ON matched.${column} = catalog.${column}
+      GROUP BY catalog.${column}
+      ORDER BY catalog.${column}`, valueMatches.params);
+  };
+  const makes = await countValues('make', 'makes');
+  const drivetrains = await countValues('drivetrain', 'drivetrains');
+  const connectors = await countValues('charge_connector', 'connectors');
+
+  const ranges = await db.get(`
+    SELECT MIN(price) AS minPrice, MAX(price) AS maxPrice, MIN(year) AS minYear,
+      MAX(year) AS maxYear
+    FROM vehicles WHERE retired_at IS NULL`);
+  return {
+    bodyTypes,
+    tags,
+    makes,
+    drivetrains,
+    connectors,
+    price: {min: ranges.minPrice, max: ranges.maxPrice},
+    year: {min: ranges.minYear, max: ranges.maxYear}
+  };
+}
+
+/**
+ * Retrieves every term in the search index.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<Array<string>>} - The indexed terms.
+ */
+async function listSearchTerms(db) {
+  const rows = await db.all('SELECT term FROM vehicle_search_vocab');
+  return rows.map(row => row.term);
+}
+
+/**
+ * Returns the FROM clause for a search, joining the full-text index when there is search text.
+ *
+ * @param {?string} matchExpression - The FTS5 query for the search text, if there is one.
+ * @returns {string} - The FROM clause without the FROM keyword.
+ */
+function searchSource(matchExpression) {
+  return matchExpression ?
+    'vehicles JOIN vehicle_search ON vehicle_search.rowid = vehicles.vehicle_id' : 'vehicles';
+}
+
+/**
+ * Creates the WHERE conditions and matching parameters for a search. Several values for the same
+ * filter match any of them, and different filters must all match.
+ *
+ * @param {Object} options - The search options produced by searchOptions in app.js.
+ * @param {?string} matchExpression - The FTS5 query for the search text, if there is one.
+ * @returns {{conditions: Array<string>, params: Array}} - The SQL conditions and their parameters.
+ */
+function createSearchConditions(options, matchExpression) {
+  const conditions = ['vehicles.retired_at IS NULL'];
+  const params = [];
+  const placeholders = values => values.map(() => '?').join(', ');
+
+  if (matchExpression) {
+    conditions.push('vehicle_search MATCH ?');
+    params.push(matchExpression);
+  }
+  if (options.types.length > 0) {
+    conditions.push(`vehicles.body_type_id IN (
+      SELECT body_type_id FROM body_types WHERE slug IN (${placeholders(options.types)}))`);
+    params.push(...options.types);
+  }
+  if (options.tags.length > 0) {
+    conditions.push(`vehicles.vehicle_id IN (
+      SELECT vehicle_tags.vehicle_id FROM vehicle_tags
+      JOIN tags ON vehicle_tags.tag_id = tags.tag_id
+      WHERE tags.slug IN (${placeholders(options.tags)}))`);
+    params.push(...options.tags);
+  }
+  const lists = [
+    ['makes', 'vehicles.make'],
+    ['drivetrains', 'vehicles.drivetrain'],
+    ['connectors', 'vehicles.charge_connector']
+  ];
+  for (const [name, column] of lists) {
+    if (options[name].length > 0) {
+      conditions.push(`LOWER(${column}) IN (${placeholders(options[name])})`);
+      params.push(...options[name]);
+    }
+  }
+  const ranges = [
+    ['minPrice', 'vehicles.price >= ?'],
+    ['maxPrice', 'vehicles.price <= ?'],
+    ['minYear', 'vehicles.year >= ?'],
+    ['maxYear', 'vehicles.year <= ?'],
+    ['minRange', 'vehicles.range_miles >= ?'],
+    ['minBattery', 'vehicles.battery_kwh >= ?'],
+    ['minChargeKw', 'vehicles.dc_peak_kw >= ?'],
+    ['minSeating', 'vehicles.seating >= ?'],
+    ['minTowing', 'vehicles.towing_lbs >= ?'],
+    ['maxZeroToSixty', 'vehicles.zero_to_sixty_s <= ?']
+  ];
+  for (const [name, condition] of ranges) {
+    if (options[name] !== undefined) {
+      conditions.push(condition);
+      params.push(options[name]);
+    }
+  }
+  if (options.inStock) {
+    conditions.push('vehicles.availability > 0');
+  }
+  return {conditions, params};
+}
+
+/**
+ * Turns the comma-separated `tags` selected by VEHICLE_COLUMNS into arrays.
+ *
+ * @param {Array<Object>} vehicles - Vehicle rows.
+ * @returns {Array<Object>} - The same rows, each with a `tags` array.
+ */
+function formatVehicles(vehicles) {
+  vehicles.forEach(vehicle => {
+    vehicle.tags = vehicle.tags ? vehicle.tags.split(',') : [];
+  });
+  return vehicles;
+}
+
+module.exports = {SEARCH_SORTS, findById, findIdByModelName, exists, isModelNameTaken, insert,
+  update, adjustAvailability, restockOrder, setRetired, listInventory, listForSale,
+  search, countFacets, listSearchTerms};
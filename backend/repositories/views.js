@@ -0,0 +1,37 @@
+/**
+ * Queries on the vehicle_views table, which counts how often each signed-in user has opened each
+ * vehicle's details. Every function takes a database executor from db/database.js as its first
+ * argument.
+ */
+
+"use strict";
+
+/**
+ * Counts a user's view of a vehicle.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<void>}
+ */
+async function record(db, userId, vehicleId) {
+  await db.run(`
+    INSERT INTO vehicle_views (user_id, vehicle_id) VALUES (?, ?)
+    ON CONFLICT (user_id, vehicle_id)
+    DO UPDATE SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP`,
+  userId, vehicleId);
+}
+
+/**
+ * Lists every user's view counts.
+ *
+ * @param {Object} db - The database executor.
+ * @returns {Promise<Array<{user_id: number, vehicle_id: number, view_count: number}>>} - The
+ * counts, ordered by user and vehicle.
+ */
+async function listAll(db) {
+  return db.all(`SELECT user_id, vehicle_id, view_count FROM vehicle_views
+    ORDER BY user_id, vehicle_id`);
+}
+
+module.exports = {record, listAll};
@@ -0,0 +1,53 @@
+/**
+ * Queries on the wishlist table. Every function takes a database executor from db/database.js as
+ * its first argument.
+ */
+
+"use strict";
+
+/**
+ * Lists the vehicles a user has saved, most recent first, at current prices.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>} - The saved vehicles with each one's name, image, price,
+ * availability and retirement date.
+ */
+function listForUser(db, userId) {
+  return db.all(`
+    SELECT wishlist.vehicle_id, wishlist.added_at, vehicles.model_name, vehicles.image_url,
+      vehicles.price, vehicles.availability, vehicles.retired_at
+    FROM wishlist
+    JOIN vehicles ON wishlist.vehicle_id = vehicles.vehicle_id
+    WHERE wishlist.user_id = ?
+    ORDER BY wishlist.added_at DESC, wishlist.vehicle_id DESC`, userId);
+}
+
+/**
+ * Saves a vehicle to a user's wishlist. Saving it again changes nothing.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<void>}
+ */
+async function add(db, userId, vehicleId) {
+  await db.run(`INSERT INTO wishlist (user_id, vehicle_id) VALUES (?, ?)
+    ON CONFLICT (user_id, vehicle_id) DO NOTHING`, userId, vehicleId);
+}
+
+/**
+ * Removes a vehicle from a user's wishlist.
+ *
+ * @param {Object} db - The database executor.
+ * @param {number} userId - The ID of the user.
+ * @param {number} vehicleId - The ID of the vehicle.
+ * @returns {Promise<boolean>} - True if the vehicle was on the wishlist.
+ */
+async function remove(db, userId, vehicleId) {
+  const result = await db.run('DELETE FROM wishlist WHERE user_id = ? AND vehicle_id = ?',
+    userId, vehicleId);
+  return result.changes > 0;
+}
+
+module.exports = {listForUser, add, remove};
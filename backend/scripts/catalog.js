@@ -0,0 +1,123 @@
+/**
+ * Command-line catalog import and export, for when the spreadsheet is on the same machine as the
+ * database. Run it from the directory holding ewave-autos.db, like the server:
+ *
+ *   node scripts/catalog.js import <file.csv|file.json> [--dry-run]
+ *   node scripts/catalog.js export [--format=csv|json] [--out=<file>]
+ *
+ * The format of an imported file is taken from its extension. Imports print the same report as
+ * POST /admin/catalog/import and exit with status 1 if any row failed.
+ */
+
+"use strict";
+
+const fs = require('fs/promises');
+const path = require('path');
+const {initDatabase, parseCatalog, importCatalog, exportCatalog, toCsv,
+  CATALOG_EXPORT_COLUMNS} = require('../app');
+const database = require('../db/database');
+
+const USAGE = `Usage:
+  node scripts/catalog.js import <file.csv|file.json> [--dry-run]
+  node scripts/catalog.js export [--format=csv|json] [--out=<file>]`;
+
+/**
+ * Runs the command given on the command line.
+ *
+ * @param {Array<string>} args - The command-line arguments after the script name.
+ * @returns {Promise<number>} - The exit status.
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  const options = parseOptions(rest);
+  if (command === 'import' && options.file) {
+    return await runImport(options.file, options['dry-run'] === true);
+  }
+  if (command === 'export') {
+    return await runExport(options.format || 'json', options.out);
+  }
+  console.error(USAGE);
+  return 2;
+}
+
+/**
+ * Splits arguments into `--name=value` or `--flag` options and a positional `file`.
+ *
+ * @param {Array<string>} args - The arguments.
+ * @returns {Object} - The options by name.
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      options.file = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * Imports a CSV or JSON file and prints the report.
+ *
+ * @param {string} file - The path of the file.
+ * @param {boolean} dryRun - Whether to leave the catalog unchanged.
+ * @returns {Promise<number>} - The exit status.
+ */
+async function runImport(file, dryRun) {
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const parsed = parseCatalog(await fs.readFile(file, 'utf8'), format);
+  if (parsed.error) {
+    console.error(parsed.error);
+    return 1;
+  }
+  await initDatabase();
+  const report = await importCatalog(parsed.rows, dryRun);
+  for (const outcome of report.rows) {
+    const name = outcome.modelName || '(no model_name)';
+    if (outcome.errors) {
+      console.log(`row ${outcome.row}: ${name}: ${outcome.errors.join('; ')}`);
+    } else {
+      console.log(`row ${outcome.row}: ${name}: ${outcome.action}`);
+    }
+  }
+  const summary = `${report.created} created, ${report.updated} updated, ${report.failed} failed`;
+  console.log(dryRun ? `Dry run, nothing saved: ${summary}` : summary);
+  return report.failed > 0 ? 1 : 0;
+}
+
+/**
+ * Writes the catalog to a file or standard output.
+ *
+ * @param {string} format - `csv` or `json`.
+ * @param {string} [out] - The path to write to; standard output if left out.
+ * @returns {Promise<number>} - The exit status.
+ */
+async function runExport(format, out) {
+  if (!['csv', 'json'].includes(format)) {
+    console.error('--format must be csv or json');
+    return 2;
+  }
+  await initDatabase();
+  const rows = await exportCatalog();
+  const text = format === 'csv' ? toCsv(rows, CATALOG_EXPORT_COLUMNS) :
+    `${JSON.stringify(rows, null, 2)}\n`;
+  if (out) {
+    await fs.writeFile(out, text);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(status => {
+    process.exitCode = status;
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
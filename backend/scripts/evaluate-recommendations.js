@@ -0,0 +1,170 @@
+/**
+ * Offline evaluation of the recommender against the purchases already in the database. Run it
+ * from the directory holding ewave-autos.db, like the server:
+ *
+ *   node scripts/evaluate-recommendations.js [--k=5] [--holdout=1] [--json]
+ *
+ * For every user with more than `holdout` purchased vehicles, the most recently bought `holdout`
+ * are hidden along with the user's reviews and views of them. The recommender then picks `k`
+ * vehicles from the rest of the data, and the script reports the mean precision@k and recall@k
+ * of those picks against the hidden purchases, next to the popularity-only baseline. Stock is
+ * ignored, since a held-out purchase may have sold out since.
+ */
+
+"use strict";
+
+const {initDatabase, loadRecommendationSnapshot} = require('../app');
+const database = require('../db/database');
+const recommender = require('../recommender');
+
+const USAGE = 'Usage: node scripts/evaluate-recommendations.js [--k=5] [--holdout=1] [--json]';
+
+/**
+ * The recommenders compared, by the name they are reported under.
+ */
+const MODELS = {
+  hybrid: recommender.recommend,
+  popularity: recommender.recommendPopular
+};
+
+/**
+ * Runs the evaluation with the options given on the command line.
+ *
+ * @param {Array<string>} args - The command-line arguments after the script name.
+ * @returns {Promise<number>} - The exit status.
+ */
+async function main(args) {
+  const options = parseOptions(args);
+  const k = options.k === undefined ? 5 : Number(options.k);
+  const holdout = options.holdout === undefined ? 1 : Number(options.holdout);
+  if (options.file || !Number.isInteger(k) || k < 1 ||
+      !Number.isInteger(holdout) || holdout < 1) {
+    console.error(USAGE);
+    return 2;
+  }
+  await initDatabase();
+  const report = evaluate(await loadRecommendationSnapshot(), k, holdout);
+  if (options.json === true) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return 0;
+}
+
+/**
+ * Splits arguments into `--name=value` or `--flag` options, keeping any other argument as `file`
+ * so it can be rejected.
+ *
+ * @param {Array<string>} args - The arguments.
+ * @returns {Object} - The options by name.
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      options.file = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * Scores each model on every user with enough purchases.
+ *
+ * @param {Object} snapshot - The data returned by recommender.loadSnapshot.
+ * @param {number} k - How many vehicles each model recommends.
+ * @param {number} holdout - How many of each user's latest purchases are hidden.
+ * @returns {Object} - The `k`, `holdout` and number of `users` evaluated, and for each model its
+ * mean `precision` and `recall`.
+ */
+function evaluate(snapshot, k, holdout) {
+  const byUser = new Map();
+  for (const purchase of snapshot.purchases) {
+    if (!byUser.has(purchase.user_id)) {
+      byUser.set(purchase.user_id, []);
+    }
+    byUser.get(purchase.user_id).push(purchase);
+  }
+
+  const totals = Object.fromEntries(Object.keys(MODELS)
+    .map(name => [name, {precision: 0, recall: 0}]));
+  let users = 0;
+  for (const [userId, purchases] of byUser) {
+    if (purchases.length <= holdout) {
+      continue;
+    }
+    const hidden = new Set(purchases
+      .sort((a, b) => a.first_order_id - b.first_order_id || a.vehicle_id - b.vehicle_id)
+      .slice(-holdout)
+      .map(purchase => purchase.vehicle_id));
+    const training = withoutInteractions(snapshot, userId, hidden);
+    for (const [name, model] of Object.entries(MODELS)) {
+      const picks = model(training, userId, {limit: k, inStockOnly: false});
+      const hits = picks.filter(vehicle => hidden.has(vehicle.vehicle_id)).length;
+      totals[name].precision += hits / k;
+      totals[name].recall += hits / hidden.size;
+    }
+    users++;
+  }
+
+  const models = {};
+  for (const [name, total] of Object.entries(totals)) {
+    models[name] = {
+      precision: users === 0 ? 0 : total.precision / users,
+      recall: users === 0 ? 0 : total.recall / users
+    };
+  }
+  return {k, holdout, users, models};
+}
+
+/**
+ * Copies a snapshot without a user's purchases, reviews and views of some vehicles.
+ *
+ * @param {Object} snapshot - The data returned by recommender.loadSnapshot.
+ * @param {number} userId - The ID of the user.
+ * @param {Set<number>} vehicleIds - The IDs of the vehicles to hide.
+ * @returns {Object} - The new snapshot.
+ */
+function withoutInteractions(snapshot, userId, vehicleIds) {
+  const keep = row => row.user_id !== userId || !vehicleIds.has(row.vehicle_id);
+  return {
+    vehicles: snapshot.vehicles,
+    purchases: snapshot.purchases.filter(keep),
+    ratings: snapshot.ratings.filter(keep),
+    views: snapshot.views.filter(keep)
+  };
+}
+
+/**
+ * Prints a report as a table.
+ *
+ * @param {Object} report - The report returned by evaluate.
+ * @returns {void}
+ */
+function printReport(report) {
+  if (report.users === 0) {
+    console.log(`No user has bought more than ${report.holdout} vehicle(s); nothing to evaluate`);
+    return;
+  }
+  console.log(`Held out the latest ${report.holdout} purchase(s) of ${report.users} user(s)`);
+  console.log(`${'model'.padEnd(12)}${`precision@${report.k}`.padStart(14)}` +
+    `${`recall@${report.k}`.padStart(12)}`);
+  for (const [name, scores] of Object.entries(report.models)) {
+    console.log(`${name.padEnd(12)}${scores.precision.toFixed(3).padStart(14)}` +
+      `${scores.recall.toFixed(3).padStart(12)}`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(status => {
+    process.exitCode = status;
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
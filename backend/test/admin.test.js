@@ -0,0 +1,230 @@
+/**
+ * Integration tests for the admin endpoints that manage the catalog.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const harness = require('./harness');
+const {request, signIn} = harness;
+
+const NEW_VEHICLE = {
+  modelName: 'Kia EV6',
+  make: 'Kia',
+  year: 2024,
+  price: 48999,
+  availability: 4,
+  bodyType: 'crossover',
+  tags: ['family'],
+  rangeMiles: 310,
+  chargeConnector: 'CCS1',
+  description: 'Fast-charging crossover'
+};
+
+let adminToken;
+
+before(async () => {
+  await harness.start();
+  adminToken = await signIn('ewave_admin');
+});
+after(harness.stop);
+
+test('admin routes are for admins only', async () => {
+  const token = await signIn('john_doe');
+  const targets = [['GET', '/api/v1/admin/vehicles'], ['POST', '/api/v1/admin/vehicles'],
+    ['PUT', '/api/v1/admin/vehicles/1'], ['POST', '/api/v1/admin/vehicles/1/stock'],
+    ['DELETE', '/api/v1/admin/vehicles/1'], ['POST', '/api/v1/admin/vehicles/1/restoration'],
+    ['POST', '/api/v1/admin/images'], ['POST', '/api/v1/admin/catalog'],
+    ['GET', '/api/v1/admin/catalog']];
+  for (const [method, target] of targets) {
+    const forbidden = await request(method, target, {token});
+    assert.equal(forbidden.status, 403, `${method} ${target}`);
+    assert.equal(forbidden.body.error.code, 'forbidden');
+    const anonymous = await request(method, target);
+    assert.equal(anonymous.status, 401, `${method} ${target}`);
+  }
+});
+
+test('GET /api/v1/admin/vehicles summarises stock', async () => {
+  const res = await request('GET', '/api/v1/admin/vehicles', {token: adminToken});
+  assert.equal(res.status, 200);
+  assert.ok(res.body.vehicles.length >= 25);
+  assert.equal(res.body.stock.vehicles + res.body.stock.retired, res.body.vehicles.length);
+  assert.equal(res.body.stock.units,
+    res.body.vehicles.filter(vehicle => !vehicle.retired_at)
+      .reduce((sum, vehicle) => sum + vehicle.availability, 0));
+});
+
+test('POST /api/v1/admin/vehicles adds a vehicle to the catalog', async () => {
+  const res = await request('POST', '/api/v1/admin/vehicles',
+    {token: adminToken, body: NEW_VEHICLE});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.model_name, 'Kia EV6');
+  assert.equal(res.body.range_miles, 310);
+
+  const found = await request('GET', '/api/v1/vehicles?qry=ev6');
+  assert.deepEqual(found.body.vehicles.map(vehicle => vehicle.vehicle_id), [res.body.vehicle_id]);
+
+  const duplicate = await request('POST', '/api/v1/admin/vehicles',
+    {token: adminToken, body: NEW_VEHICLE});
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.code, 'duplicate_vehicle');
+});
+
+test('POST /api/v1/admin/vehicles rejects malformed vehicles', async () => {
+  const missing = await request('POST', '/api/v1/admin/vehicles',
+    {token: adminToken, body: {...NEW_VEHICLE, modelName: undefined}});
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error.code, 'validation_failed');
+  assert.deepEqual(missing.body.error.details, [{location: 'body', field: 'modelName',
+    message: 'modelName is required'}]);
+
+  const negative = await request('POST', '/api/v1/admin/vehicles',
+    {token: adminToken, body: {...NEW_VEHICLE, modelName: 'Kia EV9', price: -1}});
+  assert.equal(negative.status, 400);
+
+  const bodyType = await request('POST', '/api/v1/admin/vehicles',
+    {token: adminToken, body: {...NEW_VEHICLE, modelName: 'Kia EV9', bodyType: 'boat'}});
+  assert.equal(bodyType.status, 400);
+  assert.equal(bodyType.body.error.code, 'unknown_body_type');
+});
+
+test('PUT /api/v1/admin/vehicles/:vehicleId changes some fields', async () => {
+  const res = await request('PUT', '/api/v1/admin/vehicles/2',
+    {token: adminToken, body: {price: 27999}});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.price, 27999);
+  assert.equal(res.body.model_name, 'Nissan Leaf');
+
+  const duplicate = await request('PUT', '/api/v1/admin/vehicles/2',
+    {token: adminToken, body: {modelName: 'Tesla Model S'}});
+  assert.equal(duplicate.status, 409);
+  const malformed = await request('PUT', '/api/v1/admin/vehicles/2',
+    {token: adminToken, body: {year: 'new'}});
+  assert.equal(malformed.status, 400);
+  const missing = await request('PUT', '/api/v1/admin/vehicles/9999',
+    {token: adminToken, body: {price: 1000}});
+  assert.equal(missing.status, 404);
+});
+
+test('POST /api/v1/admin/vehicles/:vehicleId/stock adjusts availability', async () => {
+  const stock = (await request('GET', '/api/v1/vehicles/3')).body.availability;
+  const added = await request('POST', '/api/v1/admin/vehicles/3/stock',
+    {token: adminToken, body: {change: 5}});
+  assert.equal(added.status, 200);
+  assert.equal(added.body.availability, stock + 5);
+
+  const tooMany = await request('POST', '/api/v1/admin/vehicles/3/stock',
+    {token: adminToken, body: {change: -(stock + 6)}});
+  assert.equal(tooMany.status, 409);
+  assert.equal(tooMany.body.error.code, 'insufficient_stock');
+  const zero = await request('POST', '/api/v1/admin/vehicles/3/stock',
+    {token: adminToken, body: {change: 0}});
+  assert.equal(zero.status, 400);
+  const missing = await request('POST', '/api/v1/admin/vehicles/9999/stock',
+    {token: adminToken, body: {change: 1}});
+  assert.equal(missing.status, 404);
+});
+
+test('retired vehicles leave the catalog until they are restored', async () => {
+  const retired = await request('DELETE', '/api/v1/admin/vehicles/4', {token: adminToken});
+  assert.equal(retired.status, 200);
+  assert.ok(retired.body.retired_at);
+  const search = await request('GET', '/api/v1/vehicles?qry=mach-e');
+  assert.equal(search.body.total, 0);
+
+  const restored = await request('POST', '/api/v1/admin/vehicles/4/restoration',
+    {token: adminToken});
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.retired_at, null);
+  const again = await request('GET', '/api/v1/vehicles?qry=mach-e');
+  assert.equal(again.body.total, 1);
+
+  for (const [method, target] of [['DELETE', '/api/v1/admin/vehicles/9999'],
+    ['POST', '/api/v1/admin/vehicles/9999/restoration']]) {
+    const missing = await request(method, target, {token: adminToken});
+    assert.equal(missing.status, 404, target);
+  }
+});
+
+test('POST /api/v1/admin/images stores genuine images only', async () => {
+  const png = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(16)]);
+  const res = await request('POST', '/api/v1/admin/images?name=Kia EV6.png',
+    {token: adminToken, headers: {'Content-Type': 'image/png'}, body: png});
+  assert.equal(res.status, 201);
+  assert.match(res.body.imageUrl, /^kia_ev6_[0-9a-f]{8}\.png$/);
+  assert.deepEqual(await fs.readFile(path.join(harness.IMAGE_DIR, res.body.imageUrl)), png);
+
+  // The type is matched whatever its case and parameters.
+  const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(16)]);
+  const parameters = await request('POST', '/api/v1/admin/images?name=Kia EV6.gif',
+    {token: adminToken, headers: {'Content-Type': 'Image/GIF; charset=binary'}, body: gif});
+  assert.equal(parameters.status, 201);
+  assert.match(parameters.body.imageUrl, /^kia_ev6_[0-9a-f]{8}\.gif$/);
+
+  const disguised = await request('POST', '/api/v1/admin/images',
+    {token: adminToken, headers: {'Content-Type': 'image/png'}, body: Buffer.from('GIF89a')});
+  assert.equal(disguised.status, 400);
+  assert.equal(disguised.body.error.code, 'invalid_image');
+  const text = await request('POST', '/api/v1/admin/images',
+    {token: adminToken, headers: {'Content-Type': 'text/plain'}, body: 'not an image'});
+  assert.equal(text.status, 400);
+});
+
+test('the catalog can be exported and imported again', async () => {
+  const json = await request('GET', '/api/v1/admin/catalog', {token: adminToken});
+  assert.equal(json.status, 200);
+  assert.match(json.headers.get('Content-Disposition'), /catalog\.json/);
+  assert.ok(json.body.some(row => row.model_name === 'Tesla Model S'));
+
+  const csv = await request('GET', '/api/v1/admin/catalog?format=csv', {token: adminToken});
+  assert.equal(csv.status, 200);
+  assert.match(csv.body, /^vehicle_id,model_name,make,/);
+  const badFormat = await request('GET', '/api/v1/admin/catalog?format=xml', {token: adminToken});
+  assert.equal(badFormat.status, 400);
+
+  const update = 'model_name,make,year,price,availability,body_type\n' +
+    'Polestar 2,Polestar,2023,51999,6,fastback\n' +
+    'Polestar 3,Polestar,2024,,2,suv\n';
+  const dryRun = await request('POST', '/api/v1/admin/catalog?dryRun=true',
+    {token: adminToken, headers: {'Content-Type': 'text/csv'}, body: update});
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.updated, 1);
+  assert.equal(dryRun.body.failed, 1);
+  assert.equal((await request('GET', '/api/v1/vehicles/18')).body.price, 54999);
+
+  const imported = await request('POST', '/api/v1/admin/catalog',
+    {token: adminToken, headers: {'Content-Type': 'text/csv'}, body: update});
+  assert.equal(imported.body.updated, 1);
+  assert.equal((await request('GET', '/api/v1/vehicles/18')).body.price, 51999);
+
+  // Files beyond the 100kb that other request bodies are limited to are imported whole.
+  const rows = Array.from({length: 1000}, (row, index) => ({model_name: `Polestar X${index}`,
+    make: 'Polestar', year: 2025, price: 60000, body_type: 'suv', description: 'x'.repeat(200)}));
+  const bigCsv = await request('POST', '/api/v1/admin/catalog?dryRun=true', {token: adminToken,
+    headers: {'Content-Type': 'text/csv'}, body: [Object.keys(rows[0]).join(','),
+      ...rows.map(row => Object.values(row).join(','))].join('\n')});
+  assert.equal(bigCsv.status, 200);
+  assert.equal(bigCsv.body.created, 1000);
+  const bigJson = await request('POST', '/api/v1/admin/catalog?dryRun=true',
+    {token: adminToken, body: rows});
+  assert.equal(bigJson.status, 200);
+  assert.equal(bigJson.body.created, 1000);
+  for (const dryRun of ['1', 'yes', 'TRUE']) {
+    const unclear = await request('POST', `/api/v1/admin/catalog?dryRun=${dryRun}`,
+      {token: adminToken, headers: {'Content-Type': 'text/csv'}, body: update});
+    assert.equal(unclear.status, 400, dryRun);
+    assert.equal(unclear.body.error.code, 'validation_failed');
+  }
+  const malformed = await request('POST', '/api/v1/admin/catalog',
+    {token: adminToken, headers: {'Content-Type': 'application/json'}, body: '[{'});
+  assert.equal(malformed.body.error.code, 'invalid_catalog');
+
+  const empty = await request('POST', '/api/v1/admin/catalog',
+    {token: adminToken, headers: {'Content-Type': 'text/csv'}, body: ''});
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error.code, 'invalid_catalog');
+});
@@ -0,0 +1,584 @@
+/**
+ * Contract test for openapi/openapi.json. Boots the server on a freshly seeded in-memory database
+ * with harness.js, sends requests to each documented operation and checks every response against
+ * the document: its status must be documented, its content type and body must match the schema,
+ * and error codes must be among the response's `x-error-codes`, and deprecated operations must
+ * send a Deprecation header. Every documented response other than a 500 must be produced by at
+ * least one request, so the document cannot describe behaviour that is gone, and every route the
+ * API serves must be documented.
+ *
+ *   npm run test:contract
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {app} = require('../app');
+const spec = require('../openapi/openapi.json');
+
+const API_PREFIX = '/api/v1';
+
+let baseUrl;
+let token;
+let adminToken;
+const exercised = new Set();
+
+before(async () => {
+  baseUrl = await harness.start();
+  adminToken = await harness.signIn('ewave_admin');
+});
+after(harness.stop);
+
+test('POST /user', async () => {
+  const session = await call('post', '/user', '/user',
+    {body: {username: 'john_doe', password: 'password123'}});
+  token = session.token;
+  await call('post', '/user', '/user', {body: {username: 'john_doe'}});
+  await call('post', '/user', '/user', {body: {username: 'john_doe', password: 'wrong'}});
+});
+
+test('GET /user', async () => {
+  await call('get', '/user', '/user', {auth: true});
+  await call('get', '/user', '/user');
+});
+
+test('POST /purchase', async () => {
+  const headers = {'Idempotency-Key': 'contract-test'};
+  await call('post', '/purchase', '/purchase', {auth: true, headers, body: {vehicleId: 2}});
+  await call('post', '/purchase', '/purchase', {auth: true, headers, body: {vehicleId: 3}});
+  await call('post', '/purchase', '/purchase', {auth: true, body: {vehicleId: 'two'}});
+  await call('post', '/purchase', '/purchase', {body: {vehicleId: 2}});
+});
+
+test('GET /vehicle/{vehicleId}', async () => {
+  await call('get', '/vehicle/{vehicleId}', '/vehicle/1');
+  await call('get', '/vehicle/{vehicleId}', '/vehicle/one');
+  await call('get', '/vehicle/{vehicleId}', '/vehicle/9999');
+});
+
+test('GET /vehicles', async () => {
+  const page = await call('get', '/vehicles', '/vehicles?limit=5');
+  assert.equal(page.vehicles.length, 5);
+  const search = await call('get', '/vehicles', '/vehicles?qry=tesla&sort=price-asc');
+  assert.ok(search.vehicles.every(vehicle => vehicle.highlight));
+  await call('get', '/vehicles', '/vehicles?sort=cheapest');
+});
+
+test('POST /feedback', async () => {
+  const review = {vehicleId: 2, rating: 4, reviewText: 'Comfortable and quick to charge'};
+  await call('post', '/feedback', '/feedback', {auth: true, body: review});
+  await call('post', '/feedback', '/feedback', {auth: true, body: review});
+  await call('post', '/feedback', '/feedback',
+    {auth: true, body: {vehicleId: 3, rating: 4, reviewText: 'More at www.example.com'}});
+  await call('post', '/feedback', '/feedback', {auth: true, body: {...review, rating: 6}});
+  await call('post', '/feedback', '/feedback', {auth: true, body: {...review, vehicleId: 9999}});
+  await call('post', '/feedback', '/feedback', {body: review});
+});
+
+test('POST /api/v1/sessions', async () => {
+  const session = await call('post', '/api/v1/sessions', '/api/v1/sessions',
+    {body: {username: 'alice_smith', password: 'securepass'}});
+  assert.equal(session.user.username, 'alice_smith');
+  await call('post', '/api/v1/sessions', '/api/v1/sessions', {body: {password: 'securepass'}});
+  await call('post', '/api/v1/sessions', '/api/v1/sessions',
+    {body: {username: 'alice_smith', password: 'wrong'}});
+});
+
+test('GET /api/v1/users/me and its collections', async () => {
+  for (const specPath of ['/api/v1/users/me', '/api/v1/users/me/orders',
+    '/api/v1/users/me/recommendations']) {
+    await call('get', specPath, specPath, {auth: true});
+    await call('get', specPath, specPath);
+  }
+});
+
+test('POST /api/v1/orders', async () => {
+  const headers = {'Idempotency-Key': 'contract-test-v1'};
+  const order = await call('post', '/api/v1/orders', '/api/v1/orders',
+    {auth: true, headers, body: {vehicleId: 4}});
+  const replayed = await call('post', '/api/v1/orders', '/api/v1/orders',
+    {auth: true, headers, body: {vehicleId: 4}});
+  assert.equal(replayed.orderId, order.orderId);
+  await call('post', '/api/v1/orders', '/api/v1/orders',
+    {auth: true, headers, body: {vehicleId: 5}});
+  await call('post', '/api/v1/orders', '/api/v1/orders', {auth: true, body: {fromCart: true}});
+  await call('post', '/api/v1/orders', '/api/v1/orders', {body: {vehicleId: 4}});
+});
+
+test('GET /api/v1/vehicles', async () => {
+  await call('get', '/api/v1/vehicles', '/api/v1/vehicles?qry=rivian');
+  await call('get', '/api/v1/vehicles', '/api/v1/vehicles?limit=0');
+});
+
+test('GET /api/v1/vehicles/{vehicleId}', async () => {
+  await call('get', '/api/v1/vehicles/{vehicleId}', '/api/v1/vehicles/1');
+  await call('get', '/api/v1/vehicles/{vehicleId}', '/api/v1/vehicles/one');
+  await call('get', '/api/v1/vehicles/{vehicleId}', '/api/v1/vehicles/9999');
+});
+
+test('/api/v1/vehicles/{vehicleId}/reviews', async () => {
+  const specPath = '/api/v1/vehicles/{vehicleId}/reviews';
+  await call('get', specPath, '/api/v1/vehicles/1/reviews?sort=helpful&limit=1');
+  await call('get', specPath, '/api/v1/vehicles/1/reviews?sort=oldest');
+  await call('get', specPath, '/api/v1/vehicles/9999/reviews');
+  const own = await call('get', specPath, '/api/v1/vehicles/1/reviews', {auth: true});
+  assert.equal(own.ownReview.username, 'john_doe');
+
+  const review = {rating: 5, reviewText: 'Quiet, quick and cheap to run'};
+  const added = await call('post', specPath, '/api/v1/vehicles/5/reviews',
+    {auth: true, body: review});
+  assert.equal(added.status, 'approved');
+  await call('post', specPath, '/api/v1/vehicles/5/reviews', {auth: true, body: review});
+  await call('post', specPath, '/api/v1/vehicles/5/reviews', {auth: true, body: {rating: 5}});
+  await call('post', specPath, '/api/v1/vehicles/9999/reviews', {auth: true, body: review});
+  await call('post', specPath, '/api/v1/vehicles/5/reviews', {body: review});
+});
+
+test('POST /register and POST /api/v1/users', async () => {
+  const account = {username: 'contract_user', password: 'secret1'};
+  await call('post', '/register', '/register', {body: account});
+  await call('post', '/register', '/register', {body: account});
+  await call('post', '/register', '/register', {body: {username: 'x'}});
+  const created = await call('post', '/api/v1/users', '/api/v1/users',
+    {body: {...account, username: 'contract_user2'}});
+  assert.equal(created.user.username, 'contract_user2');
+  await call('post', '/api/v1/users', '/api/v1/users', {body: account});
+  await call('post', '/api/v1/users', '/api/v1/users', {body: {...account, password: 'short'}});
+});
+
+test('/api/v1/users/me/cart and POST /checkout', async () => {
+  const cart = '/api/v1/users/me/cart';
+  const item = '/api/v1/users/me/cart/{vehicleId}';
+  await call('get', cart, cart, {auth: true});
+  await call('get', cart, cart);
+  await call('post', cart, cart, {auth: true, body: {vehicleId: 6}});
+  await call('post', cart, cart, {auth: true, body: {vehicleId: 'six'}});
+  await call('post', cart, cart, {auth: true, body: {vehicleId: 9999}});
+  await call('post', cart, cart, {body: {vehicleId: 6}});
+  await withRetired(20, () => call('post', cart, cart, {auth: true, body: {vehicleId: 20}}));
+
+  const updated = await call('put', item, `${cart}/6`, {auth: true, body: {quantity: 2}});
+  assert.equal(updated.items[0].quantity, 2);
+  await call('put', item, `${cart}/6`, {auth: true, body: {quantity: 9}});
+  await call('put', item, `${cart}/7`, {auth: true, body: {quantity: 1}});
+  await call('put', item, `${cart}/6`, {body: {quantity: 1}});
+  await call('delete', item, `${cart}/7`, {auth: true});
+  await call('delete', item, `${cart}/six`, {auth: true});
+  await call('delete', item, `${cart}/6`);
+  await call('delete', item, `${cart}/6`, {auth: true});
+
+  await call('post', '/checkout', '/checkout', {auth: true});
+  await call('post', cart, cart, {auth: true, body: {vehicleId: 13, quantity: 5}});
+  await call('post', '/checkout', '/checkout', {auth: true});
+  await call('put', item, `${cart}/13`, {auth: true, body: {quantity: 1}});
+  const headers = {'Idempotency-Key': 'contract-checkout'};
+  const order = await call('post', '/checkout', '/checkout', {auth: true, headers});
+  const replayed = await call('post', '/checkout', '/checkout', {auth: true, headers});
+  assert.equal(replayed.orderId, order.orderId);
+  await call('post', '/checkout', '/checkout');
+});
+
+test('/api/v1/users/me/wishlist', async () => {
+  const wishlist = '/api/v1/users/me/wishlist';
+  const item = '/api/v1/users/me/wishlist/{vehicleId}';
+  await call('get', wishlist, wishlist, {auth: true});
+  await call('get', wishlist, wishlist);
+  const saved = await call('post', wishlist, wishlist, {auth: true, body: {vehicleId: 6}});
+  assert.ok(saved.vehicles.some(vehicle => vehicle.vehicle_id === 6));
+  await call('post', wishlist, wishlist, {auth: true, body: {}});
+  await call('post', wishlist, wishlist, {auth: true, body: {vehicleId: 9999}});
+  await call('post', wishlist, wishlist, {body: {vehicleId: 6}});
+  await withRetired(20, () =>
+    call('post', wishlist, wishlist, {auth: true, body: {vehicleId: 20}}));
+  await call('delete', item, `${wishlist}/6`, {auth: true});
+  await call('delete', item, `${wishlist}/6`, {auth: true});
+  await call('delete', item, `${wishlist}/six`, {auth: true});
+  await call('delete', item, `${wishlist}/6`);
+});
+
+test('/api/v1/users/me/notifications', async () => {
+  for (const [method, specPath] of [['get', '/api/v1/users/me/notifications'],
+    ['post', '/api/v1/users/me/notifications/read']]) {
+    await call(method, specPath, specPath, {auth: true});
+    await call(method, specPath, specPath);
+  }
+});
+
+test('/api/v1/orders/{orderId} and its cancellation', async () => {
+  const {orderId} = await call('post', '/api/v1/orders', '/api/v1/orders',
+    {auth: true, body: {vehicleId: 9}});
+  const order = await call('get', '/api/v1/orders/{orderId}', `/api/v1/orders/${orderId}`,
+    {auth: true});
+  assert.equal(order.history[0].status, 'pending');
+  await call('get', '/api/v1/orders/{orderId}', '/api/v1/orders/one', {auth: true});
+  await call('get', '/api/v1/orders/{orderId}', '/api/v1/orders/9999', {auth: true});
+  await call('get', '/api/v1/orders/{orderId}', `/api/v1/orders/${orderId}`);
+
+  const specPath = '/api/v1/orders/{orderId}/cancellation';
+  const cancelled = await call('post', specPath, `/api/v1/orders/${orderId}/cancellation`,
+    {auth: true});
+  assert.equal(cancelled.status, 'cancelled');
+  await call('post', specPath, `/api/v1/orders/${orderId}/cancellation`, {auth: true});
+  await call('post', specPath, '/api/v1/orders/one/cancellation', {auth: true});
+  await call('post', specPath, '/api/v1/orders/9999/cancellation', {auth: true});
+  await call('post', specPath, `/api/v1/orders/${orderId}/cancellation`);
+});
+
+test('GET /api/v1/vehicles/{vehicleId}/similar', async () => {
+  const specPath = '/api/v1/vehicles/{vehicleId}/similar';
+  const similar = await call('get', specPath, '/api/v1/vehicles/1/similar?limit=2');
+  assert.equal(similar.vehicles.length, 2);
+  await call('get', specPath, '/api/v1/vehicles/1/similar?limit=99');
+  await call('get', specPath, '/api/v1/vehicles/9999/similar');
+});
+
+test('GET /api/v1/vehicles/{vehicleId}/financing', async () => {
+  const specPath = '/api/v1/vehicles/{vehicleId}/financing';
+  await call('get', specPath, '/api/v1/vehicles/1/financing');
+  const lease = await call('get', specPath, '/api/v1/vehicles/1/financing?plan=lease');
+  assert.ok(lease.residualValue > 0);
+  await call('get', specPath, '/api/v1/vehicles/1/financing?apr=99');
+  await call('get', specPath, '/api/v1/vehicles/1/financing?downPayment=9000000');
+  await call('get', specPath, '/api/v1/vehicles/9999/financing');
+});
+
+test('POST /api/v1/vehicles/{vehicleId}/views', async () => {
+  const specPath = '/api/v1/vehicles/{vehicleId}/views';
+  await call('post', specPath, '/api/v1/vehicles/3/views', {auth: true});
+  await call('post', specPath, '/api/v1/vehicles/three/views', {auth: true});
+  await call('post', specPath, '/api/v1/vehicles/9999/views', {auth: true});
+  await call('post', specPath, '/api/v1/vehicles/3/views');
+});
+
+test('GET /api/v1/comparisons and GET /api/v1/facets', async () => {
+  const comparison = await call('get', '/api/v1/comparisons', '/api/v1/comparisons?ids=1,6,13');
+  assert.equal(comparison.vehicles.length, 3);
+  await call('get', '/api/v1/comparisons', '/api/v1/comparisons?ids=1');
+  await call('get', '/api/v1/comparisons', '/api/v1/comparisons?ids=1,9999');
+  await call('get', '/api/v1/facets', '/api/v1/facets?types=suv');
+  await call('get', '/api/v1/facets', '/api/v1/facets?minPrice=cheap');
+});
+
+test('/api/v1/reviews/{reviewId} and its reports and votes', async () => {
+  const {ownReview} = await call('get', '/api/v1/vehicles/{vehicleId}/reviews',
+    '/api/v1/vehicles/5/reviews', {auth: true});
+  const own = `/api/v1/reviews/${ownReview.review_id}`;
+  const specPath = '/api/v1/reviews/{reviewId}';
+  const review = {rating: 4, reviewText: 'Still quiet and quick a month on'};
+  const edited = await call('put', specPath, own, {auth: true, body: review});
+  assert.equal(edited.rating, 4);
+  await call('put', specPath, own, {auth: true, body: {...review, rating: 6}});
+  await call('put', specPath, '/api/v1/reviews/9999', {auth: true, body: review});
+  await call('put', specPath, own, {body: review});
+
+  // Review 2 is taran's, review 1 john_doe's.
+  for (const [method, suffix] of [['post', 'reports'], ['post', 'helpful-vote'],
+    ['delete', 'helpful-vote']]) {
+    const voteOrReport = `${specPath}/${suffix}`;
+    await call(method, voteOrReport, `/api/v1/reviews/2/${suffix}`, {auth: true});
+    await call(method, voteOrReport, `/api/v1/reviews/1/${suffix}`, {auth: true});
+    await call(method, voteOrReport, `/api/v1/reviews/two/${suffix}`, {auth: true});
+    await call(method, voteOrReport, `/api/v1/reviews/9999/${suffix}`, {auth: true});
+    await call(method, voteOrReport, `/api/v1/reviews/2/${suffix}`);
+  }
+  await call('post', `${specPath}/reports`, '/api/v1/reviews/2/reports', {auth: true});
+
+  await call('delete', specPath, own, {auth: true});
+  await call('delete', specPath, own, {auth: true});
+  await call('delete', specPath, '/api/v1/reviews/one', {auth: true});
+  await call('delete', specPath, own);
+});
+
+test('/api/v1/admin/vehicles', async () => {
+  const specPath = '/api/v1/admin/vehicles';
+  const item = '/api/v1/admin/vehicles/{vehicleId}';
+  const vehicle = {modelName: 'Kia EV9', make: 'Kia', year: 2024, price: 54900, availability: 2,
+    bodyType: 'suv', tags: ['family']};
+  await call('get', specPath, specPath, {auth: 'admin'});
+  await call('get', specPath, specPath, {auth: true});
+  await call('get', specPath, specPath);
+  const added = await call('post', specPath, specPath, {auth: 'admin', body: vehicle});
+  const url = `${specPath}/${added.vehicle_id}`;
+  await call('post', specPath, specPath, {auth: 'admin', body: vehicle});
+  await call('post', specPath, specPath, {auth: 'admin', body: {...vehicle, bodyType: 'boat'}});
+  await call('post', specPath, specPath, {auth: true, body: vehicle});
+  await call('post', specPath, specPath, {body: vehicle});
+
+  const updated = await call('put', item, url, {auth: 'admin', body: {price: 52900}});
+  assert.equal(updated.price, 52900);
+  await call('put', item, url, {auth: 'admin', body: {modelName: 'Tesla Model S'}});
+  await call('put', item, url, {auth: 'admin', body: {year: 1900}});
+  await call('put', item, `${specPath}/9999`, {auth: 'admin', body: {price: 52900}});
+  await call('put', item, url, {auth: true, body: {price: 52900}});
+  await call('put', item, url, {body: {price: 52900}});
+
+  const stock = `${item}/stock`;
+  await call('post', stock, `${url}/stock`, {auth: 'admin', body: {change: 3}});
+  await call('post', stock, `${url}/stock`, {auth: 'admin', body: {change: -99}});
+  await call('post', stock, `${url}/stock`, {auth: 'admin', body: {change: 0}});
+  await call('post', stock, `${specPath}/9999/stock`, {auth: 'admin', body: {change: 1}});
+  await call('post', stock, `${url}/stock`, {auth: true, body: {change: 1}});
+  await call('post', stock, `${url}/stock`, {body: {change: 1}});
+
+  const restoration = `${item}/restoration`;
+  for (const [method, specItem, suffix] of [['delete', item, ''],
+    ['post', restoration, '/restoration']]) {
+    await call(method, specItem, url + suffix, {auth: 'admin'});
+    await call(method, specItem, `${specPath}/one${suffix}`, {auth: 'admin'});
+    await call(method, specItem, `${specPath}/9999${suffix}`, {auth: 'admin'});
+    await call(method, specItem, url + suffix, {auth: true});
+    await call(method, specItem, url + suffix);
+  }
+});
+
+test('POST /api/v1/admin/images', async () => {
+  const specPath = '/api/v1/admin/images';
+  const headers = {'Content-Type': 'image/png'};
+  const png = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(16)]);
+  const {imageUrl} = await call('post', specPath, `${specPath}?name=contract`,
+    {auth: 'admin', headers, body: png});
+  assert.match(imageUrl, /^contract_\w+\.png$/);
+  await call('post', specPath, specPath, {auth: 'admin', headers, body: Buffer.from('GIF89a')});
+  await call('post', specPath, specPath,
+    {auth: 'admin', headers, body: Buffer.alloc(5 * 1024 * 1024 + 1)});
+  await call('post', specPath, specPath, {auth: true, headers, body: png});
+  await call('post', specPath, specPath, {headers, body: png});
+});
+
+test('/api/v1/admin/catalog', async () => {
+  const specPath = '/api/v1/admin/catalog';
+  const rows = await call('get', specPath, specPath, {auth: 'admin'});
+  const csv = await call('get', specPath, `${specPath}?format=csv`, {auth: 'admin'});
+  assert.ok(rows.length > 0);
+  assert.match(csv, /^vehicle_id,model_name,/);
+  await call('get', specPath, `${specPath}?format=xml`, {auth: 'admin'});
+  await call('get', specPath, specPath, {auth: true});
+  await call('get', specPath, specPath);
+
+  const headers = {'Content-Type': 'text/csv'};
+  const report = await call('post', specPath, `${specPath}?dryRun=true`,
+    {auth: 'admin', headers, body: 'model_name,make,price\nTesla Model S,Tesla,70990\n'});
+  assert.equal(report.updated, 1);
+  await call('post', specPath, specPath, {auth: 'admin', headers, body: ''});
+  await call('post', specPath, `${specPath}?dryRun=yes`, {auth: 'admin', headers, body: ''});
+  await call('post', specPath, specPath,
+    {auth: 'admin', headers, body: Buffer.alloc(10 * 1024 * 1024 + 1)});
+  await call('post', specPath, specPath, {auth: true, headers, body: ''});
+  await call('post', specPath, specPath, {headers, body: ''});
+});
+
+test('PUT /api/v1/admin/orders/{orderId}/status', async () => {
+  const specPath = '/api/v1/admin/orders/{orderId}/status';
+  const {orderId} = await call('post', '/api/v1/orders', '/api/v1/orders',
+    {auth: true, body: {vehicleId: 10}});
+  const url = `/api/v1/admin/orders/${orderId}/status`;
+  const confirmed = await call('put', specPath, url,
+    {auth: 'admin', body: {status: 'confirmed', note: 'Paid'}});
+  assert.equal(confirmed.status, 'confirmed');
+  await call('put', specPath, url, {auth: 'admin', body: {status: 'refunded'}});
+  await call('put', specPath, url, {auth: 'admin', body: {status: 'lost'}});
+  await call('put', specPath, '/api/v1/admin/orders/9999/status',
+    {auth: 'admin', body: {status: 'confirmed'}});
+  await call('put', specPath, url, {auth: true, body: {status: 'delivered'}});
+  await call('put', specPath, url, {body: {status: 'delivered'}});
+});
+
+test('/api/v1/admin/reviews', async () => {
+  const specPath = '/api/v1/admin/reviews';
+  const queue = await call('get', specPath, specPath, {auth: 'admin'});
+  assert.ok(queue.reviews.some(review => review.review_id === 2 && review.open_reports === 1));
+  await call('get', specPath, `${specPath}?status=approved`, {auth: 'admin'});
+  await call('get', specPath, `${specPath}?status=lost`, {auth: 'admin'});
+  await call('get', specPath, specPath, {auth: true});
+  await call('get', specPath, specPath);
+
+  const moderation = `${specPath}/{reviewId}/moderation`;
+  const url = `${specPath}/2/moderation`;
+  await call('post', moderation, url, {auth: 'admin', body: {action: 'approve'}});
+  await call('post', moderation, url, {auth: 'admin', body: {action: 'hide'}});
+  await call('post', moderation, `${specPath}/9999/moderation`,
+    {auth: 'admin', body: {action: 'approve'}});
+  await call('post', moderation, url, {auth: true, body: {action: 'approve'}});
+  await call('post', moderation, url, {body: {action: 'approve'}});
+});
+
+test('every route the API serves is documented', () => {
+  const router = app._router.stack.find(layer => layer.name === 'router' &&
+    layer.regexp.test(API_PREFIX));
+  const undocumented = [];
+  for (const {route} of router.handle.stack.filter(layer => layer.route)) {
+    const specPath = API_PREFIX + route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(route.methods)) {
+      if (!spec.paths[specPath] || !spec.paths[specPath][method]) {
+        undocumented.push(`${method.toUpperCase()} ${specPath}`);
+      }
+    }
+  }
+  assert.deepEqual(undocumented, []);
+});
+
+test('every documented response is exercised', () => {
+  const missing = [];
+  for (const [specPath, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      for (const status of Object.keys(operation.responses)) {
+        if (status !== '500' && !exercised.has(`${method} ${specPath} ${status}`)) {
+          missing.push(`${method.toUpperCase()} ${specPath} ${status}`);
+        }
+      }
+    }
+  }
+  assert.deepEqual(missing, []);
+});
+
+/**
+ * Retires a vehicle while running a function, then restores it.
+ *
+ * @param {number} vehicleId - The vehicle to retire.
+ * @param {Function} run - The async function to run meanwhile.
+ * @returns {Promise<void>}
+ */
+async function withRetired(vehicleId, run) {
+  await harness.request('DELETE', `/api/v1/admin/vehicles/${vehicleId}`, {token: adminToken});
+  try {
+    await run();
+  } finally {
+    await harness.request('POST', `/api/v1/admin/vehicles/${vehicleId}/restoration`,
+      {token: adminToken});
+  }
+}
+
+/**
+ * Sends a request and checks the response against the document.
+ *
+ * @param {string} method - The HTTP method, in lower case as in the document.
+ * @param {string} specPath - The operation's path in the document.
+ * @param {string} url - The path and query to request.
+ * @param {Object} [options] - The `body`, sent as JSON unless it is a string or Buffer, extra
+ * `headers`, and `auth`: true to send john_doe's session token or 'admin' to send an admin's.
+ * @returns {Promise<*>} - The parsed JSON body, or the text of a text response.
+ */
+async function call(method, specPath, url, options = {}) {
+  const headers = {...options.headers};
+  let body = options.body;
+  if (options.auth) {
+    headers.Authorization = `Bearer ${options.auth === 'admin' ? adminToken : token}`;
+  }
+  if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(body);
+  }
+  const res = await fetch(baseUrl + url, {method: method.toUpperCase(), headers, body});
+  const label = `${method.toUpperCase()} ${url} -> ${res.status}`;
+  const operation = spec.paths[specPath][method];
+  assert.ok(operation, `${method.toUpperCase()} ${specPath} is not documented`);
+  const response = resolve(operation.responses[res.status]);
+  assert.ok(response, `${label} is not documented`);
+  exercised.add(`${method} ${specPath} ${res.status}`);
+  assert.equal(Boolean(res.headers.get('Deprecation')), Boolean(operation.deprecated),
+    `${label} should ${operation.deprecated ? '' : 'not '}send a Deprecation header`);
+
+  const mediaType = (res.headers.get('Content-Type') || '').split(';')[0];
+  assert.ok(response.content && response.content[mediaType],
+    `${label} sent ${mediaType}, which is not documented`);
+  const data = mediaType === 'application/json' ? await res.json() : await res.text();
+  assert.deepEqual(checkSchema(response.content[mediaType].schema, data, 'body'), [],
+    `${label} does not match the document`);
+  if (response['x-error-codes']) {
+    assert.ok(response['x-error-codes'].includes(data.error.code),
+      `${label} sent the undocumented error code ${data.error.code}`);
+  }
+  return data;
+}
+
+/**
+ * Checks a value against a schema, supporting the parts of OpenAPI's schema objects that the
+ * document uses.
+ *
+ * @param {Object} schema - The schema, possibly a `$ref`.
+ * @param {*} value - The value to check.
+ * @param {string} where - Where the value is, for messages.
+ * @returns {Array<string>} - A message for each mismatch.
+ */
+function checkSchema(schema, value, where) {
+  schema = resolve(schema);
+  if (value === null && schema.nullable) {
+    return [];
+  }
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => checkSchema(part, value, where));
+  }
+  if (value === null) {
+    return [`${where} is null`];
+  }
+  const problems = [];
+  if (schema.type && !hasType(value, schema.type)) {
+    return [`${where} should be of type ${schema.type}: ${JSON.stringify(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} should be one of ${schema.enum.join(', ')}: ${value}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${where} should match ${schema.pattern}: ${value}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${where} should be at least ${schema.minimum}: ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${where} should be at most ${schema.maximum}: ${value}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...checkSchema(schema.items, item, `${where}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        problems.push(`${where}.${name} is missing`);
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const itemSchema = schema.properties && schema.properties[name] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (itemSchema) {
+        problems.push(...checkSchema(itemSchema, item, `${where}.${name}`));
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks a value's JSON type.
+ *
+ * @param {*} value - The value.
+ * @param {string} type - An OpenAPI type.
+ * @returns {boolean} - True if the value is of the type.
+ */
+function hasType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  if (type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+  return typeof value === type;
+}
+
+/**
+ * Follows a `$ref` within the document.
+ *
+ * @param {Object} [object] - A schema, response or parameter, possibly a `$ref`.
+ * @returns {Object} - The object referred to, or the object itself.
+ */
+function resolve(object) {
+  if (!object || !object.$ref) {
+    return object;
+  }
+  return resolve(object.$ref.replace(/^#\//, '').split('/')
+    .reduce((parent, key) => parent[key], spec));
+}
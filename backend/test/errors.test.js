@@ -0,0 +1,71 @@
+/**
+ * Integration tests for requests no route handles: unknown paths, unreadable bodies and bad
+ * sessions all get the JSON error shape from errors.js. Also covers the API reference.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {request, signIn} = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('unknown routes answer with a JSON 404', async () => {
+  for (const [method, target] of [['GET', '/api/v1/nowhere'], ['DELETE', '/api/v1/vehicles'],
+    ['GET', '/api/v2/vehicles']]) {
+    const res = await request(method, target);
+    assert.equal(res.status, 404, target);
+    assert.deepEqual(res.body, {error: {code: 'not_found',
+      message: `No route for ${method} ${target}`}});
+  }
+});
+
+test('malformed JSON bodies are rejected', async () => {
+  const res = await request('POST', '/api/v1/sessions',
+    {headers: {'Content-Type': 'application/json'}, body: '{"username": "john_doe",'});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'malformed_body');
+});
+
+test('oversized JSON bodies are rejected', async () => {
+  const res = await request('POST', '/api/v1/sessions',
+    {body: {username: 'john_doe', password: 'x'.repeat(200 * 1024)}});
+  assert.equal(res.status, 413);
+  assert.equal(res.body.error.code, 'body_too_large');
+});
+
+test('tampered session tokens are rejected', async () => {
+  const token = await signIn('john_doe');
+  const [payload, signature] = token.split('.');
+  const forged = `${Buffer.from('{"userId":5}').toString('base64url')}.${signature}`;
+  for (const candidate of [forged, `${payload}.${'0'.repeat(signature.length)}`, payload]) {
+    const res = await request('GET', '/api/v1/users/me', {token: candidate});
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'unauthorized');
+  }
+});
+
+test('the API reference is served', async () => {
+  const spec = await request('GET', '/openapi.json');
+  assert.equal(spec.status, 200);
+  assert.match(spec.body.openapi, /^3\./);
+  assert.ok(spec.body.paths['/api/v1/vehicles']);
+
+  const docs = await request('GET', '/docs');
+  assert.equal(docs.status, 200);
+  assert.match(docs.headers.get('Content-Type'), /^text\/html/);
+  assert.match(docs.body, /SwaggerUIBundle/);
+
+  // Swagger UI comes from a CDN, so each file is pinned to an exact version and checked against
+  // its hash.
+  const assets = docs.body.match(/<(script|link)\b[^>]*https:\/\/[^>]*>/g);
+  assert.equal(assets.length, 2);
+  for (const tag of assets) {
+    assert.match(tag, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+    assert.match(tag, /integrity="sha384-[\w+/]+={0,2}"/);
+    assert.match(tag, /crossorigin="anonymous"/);
+  }
+});
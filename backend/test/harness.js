@@ -0,0 +1,125 @@
+/**
+ * Test harness for the integration tests. start() builds a fresh in-memory database from
+ * db/tables.sql and the fixtures, as db/seed.js does for a file, and serves the app on a free
+ * port; stop() shuts both down. Each test file runs in its own process, so each gets its own
+ * database:
+ *
+ *   const harness = require('./harness');
+ *   before(harness.start);
+ *   after(harness.stop);
+ *
+ * Notifications are discarded and uploaded images go to a temporary directory.
+ */
+
+"use strict";
+
+const events = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IMAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ewave-images-'));
+
+// app.js reads its settings when it is loaded, so they are set before requiring it.
+process.env.NOTIFIER = 'none';
+process.env.IMAGE_DIR = IMAGE_DIR;
+
+const database = require('../db/database');
+const {seed} = require('../db/seed');
+const {app, initDatabase, deliverNotifications} = require('../app');
+const users = require('../db/fixtures/users.json');
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Seeds an in-memory database and starts serving the app.
+ *
+ * @returns {Promise<string>} - The server's base URL.
+ */
+async function start() {
+  await database.open(':memory:');
+  await seed();
+  await initDatabase();
+  server = app.listen(0, '127.0.0.1');
+  await events.once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+/**
+ * Stops the server, waits for notifications still being delivered and closes the database.
+ *
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  const closed = events.once(server, 'close');
+  server.close();
+  server.closeAllConnections();
+  await closed;
+  server = null;
+  await deliverNotifications();
+  await database.close();
+  await fs.promises.rm(IMAGE_DIR, {recursive: true, force: true});
+}
+
+/**
+ * Returns the base URL of the running server.
+ *
+ * @returns {string} - The URL, without a trailing slash.
+ */
+function url() {
+  return baseUrl;
+}
+
+/**
+ * Sends a request to the running server. Objects and arrays are sent as JSON; strings and
+ * buffers are sent as they are, with the Content-Type given in `headers`.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} target - The path and query.
+ * @param {Object} [options] - The `body`, a session `token` to send as a Bearer token, and any
+ * other `headers`.
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} - The response, with a JSON
+ * body parsed and any other body as text.
+ */
+async function request(method, target, options = {}) {
+  const headers = {...options.headers};
+  let body = options.body;
+  if (options.token) {
+    headers.Authorization = `Bearer ${options.token}`;
+  }
+  if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(body);
+  }
+  const res = await fetch(baseUrl + target, {method, headers, body});
+  const type = res.headers.get('Content-Type') || '';
+  return {
+    status: res.status,
+    headers: res.headers,
+    body: type.startsWith('application/json') ? await res.json() : await res.text()
+  };
+}
+
+/**
+ * Signs in as one of the fixture users.
+ *
+ * @param {string} username - The user's name in db/fixtures/users.json.
+ * @returns {Promise<string>} - The session token.
+ * @throws {Error} - If there is no such fixture user or signing in fails.
+ */
+async function signIn(username) {
+  const user = users.find(fixture => fixture.username === username);
+  if (!user) {
+    throw new Error(`No fixture user named ${username}`);
+  }
+  const res = await request('POST', '/api/v1/sessions',
+    {body: {username, password: user.password}});
+  if (res.status !== 201) {
+    throw new Error(`Could not sign in as ${username}: ${res.status}`);
+  }
+  return res.body.token;
+}
+
+module.exports = {start, stop, url, request, signIn, IMAGE_DIR};
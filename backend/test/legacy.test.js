@@ -0,0 +1,155 @@
+/**
+ * Integration tests for the deprecated, unversioned routes. They keep their old responses and
+ * point to their successors under /api/v1.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {request} = harness;
+
+const DEPRECATION = '@1792368000';
+
+let token;
+
+before(async () => {
+  await harness.start();
+  const res = await request('POST', '/user', {body: {username: 'taran', password: 'pass'}});
+  token = res.body.token;
+});
+after(harness.stop);
+
+/**
+ * Checks that a response is marked deprecated and links to its successor.
+ *
+ * @param {Object} res - The response from harness.request.
+ * @param {?string} successor - The successor's path, or null if the response cannot name it.
+ */
+function assertDeprecated(res, successor) {
+  assert.equal(res.headers.get('Deprecation'), DEPRECATION);
+  assert.equal(res.headers.get('Link'),
+    successor === null ? null : `<${successor}>; rel="successor-version"`);
+}
+
+test('POST /user signs in with the user\'s data in the response', async () => {
+  const res = await request('POST', '/user', {body: {username: 'taran', password: 'pass'}});
+  assert.equal(res.status, 200);
+  assertDeprecated(res, '/api/v1/sessions');
+  assert.equal(res.body.username, 'taran');
+  assert.ok(Array.isArray(res.body.transactions));
+  assert.ok(Array.isArray(res.body.recommendations));
+
+  const failed = await request('POST', '/user', {body: {username: 'taran', password: 'nope'}});
+  assert.equal(failed.status, 401);
+  assertDeprecated(failed, '/api/v1/sessions');
+});
+
+test('GET /user and POST /register keep their old shapes', async () => {
+  const user = await request('GET', '/user', {token});
+  assert.equal(user.status, 200);
+  assertDeprecated(user, '/api/v1/users/me');
+  assert.equal(user.body.username, 'taran');
+
+  const registered = await request('POST', '/register',
+    {body: {username: 'legacy_driver', password: 'legacy-pass'}});
+  assert.equal(registered.status, 200);
+  assertDeprecated(registered, '/api/v1/users');
+  assert.equal(registered.body.username, 'legacy_driver');
+  assert.deepEqual(registered.body.transactions, []);
+});
+
+test('POST /purchase answers with a confirmation number', async () => {
+  const res = await request('POST', '/purchase', {token, body: {vehicleId: 6}});
+  assert.equal(res.status, 200);
+  assertDeprecated(res, '/api/v1/orders');
+  assert.equal(res.headers.get('Content-Type'), 'text/plain; charset=utf-8');
+  assert.match(res.body, /^\S+$/);
+
+  const malformed = await request('POST', '/purchase', {token, body: {vehicleId: 'six'}});
+  assert.equal(malformed.status, 400);
+});
+
+test('POST /purchase rejects an unavailable vehicle', async () => {
+  const admin = await request('POST', '/api/v1/sessions',
+    {body: {username: 'ewave_admin', password: 'admin-password'}});
+  const stock = (await request('GET', '/api/v1/vehicles/21')).body.availability;
+  await request('POST', '/api/v1/admin/vehicles/21/stock',
+    {token: admin.body.token, body: {change: -stock}});
+  const res = await request('POST', '/purchase', {token, body: {vehicleId: 21}});
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'vehicle_unavailable');
+  assertDeprecated(res, '/api/v1/orders');
+});
+
+test('POST /checkout buys the cart', async () => {
+  const cart = await request('POST', '/cart', {token, body: {vehicleId: 9}});
+  assertDeprecated(cart, '/api/v1/users/me/cart');
+  const res = await request('POST', '/checkout', {token, body: {}});
+  assert.equal(res.status, 200);
+  assertDeprecated(res, '/api/v1/orders');
+  assert.equal(res.body.subtotal, 37999);
+
+  const empty = await request('POST', '/checkout', {token, body: {}});
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error.code, 'cart_empty');
+});
+
+test('GET /vehicle/:vehicleId includes the first page of reviews', async () => {
+  const res = await request('GET', '/vehicle/1');
+  assert.equal(res.status, 200);
+  assertDeprecated(res, '/api/v1/vehicles/1');
+  assert.equal(res.body.vehicleInfo.model_name, 'Tesla Model S');
+  assert.equal(res.body.feedbackData.reviewCount, 2);
+
+  const missing = await request('GET', '/vehicle/9999');
+  assert.equal(missing.status, 404);
+  assertDeprecated(missing, '/api/v1/vehicles/9999');
+});
+
+test('POST /feedback answers with a message', async () => {
+  const res = await request('POST', '/feedback',
+    {token, body: {vehicleId: 2, rating: 4, reviewText: 'Cheap to run'}});
+  assert.equal(res.status, 200);
+  assert.equal(res.body, 'Review added successfully!');
+  assertDeprecated(res, '/api/v1/vehicles/2/reviews');
+
+  const held = await request('POST', '/feedback',
+    {token, body: {vehicleId: 3, rating: 4, reviewText: 'See https://example.com'}});
+  assert.equal(held.status, 202);
+
+  const malformed = await request('POST', '/feedback',
+    {token, body: {vehicleId: 5, rating: 'great', reviewText: 'Comfy'}});
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'validation_failed');
+  const duplicate = await request('POST', '/feedback',
+    {token, body: {vehicleId: 2, rating: 4, reviewText: 'Again'}});
+  assert.equal(duplicate.status, 409);
+  const unnamed = await request('POST', '/feedback', {token, body: {rating: 4}});
+  assertDeprecated(unnamed, null);
+});
+
+test('renamed routes still answer at their old paths', async () => {
+  const placed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 19}});
+  const {orderId} = placed.body;
+  const order = await request('GET', `/order/${orderId}`, {token});
+  assert.equal(order.status, 200);
+  assertDeprecated(order, `/api/v1/orders/${orderId}`);
+  const cancelled = await request('POST', `/order/${orderId}/cancel`, {token});
+  assert.equal(cancelled.body.status, 'cancelled');
+  assertDeprecated(cancelled, `/api/v1/orders/${orderId}/cancellation`);
+
+  const helpful = await request('POST', '/review/1/helpful', {token});
+  assert.equal(helpful.body.helpfulCount, 1);
+  assertDeprecated(helpful, '/api/v1/reviews/1/helpful-vote');
+  const compare = await request('GET', '/compare?ids=1,2');
+  assert.equal(compare.status, 200);
+  assertDeprecated(compare, '/api/v1/comparisons');
+});
+
+test('versioned routes are not deprecated', async () => {
+  const res = await request('GET', '/api/v1/vehicles/1');
+  assert.equal(res.headers.get('Deprecation'), null);
+  assert.equal(res.headers.get('Link'), null);
+});
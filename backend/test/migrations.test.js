@@ -0,0 +1,94 @@
+/**
+ * Tests for migrations that change existing data, run on databases built from tables.sql and
+ * then put back in the state the migration starts from.
+ */
+
+"use strict";
+
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite = require('sqlite');
+const sqlite3 = require('sqlite3');
+const {createSchema, runMigrations} = require('../db/migrate');
+
+/**
+ * Builds the current schema in an in-memory database and marks one migration as not applied.
+ *
+ * @param {number} version - The version of the migration to leave pending.
+ * @returns {Promise<Object>} - The open database.
+ */
+async function databaseBefore(version) {
+  const db = await sqlite.open({filename: ':memory:', driver: sqlite3.Database});
+  await createSchema(db);
+  await db.run('DELETE FROM schema_migrations WHERE version = ?', version);
+  return db;
+}
+
+/**
+ * Runs the pending migrations, collecting what they log.
+ *
+ * @param {Object} db - The database.
+ * @param {Object} [helpers] - Helpers besides `log`.
+ * @returns {Promise<Array<string>>} - The messages logged.
+ */
+async function migrate(db, helpers = {}) {
+  const logged = [];
+  await runMigrations(db, {...helpers, log: message => logged.push(message)});
+  return logged;
+}
+
+test('duplicate confirmation numbers are replaced, keeping the earliest order\'s', async () => {
+  const db = await databaseBefore(16);
+  await db.exec('DROP INDEX transactions_confirmation_number');
+  for (const confirmation of ['aaaa0001', 'aaaa0001', 'bbbb0002', 'aaaa0001', null, null]) {
+    await db.run(`INSERT INTO transactions (user_id, confirmation_number, status)
+      VALUES (1, ?, 'pending')`, confirmation);
+  }
+  const numbers = ['aaaa0001', 'bbbb0002', 'cccc0003', 'dddd0004'];
+
+  const logged = await migrate(db, {genRanHex: () => numbers.shift()});
+  const rows = await db.all(
+    'SELECT transaction_id, confirmation_number FROM transactions ORDER BY transaction_id');
+  assert.deepEqual(rows.map(row => row.confirmation_number),
+    ['aaaa0001', 'cccc0003', 'bbbb0002', 'dddd0004', null, null]);
+  assert.deepEqual(logged, [
+    'Order 2 shared confirmation number aaaa0001 with an earlier order; it is now cccc0003',
+    'Order 4 shared confirmation number aaaa0001 with an earlier order; it is now dddd0004'
+  ]);
+  await assert.rejects(db.run(`INSERT INTO transactions (user_id, confirmation_number)
+    VALUES (1, 'bbbb0002')`), {code: 'SQLITE_CONSTRAINT'});
+  await db.close();
+});
+
+test('duplicate reviews are removed and logged, keeping each user\'s newest', async () => {
+  const db = await databaseBefore(9);
+  await db.exec('DROP INDEX review_user_vehicle');
+  const reviews = [
+    [1, 1, 2, 'First try', '2024-01-01 10:00:00'],
+    [1, 1, 4, 'Changed my mind', '2024-03-01 10:00:00'],
+    [1, 1, 3, 'Backdated import', '2024-02-01 10:00:00'],
+    [1, 2, 5, 'Only review', '2024-01-01 10:00:00'],
+    [2, 1, 1, 'Same time, added first', '2024-05-01 10:00:00'],
+    [2, 1, 5, 'Same time, added last', '2024-05-01 10:00:00']
+  ];
+  for (const review of reviews) {
+    await db.run(`INSERT INTO review (user_id, vehicle_id, rating, review_text, date_submitted)
+      VALUES (?, ?, ?, ?, ?)`, ...review);
+  }
+
+  const logged = await migrate(db);
+  const kept = await db.all('SELECT review_id, review_text FROM review ORDER BY review_id');
+  assert.deepEqual(kept, [{review_id: 2, review_text: 'Changed my mind'},
+    {review_id: 4, review_text: 'Only review'},
+    {review_id: 6, review_text: 'Same time, added last'}]);
+  assert.equal(logged.length, 4);
+  assert.match(logged[0], /^Removed review 3 by user 1 of vehicle 1, superseded by a newer/);
+  assert.match(logged[0], /"review_text":"Backdated import"/);
+  assert.match(logged[1], /^Removed review 1 by user 1 of vehicle 1/);
+  assert.match(logged[2], /^Removed review 5 by user 2 of vehicle 1/);
+  assert.equal(logged[3],
+    'Removed 3 duplicate review(s), keeping each user\'s newest review of a vehicle');
+  await assert.rejects(db.run(`INSERT INTO review (user_id, vehicle_id, rating, review_text)
+    VALUES (1, 2, 3, 'Again')`), {code: 'SQLITE_CONSTRAINT'});
+  await db.close();
+});
@@ -0,0 +1,352 @@
+/**
+ * Integration tests for the cart, placing orders and managing them afterwards.
+ */
+
+"use strict";
+
+const {test, before, after, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const harness = require('./harness');
+const {placeOrder} = require('../app');
+const {request, signIn} = harness;
+
+let token;
+let adminToken;
+
+before(async () => {
+  await harness.start();
+  token = await signIn('alice_smith');
+  adminToken = await signIn('ewave_admin');
+});
+after(harness.stop);
+
+/**
+ * Returns a vehicle's current availability.
+ *
+ * @param {number} vehicleId - The vehicle's ID.
+ * @returns {Promise<number>} - The units in stock.
+ */
+async function availability(vehicleId) {
+  return (await request('GET', `/api/v1/vehicles/${vehicleId}`)).body.availability;
+}
+
+test('the cart can be filled, changed and emptied', async () => {
+  const empty = await request('GET', '/api/v1/users/me/cart', {token});
+  assert.equal(empty.status, 200);
+  assert.deepEqual(empty.body.items, []);
+  assert.equal(empty.body.total, 0);
+
+  const added = await request('POST', '/api/v1/users/me/cart',
+    {token, body: {vehicleId: 6, quantity: 2}});
+  assert.equal(added.status, 200);
+  assert.equal(added.body.items.length, 1);
+  assert.equal(added.body.items[0].quantity, 2);
+  assert.equal(added.body.subtotal, 2 * 45999);
+  assert.ok(added.body.total > added.body.subtotal);
+
+  const again = await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 6}});
+  assert.equal(again.body.items[0].quantity, 3);
+
+  const changed = await request('PUT', '/api/v1/users/me/cart/6', {token, body: {quantity: 1}});
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.items[0].quantity, 1);
+
+  const removed = await request('DELETE', '/api/v1/users/me/cart/6', {token});
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.items, []);
+});
+
+test('the cart rejects unknown vehicles and malformed quantities', async () => {
+  const unknown = await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 9999}});
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.code, 'vehicle_not_found');
+
+  const tooMany = await request('POST', '/api/v1/users/me/cart',
+    {token, body: {vehicleId: 6, quantity: 6}});
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.error.code, 'validation_failed');
+
+  const missing = await request('PUT', '/api/v1/users/me/cart/7', {token, body: {quantity: 1}});
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'cart_item_not_found');
+
+  const notInCart = await request('DELETE', '/api/v1/users/me/cart/7', {token});
+  assert.equal(notInCart.status, 404);
+
+  const anonymous = await request('GET', '/api/v1/users/me/cart');
+  assert.equal(anonymous.status, 401);
+});
+
+test('the cart rejects retired vehicles', async () => {
+  await request('DELETE', '/api/v1/admin/vehicles/24', {token: adminToken});
+  const res = await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 24}});
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'vehicle_retired');
+  await request('POST', '/api/v1/admin/vehicles/24/restoration', {token: adminToken});
+});
+
+test('POST /api/v1/orders buys one vehicle', async () => {
+  const stock = await availability(7);
+  const res = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 7}});
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('Location'), `/api/v1/orders/${res.body.orderId}`);
+  assert.match(res.body.confirmation, /^[0-9a-f]{8}$/);
+  assert.equal(res.body.subtotal, 52999);
+  assert.equal(res.body.financing, null);
+  assert.equal(await availability(7), stock - 1);
+});
+
+test('POST /api/v1/orders checks out the cart and empties it', async () => {
+  await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 9, quantity: 2}});
+  await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 14}});
+  const res = await request('POST', '/api/v1/orders', {token, body: {fromCart: true}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.subtotal, 2 * 37999 + 45999);
+
+  const cart = await request('GET', '/api/v1/users/me/cart', {token});
+  assert.deepEqual(cart.body.items, []);
+  const order = await request('GET', `/api/v1/orders/${res.body.orderId}`, {token});
+  assert.deepEqual(order.body.items.map(item => [item.vehicle_id, item.quantity]),
+    [[9, 2], [14, 1]]);
+});
+
+test('POST /api/v1/orders rejects an empty cart', async () => {
+  const res = await request('POST', '/api/v1/orders', {token, body: {fromCart: true}});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'cart_empty');
+});
+
+test('POST /api/v1/orders needs exactly one of vehicleId and fromCart', async () => {
+  for (const body of [{}, {vehicleId: 2, fromCart: true}]) {
+    const res = await request('POST', '/api/v1/orders', {token, body});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'validation_failed');
+    assert.equal(res.body.error.details[0].field, 'vehicleId');
+  }
+  const malformed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 'two'}});
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'validation_failed');
+});
+
+test('POST /api/v1/orders rejects an unavailable vehicle', async () => {
+  const stock = await availability(13);
+  await request('POST', '/api/v1/admin/vehicles/13/stock',
+    {token: adminToken, body: {change: -stock}});
+  const res = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 13}});
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'vehicle_unavailable');
+  assert.equal(await availability(13), 0);
+
+  await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 11, quantity: 4}});
+  const checkout = await request('POST', '/api/v1/orders', {token, body: {fromCart: true}});
+  assert.equal(checkout.status, 409);
+  assert.equal(checkout.body.error.code, 'vehicle_unavailable');
+  assert.equal(checkout.body.error.message, 'Not enough stock for Tesla Model X');
+  await request('DELETE', '/api/v1/users/me/cart/11', {token});
+});
+
+test('an order is rolled back when a vehicle runs out of stock part-way', async () => {
+  const stock = await availability(12);
+  const {body: {orders}} = await request('GET', '/api/v1/users/me/orders', {token});
+  const profile = await request('GET', '/api/v1/users/me', {token});
+
+  // Each line passes the stock check on its own, but together they need more than is left.
+  const result = await placeOrder(profile.body.userId,
+    [{vehicleId: 12, quantity: stock}, {vehicleId: 12, quantity: 1}], null, false, null);
+  assert.equal(result.order, null);
+  assert.equal(result.unavailable, 'Rivian R1S');
+  assert.equal(await availability(12), stock);
+  const after = await request('GET', '/api/v1/users/me/orders', {token});
+  assert.equal(after.body.orders.length, orders.length);
+});
+
+test('an order whose confirmation number is taken draws another', async t => {
+  const first = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 7}});
+  const taken = Buffer.from(first.body.confirmation, 'hex');
+  const draws = [taken, taken, Buffer.from('0123abcd', 'hex')];
+  t.after(() => mock.restoreAll());
+  mock.method(crypto, 'randomBytes', () => draws.shift());
+
+  const res = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 7}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.confirmation, '0123abcd');
+  assert.equal(draws.length, 0);
+});
+
+test('POST /api/v1/orders replays a repeated idempotency key', async () => {
+  const headers = {'Idempotency-Key': 'orders-test-1'};
+  const first = await request('POST', '/api/v1/orders', {token, headers, body: {vehicleId: 2}});
+  assert.equal(first.status, 201);
+  const stock = await availability(2);
+
+  const replay = await request('POST', '/api/v1/orders', {token, headers, body: {vehicleId: 2}});
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+  assert.equal(replay.body.orderId, first.body.orderId);
+  assert.equal(await availability(2), stock);
+
+  const conflict = await request('POST', '/api/v1/orders', {token, headers, body: {vehicleId: 3}});
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.error.code, 'idempotency_conflict');
+  const checkout = await request('POST', '/api/v1/orders',
+    {token, headers, body: {fromCart: true}});
+  assert.equal(checkout.status, 409);
+  assert.equal(checkout.body.error.code, 'idempotency_conflict');
+
+  const tooLong = await request('POST', '/api/v1/orders',
+    {token, headers: {'Idempotency-Key': 'k'.repeat(101)}, body: {vehicleId: 2}});
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.error.code, 'invalid_idempotency_key');
+});
+
+test('an idempotency key replays only the financing terms it was first sent with', async () => {
+  const headers = {'Idempotency-Key': 'orders-test-financing'};
+  const loan = {plan: 'loan', downPayment: 5000, apr: 4.9, termMonths: 60};
+  const first = await request('POST', '/api/v1/orders',
+    {token, headers, body: {vehicleId: 4, financing: loan}});
+  assert.equal(first.status, 201);
+
+  // Terms left to their defaults match the same terms sent explicitly.
+  const replay = await request('POST', '/api/v1/orders',
+    {token, headers, body: {vehicleId: 4, financing: {...loan, tradeIn: 0}}});
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.orderId, first.body.orderId);
+
+  const changes = [{...loan, termMonths: 72}, {plan: 'lease', downPayment: 5000}, undefined];
+  for (const financing of changes) {
+    const res = await request('POST', '/api/v1/orders',
+      {token, headers, body: {vehicleId: 4, financing}});
+    assert.equal(res.status, 409, JSON.stringify(financing));
+    assert.equal(res.body.error.code, 'idempotency_conflict');
+  }
+});
+
+test('a cart checkout replays its idempotency key only with the same financing', async () => {
+  const headers = {'Idempotency-Key': 'orders-test-cart'};
+  await request('POST', '/api/v1/users/me/cart', {token, body: {vehicleId: 5, quantity: 1}});
+  const first = await request('POST', '/api/v1/orders', {token, headers, body: {fromCart: true}});
+  assert.equal(first.status, 201);
+
+  const replay = await request('POST', '/api/v1/orders', {token, headers, body: {fromCart: true}});
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.orderId, first.body.orderId);
+
+  const financed = await request('POST', '/api/v1/orders',
+    {token, headers, body: {fromCart: true, financing: {plan: 'lease', downPayment: 0}}});
+  assert.equal(financed.status, 409);
+  assert.equal(financed.body.error.code, 'idempotency_conflict');
+  const single = await request('POST', '/api/v1/orders', {token, headers, body: {vehicleId: 5}});
+  assert.equal(single.status, 409);
+});
+
+test('POST /api/v1/orders attaches financing terms', async () => {
+  const financing = {plan: 'loan', downPayment: 5000, apr: 4.9, termMonths: 60};
+  const res = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 19, financing}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.financing.plan, 'loan');
+  assert.equal(res.body.financing.termMonths, 60);
+  assert.ok(res.body.financing.monthlyPayment > 0);
+
+  const malformed = await request('POST', '/api/v1/orders',
+    {token, body: {vehicleId: 19, financing: {plan: 'rent'}}});
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'validation_failed');
+  assert.deepEqual(malformed.body.error.details, [{location: 'body', field: 'financing.plan',
+    message: 'plan must be one of loan, lease'}]);
+
+  const excessive = await request('POST', '/api/v1/orders',
+    {token, body: {vehicleId: 19, financing: {downPayment: 900000}}});
+  assert.equal(excessive.status, 400);
+  assert.equal(excessive.body.error.code, 'financing_exceeds_total');
+});
+
+test('POST /api/v1/orders requires a session', async () => {
+  const res = await request('POST', '/api/v1/orders', {body: {vehicleId: 2}});
+  assert.equal(res.status, 401);
+});
+
+test('an order can be looked up and cancelled once', async () => {
+  const placed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 15}});
+  const {orderId} = placed.body;
+  const stock = await availability(15);
+
+  const order = await request('GET', `/api/v1/orders/${orderId}`, {token});
+  assert.equal(order.status, 200);
+  assert.equal(order.body.cancellable, true);
+  assert.ok(order.body.history.length > 0);
+
+  const cancelled = await request('POST', `/api/v1/orders/${orderId}/cancellation`, {token});
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal(cancelled.body.cancellable, false);
+  assert.equal(await availability(15), stock + 1);
+
+  const again = await request('POST', `/api/v1/orders/${orderId}/cancellation`, {token});
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'order_not_cancellable');
+});
+
+test('admins confirm, deliver and refund orders, and refunds restock', async () => {
+  const placed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 14}});
+  const target = `/api/v1/admin/orders/${placed.body.orderId}/status`;
+  const stock = await availability(14);
+  const order = await request('GET', `/api/v1/orders/${placed.body.orderId}`, {token});
+  assert.equal(order.body.status, 'pending');
+
+  const early = await request('PUT', target, {token: adminToken, body: {status: 'refunded'}});
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error.code, 'invalid_order_transition');
+  const confirmed = await request('PUT', target, {token: adminToken, body: {status: 'confirmed'}});
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.status, 'confirmed');
+  assert.equal(confirmed.body.cancellable, true);
+  const delivered = await request('PUT', target,
+    {token: adminToken, body: {status: 'delivered', note: 'Picked up at the showroom'}});
+  assert.equal(delivered.body.status, 'delivered');
+  assert.equal(delivered.body.cancellable, false);
+  assert.equal(delivered.body.history.at(-1).note, 'Picked up at the showroom');
+  const cancelled = await request('POST', `/api/v1/orders/${placed.body.orderId}/cancellation`,
+    {token});
+  assert.equal(cancelled.status, 409);
+  assert.equal(await availability(14), stock);
+
+  const refunded = await request('PUT', target, {token: adminToken, body: {status: 'refunded'}});
+  assert.equal(refunded.status, 200);
+  assert.deepEqual(refunded.body.history.map(change => change.status),
+    ['pending', 'confirmed', 'delivered', 'refunded']);
+  assert.equal(await availability(14), stock + 1);
+  const again = await request('PUT', target, {token: adminToken, body: {status: 'refunded'}});
+  assert.equal(again.status, 409);
+  assert.equal(await availability(14), stock + 1);
+});
+
+test('only admins change order statuses, to statuses they may set', async () => {
+  const placed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 13}});
+  const target = `/api/v1/admin/orders/${placed.body.orderId}/status`;
+  const customer = await request('PUT', target, {token, body: {status: 'confirmed'}});
+  assert.equal(customer.status, 403);
+  for (const status of ['cancelled', 'pending', 'shipped', undefined]) {
+    const res = await request('PUT', target, {token: adminToken, body: {status}});
+    assert.equal(res.status, 400, String(status));
+    assert.equal(res.body.error.code, 'validation_failed');
+  }
+  const missing = await request('PUT', '/api/v1/admin/orders/9999/status',
+    {token: adminToken, body: {status: 'confirmed'}});
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'order_not_found');
+});
+
+test('orders are private to the user who placed them', async () => {
+  const placed = await request('POST', '/api/v1/orders', {token, body: {vehicleId: 16}});
+  const other = await signIn('taran');
+  for (const [method, target] of [['GET', `/api/v1/orders/${placed.body.orderId}`],
+    ['POST', `/api/v1/orders/${placed.body.orderId}/cancellation`],
+    ['GET', '/api/v1/orders/9999']]) {
+    const res = await request(method, target, {token: other});
+    assert.equal(res.status, 404, target);
+    assert.equal(res.body.error.code, 'order_not_found');
+  }
+  const malformed = await request('GET', '/api/v1/orders/first', {token});
+  assert.equal(malformed.status, 400);
+});
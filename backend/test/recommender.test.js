@@ -0,0 +1,109 @@
+/**
+ * Unit tests for recommender.js, run on hand-built snapshots rather than a database.
+ */
+
+"use strict";
+
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const recommender = require('../recommender');
+
+const OPTIONS = {limit: 3, inStockOnly: true};
+
+/**
+ * Builds a vehicle that shares nothing with the others built here unless told to, so only the
+ * fields given affect content scores.
+ *
+ * @param {number} id - The vehicle ID.
+ * @param {Object} [fields] - Columns to set.
+ * @returns {Object} - A vehicle row as in a snapshot.
+ */
+function vehicle(id, fields = {}) {
+  return {vehicle_id: id, model_name: `Model ${id}`, make: `Make ${id}`, body_type: null,
+    tags: [], price: 10000 * 2 ** id, year: 1990 + 5 * id, availability: 3, retired_at: null,
+    ...fields};
+}
+
+/**
+ * Builds a snapshot.
+ *
+ * @param {Array<Object>} vehicles - The vehicles.
+ * @param {Array<[number, number]>} [purchases] - [userId, vehicleId] pairs.
+ * @param {Array<[number, number, number]>} [ratings] - [userId, vehicleId, rating] triples.
+ * @returns {Object} - The snapshot.
+ */
+function snapshot(vehicles, purchases = [], ratings = []) {
+  return {
+    vehicles,
+    purchases: purchases.map(([userId, vehicleId], index) =>
+      ({user_id: userId, vehicle_id: vehicleId, quantity: 1, first_order_id: index + 1})),
+    ratings: ratings.map(([userId, vehicleId, rating]) =>
+      ({user_id: userId, vehicle_id: vehicleId, rating})),
+    views: []
+  };
+}
+
+const ids = vehicles => vehicles.map(pick => pick.vehicle_id);
+
+test('recommend gives the same picks for the same data', () => {
+  const vehicles = [1, 2, 3, 4, 5].map(id => vehicle(id));
+  const purchases = [[1, 1], [1, 2], [2, 1], [2, 3], [3, 4]];
+  const first = recommender.recommend(snapshot(vehicles, purchases), 2, OPTIONS);
+  const again = recommender.recommend(snapshot(vehicles, purchases), 2, OPTIONS);
+  assert.deepEqual(again, first);
+
+  // A snapshot is reused as is, however often it is asked.
+  const shared = snapshot(vehicles, purchases);
+  assert.deepEqual(recommender.recommend(shared, 2, OPTIONS), first);
+  assert.deepEqual(recommender.recommend(shared, 2, OPTIONS), first);
+});
+
+test('recommend gives new users the most popular vehicles they can buy', () => {
+  const vehicles = [vehicle(1), vehicle(2), vehicle(3, {availability: 0}),
+    vehicle(4, {retired_at: '2024-01-01'}), vehicle(5), vehicle(6)];
+  const data = snapshot(vehicles, [[1, 5], [2, 5], [1, 3], [2, 3], [3, 4], [3, 2]]);
+  const picks = recommender.recommend(data, 9, OPTIONS);
+  assert.deepEqual(ids(picks), [5, 2, 1]);
+  for (const pick of picks) {
+    assert.equal(pick.score, 0);
+    assert.equal(pick.reason, 'Popular with other shoppers');
+  }
+
+  // With nothing bought, ties go to the lower vehicle ID.
+  assert.deepEqual(ids(recommender.recommend(snapshot(vehicles), 9, OPTIONS)), [1, 2, 5]);
+});
+
+test('recommend suggests what shoppers with the same taste bought', () => {
+  const vehicles = [1, 2, 3, 4].map(id => vehicle(id));
+  // Vehicle 3 is the most popular, but only vehicle 2 was bought along with vehicle 1.
+  const data = snapshot(vehicles, [[1, 1], [1, 2], [2, 3], [3, 3], [4, 3], [5, 1]]);
+  const picks = recommender.recommend(data, 5, OPTIONS);
+  assert.equal(picks[0].vehicle_id, 2);
+  assert.equal(picks[0].score, 0.6);
+  assert.equal(picks[0].reason, 'Shoppers who liked the Model 1 chose this too');
+  assert.ok(!ids(picks).includes(1), 'vehicles the user bought are left out');
+  assert.deepEqual(ids(picks.slice(1)), [3, 4]);
+});
+
+test('recommend suggests vehicles like the ones the user rated well', () => {
+  const vehicles = [vehicle(1, {make: 'Kia', body_type: 'suv'}),
+    vehicle(2, {make: 'Kia', body_type: 'suv'}), vehicle(3), vehicle(4)];
+  const liked = recommender.recommend(snapshot(vehicles, [], [[1, 1, 5]]), 1, OPTIONS);
+  assert.equal(liked[0].vehicle_id, 2);
+  assert.equal(liked[0].reason, 'Similar to the Model 1');
+
+  // A low rating counts against a vehicle, leaving only popularity.
+  const disliked = recommender.recommend(snapshot(vehicles, [], [[1, 1, 1]]), 1, OPTIONS);
+  assert.deepEqual(disliked.map(pick => pick.score), [0, 0, 0]);
+  assert.ok(!ids(disliked).includes(1), 'vehicles the user reviewed are left out');
+});
+
+test('recommendPopular ranks by popularity whatever the user likes', () => {
+  const vehicles = [1, 2, 3, 4].map(id => vehicle(id));
+  const purchases = [[1, 1], [1, 2], [2, 4], [3, 4], [4, 3]];
+  const data = snapshot(vehicles, purchases);
+  assert.deepEqual(ids(recommender.recommendPopular(data, 1, OPTIONS)), [4, 3]);
+  assert.deepEqual(ids(recommender.recommendPopular(data, 5, {...OPTIONS, limit: 2})), [4, 1]);
+  assert.deepEqual(recommender.recommendPopular(snapshot(vehicles, purchases), 5, OPTIONS),
+    recommender.recommendPopular(data, 5, OPTIONS));
+});
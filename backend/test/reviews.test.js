@@ -0,0 +1,218 @@
+/**
+ * Integration tests for writing, voting on, reporting and moderating reviews.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {request, signIn} = harness;
+
+let token;
+let adminToken;
+
+before(async () => {
+  await harness.start();
+  token = await signIn('alice_smith');
+  adminToken = await signIn('ewave_admin');
+});
+after(harness.stop);
+
+test('POST /api/v1/vehicles/:vehicleId/reviews adds a review', async () => {
+  const res = await request('POST', '/api/v1/vehicles/8/reviews',
+    {token, body: {rating: 4, reviewText: '  Fast and beautifully built  '}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.rating, 4);
+  assert.equal(res.body.review_text, 'Fast and beautifully built');
+  assert.equal(res.body.status, 'approved');
+
+  const listed = await request('GET', '/api/v1/vehicles/8/reviews');
+  assert.equal(listed.body.reviewCount, 1);
+  assert.equal(listed.body.reviews[0].review_id, res.body.review_id);
+});
+
+test('POST /api/v1/vehicles/:vehicleId/reviews rejects a malformed rating', async () => {
+  for (const rating of [0, 6, 3.5, 'five', null]) {
+    const res = await request('POST', '/api/v1/vehicles/10/reviews',
+      {token, body: {rating, reviewText: 'Lovely to drive'}});
+    assert.equal(res.status, 400, String(rating));
+    assert.equal(res.body.error.code, 'validation_failed');
+    assert.deepEqual(res.body.error.details.map(detail => detail.field), ['rating']);
+  }
+  const listed = await request('GET', '/api/v1/vehicles/10/reviews');
+  assert.equal(listed.body.reviewCount, 0);
+});
+
+test('POST /api/v1/vehicles/:vehicleId/reviews rejects missing or overlong text', async () => {
+  for (const reviewText of [undefined, '   ', 'x'.repeat(2001)]) {
+    const res = await request('POST', '/api/v1/vehicles/10/reviews',
+      {token, body: {rating: 3, reviewText}});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.details[0].field, 'reviewText');
+  }
+});
+
+test('POST /api/v1/vehicles/:vehicleId/reviews allows one review per vehicle', async () => {
+  const review = {rating: 5, reviewText: 'Best road trip car'};
+  const first = await request('POST', '/api/v1/vehicles/12/reviews', {token, body: review});
+  assert.equal(first.status, 201);
+  const second = await request('POST', '/api/v1/vehicles/12/reviews', {token, body: review});
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error.code, 'already_reviewed');
+});
+
+test('POST /api/v1/vehicles/:vehicleId/reviews rejects unknown vehicles and guests', async () => {
+  const review = {rating: 5, reviewText: 'Great'};
+  const missing = await request('POST', '/api/v1/vehicles/9999/reviews', {token, body: review});
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'vehicle_not_found');
+  const anonymous = await request('POST', '/api/v1/vehicles/12/reviews', {body: review});
+  assert.equal(anonymous.status, 401);
+});
+
+test('reviews with links are held for moderation', async () => {
+  const res = await request('POST', '/api/v1/vehicles/17/reviews',
+    {token, body: {rating: 5, reviewText: 'Great deals at www.example.com'}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'pending');
+  const listed = await request('GET', '/api/v1/vehicles/17/reviews');
+  assert.equal(listed.body.reviewCount, 0);
+  assert.equal(listed.body.ownReview, null);
+  const own = await request('GET', '/api/v1/vehicles/17/reviews', {token});
+  assert.deepEqual(own.body.reviews, []);
+  assert.equal(own.body.ownReview.review_id, res.body.review_id);
+  assert.equal(own.body.ownReview.status, 'pending');
+  const legacy = await request('GET', '/vehicle/17', {token});
+  assert.equal(legacy.body.feedbackData.ownReview.review_id, res.body.review_id);
+
+  const queue = await request('GET', '/api/v1/admin/reviews', {token: adminToken});
+  assert.equal(queue.status, 200);
+  const held = queue.body.reviews.find(review => review.review_id === res.body.review_id);
+  assert.ok(held);
+  assert.equal(held.model_name, 'Ford F-150 Lightning');
+
+  const approved = await request('POST', `/api/v1/admin/reviews/${res.body.review_id}/moderation`,
+    {token: adminToken, body: {action: 'approve'}});
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, 'approved');
+  const shown = await request('GET', '/api/v1/vehicles/17/reviews');
+  assert.equal(shown.body.reviewCount, 1);
+});
+
+test('the user\'s own review is returned beyond the first page', async () => {
+  const added = await request('POST', '/api/v1/vehicles/1/reviews',
+    {token, body: {rating: 3, reviewText: 'Fine'}});
+  const res = await request('GET', '/api/v1/vehicles/1/reviews?sort=highest&limit=1', {token});
+  assert.notEqual(res.body.reviews[0].review_id, added.body.review_id);
+  assert.equal(res.body.ownReview.review_id, added.body.review_id);
+  const other = await request('GET', '/api/v1/vehicles/1/reviews', {token: 'expired.token'});
+  assert.equal(other.status, 200);
+  assert.equal(other.body.ownReview, null);
+  await request('DELETE', `/api/v1/reviews/${added.body.review_id}`, {token});
+});
+
+test('PUT /api/v1/reviews/:reviewId edits the user\'s own review', async () => {
+  const added = await request('POST', '/api/v1/vehicles/18/reviews',
+    {token, body: {rating: 2, reviewText: 'Too firm'}});
+  const target = `/api/v1/reviews/${added.body.review_id}`;
+  const res = await request('PUT', target, {token, body: {rating: 3, reviewText: 'Grew on me'}});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rating, 3);
+  assert.equal(res.body.review_text, 'Grew on me');
+
+  const malformed = await request('PUT', target, {token, body: {rating: 9, reviewText: 'Hm'}});
+  assert.equal(malformed.status, 400);
+  const other = await request('PUT', target,
+    {token: await signIn('taran'), body: {rating: 1, reviewText: 'Not mine'}});
+  assert.equal(other.status, 404);
+  assert.equal(other.body.error.code, 'review_not_found');
+});
+
+test('DELETE /api/v1/reviews/:reviewId deletes the user\'s own review', async () => {
+  const added = await request('POST', '/api/v1/vehicles/20/reviews',
+    {token, body: {rating: 4, reviewText: 'Roomy'}});
+  const target = `/api/v1/reviews/${added.body.review_id}`;
+  const other = await request('DELETE', target, {token: await signIn('taran')});
+  assert.equal(other.status, 404);
+
+  const res = await request('DELETE', target, {token});
+  assert.equal(res.status, 200);
+  assert.equal(res.body, 'Review deleted');
+  const again = await request('DELETE', target, {token});
+  assert.equal(again.status, 404);
+});
+
+test('helpful votes count once per user and not for the author', async () => {
+  const vote = await request('POST', '/api/v1/reviews/1/helpful-vote', {token});
+  assert.equal(vote.status, 200);
+  assert.equal(vote.body.helpfulCount, 1);
+  const twice = await request('POST', '/api/v1/reviews/1/helpful-vote', {token});
+  assert.equal(twice.body.helpfulCount, 1);
+
+  const withdrawn = await request('DELETE', '/api/v1/reviews/1/helpful-vote', {token});
+  assert.equal(withdrawn.status, 200);
+  assert.equal(withdrawn.body.helpfulCount, 0);
+
+  const own = await request('POST', '/api/v1/reviews/1/helpful-vote',
+    {token: await signIn('john_doe')});
+  assert.equal(own.status, 403);
+  assert.equal(own.body.error.code, 'own_review');
+  const missing = await request('POST', '/api/v1/reviews/9999/helpful-vote', {token});
+  assert.equal(missing.status, 404);
+});
+
+test('reports hide a review once enough users have reported it', async () => {
+  const target = '/api/v1/reviews/2/reports';
+  const first = await request('POST', target, {token, body: {reason: 'Off topic'}});
+  assert.equal(first.status, 201);
+  const duplicate = await request('POST', target, {token});
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.code, 'already_reported');
+  const own = await request('POST', target, {token: await signIn('taran')});
+  assert.equal(own.status, 403);
+  const tooLong = await request('POST', target,
+    {token: await signIn('john_doe'), body: {reason: 'x'.repeat(501)}});
+  assert.equal(tooLong.status, 400);
+
+  await request('POST', target, {token: await signIn('john_doe')});
+  await request('POST', target, {token: await signIn('prince_wang')});
+  const listed = await request('GET', '/api/v1/vehicles/1/reviews');
+  assert.equal(listed.body.reviewCount, 1);
+  const gone = await request('POST', target, {token: adminToken});
+  assert.equal(gone.status, 404);
+});
+
+test('moderation needs a known action and, to take a review down, a reason', async () => {
+  const target = '/api/v1/admin/reviews/1/moderation';
+  const unknown = await request('POST', target, {token: adminToken, body: {action: 'delete'}});
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error.code, 'validation_failed');
+  const noReason = await request('POST', target, {token: adminToken, body: {action: 'hide'}});
+  assert.equal(noReason.status, 400);
+  assert.equal(noReason.body.error.details[0].field, 'reason');
+
+  const hidden = await request('POST', target,
+    {token: adminToken, body: {action: 'hide', reason: 'Spam'}});
+  assert.equal(hidden.status, 200);
+  assert.equal(hidden.body.status, 'hidden');
+  const byStatus = await request('GET', '/api/v1/admin/reviews?status=hidden', {token: adminToken});
+  assert.ok(byStatus.body.reviews.some(review => review.review_id === 1));
+
+  const missing = await request('POST', '/api/v1/admin/reviews/9999/moderation',
+    {token: adminToken, body: {action: 'approve'}});
+  assert.equal(missing.status, 404);
+  const badStatus = await request('GET', '/api/v1/admin/reviews?status=gone', {token: adminToken});
+  assert.equal(badStatus.status, 400);
+});
+
+test('moderation is for admins only', async () => {
+  const queue = await request('GET', '/api/v1/admin/reviews', {token});
+  assert.equal(queue.status, 403);
+  assert.equal(queue.body.error.code, 'forbidden');
+  const decision = await request('POST', '/api/v1/admin/reviews/1/moderation',
+    {token, body: {action: 'approve'}});
+  assert.equal(decision.status, 403);
+  const anonymous = await request('GET', '/api/v1/admin/reviews');
+  assert.equal(anonymous.status, 401);
+});
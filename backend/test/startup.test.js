@@ -0,0 +1,58 @@
+/**
+ * Tests for starting the server from the command line, which needs a database created with
+ * db/seed.js.
+ */
+
+"use strict";
+
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const {execFile} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const APP = path.join(__dirname, '..', 'app.js');
+
+/**
+ * Starts the server with a database path and waits for it to exit.
+ *
+ * @param {string} dbPath - The DB_PATH to start with.
+ * @param {Object} [env] - Other environment variables to set, or to unset with undefined.
+ * @returns {Promise<{code: number, stderr: string}>} - The exit code and what it printed.
+ */
+async function startWith(dbPath, env = {}) {
+  const vars = {...process.env, DB_PATH: dbPath, PORT: '0', NOTIFIER: 'none', ...env};
+  for (const name of Object.keys(vars).filter(key => vars[key] === undefined)) {
+    delete vars[name];
+  }
+  try {
+    await util.promisify(execFile)(process.execPath, [APP], {env: vars, timeout: 10000});
+    return {code: 0, stderr: ''};
+  } catch (err) {
+    return {code: err.code, stderr: err.stderr};
+  }
+}
+
+test('the server refuses to start without a seeded database', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ewave-startup-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  const missing = path.join(dir, 'missing.db');
+  const res = await startWith(missing);
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /does not exist or is empty; create it by running `node db\/seed.js`/);
+  assert.ok(!fs.existsSync(missing));
+
+  const empty = path.join(dir, 'empty.db');
+  fs.writeFileSync(empty, '');
+  assert.equal((await startWith(empty)).code, 1);
+});
+
+test('the server refuses to start in production without a SESSION_SECRET', async () => {
+  const res = await startWith(path.join(os.tmpdir(), 'ewave-unused.db'),
+    {NODE_ENV: 'production', SESSION_SECRET: undefined});
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /SESSION_SECRET must be set when NODE_ENV is production/);
+});
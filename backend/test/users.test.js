@@ -0,0 +1,130 @@
+/**
+ * Integration tests for signing in, creating accounts and the signed-in user's account.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {loadRecommendationSnapshot} = require('../app');
+const {request, signIn} = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('POST /api/v1/sessions signs a user in', async () => {
+  const res = await request('POST', '/api/v1/sessions',
+    {body: {username: 'john_doe', password: 'password123'}});
+  assert.equal(res.status, 201);
+  assert.equal(typeof res.body.token, 'string');
+  assert.deepEqual(res.body.user, {userId: 1, username: 'john_doe', role: 'customer'});
+});
+
+test('POST /api/v1/sessions rejects a wrong password', async () => {
+  const res = await request('POST', '/api/v1/sessions',
+    {body: {username: 'john_doe', password: 'wrong-password'}});
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, 'invalid_credentials');
+  assert.equal(res.body.error.message, 'Incorrect username and/or password');
+});
+
+test('POST /api/v1/sessions rejects an unknown user', async () => {
+  const res = await request('POST', '/api/v1/sessions',
+    {body: {username: 'nobody_here', password: 'password123'}});
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, 'invalid_credentials');
+});
+
+test('POST /api/v1/sessions requires a username and password', async () => {
+  const res = await request('POST', '/api/v1/sessions', {body: {username: 'john_doe'}});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'validation_failed');
+  assert.deepEqual(res.body.error.details.map(detail => detail.field), ['password']);
+});
+
+test('POST /api/v1/users creates an account and signs it in', async () => {
+  const res = await request('POST', '/api/v1/users',
+    {body: {username: 'new_driver', password: 'charge-it'}});
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.username, 'new_driver');
+  assert.equal(res.body.user.role, 'customer');
+
+  const profile = await request('GET', '/api/v1/users/me', {token: res.body.token});
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.userId, res.body.user.userId);
+
+  const session = await request('POST', '/api/v1/sessions',
+    {body: {username: 'new_driver', password: 'charge-it'}});
+  assert.equal(session.status, 201);
+});
+
+test('POST /api/v1/users rejects a taken username', async () => {
+  const res = await request('POST', '/api/v1/users',
+    {body: {username: 'alice_smith', password: 'another-pass'}});
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'username_taken');
+});
+
+test('POST /api/v1/users rejects a malformed username or short password', async () => {
+  const res = await request('POST', '/api/v1/users', {body: {username: 'no', password: 'abc'}});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'validation_failed');
+  assert.deepEqual(res.body.error.details.map(detail => detail.field), ['username', 'password']);
+});
+
+test('GET /api/v1/users/me returns the signed-in user', async () => {
+  const token = await signIn('ewave_admin');
+  const res = await request('GET', '/api/v1/users/me', {token});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.username, 'ewave_admin');
+  assert.equal(res.body.role, 'admin');
+});
+
+test('GET /api/v1/users/me/orders lists the user\'s orders, newest first', async () => {
+  const token = await signIn('prince_wang');
+  const empty = await request('GET', '/api/v1/users/me/orders', {token});
+  assert.equal(empty.status, 200);
+  assert.deepEqual(empty.body.orders, []);
+
+  await request('POST', '/api/v1/orders', {token, body: {vehicleId: 2}});
+  await request('POST', '/api/v1/orders', {token, body: {vehicleId: 3}});
+  const res = await request('GET', '/api/v1/users/me/orders', {token});
+  assert.deepEqual(res.body.orders.map(order => order.items[0].vehicle_name),
+    ['Chevrolet Bolt EV', 'Nissan Leaf']);
+});
+
+test('GET /api/v1/users/me/recommendations suggests in-stock vehicles', async () => {
+  const token = await signIn('taran');
+  const res = await request('GET', '/api/v1/users/me/recommendations', {token});
+  assert.equal(res.status, 200);
+  assert.ok(res.body.vehicles.length > 0);
+  for (const vehicle of res.body.vehicles) {
+    assert.ok(vehicle.availability > 0);
+    assert.equal(typeof vehicle.reason, 'string');
+  }
+});
+
+test('the recommendation snapshot is reused until the database changes', async () => {
+  const token = await signIn('prince_wang');
+  const first = await loadRecommendationSnapshot();
+  assert.equal(await loadRecommendationSnapshot(), first);
+
+  await request('POST', '/api/v1/vehicles/8/views', {token});
+  const next = await loadRecommendationSnapshot();
+  assert.notEqual(next, first);
+  assert.equal(next.views.length, first.views.length + 1);
+  assert.equal(await loadRecommendationSnapshot(), next);
+});
+
+test('account routes require a valid session', async () => {
+  for (const target of ['/api/v1/users/me', '/api/v1/users/me/orders',
+    '/api/v1/users/me/recommendations']) {
+    const missing = await request('GET', target);
+    assert.equal(missing.status, 401, target);
+    assert.equal(missing.body.error.code, 'unauthorized');
+
+    const forged = await request('GET', target, {token: 'not-a-real-token'});
+    assert.equal(forged.status, 401, target);
+  }
+});
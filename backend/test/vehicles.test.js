@@ -0,0 +1,182 @@
+/**
+ * Integration tests for searching and browsing the catalog.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {request, signIn} = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('GET /api/v1/vehicles lists the whole catalog', async () => {
+  const res = await request('GET', '/api/v1/vehicles');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 25);
+  assert.equal(res.body.vehicles.length, 25);
+  assert.equal(res.body.offset, 0);
+});
+
+test('GET /api/v1/vehicles searches by name, tolerating prefixes', async () => {
+  const res = await request('GET', '/api/v1/vehicles?qry=tesl');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 5);
+  for (const vehicle of res.body.vehicles) {
+    assert.match(vehicle.model_name, /^Tesla /);
+    assert.match(vehicle.highlight.model_name, /<mark>Tesla<\/mark>/);
+  }
+});
+
+test('GET /api/v1/vehicles returns an empty page when nothing matches', async () => {
+  const res = await request('GET', '/api/v1/vehicles?qry=xylophone');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 0);
+  assert.deepEqual(res.body.vehicles, []);
+
+  const filtered = await request('GET', '/api/v1/vehicles?types=truck&maxPrice=30000');
+  assert.equal(filtered.body.total, 0);
+});
+
+test('GET /api/v1/vehicles filters, sorts and pages', async () => {
+  const trucks = await request('GET', '/api/v1/vehicles?types=truck&sort=price-asc');
+  assert.deepEqual(trucks.body.vehicles.map(vehicle => vehicle.price), [69999, 69999, 74999]);
+
+  const range = await request('GET', '/api/v1/vehicles?minRange=400');
+  assert.ok(range.body.total > 0);
+  assert.ok(range.body.vehicles.every(vehicle => vehicle.range_miles >= 400));
+
+  const first = await request('GET', '/api/v1/vehicles?sort=price-asc&limit=2');
+  const second = await request('GET', '/api/v1/vehicles?sort=price-asc&limit=2&offset=2');
+  assert.equal(first.body.total, 25);
+  assert.deepEqual(first.body.vehicles.map(vehicle => vehicle.model_name),
+    ['Chevy Spark EV', 'Nissan Leaf']);
+  assert.equal(second.body.offset, 2);
+  assert.equal(second.body.vehicles[0].model_name, 'Chevrolet Bolt EV');
+});
+
+test('GET /api/v1/vehicles rejects malformed search parameters', async () => {
+  for (const query of ['sort=cheapest', 'limit=0', 'limit=101', 'offset=-1', 'minPrice=cheap',
+    'inStock=maybe']) {
+    const res = await request('GET', `/api/v1/vehicles?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error.code, 'validation_failed');
+    assert.equal(res.body.error.details[0].field, query.split('=')[0]);
+  }
+});
+
+test('GET /api/v1/facets counts matches for each filter', async () => {
+  const res = await request('GET', '/api/v1/facets?types=truck');
+  assert.equal(res.status, 200);
+  const counts = Object.fromEntries(res.body.bodyTypes.map(type => [type.slug, type.count]));
+  assert.equal(counts.truck, 3);
+  assert.equal(counts.sedan, 5);
+  const makes = Object.fromEntries(res.body.makes.map(make => [make.make, make.count]));
+  assert.equal(makes.Tesla, 1);
+  assert.deepEqual(res.body.price, {min: 25999, max: 92999});
+
+  const malformed = await request('GET', '/api/v1/facets?minYear=soon');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'validation_failed');
+});
+
+test('GET /api/v1/vehicles/:vehicleId returns a vehicle', async () => {
+  const res = await request('GET', '/api/v1/vehicles/1');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.model_name, 'Tesla Model S');
+  assert.equal(res.body.range_miles, 405);
+
+  const missing = await request('GET', '/api/v1/vehicles/9999');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'vehicle_not_found');
+
+  const malformed = await request('GET', '/api/v1/vehicles/one');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.code, 'validation_failed');
+});
+
+test('GET /api/v1/vehicles/:vehicleId/reviews pages through reviews', async () => {
+  const res = await request('GET', '/api/v1/vehicles/1/reviews?sort=lowest');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.reviewCount, 2);
+  assert.equal(res.body.averageRating, 4);
+  assert.deepEqual(res.body.reviews.map(review => review.rating), [3, 5]);
+
+  const page = await request('GET', '/api/v1/vehicles/1/reviews?limit=1&offset=1');
+  assert.equal(page.body.reviews.length, 1);
+
+  const missing = await request('GET', '/api/v1/vehicles/9999/reviews');
+  assert.equal(missing.status, 404);
+  const malformed = await request('GET', '/api/v1/vehicles/1/reviews?sort=random');
+  assert.equal(malformed.status, 400);
+});
+
+test('GET /api/v1/vehicles/:vehicleId/similar suggests other vehicles', async () => {
+  const res = await request('GET', '/api/v1/vehicles/1/similar?limit=3');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.vehicles.length, 3);
+  for (const vehicle of res.body.vehicles) {
+    assert.notEqual(vehicle.vehicle_id, 1);
+    assert.ok(vehicle.why.length > 0);
+  }
+
+  const missing = await request('GET', '/api/v1/vehicles/9999/similar');
+  assert.equal(missing.status, 404);
+  const malformed = await request('GET', '/api/v1/vehicles/1/similar?limit=50');
+  assert.equal(malformed.status, 400);
+});
+
+test('GET /api/v1/vehicles/:vehicleId/financing estimates payments', async () => {
+  const loan = await request('GET', '/api/v1/vehicles/2/financing?downPayment=5000&termMonths=48');
+  assert.equal(loan.status, 200);
+  assert.equal(loan.body.terms.plan, 'loan');
+  assert.equal(loan.body.schedule.length, 48);
+  assert.ok(loan.body.monthlyPayment > 0);
+
+  const lease = await request('GET', '/api/v1/vehicles/2/financing?plan=lease');
+  assert.equal(lease.status, 200);
+  assert.ok(lease.body.residualValue > 0);
+
+  const malformed = await request('GET', '/api/v1/vehicles/2/financing?apr=-1');
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(malformed.body.error.details, [{location: 'query', field: 'apr',
+    message: 'apr must be a number between 0 and 30'}]);
+  const excessive = await request('GET', '/api/v1/vehicles/2/financing?downPayment=500000');
+  assert.equal(excessive.status, 400);
+  assert.equal(excessive.body.error.code, 'financing_exceeds_total');
+  const missing = await request('GET', '/api/v1/vehicles/9999/financing');
+  assert.equal(missing.status, 404);
+});
+
+test('GET /api/v1/comparisons lines vehicles up side by side', async () => {
+  const res = await request('GET', '/api/v1/comparisons?ids=1,6,13');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.vehicles.map(vehicle => vehicle.vehicle_id), [1, 6, 13]);
+  const price = res.body.attributes.find(attribute => attribute.key === 'price');
+  assert.deepEqual(price.values, [79999, 45999, 92999]);
+  assert.equal(price.differs, true);
+
+  for (const ids of ['1', '1,1', '1,2,3,4,5', 'one,two', '']) {
+    const malformed = await request('GET', `/api/v1/comparisons?ids=${ids}`);
+    assert.equal(malformed.status, 400, ids);
+    assert.equal(malformed.body.error.code, 'validation_failed');
+    assert.equal(malformed.body.error.details[0].field, 'ids');
+  }
+  const missing = await request('GET', '/api/v1/comparisons?ids=1,9999');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.message, 'Vehicle 9999 not found');
+});
+
+test('POST /api/v1/vehicles/:vehicleId/views records a signed-in view', async () => {
+  const token = await signIn('john_doe');
+  const res = await request('POST', '/api/v1/vehicles/12/views', {token});
+  assert.equal(res.status, 200);
+  assert.equal(res.body, 'View recorded');
+
+  const missing = await request('POST', '/api/v1/vehicles/9999/views', {token});
+  assert.equal(missing.status, 404);
+  const anonymous = await request('POST', '/api/v1/vehicles/12/views');
+  assert.equal(anonymous.status, 401);
+});
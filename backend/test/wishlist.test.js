@@ -0,0 +1,88 @@
+/**
+ * Integration tests for the wishlist and the alerts it sends.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const {request, signIn} = harness;
+
+let token;
+let adminToken;
+
+before(async () => {
+  await harness.start();
+  token = await signIn('taran');
+  adminToken = await signIn('ewave_admin');
+});
+after(harness.stop);
+
+test('vehicles can be saved to and removed from the wishlist', async () => {
+  const empty = await request('GET', '/api/v1/users/me/wishlist', {token});
+  assert.equal(empty.status, 200);
+  assert.deepEqual(empty.body.vehicles, []);
+
+  await request('POST', '/api/v1/users/me/wishlist', {token, body: {vehicleId: 3}});
+  const saved = await request('POST', '/api/v1/users/me/wishlist', {token, body: {vehicleId: 5}});
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.vehicles.map(vehicle => vehicle.vehicle_id), [5, 3]);
+  const twice = await request('POST', '/api/v1/users/me/wishlist', {token, body: {vehicleId: 5}});
+  assert.equal(twice.body.vehicles.length, 2);
+
+  const removed = await request('DELETE', '/api/v1/users/me/wishlist/3', {token});
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.vehicles.map(vehicle => vehicle.vehicle_id), [5]);
+  await request('DELETE', '/api/v1/users/me/wishlist/5', {token});
+});
+
+test('the wishlist rejects unknown, retired and unsaved vehicles', async () => {
+  const missing = await request('POST', '/api/v1/users/me/wishlist',
+    {token, body: {vehicleId: 9999}});
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'vehicle_not_found');
+
+  await request('DELETE', '/api/v1/admin/vehicles/23', {token: adminToken});
+  const retired = await request('POST', '/api/v1/users/me/wishlist',
+    {token, body: {vehicleId: 23}});
+  assert.equal(retired.status, 409);
+  assert.equal(retired.body.error.code, 'vehicle_retired');
+  await request('POST', '/api/v1/admin/vehicles/23/restoration', {token: adminToken});
+
+  const unsaved = await request('DELETE', '/api/v1/users/me/wishlist/4', {token});
+  assert.equal(unsaved.status, 404);
+  assert.equal(unsaved.body.error.code, 'wishlist_item_not_found');
+  const malformed = await request('POST', '/api/v1/users/me/wishlist', {token, body: {}});
+  assert.equal(malformed.status, 400);
+  const anonymous = await request('GET', '/api/v1/users/me/wishlist');
+  assert.equal(anonymous.status, 401);
+});
+
+test('a restock alerts users who saved the vehicle', async () => {
+  const stock = (await request('GET', '/api/v1/vehicles/22')).body.availability;
+  await request('POST', '/api/v1/admin/vehicles/22/stock',
+    {token: adminToken, body: {change: -stock}});
+  await request('POST', '/api/v1/users/me/wishlist', {token, body: {vehicleId: 22}});
+  const quiet = await request('GET', '/api/v1/users/me/notifications', {token});
+  assert.equal(quiet.status, 200);
+  assert.equal(quiet.body.unread, 0);
+
+  await request('POST', '/api/v1/admin/vehicles/22/stock', {token: adminToken, body: {change: 2}});
+  const alerted = await request('GET', '/api/v1/users/me/notifications', {token});
+  assert.equal(alerted.body.unread, 1);
+  assert.equal(alerted.body.notifications[0].vehicle_id, 22);
+  assert.equal(alerted.body.notifications[0].kind, 'back-in-stock');
+
+  const read = await request('POST', '/api/v1/users/me/notifications/read', {token});
+  assert.equal(read.status, 200);
+  assert.equal(read.body.unread, 0);
+  assert.equal(read.body.notifications.length, 1);
+});
+
+test('notifications require a session', async () => {
+  const list = await request('GET', '/api/v1/users/me/notifications');
+  assert.equal(list.status, 401);
+  const read = await request('POST', '/api/v1/users/me/notifications/read');
+  assert.equal(read.status, 401);
+});
@@ -0,0 +1,284 @@
+/**
+ * Schema-driven request validation. validate() builds a middleware from a schema listing the
+ * fields each part of the request (`params`, `query` or `body`) accepts:
+ *
+ *     app.put('/cart/:vehicleId', validate({
+ *       params: {vehicleId: {type: 'id'}},
+ *       body: {quantity: {type: 'integer', required: true, min: 0, max: 5}}
+ *     }), handler);
+ *
+ * Each field is converted to its type and written back to the request, so handlers see numbers
+ * and booleans rather than the strings of a query or form, and missing fields get their
+ * `default`. Fields not in the schema are left alone. A request with any invalid field is
+ * rejected with a 400 `validation_failed` error listing every problem.
+ *
+ * A field's rule has a `type`, one of the keys of TYPES, and optionally:
+ *
+ * - `required`: reject the request if the field is missing (undefined, null or '');
+ * - `default`: the value used if it is missing;
+ * - `nullable`: keep a null or empty value as null, e.g. to clear a column, rather than treating
+ *   the field as missing;
+ * - `min` and `max`: bounds for numbers;
+ * - `minLength` and `maxLength`: bounds on the length of strings, after trimming if `trim` is set,
+ *   or on the number of items in lists;
+ * - `pattern`: a regular expression strings must match;
+ * - `lowercase`: convert strings to lowercase;
+ * - `values`: the only values allowed, matched regardless of case if `ignoreCase` is set, in which
+ *   case the value becomes the one listed;
+ * - `items`: for lists, the rule each item must meet;
+ * - `fields`: for objects, the rules for their fields, checked like those of the request. Their
+ *   problems are reported with dotted names such as `financing.apr`;
+ * - `check`: a function given the converted value that returns false to reject it;
+ * - `message`: the message used when the field is invalid, instead of one built from the rule.
+ *
+ * Lists are sent as arrays or as comma-separated strings, such as `?tags=family,towing`; their
+ * items are trimmed and empty ones dropped.
+ */
+
+"use strict";
+
+const {ApiError} = require('./errors');
+
+/**
+ * Converters for each field type, given the raw value and returning the converted value, or
+ * undefined if it is not of the type.
+ */
+const TYPES = {
+  id: value => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+  },
+  integer: value => {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  number: value => {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  string: value => (typeof value === 'string' ? value : undefined),
+  list: value => {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) ||
+      !items.every(item => typeof item === 'string' || typeof item === 'number')) {
+      return undefined;
+    }
+    return items.map(item => String(item).trim()).filter(item => item !== '');
+  },
+  object: value => (typeof value === 'object' && !Array.isArray(value) ? value : undefined),
+  boolean: value => {
+    if (value === true || value === 'true') {
+      return true;
+    }
+    return value === false || value === 'false' ? false : undefined;
+  }
+};
+
+// How each type is described in messages.
+const TYPE_NAMES = {
+  id: 'a positive whole number',
+  integer: 'a whole number',
+  number: 'a number',
+  string: 'text',
+  list: 'a comma-separated list',
+  object: 'an object',
+  boolean: 'true or false'
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Builds a middleware validating requests against a schema.
+ *
+ * @param {Object} schema - The rules for the fields of `params`, `query` and `body`, each an
+ * object keyed by field name.
+ * @returns {Function} - The middleware.
+ * @throws {Error} - If a rule has an unknown type.
+ */
+function validate(schema) {
+  for (const location of LOCATIONS) {
+    checkTypes(schema[location] || {}, location);
+  }
+  return function(req, res, next) {
+    const details = [];
+    for (const location of LOCATIONS) {
+      if (!schema[location]) {
+        continue;
+      }
+      if (!req[location]) {
+        req[location] = {};
+      }
+      const result = checkFields(schema[location], req[location]);
+      Object.assign(req[location], result.values);
+      details.push(...result.details.map(detail => ({location, ...detail})));
+    }
+    if (details.length > 0) {
+      next(new ApiError(400, 'validation_failed',
+        details.map(detail => detail.message).join('; '), details));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Builds the error for a request whose fields are each valid but don't make sense together, in
+ * the shape validate() uses.
+ *
+ * @param {string} location - Where the field is: `params`, `query` or `body`.
+ * @param {string} field - The field's name.
+ * @param {string} message - What is wrong.
+ * @returns {ApiError} - The 400 `validation_failed` error.
+ */
+function fieldError(location, field, message) {
+  return new ApiError(400, 'validation_failed', message, [{location, field, message}]);
+}
+
+/**
+ * Checks that every rule, including those of object fields and list items, has a known type.
+ *
+ * @param {Object} rules - The rules, keyed by field name.
+ * @param {string} path - Where the rules are, for the error message.
+ * @returns {void}
+ * @throws {Error} - If a rule has an unknown type.
+ */
+function checkTypes(rules, path) {
+  for (const [field, rule] of Object.entries(rules)) {
+    if (!Object.hasOwn(TYPES, rule.type)) {
+      throw new Error(`Unknown type "${rule.type}" for ${path}.${field}`);
+    }
+    if (rule.items) {
+      checkTypes({items: rule.items}, `${path}.${field}`);
+    }
+    if (rule.fields) {
+      checkTypes(rule.fields, `${path}.${field}`);
+    }
+  }
+}
+
+/**
+ * Validates and converts the fields of an object against their rules.
+ *
+ * @param {Object} rules - The rules, keyed by field name.
+ * @param {Object} source - The object holding the fields sent.
+ * @returns {{values: Object, details: Array<Object>}} - The converted `values` of the fields sent
+ * or defaulted, and the `field` and `message` of each problem.
+ */
+function checkFields(rules, source) {
+  const values = {};
+  const details = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    const result = checkField(field, source[field], rule);
+    if (result.errors) {
+      details.push(...result.errors);
+    } else if (result.value !== undefined || Object.hasOwn(source, field)) {
+      values[field] = result.value;
+    }
+  }
+  return {values, details};
+}
+
+/**
+ * Validates and converts one field.
+ *
+ * @param {string} field - The field's name.
+ * @param {*} raw - The value sent.
+ * @param {Object} rule - The field's rule.
+ * @returns {Object} - The converted `value`, undefined if the field is missing and has no
+ * default, or the `errors` found, each with its `field` and `message`.
+ */
+function checkField(field, raw, rule) {
+  let value = rule.trim && typeof raw === 'string' ? raw.trim() : raw;
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) {
+      return {errors: [{field, message: rule.message || `${field} is required`}]};
+    }
+    return {value: rule.nullable && value !== undefined ? null : rule.default};
+  }
+  value = TYPES[rule.type](value);
+  if (value !== undefined && rule.fields) {
+    const nested = checkFields(rule.fields, value);
+    if (nested.details.length > 0) {
+      return {errors: nested.details.map(detail =>
+        ({...detail, field: `${field}.${detail.field}`}))};
+    }
+    value = {...value, ...nested.values};
+  }
+  if (value !== undefined && rule.items) {
+    const items = value.map(item => checkField(field, item, rule.items));
+    value = items.some(item => item.errors) ? undefined : items.map(item => item.value);
+  }
+  if (typeof value === 'string') {
+    value = normalize(value, rule);
+  }
+  if (value === undefined || !meetsRule(value, rule)) {
+    return {errors: [{field, message: rule.message || describeRule(field, rule)}]};
+  }
+  return {value};
+}
+
+/**
+ * Applies a rule's `lowercase` and `ignoreCase` options to a string.
+ *
+ * @param {string} value - The string.
+ * @param {Object} rule - The field's rule.
+ * @returns {string} - The string, lowercased or replaced by the listed value it matches.
+ */
+function normalize(value, rule) {
+  const text = rule.lowercase ? value.toLowerCase() : value;
+  if (!rule.ignoreCase || !rule.values) {
+    return text;
+  }
+  const match = rule.values.find(allowed => allowed.toLowerCase() === text.toLowerCase());
+  return match === undefined ? text : match;
+}
+
+/**
+ * Checks a converted value against the bounds, pattern, values and check of its rule.
+ *
+ * @param {*} value - The converted value.
+ * @param {Object} rule - The field's rule.
+ * @returns {boolean} - True if the value is allowed.
+ */
+function meetsRule(value, rule) {
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+  return !(rule.min !== undefined && value < rule.min) &&
+    !(rule.max !== undefined && value > rule.max) &&
+    !(rule.minLength !== undefined && length < rule.minLength) &&
+    !(rule.maxLength !== undefined && length > rule.maxLength) &&
+    !(rule.pattern && !rule.pattern.test(value)) &&
+    !(rule.values && !rule.values.includes(value)) &&
+    !(rule.check && !rule.check(value));
+}
+
+/**
+ * Describes the values a rule allows, for the message of an invalid field.
+ *
+ * @param {string} field - The field's name.
+ * @param {Object} rule - The field's rule.
+ * @returns {string} - The message.
+ */
+function describeRule(field, rule) {
+  if (rule.values) {
+    return `${field} must be one of ${rule.values.join(', ')}`;
+  }
+  let description = `${field} must be ${TYPE_NAMES[rule.type]}`;
+  if (rule.min !== undefined && rule.max !== undefined) {
+    description += ` between ${rule.min} and ${rule.max}`;
+  } else if (rule.min !== undefined) {
+    description += ` of at least ${rule.min}`;
+  } else if (rule.max !== undefined) {
+    description += ` of at most ${rule.max}`;
+  }
+  const unit = rule.type === 'list' ? 'items' : 'characters';
+  if (rule.minLength !== undefined && rule.maxLength !== undefined) {
+    description += ` of ${rule.minLength} to ${rule.maxLength} ${unit}`;
+  } else if (rule.minLength !== undefined) {
+    description += ` of at least ${rule.minLength} ${unit}`;
+  } else if (rule.maxLength !== undefined) {
+    description += ` of at most ${rule.maxLength} ${unit}`;
+  }
+  return description;
+}
+
+module.exports = {validate, checkFields, fieldError};
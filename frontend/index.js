@@ -3,25 +3,172 @@
 (function() {
   window.addEventListener("load", init);
 
+  const SESSION_KEY = 'ewave-session';
+  const REVIEW_PAGE_SIZE = 5;
+  const MIN_COMPARED = 2;
+  const MAX_COMPARED = 4;
+  const TOAST_DURATION_MS = 6000;
+  const MAX_TOASTS = 3;
+
+  // What the signed-in user is told about their own review while others can't see it.
+  const HIDDEN_REVIEW_NOTES = {
+    pending: 'Waiting for a moderator; only you can see this review',
+    rejected: 'Not published by a moderator; only you can see this review',
+    hidden: 'Taken down by a moderator; only you can see this review'
+  };
+
+  /**
+   * The search parameter each filter checkbox group sets, keyed by the name its boxes share.
+   */
+  const FILTER_GROUPS = {
+    'car-type': 'types',
+    'car-tag': 'tags',
+    'car-make': 'make',
+    'car-drivetrain': 'drivetrain',
+    'car-connector': 'connector'
+  };
+
+  // The select elements for spec filters, and the search parameter each sets.
+  const SPEC_FILTER_SELECTS = [
+    ['min-range-filter', 'minRange'],
+    ['min-charge-filter', 'minChargeKw'],
+    ['min-seating-filter', 'minSeating']
+  ];
+
+  // The range sliders, and the search parameter each sets unless it sits at its limit.
+  const RANGE_SLIDERS = [
+    ['min-price', 'minPrice'],
+    ['max-price', 'maxPrice'],
+    ['min-year', 'minYear'],
+    ['max-year', 'maxYear']
+  ];
+
+  /**
+   * The EV specs shown on the detail page and edited in the vehicle form: the column holding
+   * each, the field the admin endpoints take it as, its label and its unit, if it has one. Text
+   * specs are chosen from a list rather than typed as numbers.
+   */
+  const SPECS = [
+    {column: 'range_miles', field: 'rangeMiles', label: 'EPA range', unit: 'mi'},
+    {column: 'battery_kwh', field: 'batteryKwh', label: 'Battery', unit: 'kWh'},
+    {column: 'dc_peak_kw', field: 'dcPeakKw', label: 'DC fast-charge peak', unit: 'kW'},
+    {column: 'charge_connector', field: 'chargeConnector', label: 'Charging connector', text: true},
+    {column: 'drivetrain', field: 'drivetrain', label: 'Drivetrain', text: true},
+    {column: 'seating', field: 'seating', label: 'Seats'},
+    {column: 'towing_lbs', field: 'towingLbs', label: 'Towing capacity', unit: 'lbs'},
+    {column: 'zero_to_sixty_s', field: 'zeroToSixty', label: '0-60 mph', unit: 's'}
+  ];
+
   let curVehicle;
-  let userId;
+  let sessionToken;
+  let purchaseKey;
+  let currentSearch = new URLSearchParams();
+  let loadedCount = 0;
   let recommendations;
+  let bodyTypes = [];
+  let editingVehicle = null;
+  let currentUserId = null;
+  let editingReview = null;
+  let loadedReviews = 0;
+  let votedReviews = new Set();
+  let wishlistIds = new Set();
+  let compareIds = [];
+  let financingEstimate = null;
+  let financingTerms = null;
 
   /**
    * Set up necessary functionality when page loads
    */
   function init() {
-    showMain();
+    window.addEventListener("hashchange", route);
     id("sign-in-button").addEventListener("click", showSignIn);
     id("home-button").addEventListener("click", showMain);
+    id("cart-button").addEventListener("click", showCart);
+    id("admin-button").addEventListener("click", showAdmin);
+    id("new-vehicle-button").addEventListener("click", () => editVehicle(null));
+    id("cancel-edit-button").addEventListener("click", closeVehicleForm);
+    id("vehicle-form").addEventListener("submit", saveVehicle);
+    id("moderation-status").addEventListener("change", () => {
+      requestModeration().catch(handleError);
+    });
+    id("checkout-button").addEventListener("click", askToConfirm);
     id("submit-button").addEventListener("click", signIn);
+    id("register-button").addEventListener("click", register);
+    id("sign-out-button").addEventListener("click", signOut);
     id("column-layout").addEventListener("click", makeColumns);
     id("row-layout").addEventListener("click", makeRows);
     id("search-button").addEventListener("click", searchAndFilter);
+    id("load-more-button").addEventListener("click", loadMoreVehicles);
+    id("sort-select").addEventListener("change", searchAndFilter);
+    for (const slider of qsa('#range-filter input[type="range"]')) {
+      slider.addEventListener("input", updateRangeLabels);
+    }
     id("purchase-button").addEventListener("click", showSignIn);
     id("submit-review-button").addEventListener("click", showSignIn);
+    id("cancel-review-button").addEventListener("click", resetReviewForm);
+    id("review-sort").addEventListener("change", () => requestReviews(false));
+    id("more-reviews-button").addEventListener("click", () => requestReviews(true));
+    id("wishlist-button").addEventListener("click", () => toggleWishlist(Number(curVehicle)));
+    id("financing-form").addEventListener("change", requestFinancing);
+    id("financing-form").addEventListener("submit", evt => evt.preventDefault());
+    id("use-financing-button").addEventListener("click", useFinancing);
+    id("pay-in-full-button").addEventListener("click", () => setFinancingTerms(null));
+    id("mark-read-button").addEventListener("click", markNotificationsRead);
+    id("compare-button").addEventListener("click", showCompare);
+    id("clear-compare-button").addEventListener("click", clearCompare);
+    id("differences-only").addEventListener("change", event => {
+      id('compare-table').classList.toggle('differences-only', event.target.checked);
+    });
+
+    restoreCompare();
+    restoreSession().then(route);
+  }
 
-    requestAllVehicles();
+  /**
+   * Goes to a page of the site, adding it to the browser history. Pages live in the URL's hash,
+   * as a path such as `/vehicle/12` optionally followed by query parameters, so every view can be
+   * bookmarked and Back returns to the previous one. Going to the page already shown renders it
+   * again.
+   *
+   * @param {string} path - The page's path and query, such as `/search?qry=tesla`.
+   */
+  function navigate(path) {
+    if (window.location.hash === `#${path}`) {
+      route();
+    } else {
+      window.location.hash = path;
+    }
+  }
+
+  /**
+   * Renders the page named by the URL's hash: `/vehicle/:id`, `/search?...` with the parameters
+   * of GET /vehicles, `/account`, `/cart`, `/admin`, `/sign-in` or `/compare`. Anything else shows
+   * the whole catalog. Pages for signed-in users show the sign-in form to everyone else.
+   */
+  function route() {
+    const hash = window.location.hash.slice(1);
+    const queryStart = hash.indexOf('?');
+    const path = queryStart === -1 ? hash : hash.slice(0, queryStart);
+    const params = new URLSearchParams(queryStart === -1 ? '' : hash.slice(queryStart + 1));
+    const [page, param] = path.split('/').filter(part => part);
+    const signedInPages = {account: renderUser, cart: renderCart, admin: renderAdmin};
+    if (page === 'vehicle' && /^\d+$/.test(param || '')) {
+      loadVehicleDetails(Number(param));
+    } else if (page === 'search') {
+      renderCatalog(params);
+    } else if (Object.hasOwn(signedInPages, page)) {
+      if (sessionToken) {
+        signedInPages[page]();
+      } else {
+        showView('sign-in-section');
+      }
+    } else if (page === 'sign-in') {
+      showView('sign-in-section');
+    } else if (page === 'compare' && compareIds.length >= MIN_COMPARED) {
+      renderCompare();
+    } else {
+      renderCatalog(new URLSearchParams());
+    }
   }
 
   /**
@@ -47,41 +194,594 @@
   }
 
   /**
-   * Shows the user section and populates the recommended section.
+   * Goes to the user section.
    */
   function showUser() {
+    navigate('/account');
+  }
+
+  /**
+   * Shows the user section, populates the recommended section and fetches the latest
+   * notifications.
+   */
+  function renderUser() {
     populateRecommended(recommendations);
     showView('user-section');
+    requestNotifications();
+  }
+
+  /**
+   * Goes to the cart section.
+   */
+  function showCart() {
+    navigate('/cart');
+  }
+
+  /**
+   * Requests the signed-in user's cart and shows the cart section.
+   */
+  function renderCart() {
+    requestCart()
+      .then(() => showView('cart-section'))
+      .catch(handleError);
+  }
+
+  /**
+   * Requests the signed-in user's cart and renders it.
+   *
+   * @returns {Promise} - Resolves once the cart has been rendered.
+   */
+  function requestCart() {
+    return fetch('/cart', {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processCart);
+  }
+
+  /**
+   * Goes to the admin section.
+   */
+  function showAdmin() {
+    navigate('/admin');
+  }
+
+  /**
+   * Requests the inventory and shows the admin section.
+   */
+  function renderAdmin() {
+    Promise.all([requestInventory(), requestModeration()])
+      .then(() => showView('admin-section'))
+      .catch(handleError);
+  }
+
+  /**
+   * Requests every vehicle and the stock overview and renders them in the admin section.
+   *
+   * @returns {Promise} - Resolves once the inventory has been rendered.
+   */
+  function requestInventory() {
+    return fetch('/admin/vehicles', {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processInventory);
+  }
+
+  /**
+   * Renders the stock overview and the inventory table.
+   *
+   * @param {Object} inventory - The vehicles and stock overview received from the server.
+   */
+  function processInventory(inventory) {
+    const stock = inventory.stock;
+    id('stock-vehicles').textContent = stock.vehicles;
+    id('stock-units').textContent = stock.units;
+    id('stock-low').textContent = `${stock.lowStock} (${stock.lowStockThreshold} or fewer left)`;
+    id('stock-out').textContent = stock.outOfStock;
+    id('stock-retired').textContent = stock.retired;
+    const rows = id('inventory-rows');
+    rows.innerHTML = '';
+    for (const vehicle of inventory.vehicles) {
+      rows.appendChild(createInventoryRow(vehicle, stock.lowStockThreshold));
+    }
+  }
+
+  /**
+   * Creates a row of the inventory table with controls to change the vehicle's stock, edit it and
+   * retire or restore it.
+   *
+   * @param {Object} vehicle - The vehicle.
+   * @param {number} lowStockThreshold - The number of units at or below which stock is low.
+   * @returns {HTMLElement} - The table row.
+   */
+  function createInventoryRow(vehicle, lowStockThreshold) {
+    const row = gen('tr');
+    row.classList.toggle('retired', Boolean(vehicle.retired_at));
+    row.classList.toggle('low-stock', !vehicle.retired_at &&
+      vehicle.availability <= lowStockThreshold);
+    const cells = [
+      vehicle.model_name,
+      vehicle.make,
+      vehicle.year,
+      vehicle.body_type || '-',
+      formatPrice(vehicle.price)
+    ];
+    for (const text of cells) {
+      const cell = gen('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    const stockCell = gen('td');
+    const decrease = gen('button');
+    decrease.textContent = '-';
+    decrease.disabled = vehicle.availability === 0;
+    decrease.addEventListener('click', () => adjustStock(vehicle.vehicle_id, -1));
+    const count = gen('span');
+    count.textContent = vehicle.availability;
+    const increase = gen('button');
+    increase.textContent = '+';
+    increase.addEventListener('click', () => adjustStock(vehicle.vehicle_id, 1));
+    stockCell.appendChild(decrease);
+    stockCell.appendChild(count);
+    stockCell.appendChild(increase);
+    row.appendChild(stockCell);
+
+    const soldCell = gen('td');
+    soldCell.textContent = vehicle.units_sold;
+    row.appendChild(soldCell);
+    const statusCell = gen('td');
+    statusCell.textContent = vehicle.retired_at ? 'Retired' : 'For sale';
+    row.appendChild(statusCell);
+
+    const actionCell = gen('td');
+    const edit = gen('button');
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => editVehicle(vehicle));
+    const retire = gen('button');
+    retire.textContent = vehicle.retired_at ? 'Restore' : 'Retire';
+    retire.addEventListener('click', () => toggleRetired(vehicle));
+    actionCell.appendChild(edit);
+    actionCell.appendChild(retire);
+    row.appendChild(actionCell);
+    return row;
+  }
+
+  /**
+   * Adds units to or removes units from a vehicle's stock and refreshes the inventory.
+   *
+   * @param {number} vehicleId - The ID of the vehicle.
+   * @param {number} change - The number of units to add, or remove if negative.
+   */
+  function adjustStock(vehicleId, change) {
+    fetch(`/admin/vehicles/${vehicleId}/stock`, {
+      method: 'POST',
+      headers: authHeaders({'Content-Type': 'application/json'}),
+      body: JSON.stringify({change})
+    })
+      .then(statusCheck)
+      .then(requestInventory)
+      .catch(handleError);
+  }
+
+  /**
+   * Retires a vehicle that is for sale, or restores a retired one, and refreshes the inventory.
+   *
+   * @param {Object} vehicle - The vehicle.
+   */
+  function toggleRetired(vehicle) {
+    const url = vehicle.retired_at ? `/admin/vehicles/${vehicle.vehicle_id}/restore` :
+      `/admin/vehicles/${vehicle.vehicle_id}`;
+    fetch(url, {
+      method: vehicle.retired_at ? 'POST' : 'DELETE',
+      headers: authHeaders()
+    })
+      .then(statusCheck)
+      .then(requestInventory)
+      .catch(handleError);
+  }
+
+  /**
+   * Opens the vehicle form, filled in with a vehicle's details or empty to add a new one.
+   *
+   * @param {?Object} vehicle - The vehicle to edit, or null to add a vehicle.
+   */
+  function editVehicle(vehicle) {
+    editingVehicle = vehicle;
+    const select = id('form-body-type');
+    select.innerHTML = '';
+    for (const bodyType of bodyTypes) {
+      const option = gen('option');
+      option.value = bodyType.slug;
+      option.textContent = bodyType.label;
+      select.appendChild(option);
+    }
+    const values = vehicle || {};
+    id('vehicle-form-title').textContent = vehicle ? `Edit ${vehicle.model_name}` : 'Add Vehicle';
+    id('form-model-name').value = values.model_name || '';
+    id('form-make').value = values.make || '';
+    id('form-year').value = values.year || new Date().getFullYear();
+    id('form-price').value = values.price || '';
+    id('form-availability').value = vehicle ? vehicle.availability : 0;
+    select.value = values.body_type || (bodyTypes.length > 0 ? bodyTypes[0].slug : '');
+    id('form-tags').value = (values.tags || []).join(', ');
+    id('form-description').value = values.description || '';
+    for (const spec of SPECS) {
+      const value = values[spec.column];
+      specInput(spec).value = value === null || value === undefined ? '' : value;
+    }
+    id('form-image').value = '';
+    const preview = id('form-image-preview');
+    preview.classList.toggle('hidden', !values.image_url);
+    if (values.image_url) {
+      preview.src = `img/${values.image_url}`;
+    }
+    id('vehicle-form').classList.remove('hidden');
+  }
+
+  /**
+   * Hides the vehicle form without saving.
+   */
+  function closeVehicleForm() {
+    editingVehicle = null;
+    id('vehicle-form').classList.add('hidden');
+  }
+
+  /**
+   * Uploads the chosen image, if any, then creates or updates the vehicle from the form and
+   * refreshes the inventory.
+   *
+   * @param {Event} evt - The form's submit event.
+   */
+  function saveVehicle(evt) {
+    evt.preventDefault();
+    const file = id('form-image').files[0];
+    const upload = file ? uploadImage(file) : Promise.resolve(null);
+    upload
+      .then(imageUrl => {
+        const vehicle = {
+          modelName: id('form-model-name').value,
+          make: id('form-make').value,
+          year: Number(id('form-year').value),
+          price: Number(id('form-price').value),
+          availability: Number(id('form-availability').value),
+          bodyType: id('form-body-type').value,
+          tags: id('form-tags').value,
+          description: id('form-description').value
+        };
+        for (const spec of SPECS) {
+          const value = specInput(spec).value;
+          vehicle[spec.field] = value === '' ? null : (spec.text ? value : Number(value));
+        }
+        if (imageUrl) {
+          vehicle.imageUrl = imageUrl;
+        }
+        const url = editingVehicle ? `/admin/vehicles/${editingVehicle.vehicle_id}` :
+          '/admin/vehicles';
+        return fetch(url, {
+          method: editingVehicle ? 'PUT' : 'POST',
+          headers: authHeaders({'Content-Type': 'application/json'}),
+          body: JSON.stringify(vehicle)
+        });
+      })
+      .then(statusCheck)
+      .then(() => {
+        closeVehicleForm();
+        return requestInventory();
+      })
+      .catch(handleError);
+  }
+
+  /**
+   * Finds the vehicle form's input for a spec.
+   *
+   * @param {Object} spec - One of SPECS.
+   * @returns {HTMLElement} - The input or select.
+   */
+  function specInput(spec) {
+    return id(`form-${spec.column.replace(/_/g, '-')}`);
+  }
+
+  /**
+   * Uploads a vehicle image.
+   *
+   * @param {File} file - The image chosen in the vehicle form.
+   * @returns {Promise<string>} - The name the server stored the image under.
+   */
+  function uploadImage(file) {
+    return fetch(`/admin/images?name=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: authHeaders({'Content-Type': file.type}),
+      body: file
+    })
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => res.imageUrl);
+  }
+
+  /**
+   * Requests the reviews picked in the moderation filter, by default those that need a
+   * moderator, and renders them in the admin section.
+   *
+   * @returns {Promise} - Resolves once the reviews have been rendered.
+   */
+  function requestModeration() {
+    const status = id('moderation-status').value;
+    const query = status ? `?status=${status}` : '';
+    return fetch(`/admin/reviews${query}`, {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => {
+        const list = id('moderation-list');
+        list.innerHTML = '';
+        res.reviews.forEach(review => list.appendChild(createModerationItem(review)));
+        id('moderation-empty').classList.toggle('hidden', res.reviews.length > 0);
+      });
+  }
+
+  /**
+   * Creates an entry of the moderation list showing a review, why it needs attention and its
+   * reports, with a reason field and buttons to approve, reject or hide it.
+   *
+   * @param {Object} review - The review.
+   * @returns {HTMLElement} - The list item.
+   */
+  function createModerationItem(review) {
+    const item = gen('li');
+    item.classList.add('moderation-item', `status-${review.status}`);
+    const heading = gen('h3');
+    heading.textContent = `${review.model_name}: ${review.rating}/5 by ${review.username}`;
+    const text = gen('p');
+    text.textContent = review.review_text;
+    const status = gen('p');
+    status.classList.add('moderation-status');
+    status.textContent = review.moderation_reason ?
+      `${review.status} - ${review.moderation_reason}` : review.status;
+    item.appendChild(heading);
+    item.appendChild(text);
+    item.appendChild(status);
+
+    if (review.reports.length > 0) {
+      const reports = gen('ul');
+      for (const report of review.reports) {
+        const entry = gen('li');
+        entry.textContent = `Reported by ${report.username}` +
+          (report.reason ? `: ${report.reason}` : '');
+        reports.appendChild(entry);
+      }
+      item.appendChild(reports);
+    }
+
+    const reason = gen('input');
+    reason.type = 'text';
+    reason.placeholder = 'Reason (needed to reject or hide)';
+    item.appendChild(reason);
+    for (const action of ['approve', 'reject', 'hide']) {
+      const button = gen('button');
+      button.textContent = action[0].toUpperCase() + action.slice(1);
+      button.addEventListener('click', () => moderateReview(review.review_id, action,
+        reason.value));
+      item.appendChild(button);
+    }
+    return item;
+  }
+
+  /**
+   * Approves, rejects or hides a review and refreshes the moderation list.
+   *
+   * @param {number} reviewId - The ID of the review.
+   * @param {string} action - `approve`, `reject` or `hide`.
+   * @param {string} reason - The moderator's reason.
+   */
+  function moderateReview(reviewId, action, reason) {
+    fetch(`/admin/reviews/${reviewId}/moderate`, {
+      method: 'POST',
+      headers: authHeaders({'Content-Type': 'application/json'}),
+      body: JSON.stringify({action, reason})
+    })
+      .then(statusCheck)
+      .then(requestModeration)
+      .catch(handleError);
   }
 
   /**
    * Shows the sign-in section.
    */
   function showSignIn() {
-    showView('sign-in-section');
+    navigate('/sign-in');
   }
 
   /**
-   * Clears the recommended section, requests all vehicles, and shows the main view.
+   * Goes to the main view with every vehicle.
    */
   function showMain() {
+    navigate('/');
+  }
+
+  /**
+   * Clears the recommended section, sets the search and filter controls to a search, requests the
+   * vehicles matching it, and shows the main view.
+   *
+   * @param {URLSearchParams} params - The search and filter parameters, empty for every vehicle.
+   */
+  function renderCatalog(params) {
     const recommendationSection = id('recommended-section');
     recommendationSection.innerHTML = '';
-    requestAllVehicles();
+    applySearchControls(params);
+    requestVehicles(params);
     showView('main-view');
   }
 
   /**
-   * Requests the API endpoint to get all vehicles
+   * Sets the search box, sort, spec filters, stock checkbox and range sliders to a search's
+   * parameters. The filter checkboxes follow the search once its facets arrive.
+   *
+   * @param {URLSearchParams} params - The search and filter parameters.
    */
-  function requestAllVehicles() {
-    fetch('/vehicles')
+  function applySearchControls(params) {
+    id('search-input').value = params.get('qry') || '';
+    id('sort-select').value = params.get('sort') || 'featured';
+    id('in-stock-filter').checked = params.get('inStock') !== 'false';
+    for (const [selectId, param] of SPEC_FILTER_SELECTS) {
+      id(selectId).value = params.get(param) || '';
+    }
+    for (const [sliderId, param] of RANGE_SLIDERS) {
+      const slider = id(sliderId);
+      const limit = param.startsWith('min') ? slider.min : slider.max;
+      slider.value = params.has(param) ? params.get(param) : limit;
+    }
+    updateRangeLabels();
+  }
+
+  /**
+   * Requests the facets and first page of vehicles matching a search, then rebuilds the filters
+   * and replaces the displayed vehicles.
+   *
+   * @param {URLSearchParams} params - The search and filter parameters.
+   */
+  function requestVehicles(params) {
+    currentSearch = params;
+    const facets = fetch(`/facets?${params.toString()}`)
       .then(statusCheck)
-      .then(res => res.json())
-      .then(processVehicles)
+      .then(res => res.json());
+    Promise.all([facets, fetchVehiclePage(0)])
+      .then(([facetData, page]) => {
+        processFacets(facetData);
+        processVehicles(page);
+      })
+      .catch(handleError);
+  }
+
+  /**
+   * Rebuilds the category lists and filter checkboxes from the catalog's facets, keeping the
+   * boxes that were checked, and fits the range sliders to the catalog.
+   *
+   * @param {Object} facets - The facets received from the server.
+   */
+  function processFacets(facets) {
+    bodyTypes = facets.bodyTypes;
+    const categories = id('vehicle-categories');
+    categories.innerHTML = '';
+    for (const bodyType of facets.bodyTypes) {
+      categories.appendChild(createCategory(bodyType.slug, bodyType.pluralLabel));
+    }
+
+    fillFilterGroup('car-type-filter', 'car-type', facets.bodyTypes.map(bodyType => {
+      return {value: bodyType.slug, label: bodyType.label, count: bodyType.count};
+    }));
+    fillFilterGroup('car-tag-filter', 'car-tag', facets.tags.map(tag => {
+      return {value: tag.slug, label: tag.label, count: tag.count};
+    }));
+    fillFilterGroup('car-make-filter', 'car-make', facets.makes.map(make => {
+      return {value: make.make.toLowerCase(), label: make.make, count: make.count};
+    }));
+    fillFilterGroup('car-drivetrain-filter', 'car-drivetrain', facets.drivetrains.map(row => {
+      return {value: row.drivetrain.toLowerCase(), label: row.drivetrain, count: row.count};
+    }));
+    fillFilterGroup('car-connector-filter', 'car-connector', facets.connectors.map(row => {
+      return {
+        value: row.charge_connector.toLowerCase(),
+        label: row.charge_connector,
+        count: row.count
+      };
+    }));
+
+    fitRange('price', Math.floor(facets.price.min / 1000) * 1000,
+      Math.ceil(facets.price.max / 1000) * 1000);
+    fitRange('year', facets.year.min, facets.year.max);
+    updateRangeLabels();
+  }
+
+  /**
+   * Creates an empty category list for vehicles of one body type.
+   *
+   * @param {string} slug - The body type's slug, used as the list's id.
+   * @param {string} heading - The category's heading.
+   * @returns {HTMLElement} - The category article.
+   */
+  function createCategory(slug, heading) {
+    const article = gen('article');
+    article.classList.add('category');
+    const header = gen('h4');
+    header.textContent = heading;
+    const list = gen('div');
+    list.id = slug;
+    list.classList.add('vehicle-list');
+    article.appendChild(header);
+    article.appendChild(list);
+    return article;
+  }
+
+  /**
+   * Replaces a filter group's checkboxes, labelling each with how many vehicles it would match and
+   * checking those the current search filters on.
+   *
+   * @param {string} groupId - The id of the filter group's section.
+   * @param {string} name - The name shared by the group's checkboxes.
+   * @param {Array<Object>} options - The options, each with a `value`, `label` and `count`.
+   */
+  function fillFilterGroup(groupId, name, options) {
+    const checked = (currentSearch.get(FILTER_GROUPS[name]) || '').split(',');
+    const container = qs(`#${groupId} .filter-options`);
+    container.innerHTML = '';
+    for (const option of options) {
+      const label = gen('label');
+      const box = gen('input');
+      box.type = 'checkbox';
+      box.name = name;
+      box.value = option.value;
+      box.checked = checked.includes(option.value);
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${option.label} (${option.count})`));
+      label.classList.toggle('empty-option', option.count === 0 && !box.checked);
+      container.appendChild(label);
+    }
+  }
+
+  /**
+   * Sets a pair of range sliders' limits, moving any slider that sat at its old limit to the new
+   * one so it keeps meaning "no limit".
+   *
+   * @param {string} range - The range's name, "price" or "year".
+   * @param {number} low - The lowest selectable value.
+   * @param {number} high - The highest selectable value.
+   */
+  function fitRange(range, low, high) {
+    for (const slider of [id(`min-${range}`), id(`max-${range}`)]) {
+      const atMin = slider.value === slider.min;
+      const atMax = slider.value === slider.max;
+      slider.min = low;
+      slider.max = high;
+      if (atMin) {
+        slider.value = low;
+      } else if (atMax) {
+        slider.value = high;
+      }
+    }
+  }
+
+  /**
+   * Requests the next page of the current search and appends it to the displayed vehicles.
+   */
+  function loadMoreVehicles() {
+    fetchVehiclePage(loadedCount)
+      .then(appendVehicles)
       .catch(handleError);
   }
 
+  /**
+   * Fetches one page of the current search.
+   *
+   * @param {number} offset - How many matching vehicles to skip.
+   * @returns {Promise<Object>} - The page returned by the server.
+   */
+  function fetchVehiclePage(offset) {
+    const params = new URLSearchParams(currentSearch);
+    params.set('offset', offset);
+    return fetch(`/vehicles?${params.toString()}`)
+      .then(statusCheck)
+      .then(res => res.json());
+  }
+
   /**
    * Processes the vehicles received from the server and updates the DOM.
    * @param {Object} res - The vehicle data received from the server.
@@ -91,9 +791,19 @@
     for (const list of lists) {
       list.innerHTML = '';
     }
-    for (const vehicle of res) {
-      const category = vehicle.tags.split(',')[0];
-      const article = id(category);
+    appendVehicles(res);
+  }
+
+  /**
+   * Adds a page of vehicles to their category lists and shows the "Load More" button while more
+   * matches remain.
+   * @param {Object} res - The page of vehicles received from the server.
+   */
+  function appendVehicles(res) {
+    loadedCount = res.offset + res.vehicles.length;
+    id('load-more-button').classList.toggle('hidden', loadedCount >= res.total);
+    for (const vehicle of res.vehicles) {
+      const article = id(vehicle.body_type) || otherCategory();
       const vehicleDiv = createVehicleDiv(vehicle);
       const vId = vehicleDiv.id;
       article.appendChild(vehicleDiv);
@@ -101,6 +811,19 @@
     }
   }
 
+  /**
+   * Returns the list for vehicles without a body type, adding it after the other categories the
+   * first time it is needed.
+   *
+   * @returns {HTMLElement} - The list element.
+   */
+  function otherCategory() {
+    if (!id('other')) {
+      id('vehicle-categories').appendChild(createCategory('other', 'Other'));
+    }
+    return id('other');
+  }
+
   /**
    * Creates a div element to display the details of a vehicle.
    * @param {Object} vehicle - The vehicle object containing details to be displayed.
@@ -120,20 +843,41 @@
 
     const nameHeading = gen('h5');
     nameHeading.classList.add('vehicle-name');
-    nameHeading.textContent = vehicle.model_name;
+    if (vehicle.highlight) {
+      appendHighlighted(nameHeading, vehicle.highlight.model_name);
+    } else {
+      nameHeading.textContent = vehicle.model_name;
+    }
     infoDiv.appendChild(nameHeading);
 
+    if (vehicle.highlight && vehicle.highlight.description) {
+      const snippet = gen('p');
+      snippet.classList.add('vehicle-snippet');
+      appendHighlighted(snippet, vehicle.highlight.description);
+      infoDiv.appendChild(snippet);
+    }
+
     const priceParagraph = gen('p');
     priceParagraph.classList.add('vehicle-price');
     priceParagraph.textContent = `$${vehicle.price.toLocaleString()}`;
     infoDiv.appendChild(priceParagraph);
 
-    const rating = vehicle.rating || '-';
     const ratingParagraph = gen('p');
     ratingParagraph.classList.add('vehicle-rating');
-    ratingParagraph.textContent = `Rating: ${rating}/5`;
+    ratingParagraph.textContent = vehicle.review_count > 0 ?
+      `Rating: ${vehicle.rating}/5 (${vehicle.review_count})` : 'Rating: -/5';
     infoDiv.appendChild(ratingParagraph);
 
+    const compareToggle = gen('button');
+    compareToggle.classList.add('compare-toggle');
+    compareToggle.dataset.vehicleId = vehicle.vehicle_id;
+    compareToggle.addEventListener('click', event => {
+      event.stopPropagation();
+      toggleCompare(vehicle.vehicle_id);
+    });
+    infoDiv.appendChild(compareToggle);
+    updateCompareToggle(compareToggle);
+
     vehicleContainer.appendChild(image);
     vehicleContainer.appendChild(infoDiv);
 
@@ -143,22 +887,89 @@
   }
 
   /**
-   * Searches and filters
+   * Appends search result text to an element, turning the server's `<mark>` tags into mark
+   * elements. The text itself is never parsed as HTML.
+   *
+   * @param {HTMLElement} parent - The element to fill.
+   * @param {string} text - Text with matched words wrapped in `<mark>` and `</mark>`.
+   */
+  function appendHighlighted(parent, text) {
+    const parts = text.split(/<mark>|<\/mark>/);
+    parts.forEach((part, index) => {
+      if (index % 2 === 1) {
+        const mark = gen('mark');
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else if (part) {
+        parent.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  /**
+   * Goes to the search set in the search and filter controls. Empty filters are left out of the
+   * URL.
    */
   function searchAndFilter() {
-    const searchTerm = id('search-input').value;
-    const selectedTags = Array.from(qsa('input[type="radio"]:checked'))
-      .map(radio => radio.value);
-    const queryString = new URLSearchParams({
-      qry: searchTerm,
-      filters: selectedTags.join(',')
-    }).toString();
-
-    fetch(`/vehicles?${queryString}`)
-      .then(statusCheck)
-      .then(res => res.json())
-      .then(processVehicles)
-      .catch(handleError);
+    const params = new URLSearchParams();
+    if (id('search-input').value !== '') {
+      params.set('qry', id('search-input').value);
+    }
+    for (const [name, param] of Object.entries(FILTER_GROUPS)) {
+      const values = checkedValues(name);
+      if (values !== '') {
+        params.set(param, values);
+      }
+    }
+    params.set('inStock', id('in-stock-filter').checked);
+    params.set('sort', id('sort-select').value);
+    for (const [selectId, param] of SPEC_FILTER_SELECTS) {
+      if (id(selectId).value !== '') {
+        params.set(param, id(selectId).value);
+      }
+    }
+    for (const [sliderId, param] of RANGE_SLIDERS) {
+      const slider = id(sliderId);
+      const atLimit = param.startsWith('min') ? slider.value === slider.min :
+        slider.value === slider.max;
+      if (!atLimit) {
+        params.set(param, slider.value);
+      }
+    }
+    navigate(`/search?${params.toString().replace(/%2C/g, ',')}`);
+  }
+
+  /**
+   * Collects the values of the checked boxes in a filter group.
+   *
+   * @param {string} name - The name shared by the group's checkboxes.
+   * @returns {string} - The checked values, comma-separated.
+   */
+  function checkedValues(name) {
+    return Array.from(qsa(`input[name="${name}"]:checked`))
+      .map(box => box.value)
+      .join(',');
+  }
+
+  /**
+   * Keeps each range's minimum at or below its maximum and updates the slider labels.
+   */
+  function updateRangeLabels() {
+    for (const range of ['price', 'year']) {
+      const min = id(`min-${range}`);
+      const max = id(`max-${range}`);
+      if (Number(min.value) > Number(max.value)) {
+        if (this === min) {
+          max.value = min.value;
+        } else {
+          min.value = max.value;
+        }
+      }
+    }
+    id('min-price-value').textContent = formatPrice(Number(id('min-price').value));
+    id('max-price-value').textContent = formatPrice(Number(id('max-price').value));
+    id('min-year-value').textContent = id('min-year').value;
+    id('max-year-value').textContent = id('max-year').value;
   }
 
   /**
@@ -167,9 +978,26 @@
    * botton at the bottom to sign in the account.
    */
   function signIn() {
+    requestSession('/user');
+  }
+
+  /**
+   * Creates a new account from the sign-in form and signs the user in.
+   */
+  function register() {
+    requestSession('/register');
+  }
+
+  /**
+   * Sends the credentials in the sign-in form to the given endpoint and starts a session with the
+   * returned token.
+   *
+   * @param {string} endpoint - Either '/user' to sign in or '/register' to create an account.
+   */
+  function requestSession(endpoint) {
     const username = id("username").value;
     const password = id("password").value;
-    fetch('/user', {
+    fetch(endpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -178,17 +1006,86 @@
     })
       .then(statusCheck)
       .then(res => res.json())
-      .then(res => processUser(res, username))
+      .then(res => {
+        sessionToken = res.token;
+        localStorage.setItem(SESSION_KEY, sessionToken);
+        id("password").value = '';
+        processUser(res);
+        showUser();
+      })
       .catch(handleError);
   }
 
+  /**
+   * Restores a session saved by a previous page load, dropping it if the server rejects it.
+   *
+   * @returns {Promise} - Resolves once the session is restored or dropped.
+   */
+  function restoreSession() {
+    const saved = localStorage.getItem(SESSION_KEY);
+    if (!saved) {
+      return Promise.resolve();
+    }
+    sessionToken = saved;
+    return fetch('/user', {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processUser)
+      .catch(() => {
+        sessionToken = null;
+        localStorage.removeItem(SESSION_KEY);
+      });
+  }
+
+  /**
+   * Ends the current session and returns the page to its signed-out state.
+   */
+  function signOut() {
+    sessionToken = null;
+    currentUserId = null;
+    votedReviews = new Set();
+    wishlistIds = new Set();
+    recommendations = null;
+    localStorage.removeItem(SESSION_KEY);
+    id('transactions-list').innerHTML = '';
+    populateWishlist([]);
+    populateNotifications({unread: 0, notifications: []});
+    id('user-btn-text').textContent = 'Sign In';
+    const userBtn = id('sign-in-button');
+    userBtn.removeEventListener('click', showUser);
+    userBtn.addEventListener('click', showSignIn);
+    const purchaseBtn = id('purchase-button');
+    purchaseBtn.removeEventListener('click', addToCart);
+    purchaseBtn.addEventListener('click', showSignIn);
+    id('cart-button').classList.add('hidden');
+    id('admin-button').classList.add('hidden');
+    closeVehicleForm();
+    resetCheckoutButton();
+    setFinancingTerms(null);
+    const postBtn = id('submit-review-button');
+    postBtn.removeEventListener('click', postReview);
+    postBtn.addEventListener('click', showSignIn);
+    resetReviewForm();
+    showMain();
+  }
+
+  /**
+   * Builds request headers carrying the current session token.
+   *
+   * @param {Object} [headers] - Additional headers to include.
+   * @returns {Object} - The headers with an Authorization entry added.
+   */
+  function authHeaders(headers = {}) {
+    return {...headers, 'Authorization': `Bearer ${sessionToken}`};
+  }
+
   /**
    * Processes the user data received from the server and updates the DOM.
    * @param {Object} res - The response object containing user data.
-   * @param {string} username - The username of the user.
    */
-  function processUser(res, username) {
-    userId = res.userId;
+  function processUser(res) {
+    const username = res.username;
+    currentUserId = res.userId;
     recommendations = res.recommendations;
     const transactions = res.transactions;
     const usernameDisplay = id('username-display');
@@ -201,26 +1098,193 @@
         const trxItem = gen('li');
         trxItem.classList.add('transaction-item');
 
+        const vehicleNames = transaction.items
+          .map(item => (item.quantity > 1 ? `${item.quantity} x ` : '') + item.vehicle_name)
+          .join(', ');
         const trxDetails = gen('p');
         trxDetails.classList.add('transaction-details');
-        trxDetails.textContent = `${transaction.date}: Purchased ${transaction.vehicle_name}
+        trxDetails.textContent = `${transaction.date}: Purchased ${vehicleNames}
+          for ${formatPrice(transaction.total)}
           (Confirmation #: ${transaction.confirmation_number})`;
+        if (transaction.financing) {
+          trxDetails.textContent += ` Financed with a ${describeFinancing(transaction.financing)},
+            ${formatPrice(transaction.financing.monthlyPayment)} a month.`;
+        }
         trxItem.appendChild(trxDetails);
+
+        const trxStatus = gen('span');
+        trxStatus.classList.add('transaction-status', transaction.status);
+        trxStatus.textContent = transaction.status;
+        trxItem.appendChild(trxStatus);
+
+        if (transaction.cancellable) {
+          const cancelBtn = gen('button');
+          cancelBtn.classList.add('cancel-order-button');
+          cancelBtn.textContent = 'Cancel Order';
+          cancelBtn.addEventListener('click', () => cancelOrder(transaction.transaction_id));
+          trxItem.appendChild(cancelBtn);
+        }
         trxList.appendChild(trxItem);
       });
     }
+    populateWishlist(res.wishlist);
+    populateNotifications(res.notifications);
+
+    handleSignIn(username, res.role);
+  }
+
+  /**
+   * Fills the wishlist on the user page and remembers which vehicles are on it.
+   *
+   * @param {Array<Object>} vehicles - The saved vehicles, most recent first.
+   */
+  function populateWishlist(vehicles) {
+    wishlistIds = new Set(vehicles.map(vehicle => vehicle.vehicle_id));
+    const list = id('wishlist-list');
+    list.innerHTML = '';
+    id('wishlist-empty').classList.toggle('hidden', vehicles.length > 0);
+    for (const vehicle of vehicles) {
+      const item = gen('li');
+      item.classList.add('wishlist-item');
+      const name = gen('button');
+      name.classList.add('wishlist-name');
+      name.textContent = vehicle.model_name;
+      name.addEventListener('click', () => reqVehicleDetails(vehicle.vehicle_id));
+      const details = gen('p');
+      details.classList.add('transaction-details');
+      if (vehicle.retired_at) {
+        details.textContent = 'No longer for sale';
+      } else {
+        details.textContent = `${formatPrice(vehicle.price)}, ` +
+          (vehicle.availability > 0 ? `${vehicle.availability} in stock` : 'out of stock');
+      }
+      const removeBtn = gen('button');
+      removeBtn.classList.add('cancel-order-button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => toggleWishlist(vehicle.vehicle_id));
+      item.append(name, details, removeBtn);
+      list.appendChild(item);
+    }
+    updateWishlistButton();
+  }
+
+  /**
+   * Saves a vehicle to the wishlist, or removes it if it is already there. Asks visitors who
+   * aren't signed in to sign in first.
+   *
+   * @param {number} vehicleId - The ID of the vehicle.
+   */
+  function toggleWishlist(vehicleId) {
+    if (currentUserId === null) {
+      showSignIn();
+      return;
+    }
+    const saved = wishlistIds.has(vehicleId);
+    const request = saved ?
+      fetch(`/wishlist/${vehicleId}`, {method: 'DELETE', headers: authHeaders()}) :
+      fetch('/wishlist', {
+        method: 'POST',
+        headers: authHeaders({'Content-Type': 'application/json'}),
+        body: JSON.stringify({vehicleId})
+      });
+    request
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => populateWishlist(res.vehicles))
+      .catch(handleError);
+  }
+
+  /**
+   * Labels the detail view's wishlist button for the vehicle shown.
+   */
+  function updateWishlistButton() {
+    const saved = wishlistIds.has(Number(curVehicle));
+    const button = id('wishlist-button');
+    button.textContent = saved ? 'Saved to Wishlist' : 'Save to Wishlist';
+    button.classList.toggle('saved', saved);
+  }
+
+  /**
+   * Fetches the signed-in user's latest notifications.
+   */
+  function requestNotifications() {
+    fetch('/notifications', {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(populateNotifications)
+      .catch(handleError);
+  }
+
+  /**
+   * Marks every notification as read.
+   */
+  function markNotificationsRead() {
+    fetch('/notifications/read', {method: 'POST', headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(populateNotifications)
+      .catch(handleError);
+  }
+
+  /**
+   * Fills the notification list on the user page, highlighting unread notifications.
+   *
+   * @param {Object} res - The `unread` count and the latest `notifications`, newest first.
+   */
+  function populateNotifications(res) {
+    id('notification-count').textContent = res.unread > 0 ? `(${res.unread} unread)` : '';
+    id('mark-read-button').classList.toggle('hidden', res.unread === 0);
+    id('notifications-empty').classList.toggle('hidden', res.notifications.length > 0);
+    const list = id('notification-list');
+    list.innerHTML = '';
+    for (const notification of res.notifications) {
+      const item = gen('li');
+      item.classList.add('notification-item', notification.kind);
+      item.classList.toggle('unread', !notification.read_at);
+      const message = gen('p');
+      message.textContent = notification.message;
+      const date = gen('p');
+      date.classList.add('transaction-details');
+      date.textContent = notification.created_at;
+      item.append(message, date);
+      item.addEventListener('click', () => reqVehicleDetails(notification.vehicle_id));
+      list.appendChild(item);
+    }
+  }
 
-    showUser();
+  /**
+   * Cancels one of the user's orders and refreshes the transaction list.
+   *
+   * @param {number} orderId - The transaction ID of the order to cancel.
+   */
+  function cancelOrder(orderId) {
+    fetch(`/order/${orderId}/cancel`, {
+      method: 'POST',
+      headers: authHeaders()
+    })
+      .then(statusCheck)
+      .then(refreshUser)
+      .catch(handleError);
+  }
 
-    handleSignIn(username);
+  /**
+   * Re-fetches the signed-in user's data so the transaction list reflects recent changes.
+   */
+  function refreshUser() {
+    fetch('/user', {headers: authHeaders()})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processUser)
+      .catch(handleError);
   }
 
   /**
    * Handles the sign-in process for a user and updates UI elements accordingly.
    *
    * @param {string} user - The username of the signed-in user.
+   * @param {string} role - The user's role; admins also get the admin view.
    */
-  function handleSignIn(user) {
+  function handleSignIn(user, role) {
     const userBtnText = id('user-btn-text');
     userBtnText.textContent = user;
     const userBtn = id('sign-in-button');
@@ -228,25 +1292,44 @@
     userBtn.addEventListener('click', showUser);
     const purchaseBtn = id('purchase-button');
     purchaseBtn.removeEventListener('click', showSignIn);
-    purchaseBtn.addEventListener('click', askToConfirm);
+    purchaseBtn.addEventListener('click', addToCart);
+    id('cart-button').classList.remove('hidden');
+    id('admin-button').classList.toggle('hidden', role !== 'admin');
+    requestCart().catch(handleError);
     const postBtn = id('submit-review-button');
     postBtn.removeEventListener('click', showSignIn);
     postBtn.addEventListener('click', postReview);
   }
 
   /**
-   * Posts a review to the server using a fetch request.
+   * Posts a review to the server using a fetch request, or saves the changes to the review being
+   * edited.
    */
   function postReview() {
     const reviewText = id('review-text').value;
-    const rating = qs('input[name="rating"]:checked').value;
+    const checked = qs('input[name="rating"]:checked');
+    const rating = checked ? checked.value : undefined;
+    if (editingReview) {
+      fetch(`/review/${editingReview}`, {
+        method: 'PUT',
+        headers: authHeaders({
+          'Content-Type': 'application/json'
+        }),
+        body: JSON.stringify({rating, reviewText})
+      })
+        .then(statusCheck)
+        .then(res => res.json())
+        .then(review => handleConfirm(review.status === 'pending' ?
+          'Review updated; it will appear once a moderator approves it' : 'Review updated'))
+        .catch(handleError);
+      return;
+    }
     fetch('/feedback', {
       method: 'POST',
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json'
-      },
+      }),
       body: JSON.stringify({
-        userId: userId,
         vehicleId: curVehicle,
         rating: rating,
         reviewText: reviewText
@@ -258,6 +1341,97 @@
       .catch(handleError);
   }
 
+  /**
+   * Fills the review form with one of the user's reviews so it can be changed.
+   *
+   * @param {Object} review - The review to edit.
+   */
+  function editReview(review) {
+    editingReview = review.review_id;
+    id(`rating-${review.rating}`).checked = true;
+    id('review-text').value = review.review_text;
+    qs('#submit-review-button p').textContent = 'Update';
+    id('cancel-review-button').classList.remove('hidden');
+    id('review-text').focus();
+  }
+
+  /**
+   * Empties the review form and leaves editing mode.
+   */
+  function resetReviewForm() {
+    editingReview = null;
+    qsa('input[name="rating"]').forEach(input => {
+      input.checked = false;
+    });
+    id('review-text').value = '';
+    qs('#submit-review-button p').textContent = 'Post';
+    id('cancel-review-button').classList.add('hidden');
+  }
+
+  /**
+   * Deletes one of the user's reviews.
+   *
+   * @param {number} reviewId - The ID of the review.
+   */
+  function deleteReview(reviewId) {
+    fetch(`/review/${reviewId}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    })
+      .then(statusCheck)
+      .then(res => res.text())
+      .then(handleConfirm)
+      .catch(handleError);
+  }
+
+  /**
+   * Reports a review to the moderators.
+   *
+   * @param {number} reviewId - The ID of the review.
+   * @param {string} reason - What the user says is wrong with it.
+   */
+  function reportReview(reviewId, reason) {
+    fetch(`/review/${reviewId}/report`, {
+      method: 'POST',
+      headers: authHeaders({'Content-Type': 'application/json'}),
+      body: JSON.stringify({reason})
+    })
+      .then(statusCheck)
+      .then(res => res.text())
+      .then(handleConfirm)
+      .catch(handleError);
+  }
+
+  /**
+   * Adds a report control to another user's review: a button that reveals a reason field and a
+   * button to send the report.
+   *
+   * @param {HTMLElement} reviewDiv - The review's element.
+   * @param {number} reviewId - The ID of the review.
+   */
+  function appendReportControl(reviewDiv, reviewId) {
+    const reportBtn = gen('button');
+    reportBtn.classList.add('report-button');
+    reportBtn.textContent = 'Report';
+    const form = gen('div');
+    form.classList.add('report-form', 'hidden');
+    const reason = gen('input');
+    reason.type = 'text';
+    reason.placeholder = "What's wrong with this review?";
+    const sendBtn = gen('button');
+    sendBtn.textContent = 'Send report';
+    sendBtn.addEventListener('click', () => reportReview(reviewId, reason.value));
+    form.appendChild(reason);
+    form.appendChild(sendBtn);
+    reportBtn.addEventListener('click', () => {
+      reportBtn.classList.add('hidden');
+      form.classList.remove('hidden');
+      reason.focus();
+    });
+    reviewDiv.appendChild(reportBtn);
+    reviewDiv.appendChild(form);
+  }
+
   /**
    * Handles the confirmation of a user's action and updates the UI accordingly.
    *
@@ -272,67 +1446,384 @@
     container.appendChild(confirmationDiv);
   }
 
+  /**
+   * Adds the vehicle shown in the detail view to the user's cart.
+   */
+  function addToCart() {
+    fetch('/cart', {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({vehicleId: curVehicle})
+    })
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processCart)
+      .then(() => handleConfirm('Added to your cart!'))
+      .catch(handleError);
+  }
+
+  /**
+   * Sets the quantity of a vehicle in the cart, removing it when the quantity is 0.
+   *
+   * @param {number} vehicleId - The ID of the vehicle in the cart.
+   * @param {number} quantity - The new quantity.
+   */
+  function updateCartItem(vehicleId, quantity) {
+    fetch(`/cart/${vehicleId}`, {
+      method: quantity === 0 ? 'DELETE' : 'PUT',
+      headers: authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({quantity})
+    })
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(processCart)
+      .catch(handleError);
+  }
+
+  /**
+   * Renders the cart's items and totals and updates the item count on the cart button.
+   *
+   * @param {Object} cart - The cart returned by the server.
+   */
+  function processCart(cart) {
+    const count = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    id('cart-btn-text').textContent = `Cart (${count})`;
+    const list = id('cart-items');
+    list.innerHTML = '';
+    cart.items.forEach(item => list.appendChild(createCartItem(item)));
+    if (cart.items.length === 0) {
+      const empty = gen('li');
+      empty.textContent = 'Your cart is empty.';
+      list.appendChild(empty);
+    }
+    id('cart-subtotal').textContent = formatPrice(cart.subtotal);
+    id('cart-tax').textContent = formatPrice(cart.tax);
+    id('cart-fees').textContent = formatPrice(cart.fees);
+    id('cart-total').textContent = formatPrice(cart.total);
+    id('checkout-button').classList.toggle('hidden', cart.items.length === 0);
+  }
+
+  /**
+   * Creates a list item for one vehicle in the cart with quantity and remove controls.
+   *
+   * @param {Object} item - The cart item returned by the server.
+   * @returns {HTMLElement} - The list item.
+   */
+  function createCartItem(item) {
+    const cartItem = gen('li');
+    cartItem.classList.add('cart-item');
+
+    const name = gen('p');
+    name.textContent = `${item.model_name} (${formatPrice(item.price)} each)`;
+
+    const quantity = gen('input');
+    quantity.type = 'number';
+    quantity.min = 1;
+    quantity.max = 5;
+    quantity.value = item.quantity;
+    quantity.setAttribute('aria-label', `quantity of ${item.model_name}`);
+    quantity.addEventListener('change', () => {
+      updateCartItem(item.vehicle_id, Number(quantity.value));
+    });
+
+    const lineTotal = gen('p');
+    lineTotal.textContent = formatPrice(item.line_total);
+
+    const removeBtn = gen('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => updateCartItem(item.vehicle_id, 0));
+
+    cartItem.appendChild(name);
+    cartItem.appendChild(quantity);
+    cartItem.appendChild(lineTotal);
+    cartItem.appendChild(removeBtn);
+    return cartItem;
+  }
+
   /**
    * Asks the user to confirm their action and updates UI elements accordingly.
    */
   function askToConfirm() {
-    this.removeEventListener('click', showSignIn);
+    this.removeEventListener('click', askToConfirm);
     this.addEventListener('click', askToSubmit);
-    const purchaseBtnText = qs('#purchase-button p');
-    purchaseBtnText.textContent = 'Confirm?';
+    const checkoutBtnText = qs('#checkout-button p');
+    checkoutBtnText.textContent = 'Confirm?';
   }
 
   /**
    * Asks the user to submit their action and updates UI elements accordingly.
    */
   function askToSubmit() {
-    const purchaseBtnText = qs('#purchase-button p');
-    purchaseBtnText.textContent = 'Submit';
-    this.removeEventListener('click', askToConfirm);
+    purchaseKey = crypto.randomUUID();
+    const checkoutBtnText = qs('#checkout-button p');
+    checkoutBtnText.textContent = 'Submit';
+    this.removeEventListener('click', askToSubmit);
     this.addEventListener('click', submitOrder);
   }
 
   /**
-   * Submits an order to the server using a fetch request.
+   * Checks out the cart using a fetch request, with the financing terms chosen in the payment
+   * calculator, if any. Repeated clicks reuse the same idempotency key, so they cannot place a
+   * second order.
    */
   function submitOrder() {
-    fetch('/purchase', {
+    fetch('/checkout', {
       method: "POST",
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        userId,
-        vehicleId: curVehicle
-      })
+      headers: authHeaders({
+        'Content-Type': 'application/json',
+        'Idempotency-Key': purchaseKey
+      }),
+      body: JSON.stringify(financingTerms ? {financing: financingTerms} : {})
     })
       .then(statusCheck)
-      .then(res => res.text())
+      .then(res => res.json())
       .then(handlePurchase)
       .catch(handleError);
   }
 
   /**
-   * Handles the response from the server after a successful purchase.
+   * Handles the response from the server after a successful checkout.
    *
-   * @param {string} res - The response from the server after the purchase.
+   * @param {Object} res - The order summary returned by the server.
    */
   function handlePurchase(res) {
-    const purchase = id('purchase-button');
-    purchase.removeEventListener('click', submitOrder);
-    purchase.addEventListener('click', askToConfirm);
-    const purchaseBtnText = qs('#purchase-button p');
-    purchaseBtnText.textContent = 'Purchase';
+    resetCheckoutButton();
+    refreshUser();
+    showCart();
     const confirmationDiv = gen('div');
-    confirmationDiv.textContent = `Your order has been submitted!
-      Your confirmation number is ${res}.`;
+    confirmationDiv.textContent = `Your order has been submitted! You paid
+      ${formatPrice(res.total)}. Your confirmation number is ${res.confirmation}.`;
+    if (res.financing) {
+      confirmationDiv.textContent += ` Your monthly payment is
+        ${formatPrice(res.financing.monthlyPayment)}.`;
+      setFinancingTerms(null);
+    }
     const container = id('confirmation');
     container.innerHTML = '';
     container.appendChild(confirmationDiv);
   }
 
   /**
-   * Populates the recommended section with recommended vehicles.
+   * Returns the checkout button to its first step.
+   */
+  function resetCheckoutButton() {
+    const checkoutBtn = id('checkout-button');
+    checkoutBtn.removeEventListener('click', askToSubmit);
+    checkoutBtn.removeEventListener('click', submitOrder);
+    checkoutBtn.addEventListener('click', askToConfirm);
+    qs('#checkout-button p').textContent = 'Checkout';
+  }
+
+  /**
+   * Formats a dollar amount for display.
+   *
+   * @param {number} amount - The amount in dollars.
+   * @returns {string} - The amount with a dollar sign and thousands separators.
+   */
+  function formatPrice(amount) {
+    return `$${amount.toLocaleString(undefined, {maximumFractionDigits: 2})}`;
+  }
+
+  /**
+   * Adds a vehicle to the comparison, or takes it out if it is already there. Vehicles past the
+   * MAX_COMPARED limit are not added.
+   *
+   * @param {number} vehicleId - The ID of the vehicle.
+   */
+  function toggleCompare(vehicleId) {
+    if (compareIds.includes(vehicleId)) {
+      compareIds = compareIds.filter(compareId => compareId !== vehicleId);
+    } else if (compareIds.length < MAX_COMPARED) {
+      compareIds.push(vehicleId);
+    }
+    updateCompareControls();
+  }
+
+  /**
+   * Empties the comparison.
+   */
+  function clearCompare() {
+    compareIds = [];
+    updateCompareControls();
+  }
+
+  /**
+   * Brings the compare toggles, the compare bar and the page URL in line with the vehicles being
+   * compared. The URL keeps them in a `compare` parameter so the comparison can be shared.
+   */
+  function updateCompareControls() {
+    qsa('.compare-toggle').forEach(updateCompareToggle);
+    const bar = id('compare-bar');
+    bar.classList.toggle('hidden', compareIds.length === 0);
+    id('compare-summary').textContent = compareIds.length < MIN_COMPARED ?
+      `Pick ${MIN_COMPARED - compareIds.length} more to compare` :
+      `${compareIds.length} of ${MAX_COMPARED} vehicles picked`;
+    id('compare-button').disabled = compareIds.length < MIN_COMPARED;
+
+    const params = new URLSearchParams(window.location.search);
+    if (compareIds.length > 0) {
+      params.set('compare', compareIds.join(','));
+    } else {
+      params.delete('compare');
+    }
+    const query = params.toString().replace(/%2C/g, ',');
+    window.history.replaceState(null, '',
+      window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  }
+
+  /**
+   * Labels a card's compare toggle for whether its vehicle is being compared, disabling it when
+   * the comparison is full.
+   *
+   * @param {HTMLElement} toggle - The toggle, carrying the vehicle's ID in `data-vehicle-id`.
+   */
+  function updateCompareToggle(toggle) {
+    const picked = compareIds.includes(Number(toggle.dataset.vehicleId));
+    toggle.textContent = picked ? 'Comparing' : 'Compare';
+    toggle.classList.toggle('selected', picked);
+    toggle.disabled = !picked && compareIds.length >= MAX_COMPARED;
+  }
+
+  /**
+   * Picks up a comparison shared through the page URL, opening the comparison view if the URL
+   * names no other page.
+   */
+  function restoreCompare() {
+    const shared = new URLSearchParams(window.location.search).get('compare');
+    if (!shared) {
+      return;
+    }
+    compareIds = [...new Set(shared.split(',').map(Number))]
+      .filter(vehicleId => Number.isInteger(vehicleId) && vehicleId > 0)
+      .slice(0, MAX_COMPARED);
+    updateCompareControls();
+    if (compareIds.length >= MIN_COMPARED && window.location.hash === '') {
+      window.history.replaceState(null, '', '#/compare');
+    }
+  }
+
+  /**
+   * Goes to the comparison view.
+   */
+  function showCompare() {
+    navigate('/compare');
+  }
+
+  /**
+   * Requests the comparison of the picked vehicles and shows the comparison view.
+   */
+  function renderCompare() {
+    fetch(`/compare?ids=${compareIds.join(',')}`)
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => {
+        populateCompare(res);
+        showView('compare-section');
+      })
+      .catch(handleError);
+  }
+
+  /**
+   * Builds the comparison table: a column per vehicle and a row per attribute, with the rows
+   * whose values differ highlighted.
+   *
+   * @param {Object} res - The `vehicles` and `attributes` returned by GET /compare.
+   */
+  function populateCompare(res) {
+    const table = id('compare-table');
+    table.innerHTML = '';
+    const headRow = gen('tr');
+    headRow.appendChild(gen('th'));
+    for (const vehicle of res.vehicles) {
+      const cell = gen('th');
+      cell.classList.add('compare-vehicle');
+      const image = gen('img');
+      image.src = `img/${vehicle.image_url}`;
+      image.alt = `picture of ${vehicle.model_name}`;
+      const name = gen('button');
+      name.classList.add('compare-name');
+      name.textContent = vehicle.model_name;
+      name.addEventListener('click', () => reqVehicleDetails(vehicle.vehicle_id));
+      const removeBtn = gen('button');
+      removeBtn.classList.add('cancel-order-button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        toggleCompare(vehicle.vehicle_id);
+        if (compareIds.length >= MIN_COMPARED) {
+          showCompare();
+        } else {
+          showMain();
+        }
+      });
+      cell.append(image, name, removeBtn);
+      headRow.appendChild(cell);
+    }
+    table.appendChild(headRow);
+
+    for (const attribute of res.attributes) {
+      const row = gen('tr');
+      row.classList.toggle('differs', attribute.differs);
+      const label = gen('th');
+      label.textContent = attribute.label;
+      row.appendChild(label);
+      attribute.values.forEach((value, index) => {
+        const cell = gen('td');
+        cell.textContent = formatCompareValue(attribute.key, value, res.vehicles[index]);
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    }
+  }
+
+  /**
+   * Formats one value of the comparison table.
+   *
+   * @param {string} key - The attribute the value belongs to.
+   * @param {*} value - The value.
+   * @param {Object} vehicle - The vehicle it belongs to.
+   * @returns {string} - The text to show.
+   */
+  function formatCompareValue(key, value, vehicle) {
+    if (key === 'price') {
+      return formatPrice(value);
+    }
+    if (key === 'tags') {
+      return value.length > 0 ? value.join(', ') : '-';
+    }
+    if (key === 'availability') {
+      return value > 0 ? String(value) : 'Out of stock';
+    }
+    if (key === 'averageRating') {
+      return vehicle.ratingSummary.reviewCount > 0 ? `${value}/5` : '-';
+    }
+    const spec = SPECS.find(candidate => candidate.column === key);
+    if (spec) {
+      return formatSpec(spec, value);
+    }
+    return value === null ? '-' : String(value);
+  }
+
+  /**
+   * Formats a spec's value with its unit.
+   *
+   * @param {Object} spec - One of SPECS.
+   * @param {?(number|string)} value - The value, or null if it is unknown.
+   * @returns {string} - The text to show.
+   */
+  function formatSpec(spec, value) {
+    if (value === null || value === undefined) {
+      return '-';
+    }
+    return spec.unit ? `${value.toLocaleString()} ${spec.unit}` : String(value);
+  }
+
+  /**
+   * Populates the recommended section with recommended vehicles, each with the reason it was
+   * picked.
    *
    * @param {Array} recs - An array of recommended vehicles.
    */
@@ -350,10 +1841,20 @@
 
       recommendationList.appendChild(header);
       for (const rec of recs) {
-        const vId = rec.vehicle_id;
-        const card = id(vId);
-        const parent = rec.tags.split(',')[0];
-        id(parent).removeChild(card);
+        let card = id(rec.vehicle_id);
+        if (card) {
+          card.parentNode.removeChild(card);
+        } else {
+          card = createVehicleDiv(rec);
+          card.addEventListener('click', () => reqVehicleDetails(rec.vehicle_id));
+        }
+        let reason = card.querySelector('.recommendation-reason');
+        if (!reason) {
+          reason = gen('p');
+          reason.classList.add('recommendation-reason');
+          card.appendChild(reason);
+        }
+        reason.textContent = rec.reason;
         listDiv.appendChild(card);
       }
       recommendationList.appendChild(listDiv);
@@ -361,21 +1862,48 @@
     }
   }
 
+  /**
+   * Goes to the detail view of a vehicle.
+   *
+   * @param {number} vId - The ID of the vehicle.
+   */
+  function reqVehicleDetails(vId) {
+    navigate(`/vehicle/${vId}`);
+  }
+
   /**
    * Requests and processes details for a specific vehicle from the server.
    *
    * @param {number} vId - The ID of the vehicle to retrieve details for.
    */
-  function reqVehicleDetails(vId) {
+  function loadVehicleDetails(vId) {
     id('confirmation').innerHTML = '';
     curVehicle = vId;
-    fetch(`/vehicle/${vId}`)
+    resetReviewForm();
+    id('review-sort').value = 'newest';
+    recordView(vId);
+    fetch(`/vehicle/${vId}`, {headers: sessionToken ? authHeaders() : {}})
       .then(statusCheck)
       .then(res => res.json())
       .then(processVehicleDetails)
       .catch(handleError);
   }
 
+  /**
+   * Tells the server the signed-in user opened a vehicle's details, so it can shape their
+   * recommendations. Does nothing when signed out.
+   *
+   * @param {number} vId - The ID of the vehicle viewed.
+   */
+  function recordView(vId) {
+    if (currentUserId === null) {
+      return;
+    }
+    fetch(`/vehicle/${vId}/view`, {method: 'POST', headers: authHeaders()})
+      .then(statusCheck)
+      .catch(handleError);
+  }
+
   /**
    * Processes the details of a vehicle and updates the UI accordingly.
    *
@@ -383,58 +1911,396 @@
    */
   function processVehicleDetails(res) {
     const info = res.vehicleInfo;
-    const rev = res.feedbackData;
     const detailsImage = id('details-image');
     const detailName = id('detail-name');
-    const detailRating = id('detail-rating');
     const detailPrice = id('detail-price');
     const detailDescription = id('detail-description');
 
-    const rating = rev.averageRating || '-';
     detailsImage.src = `img/${info.image_url}`;
     detailsImage.alt = info.model_name;
     detailName.textContent = info.model_name;
-    detailRating.textContent = `Community Rating: ${rating}/5`;
     detailPrice.textContent = `$${info.price.toLocaleString()}`;
     detailDescription.textContent = info.description;
-    populateReviews(rev.reviews);
+    populateSpecs(info);
+    requestFinancing();
+    updateWishlistButton();
+    processReviews(res.feedbackData, false);
+    requestSimilar(info.vehicle_id);
     showDetailed();
   }
 
   /**
-   * Populates the reviews section with user reviews.
+   * Fills the detail view's spec table, marking unknown specs with a dash.
+   *
+   * @param {Object} info - The vehicle shown.
+   */
+  function populateSpecs(info) {
+    const body = qs('#spec-table tbody');
+    body.innerHTML = '';
+    for (const spec of SPECS) {
+      const row = gen('tr');
+      const label = gen('th');
+      label.scope = 'row';
+      label.textContent = spec.label;
+      const value = gen('td');
+      value.textContent = formatSpec(spec, info[spec.column]);
+      row.appendChild(label);
+      row.appendChild(value);
+      body.appendChild(row);
+    }
+  }
+
+  /**
+   * Asks the server what the vehicle shown in the detail view would cost a month under the terms
+   * entered in the payment calculator. Fields left blank take the server's defaults.
+   */
+  function requestFinancing() {
+    const lease = id('financing-plan').value === 'lease';
+    for (const field of qsa('#financing-form .lease-only')) {
+      field.classList.toggle('hidden', !lease);
+    }
+    const fields = [
+      ['financing-plan', 'plan'],
+      ['financing-down', 'downPayment'],
+      ['financing-trade-in', 'tradeIn'],
+      ['financing-apr', 'apr'],
+      ['financing-term', 'termMonths'],
+      ['financing-rate', 'electricityRate'],
+      ['financing-miles', 'annualMiles']
+    ];
+    if (lease) {
+      fields.push(['financing-residual', 'residualPercent']);
+    }
+    const params = new URLSearchParams();
+    for (const [inputId, param] of fields) {
+      if (id(inputId).value !== '') {
+        params.set(param, id(inputId).value);
+      }
+    }
+    fetch(`/vehicle/${curVehicle}/financing?${params}`)
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(populateFinancing)
+      .catch(handleError);
+  }
+
+  /**
+   * Shows a financing estimate in the payment calculator, with the amortization schedule for
+   * loans.
+   *
+   * @param {Object} estimate - The estimate returned by the server.
+   */
+  function populateFinancing(estimate) {
+    financingEstimate = estimate;
+    const ownership = estimate.ownership;
+    id('financing-monthly').textContent = `${formatPrice(estimate.monthlyPayment)} for
+      ${estimate.terms.termMonths} months at ${estimate.terms.apr}% APR`;
+    id('financing-amount').textContent = formatPrice(estimate.amountFinanced);
+    id('financing-charge').textContent = formatPrice(estimate.financeCharge);
+    id('financing-energy').textContent = ownership.annualEnergyCost === null ? 'Unknown' :
+      `${formatPrice(ownership.annualEnergyCost)} (${ownership.kwhPerMile} kWh/mi at
+      ${formatPrice(ownership.electricityRate)}/kWh, ${ownership.annualMiles.toLocaleString()}
+      mi/yr)`;
+    id('financing-total').textContent = `${formatPrice(ownership.total)} over ${ownership.years}
+      years`;
+
+    const schedule = id('financing-schedule');
+    schedule.classList.toggle('hidden', !estimate.schedule);
+    const body = qs('#financing-schedule tbody');
+    body.innerHTML = '';
+    for (const entry of estimate.schedule || []) {
+      const row = gen('tr');
+      const amounts = [entry.payment, entry.principal, entry.interest, entry.balance];
+      for (const text of [String(entry.month), ...amounts.map(formatPrice)]) {
+        const cell = gen('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    }
+  }
+
+  /**
+   * Remembers the payment calculator's terms for the next checkout.
+   */
+  function useFinancing() {
+    if (!financingEstimate) {
+      return;
+    }
+    setFinancingTerms(financingEstimate.terms);
+    const confirmationDiv = gen('div');
+    confirmationDiv.textContent = `Your next order will be financed with a
+      ${describeFinancing(financingEstimate.terms)}.`;
+    const container = id('confirmation');
+    container.innerHTML = '';
+    container.appendChild(confirmationDiv);
+  }
+
+  /**
+   * Sets the financing terms sent with the next checkout and shows them in the cart.
+   *
+   * @param {?Object} terms - The terms, or null to pay in full.
+   */
+  function setFinancingTerms(terms) {
+    financingTerms = terms;
+    id('cart-financing').classList.toggle('hidden', !terms);
+    id('cart-financing-terms').textContent = terms ? `Financed with a ${describeFinancing(terms)};
+      the monthly payment is worked out on the order total.` : '';
+  }
+
+  /**
+   * Describes financing terms in a phrase.
+   *
+   * @param {Object} terms - The `plan`, `termMonths`, `apr`, `downPayment`, `tradeIn` and, for
+   * leases, `residualPercent`.
+   * @returns {string} - The description.
+   */
+  function describeFinancing(terms) {
+    let description = `${terms.termMonths}-month ${terms.plan} at ${terms.apr}% APR with
+      ${formatPrice(terms.downPayment)} down`;
+    if (terms.tradeIn > 0) {
+      description += ` and a ${formatPrice(terms.tradeIn)} trade-in`;
+    }
+    if (terms.plan === 'lease') {
+      description += `, ${terms.residualPercent}% residual`;
+    }
+    return description;
+  }
+
+  /**
+   * Requests the vehicles most like the one shown in the detail view.
+   *
+   * @param {number} vehicleId - The ID of the vehicle shown.
+   */
+  function requestSimilar(vehicleId) {
+    id('similar-section').classList.add('hidden');
+    fetch(`/vehicle/${vehicleId}/similar`)
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => populateSimilar(res.vehicles))
+      .catch(handleError);
+  }
+
+  /**
+   * Lists similar vehicles beneath the description, each with the reasons it was picked. Clicking
+   * one opens its details.
+   *
+   * @param {Array<Object>} vehicles - The similar vehicles, best match first.
+   */
+  function populateSimilar(vehicles) {
+    const list = id('similar-vehicles');
+    list.innerHTML = '';
+    for (const vehicle of vehicles) {
+      const item = gen('li');
+      item.classList.add('similar-vehicle');
+      const image = gen('img');
+      image.src = `img/${vehicle.image_url}`;
+      image.alt = `picture of ${vehicle.model_name}`;
+      const info = gen('div');
+      const name = gen('h4');
+      name.textContent = vehicle.model_name;
+      const price = gen('p');
+      price.textContent = `$${vehicle.price.toLocaleString()}`;
+      const why = gen('p');
+      why.classList.add('similar-why');
+      why.textContent = vehicle.why.join(' · ');
+      info.appendChild(name);
+      info.appendChild(price);
+      info.appendChild(why);
+      item.appendChild(image);
+      item.appendChild(info);
+      item.addEventListener('click', () => reqVehicleDetails(vehicle.vehicle_id));
+      list.appendChild(item);
+    }
+    id('similar-section').classList.toggle('hidden', vehicles.length === 0);
+  }
+
+  /**
+   * Requests a page of the current vehicle's reviews in the order picked in the sort control.
+   *
+   * @param {boolean} append - True to add the next page to the reviews shown, false to start over
+   * from the first page.
+   */
+  function requestReviews(append) {
+    const params = new URLSearchParams({
+      sort: id('review-sort').value,
+      limit: REVIEW_PAGE_SIZE,
+      offset: append ? loadedReviews : 0
+    });
+    fetch(`/vehicle/${curVehicle}/reviews?${params}`,
+      {headers: sessionToken ? authHeaders() : {}})
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(feedback => processReviews(feedback, append))
+      .catch(handleError);
+  }
+
+  /**
+   * Renders a vehicle's rating summary and a page of its reviews, and shows the load more control
+   * while reviews remain.
+   *
+   * @param {Object} feedback - The rating summary, page of reviews and the signed-in user's own
+   * review received from the server.
+   * @param {boolean} append - True to add the reviews to those shown, false to replace them.
+   */
+  function processReviews(feedback, append) {
+    populateRatingSummary(feedback);
+    populateReviews(feedback.reviews, feedback.ownReview, append);
+    loadedReviews = feedback.offset + feedback.reviews.length;
+    id('more-reviews-button').classList.toggle('hidden', loadedReviews >= feedback.reviewCount);
+  }
+
+  /**
+   * Shows a vehicle's average rating, number of reviews and a bar for each star rating sized by
+   * its share of the reviews.
+   *
+   * @param {Object} feedback - The `averageRating`, `reviewCount` and `histogram` received from
+   * the server.
+   */
+  function populateRatingSummary(feedback) {
+    const count = feedback.reviewCount;
+    const rating = count > 0 ? feedback.averageRating : '-';
+    id('rating-summary').textContent = `Community Rating: ${rating}/5 (${count} ${
+      count === 1 ? 'review' : 'reviews'})`;
+    const histogram = id('rating-histogram');
+    histogram.innerHTML = '';
+    for (let stars = 5; stars >= 1; stars--) {
+      const row = gen('div');
+      row.classList.add('histogram-row');
+      const label = gen('span');
+      label.textContent = `${stars} star`;
+      const bar = gen('div');
+      bar.classList.add('histogram-bar');
+      const fill = gen('div');
+      fill.classList.add('histogram-fill');
+      fill.style.width = `${count > 0 ? 100 * feedback.histogram[stars] / count : 0}%`;
+      bar.appendChild(fill);
+      const total = gen('span');
+      total.textContent = feedback.histogram[stars];
+      row.appendChild(label);
+      row.appendChild(bar);
+      row.appendChild(total);
+      histogram.appendChild(row);
+    }
+  }
+
+  /**
+   * Adds or withdraws the signed-in user's helpful vote for a review and updates its button.
+   * Signed-out users are sent to sign in.
+   *
+   * @param {number} reviewId - The ID of the review.
+   * @param {HTMLElement} button - The review's helpful button.
+   */
+  function toggleHelpful(reviewId, button) {
+    if (currentUserId === null) {
+      showSignIn();
+      return;
+    }
+    const voted = votedReviews.has(reviewId);
+    fetch(`/review/${reviewId}/helpful`, {
+      method: voted ? 'DELETE' : 'POST',
+      headers: authHeaders()
+    })
+      .then(statusCheck)
+      .then(res => res.json())
+      .then(res => {
+        if (voted) {
+          votedReviews.delete(reviewId);
+        } else {
+          votedReviews.add(reviewId);
+        }
+        button.classList.toggle('voted', !voted);
+        button.textContent = `Helpful (${res.helpfulCount})`;
+      })
+      .catch(handleError);
+  }
+
+  /**
+   * Populates the reviews section with user reviews. The signed-in user's own review comes
+   * first, whatever its status, with a note while others can't see it.
    *
    * @param {Array} reviews - An array of reviews for the vehicle.
+   * @param {?Object} ownReview - The signed-in user's review of the vehicle, if any.
+   * @param {boolean} append - True to add the reviews to those shown, false to replace them.
    */
-  function populateReviews(reviews) {
+  function populateReviews(reviews, ownReview, append) {
     const revContainer = id('other-reviews');
-    revContainer.innerHTML = '';
+    if (!append) {
+      revContainer.innerHTML = '';
+      if (ownReview) {
+        revContainer.appendChild(createReview(ownReview, true));
+      }
+    }
+    reviews.filter(review => !ownReview || review.review_id !== ownReview.review_id)
+      .forEach(review => revContainer.appendChild(createReview(review, false)));
+  }
 
-    reviews.forEach(review => {
-      const reviewDiv = gen('div');
-      reviewDiv.classList.add('review');
-      const username = gen('h3');
-      username.textContent = review.username;
+  /**
+   * Builds a review's element. Reviews from buyers of the vehicle get a verified purchase badge,
+   * and the signed-in user's own review gets edit and delete controls while other reviews can be
+   * reported. Every review shows its helpful votes, which other users can add to.
+   *
+   * @param {Object} review - The review.
+   * @param {boolean} own - True if the signed-in user wrote it.
+   * @returns {HTMLElement} - The review's element.
+   */
+  function createReview(review, own) {
+    const reviewDiv = gen('div');
+    reviewDiv.classList.add('review');
+    const username = gen('h3');
+    username.textContent = review.username;
 
-      const rating = gen('p');
-      rating.textContent = `${review.rating}/5`;
+    const rating = gen('p');
+    rating.textContent = `${review.rating}/5`;
 
-      const reviewText = gen('p');
-      reviewText.textContent = review.review_text;
+    const reviewText = gen('p');
+    reviewText.textContent = review.review_text;
 
-      const date = gen('p');
-      const dateSubmitted = new Date(review.date_submitted);
-      const formattedDate = `${dateSubmitted.getMonth() +
-        1}/${dateSubmitted.getDate()}/${dateSubmitted.getFullYear()}`;
-      date.textContent = formattedDate;
+    const date = gen('p');
+    const dateSubmitted = new Date(review.date_submitted);
+    const formattedDate = `${dateSubmitted.getMonth() +
+      1}/${dateSubmitted.getDate()}/${dateSubmitted.getFullYear()}`;
+    date.textContent = review.updated_at ? `${formattedDate} (edited)` : formattedDate;
 
-      reviewDiv.appendChild(username);
-      reviewDiv.appendChild(date);
-      reviewDiv.appendChild(rating);
-      reviewDiv.appendChild(reviewText);
+    reviewDiv.appendChild(username);
+    if (review.verified_purchase) {
+      const badge = gen('span');
+      badge.classList.add('verified-badge');
+      badge.textContent = 'Verified purchase';
+      reviewDiv.appendChild(badge);
+    }
+    if (own && HIDDEN_REVIEW_NOTES[review.status]) {
+      const note = gen('p');
+      note.classList.add('review-status');
+      note.textContent = HIDDEN_REVIEW_NOTES[review.status];
+      reviewDiv.appendChild(note);
+    }
+    reviewDiv.appendChild(date);
+    reviewDiv.appendChild(rating);
+    reviewDiv.appendChild(reviewText);
 
-      revContainer.appendChild(reviewDiv);
-    });
+    const helpfulBtn = gen('button');
+    helpfulBtn.classList.add('helpful-button');
+    helpfulBtn.classList.toggle('voted', votedReviews.has(review.review_id));
+    helpfulBtn.textContent = `Helpful (${review.helpful_count})`;
+    helpfulBtn.disabled = own;
+    helpfulBtn.addEventListener('click', () => toggleHelpful(review.review_id, helpfulBtn));
+    reviewDiv.appendChild(helpfulBtn);
+
+    if (own) {
+      reviewDiv.classList.add('own-review');
+      const editBtn = gen('button');
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => editReview(review));
+      const deleteBtn = gen('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteReview(review.review_id));
+      reviewDiv.appendChild(editBtn);
+      reviewDiv.appendChild(deleteBtn);
+    } else if (currentUserId !== null) {
+      appendReportControl(reviewDiv, review.review_id);
+    }
+    return reviewDiv;
   }
 
   /**
@@ -465,23 +2331,63 @@
    * Checks the status of the HTTP response and throws an error if not okay.
    * @param {Response} res - The HTTP response to check.
    * @returns {Promise<Response>} - The response if okay.
-   * @throws {Error} - The error if the response is not okay.
+   * @throws {Error} - The error if the response is not okay, carrying the API's error `code`,
+   * `details` and the HTTP `status`.
    */
   async function statusCheck(res) {
     if (!res.ok) {
-      throw new Error(await res.text());
+      const body = await res.json().catch(() => null);
+      const apiError = body && body.error ? body.error : {};
+      const err = new Error(apiError.message || `The server answered ${res.status}`);
+      err.status = res.status;
+      err.code = apiError.code || null;
+      err.details = apiError.details || [];
+      throw err;
     }
     return res;
   }
 
   /**
-   * Handles errors and displays the error message in the DOM.
-   * @param {Error} err - The error object containing the error message.
+   * Handles errors by showing their message in a toast. An `unauthorized` error while signed in
+   * means the session has expired, so the user is signed out.
+   * @param {Error} err - The error, from statusCheck or a failed request.
    */
   function handleError(err) {
-    const errorMessage = document.createElement('p');
-    errorMessage.textContent = err.text();
-    qs('nav').appendChild(errorMessage);
+    if (err.code === 'unauthorized' && sessionToken) {
+      signOut();
+      showToast('Your session has expired; please sign in again');
+    } else if (err.status) {
+      showToast(err.message);
+    } else {
+      showToast('Could not reach the server; please try again');
+    }
+  }
+
+  /**
+   * Shows an error message in a toast that closes itself after TOAST_DURATION_MS or when
+   * dismissed. A message already on screen is not repeated, and at most MAX_TOASTS are shown,
+   * dropping the oldest first.
+   * @param {string} message - The message to show.
+   */
+  function showToast(message) {
+    const container = id('toasts');
+    if ([...container.children].some(toast => toast.firstChild.textContent === message)) {
+      return;
+    }
+    const toast = gen('div');
+    toast.classList.add('toast');
+    const text = gen('p');
+    text.textContent = message;
+    const close = gen('button');
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.addEventListener('click', () => toast.remove());
+    toast.append(text, close);
+    container.appendChild(toast);
+    while (container.children.length > MAX_TOASTS) {
+      container.firstElementChild.remove();
+    }
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
   }
 
   /**
@@ -0,0 +1,179 @@
+/**
+ * Frontend tests for signing in and for what signed-in users do: filling the cart, checking out
+ * and reviewing vehicles.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('../../backend/test/harness');
+const {openPage, closePage, settle, waitFor, visibleView, toasts} = require('./dom');
+
+const SESSION_KEY = 'ewave-session';
+
+before(harness.start);
+after(harness.stop);
+
+/**
+ * Opens a page signed in as a fixture user, and waits until the page knows who they are.
+ *
+ * @param {string} username - The user's name in db/fixtures/users.json.
+ * @param {string} hash - The page to open.
+ * @returns {Promise<Window>} - The page's window.
+ */
+async function openSignedIn(username, hash) {
+  const page = openPage(harness.url(), hash, {[SESSION_KEY]: await harness.signIn(username)});
+  await waitFor(() => page.document.getElementById('user-btn-text').textContent === username,
+    'the session to be restored');
+  return page;
+}
+
+/**
+ * Fills in and submits the sign-in form.
+ *
+ * @param {Window} page - The page's window.
+ * @param {string} username - The username to enter.
+ * @param {string} password - The password to enter.
+ */
+function submitSignIn(page, username, password) {
+  page.document.getElementById('username').value = username;
+  page.document.getElementById('password').value = password;
+  page.document.getElementById('submit-button').click();
+}
+
+test('a wrong password keeps the user on the sign-in form', async t => {
+  const page = openPage(harness.url(), '#/sign-in');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'sign-in-section', 'the sign-in form');
+
+  submitSignIn(page, 'john_doe', 'not-my-password');
+  await waitFor(() => toasts(page).length > 0, 'a toast');
+  assert.deepEqual(toasts(page), ['Incorrect username and/or password']);
+  assert.equal(visibleView(page), 'sign-in-section');
+  assert.equal(page.localStorage.getItem(SESSION_KEY), null);
+  assert.equal(page.document.getElementById('user-btn-text').textContent, 'Sign In');
+});
+
+test('signing in shows the account and remembers the session', async t => {
+  const page = openPage(harness.url(), '#/sign-in');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'sign-in-section', 'the sign-in form');
+
+  submitSignIn(page, 'john_doe', 'password123');
+  await waitFor(() => visibleView(page) === 'user-section', 'the account page');
+  assert.equal(page.location.hash, '#/account');
+  assert.equal(page.document.getElementById('username-display').textContent, 'john_doe');
+  assert.equal(page.document.getElementById('user-btn-text').textContent, 'john_doe');
+  assert.equal(page.document.getElementById('password').value, '');
+  assert.ok(!page.document.getElementById('cart-button').classList.contains('hidden'));
+  assert.ok(page.document.getElementById('admin-button').classList.contains('hidden'));
+  assert.ok(page.localStorage.getItem(SESSION_KEY));
+});
+
+test('pages for signed-in users ask everyone else to sign in', async t => {
+  const page = openPage(harness.url(), '#/cart');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'sign-in-section', 'the sign-in form');
+});
+
+test('a saved session is restored, and a rejected one dropped', async t => {
+  const page = await openSignedIn('ewave_admin', '#/admin');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'admin-section', 'the admin page');
+  assert.ok(!page.document.getElementById('admin-button').classList.contains('hidden'));
+
+  const stale = openPage(harness.url(), '#/account', {[SESSION_KEY]: 'expired.token'});
+  t.after(() => closePage(stale));
+  await waitFor(() => visibleView(stale) === 'sign-in-section', 'the sign-in form');
+  assert.equal(stale.localStorage.getItem(SESSION_KEY), null);
+});
+
+test('signing out forgets the session', async t => {
+  const page = await openSignedIn('prince_wang', '#/account');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'user-section', 'the account page');
+
+  page.document.getElementById('sign-out-button').click();
+  await waitFor(() => visibleView(page) === 'main-view', 'the catalog');
+  assert.equal(page.document.getElementById('user-btn-text').textContent, 'Sign In');
+  assert.equal(page.localStorage.getItem(SESSION_KEY), null);
+  assert.ok(page.document.getElementById('cart-button').classList.contains('hidden'));
+});
+
+test('a vehicle can be added to the cart and checked out', async t => {
+  const page = await openSignedIn('alice_smith', '#/vehicle/2');
+  t.after(() => closePage(page));
+  const cartText = page.document.getElementById('cart-btn-text');
+  await waitFor(() => cartText.textContent === 'Cart (0)', 'the empty cart');
+  await waitFor(() => visibleView(page) === 'vehicle-details', 'the vehicle details');
+
+  page.document.getElementById('purchase-button').click();
+  await waitFor(() => cartText.textContent === 'Cart (1)', 'the vehicle in the cart');
+  assert.equal(page.document.getElementById('confirmation').textContent, 'Added to your cart!');
+  await settle(page);
+
+  page.document.getElementById('cart-button').click();
+  await waitFor(() => visibleView(page) === 'cart-section', 'the cart');
+  assert.equal(page.document.querySelectorAll('#cart-items .cart-item').length, 1);
+  assert.equal(page.document.getElementById('cart-subtotal').textContent, '$29,999');
+
+  const checkout = page.document.getElementById('checkout-button');
+  const checkoutText = page.document.querySelector('#checkout-button p');
+  checkout.click();
+  assert.equal(checkoutText.textContent, 'Confirm?');
+  checkout.click();
+  assert.equal(checkoutText.textContent, 'Submit');
+  checkout.click();
+  await waitFor(() => /Your order has been submitted!/
+    .test(page.document.getElementById('confirmation').textContent), 'the order confirmation');
+  await waitFor(() => cartText.textContent === 'Cart (0)', 'the emptied cart');
+
+  const orders = await harness.request('GET', '/api/v1/users/me/orders',
+    {token: page.localStorage.getItem(SESSION_KEY)});
+  assert.equal(orders.body.orders.length, 1);
+});
+
+test('a review without a rating is rejected', async t => {
+  const page = await openSignedIn('taran', '#/vehicle/3');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'vehicle-details', 'the vehicle details');
+
+  page.document.getElementById('review-text').value = 'Great little car';
+  page.document.getElementById('submit-review-button').click();
+  await waitFor(() => toasts(page).length > 0, 'a toast');
+  assert.match(toasts(page)[0], /rating/);
+});
+
+test('a review can be posted', async t => {
+  const page = await openSignedIn('taran', '#/vehicle/4');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'vehicle-details', 'the vehicle details');
+
+  page.document.getElementById('rating-4').checked = true;
+  page.document.getElementById('review-text').value = 'Sporty and practical';
+  page.document.getElementById('submit-review-button').click();
+  await waitFor(() => page.document.getElementById('confirmation').textContent ===
+    'Review added successfully!', 'the confirmation');
+  await waitFor(() => /Sporty and practical/
+    .test(page.document.getElementById('other-reviews').textContent), 'the new review');
+});
+
+test('a review held for moderation is shown to its author with its controls', async t => {
+  const page = await openSignedIn('alice_smith', '#/vehicle/5');
+  t.after(() => closePage(page));
+  await waitFor(() => visibleView(page) === 'vehicle-details', 'the vehicle details');
+
+  page.document.getElementById('rating-2').checked = true;
+  page.document.getElementById('review-text').value = 'see www.spam.com now';
+  page.document.getElementById('submit-review-button').click();
+  const own = await waitFor(() => page.document.querySelector('#other-reviews .own-review'),
+    'the held review');
+  assert.match(own.querySelector('.review-status').textContent, /Waiting for a moderator/);
+  assert.equal(page.document.getElementById('rating-summary').textContent,
+    'Community Rating: -/5 (0 reviews)');
+
+  [...own.querySelectorAll('button')].find(button => button.textContent === 'Edit').click();
+  assert.equal(page.document.getElementById('review-text').value, 'see www.spam.com now');
+  assert.ok(page.document.getElementById('rating-2').checked);
+});
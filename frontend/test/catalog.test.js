@@ -0,0 +1,106 @@
+/**
+ * Frontend tests for browsing the catalog: listing, searching, vehicle details and navigation.
+ */
+
+"use strict";
+
+const {test, before, after} = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('../../backend/test/harness');
+const {openPage, closePage, waitFor, visibleView, toasts, vehicleNames} = require('./dom');
+
+before(harness.start);
+after(harness.stop);
+
+test('the home page lists the catalog by body type', async t => {
+  const page = openPage(harness.url());
+  t.after(() => closePage(page));
+  await waitFor(() => vehicleNames(page).length === 25, 'the catalog');
+  assert.equal(visibleView(page), 'main-view');
+  assert.equal(page.document.querySelectorAll('#sedan .vehicle').length, 5);
+  assert.equal(page.document.querySelectorAll('#truck .vehicle').length, 3);
+  assert.ok(page.document.getElementById('load-more-button').classList.contains('hidden'));
+});
+
+test('searching updates the URL and shows the matches', async t => {
+  const page = openPage(harness.url());
+  t.after(() => closePage(page));
+  await waitFor(() => vehicleNames(page).length === 25, 'the catalog');
+
+  page.document.getElementById('search-input').value = 'tesla';
+  page.document.getElementById('search-button').click();
+  await waitFor(() => vehicleNames(page).length === 5, 'the search results');
+  assert.match(page.location.hash, /^#\/search\?qry=tesla&/);
+  assert.ok(vehicleNames(page).every(name => name.startsWith('Tesla ')));
+  assert.equal(page.document.querySelectorAll('#vehicle-categories mark').length, 5);
+});
+
+test('a search with no matches empties the catalog', async t => {
+  const page = openPage(harness.url());
+  t.after(() => closePage(page));
+  await waitFor(() => vehicleNames(page).length === 25, 'the catalog');
+
+  page.document.getElementById('search-input').value = 'xylophone';
+  page.document.getElementById('search-button').click();
+  await waitFor(() => vehicleNames(page).length === 0, 'the empty results');
+  assert.match(page.location.hash, /qry=xylophone/);
+  assert.ok(page.document.getElementById('load-more-button').classList.contains('hidden'));
+  assert.deepEqual(toasts(page), []);
+});
+
+test('a search link restores the search and its filters', async t => {
+  const page = openPage(harness.url(), '#/search?types=truck&sort=price-desc');
+  t.after(() => closePage(page));
+  await waitFor(() => vehicleNames(page).length === 3, 'the trucks');
+  assert.deepEqual(vehicleNames(page),
+    ['Rivian R1T', 'Ford F-150 Lightning', 'Tesla Cybertruck']);
+  assert.equal(page.document.getElementById('sort-select').value, 'price-desc');
+  await waitFor(() => page.document.querySelector('input[name="car-type"][value="truck"]'),
+    'the body type filters');
+  assert.ok(page.document.querySelector('input[name="car-type"][value="truck"]').checked);
+  assert.ok(!page.document.querySelector('input[name="car-type"][value="sedan"]').checked);
+});
+
+test('a vehicle link opens its details and reviews', async t => {
+  const page = openPage(harness.url(), '#/vehicle/1');
+  t.after(() => closePage(page));
+  const detailName = page.document.getElementById('detail-name');
+  await waitFor(() => detailName.textContent === 'Tesla Model S', 'the vehicle details');
+  assert.equal(visibleView(page), 'vehicle-details');
+  assert.equal(page.document.getElementById('detail-price').textContent, '$79,999');
+  await waitFor(() => page.document.querySelectorAll('#other-reviews > *').length === 2,
+    'the reviews');
+  await waitFor(() => page.document.querySelector('#similar-vehicles .similar-vehicle'),
+    'the similar vehicles');
+});
+
+test('a missing vehicle shows an error toast', async t => {
+  const page = openPage(harness.url(), '#/vehicle/9999');
+  t.after(() => closePage(page));
+  await waitFor(() => toasts(page).length > 0, 'a toast');
+  assert.deepEqual(toasts(page), ['Vehicle not found']);
+
+  page.document.querySelector('#toasts .toast button').click();
+  assert.deepEqual(toasts(page), []);
+});
+
+test('Back returns from a vehicle to the catalog', async t => {
+  const page = openPage(harness.url());
+  t.after(() => closePage(page));
+  await waitFor(() => vehicleNames(page).length === 25, 'the catalog');
+
+  page.document.querySelector('#sedan .vehicle').click();
+  await waitFor(() => visibleView(page) === 'vehicle-details', 'the vehicle details');
+  assert.match(page.location.hash, /^#\/vehicle\/\d+$/);
+
+  page.history.back();
+  await waitFor(() => visibleView(page) === 'main-view', 'the catalog again');
+  assert.equal(page.location.hash, '');
+});
+
+test('an unreachable server shows a connection toast', async t => {
+  const page = openPage('http://127.0.0.1:9');
+  t.after(() => closePage(page));
+  await waitFor(() => toasts(page).length > 0, 'a toast');
+  assert.deepEqual(toasts(page), ['Could not reach the server; please try again']);
+});
@@ -0,0 +1,149 @@
+/**
+ * Loads the storefront into jsdom for the frontend tests. openPage() parses index.html, runs
+ * index.js in it and sends the page's fetch calls to a server started with
+ * backend/test/harness.js, so the page talks to the real app and a freshly seeded database.
+ *
+ *   const page = openPage(harness.url(), '#/vehicle/1');
+ *   await waitFor(() => page.document.getElementById('detail-name').textContent, 'the details');
+ *
+ * Requests are asynchronous, so tests wait for the DOM to change with waitFor() rather than for
+ * the requests themselves, or with settle() before acting on a page that is still loading. Close
+ * each page with closePage() when its test ends, which lets its last requests finish before the
+ * server stops.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const {JSDOM} = require('jsdom');
+
+const FRONTEND_DIR = path.join(__dirname, '..');
+const WAIT_TIMEOUT_MS = 3000;
+const POLL_INTERVAL_MS = 10;
+
+// How many polls in a row must find no request in flight before a page counts as idle.
+const IDLE_POLLS = 3;
+
+// The page without its script tag; openPage runs the script itself once fetch is in place.
+const PAGE_HTML = fs.readFileSync(path.join(FRONTEND_DIR, 'index.html'), 'utf8')
+  .replace('<script src="index.js"></script>', '');
+const PAGE_SCRIPT = fs.readFileSync(path.join(FRONTEND_DIR, 'index.js'), 'utf8');
+
+// The number of requests each open page has in flight.
+const inFlight = new WeakMap();
+
+/**
+ * Opens the storefront. index.js sets itself up on the window's load event, which jsdom fires
+ * once the page has been parsed.
+ *
+ * @param {string} baseUrl - The URL of the server the page is served from and talks to.
+ * @param {string} [hash] - The page to open, such as `#/vehicle/1`; the catalog by default.
+ * @param {Object} [storage] - Items to put in localStorage before the script runs, such as a
+ * saved session.
+ * @returns {Window} - The page's window.
+ */
+function openPage(baseUrl, hash = '', storage = {}) {
+  const dom = new JSDOM(PAGE_HTML, {
+    url: `${baseUrl}/${hash}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const {window} = dom;
+  inFlight.set(window, 0);
+  window.fetch = async (resource, options) => {
+    inFlight.set(window, inFlight.get(window) + 1);
+    try {
+      const res = await fetch(new URL(resource, baseUrl), options);
+      // The body is read here, so the page's handlers run as soon as the request counts as done.
+      return new Response(await res.arrayBuffer(),
+        {status: res.status, statusText: res.statusText, headers: res.headers});
+    } finally {
+      inFlight.set(window, inFlight.get(window) - 1);
+    }
+  };
+  for (const [key, value] of Object.entries(storage)) {
+    window.localStorage.setItem(key, value);
+  }
+  window.eval(PAGE_SCRIPT);
+  return window;
+}
+
+/**
+ * Waits until a page has no requests in flight and has handled their responses.
+ *
+ * @param {Window} window - The page's window.
+ * @returns {Promise<void>}
+ */
+async function settle(window) {
+  let idlePolls = 0;
+  await waitFor(() => {
+    idlePolls = inFlight.get(window) === 0 ? idlePolls + 1 : 0;
+    return idlePolls >= IDLE_POLLS;
+  }, 'the page\'s requests to finish');
+}
+
+/**
+ * Closes a page once it has settled, stopping its timers.
+ *
+ * @param {Window} window - The page's window.
+ * @returns {Promise<void>}
+ */
+async function closePage(window) {
+  await settle(window);
+  window.close();
+}
+
+/**
+ * Waits until a check passes, polling every POLL_INTERVAL_MS.
+ *
+ * @param {Function} check - Returns a truthy value once the page is in the expected state.
+ * @param {string} description - What is being waited for, for the timeout's message.
+ * @returns {Promise<*>} - The check's truthy result.
+ * @throws {Error} - If the check has not passed after WAIT_TIMEOUT_MS.
+ */
+async function waitFor(check, description) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+/**
+ * Finds the view the page is showing.
+ *
+ * @param {Window} window - The page's window.
+ * @returns {?string} - The ID of the view that is not hidden.
+ */
+function visibleView(window) {
+  const view = window.document.querySelector('.view:not(.hidden)');
+  return view ? view.id : null;
+}
+
+/**
+ * Lists the messages of the error toasts on screen.
+ *
+ * @param {Window} window - The page's window.
+ * @returns {Array<string>} - The messages, oldest first.
+ */
+function toasts(window) {
+  return [...window.document.querySelectorAll('#toasts .toast p')].map(text => text.textContent);
+}
+
+/**
+ * Lists the names of the vehicles shown in the catalog.
+ *
+ * @param {Window} window - The page's window.
+ * @returns {Array<string>} - The names, in the order shown.
+ */
+function vehicleNames(window) {
+  return [...window.document.querySelectorAll('#vehicle-categories .vehicle-name')]
+    .map(name => name.textContent);
+}
+
+module.exports = {openPage, closePage, settle, waitFor, visibleView, toasts, vehicleNames};